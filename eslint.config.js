@@ -16,6 +16,7 @@ export default [
         URL: 'readonly',
         URLSearchParams: 'readonly',
         FormData: 'readonly',
+        File: 'readonly',
       },
     },
     rules: {
@@ -24,6 +25,24 @@ export default [
       quotes: ['error', 'single', { avoidEscape: true }],
     },
   },
+  {
+    files: ['src/components/elements/**/*.js'],
+    languageOptions: {
+      globals: {
+        HTMLElement: 'readonly',
+        HTMLSelectElement: 'readonly',
+        customElements: 'readonly',
+        CustomEvent: 'readonly',
+        Event: 'readonly',
+        document: 'readonly',
+        window: 'readonly',
+        queueMicrotask: 'readonly',
+        setTimeout: 'readonly',
+        AbortController: 'readonly',
+        confirm: 'readonly',
+      },
+    },
+  },
   {
     files: ['**/*.ts', '**/*.tsx'],
     languageOptions: {
@@ -48,11 +67,16 @@ export default [
         HTMLTextAreaElement: 'readonly',
         HTMLSelectElement: 'readonly',
         HTMLButtonElement: 'readonly',
+        HTMLElement: 'readonly',
+        HTMLDivElement: 'readonly',
+        HTMLAnchorElement: 'readonly',
         Event: 'readonly',
         confirm: 'readonly',
         alert: 'readonly',
         document: 'readonly',
         window: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
       },
     },
     plugins: {
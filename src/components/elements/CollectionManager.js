@@ -0,0 +1,791 @@
+import { CRUD_PROPERTIES, PocketCrudElement, defineElement, h } from './element-utils.js';
+import { DynamicFormElement } from './DynamicForm.js';
+import { RecordListElement } from './RecordList.js';
+import { applyRealtimeEvent } from '../../utils/realtime-utils.js';
+import { buildRecordFilter } from '../../utils/filter-utils.js';
+import { withAuthFields } from '../../utils/schema-utils.js';
+import { getExpandQuery, getRecordListFields } from '../../utils/record-utils.js';
+import { getAuthRecordActions } from '../../utils/auth-utils.js';
+import { normalizeError } from '../../utils/error-utils.js';
+import { getCollectionPermissions } from '../../utils/rule-utils.js';
+
+/**
+ * `<pocketcrud-collection-manager>`: lists, creates, edits and deletes the
+ * records of a collection. Dispatches `sortChange`, `relationClick` with the
+ * related record and the field of a clicked relation chip and, for auth
+ * collections, `impersonate` with the session of an impersonated record.
+ */
+export class CollectionManagerElement extends PocketCrudElement {
+  static properties = {
+    ...CRUD_PROPERTIES,
+    collectionName: { type: String },
+    fieldOverrides: { type: Object, default: () => ({}) },
+    primaryDisplayField: { type: String },
+    perPage: { type: Number, default: 20 },
+    realtime: { type: Boolean, default: false },
+    /** Values of `buildRecordFilter` the records are narrowed down to */
+    filter: { type: Object, default: () => ({}) },
+    /** Fields the `search` value of `filter` looks in */
+    filterFields: { type: Object },
+    defaultSort: { type: String, default: '-created' },
+    /** Locale of dates, defaults to the browser's */
+    locale: { type: String },
+    /** Time zone dates are shown and entered in, defaults to the browser's */
+    timeZone: { type: String },
+  };
+
+  constructor() {
+    super();
+    /**
+     * @private
+     * @type {import('../../utils/crud.js').CollectionSchema | null}
+     */
+    this.collection = null;
+    /**
+     * @private
+     * @type {import('../../utils/crud.js').CollectionField[]}
+     */
+    this.schema = [];
+    /**
+     * Schema of the open form, kept so the form is not reset by renders
+     *
+     * @private
+     * @type {import('../../utils/crud.js').CollectionField[]}
+     */
+    this.formSchema = [];
+    /**
+     * @private
+     * @type {import('../../utils/auth-utils.js').AuthRecordAction[]}
+     */
+    this.recordActions = [];
+    /**
+     * @private
+     * @type {Array<Record<string, any>>}
+     */
+    this.records = [];
+    /** @private */
+    this.loading = true;
+    /** @private */
+    this.error = '';
+    /**
+     * Error of the last failed save, shown by the form
+     *
+     * @private
+     * @type {unknown}
+     */
+    this.submitError = null;
+    /** @private */
+    this.showForm = false;
+    /**
+     * @private
+     * @type {Record<string, any> | null}
+     */
+    this.editingRecord = null;
+    /** @private */
+    this.currentPage = 1;
+    /** @private */
+    this.totalPages = 1;
+    /** @private */
+    this.totalItems = 0;
+    /**
+     * @private
+     * @type {{action: 'create' | 'update' | 'delete', record: Record<string, any>} | null}
+     */
+    this.remoteChange = null;
+    /**
+     * @private
+     * @type {Set<string>}
+     */
+    this.pendingIds = new Set();
+    /**
+     * @private
+     * @type {(() => Promise<void>) | null}
+     */
+    this.unsubscribeRealtime = null;
+    /**
+     * Counts subscriptions, so only the latest one is kept
+     *
+     * @private
+     */
+    this.realtimeId = 0;
+    /** @private */
+    this.sort = this.defaultSort;
+    /**
+     * @private
+     * @type {{type: 'success' | 'error', message: string, token?: string} | null}
+     */
+    this.actionNotice = null;
+    /**
+     * Actions the server answered with 403, which the rules alone did not tell
+     *
+     * @private
+     * @type {Array<keyof import('../../utils/rule-utils.js').CollectionPermissions>}
+     */
+    this.deniedActions = [];
+    /**
+     * Relations of the listed fields, expanded to label them with their records
+     *
+     * @private
+     */
+    this.expand = '';
+    /**
+     * Fields the expanded related records are labelled by
+     *
+     * @private
+     * @type {Record<string, string[]>}
+     */
+    this.relationLabelFields = {};
+    /** @private */
+    this.started = false;
+
+    // Kept across renders, so typing in the form survives list updates
+    /** @private */
+    this.formElement = new DynamicFormElement();
+    /** @private */
+    this.listElement = new RecordListElement();
+    /**
+     * @private
+     * @type {HTMLElement | null}
+     */
+    this.formCard = null;
+    /**
+     * @private
+     * @type {HTMLElement | null}
+     */
+    this.content = null;
+    this.listenToChildren();
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.setupRealtime();
+    if (this.started) return;
+    this.started = true;
+    if (this.collectionName) this.loadCollection();
+  }
+
+  disconnectedCallback() {
+    this.stopRealtime();
+  }
+
+  /**
+   * @protected
+   * @param {string} name
+   */
+  propertyChanged(name) {
+    if (name === 'defaultSort' && !this.started) {
+      this.sort = this.defaultSort;
+    } else if (name === 'filter' && this.started && !this.loading) {
+      // Reload the first page whenever the filter changes
+      this.loadRecords(1);
+    } else if (['realtime', 'collectionName', 'crud', 'url'].includes(name)) {
+      this.setupRealtime();
+    }
+    if (
+      this.started &&
+      this.collectionName &&
+      ['crud', 'url', 'collectionName', 'perPage'].includes(name)
+    ) {
+      this.loadCollection();
+    }
+  }
+
+  /**
+   * Child elements dispatch bubbling events, which stop here so listeners of
+   * the manager only get its own.
+   *
+   * @private
+   */
+  listenToChildren() {
+    /**
+     * @param {HTMLElement} element
+     * @param {Record<string, (detail: any) => void>} handlers
+     */
+    const listen = (element, handlers) => {
+      for (const [type, handler] of Object.entries(handlers)) {
+        element.addEventListener(type, event => {
+          event.stopPropagation();
+          handler(/** @type {CustomEvent} */ (event).detail);
+        });
+      }
+    };
+
+    listen(this.formElement, {
+      submit: data => this.handleFormSubmit(data),
+      cancel: () => this.handleFormCancel(),
+    });
+    listen(this.listElement, {
+      edit: record => this.handleEdit(record),
+      delete: record => this.handleDelete(record),
+      pageChange: page => this.loadRecords(page),
+      sortChange: sort => this.handleSortChange(sort),
+      action: ({ id, record }) => this.handleRecordAction(id, record),
+      relationClick: detail => this.emit('relationClick', detail),
+    });
+  }
+
+  /** @private */
+  async setupRealtime() {
+    this.stopRealtime();
+    const realtimeId = this.realtimeId;
+    const crud = this.getCrud();
+    const name = this.collectionName;
+    if (!this.realtime || !name || !crud || !this.isConnected) return;
+
+    try {
+      const unsubscribe = await crud.subscribe(
+        name,
+        '*',
+        event => this.handleRealtimeEvent(event),
+        this.expand ? { expand: this.expand } : undefined
+      );
+      // Drop the subscription if the properties changed while subscribing
+      if (
+        !this.realtime ||
+        name !== this.collectionName ||
+        !this.isConnected ||
+        realtimeId !== this.realtimeId
+      ) {
+        unsubscribe();
+        return;
+      }
+      this.unsubscribeRealtime = unsubscribe;
+    } catch (err) {
+      console.error('Realtime subscription error:', err);
+    }
+  }
+
+  /** @private */
+  stopRealtime() {
+    this.realtimeId++;
+    if (this.unsubscribeRealtime) {
+      this.unsubscribeRealtime();
+      this.unsubscribeRealtime = null;
+    }
+  }
+
+  /**
+   * @private
+   * @param {{action: 'create' | 'update' | 'delete', record: Record<string, any>}} event
+   */
+  handleRealtimeEvent(event) {
+    const next = applyRealtimeEvent(
+      {
+        records: this.records,
+        currentPage: this.currentPage,
+        perPage: this.perPage,
+        totalItems: this.totalItems,
+        totalPages: this.totalPages,
+      },
+      event
+    );
+    this.records = next.records;
+    this.totalItems = next.totalItems;
+    this.totalPages = next.totalPages;
+
+    // Only flag changes made by someone else to the record being edited
+    if (
+      this.editingRecord &&
+      this.editingRecord.id === event.record.id &&
+      !this.pendingIds.has(event.record.id)
+    ) {
+      this.remoteChange = event;
+    }
+    this.requestRender();
+  }
+
+  /** @private */
+  handleLoadRemoteChange() {
+    if (this.remoteChange && this.remoteChange.action === 'update') {
+      this.editingRecord = this.remoteChange.record;
+    }
+    this.remoteChange = null;
+    this.requestRender();
+  }
+
+  /**
+   * @private
+   * @returns {import('../../utils/rule-utils.js').CollectionPermissions}
+   */
+  getPermissions() {
+    const crud = this.getCrud();
+    const allowed =
+      this.collection && crud
+        ? getCollectionPermissions(this.collection, crud.currentUser)
+        : { list: true, view: true, create: true, update: true, delete: true };
+    for (const action of this.deniedActions) {
+      allowed[action] = false;
+    }
+    return allowed;
+  }
+
+  /**
+   * @private
+   * @param {keyof import('../../utils/rule-utils.js').CollectionPermissions} action
+   */
+  denyAction(action) {
+    if (!this.deniedActions.includes(action)) {
+      this.deniedActions = [...this.deniedActions, action];
+    }
+  }
+
+  /** @private */
+  async loadCollection() {
+    const crud = this.getCrud();
+    if (!crud) return;
+
+    this.loading = true;
+    this.error = '';
+    this.showForm = false;
+    this.editingRecord = null;
+    this.actionNotice = null;
+    this.deniedActions = [];
+    this.requestRender();
+
+    try {
+      const loaded = await crud.getCollection(this.collectionName);
+      // Auth collections list and filter by email too
+      this.schema = withAuthFields(loaded);
+      this.collection = loaded;
+      this.recordActions = getAuthRecordActions(loaded, crud.currentUser);
+      const expand = getExpandQuery(getRecordListFields(this.schema, this.primaryDisplayField));
+      if (expand !== this.expand) {
+        this.expand = expand;
+        // Realtime events carry the same relations as the listed records
+        this.setupRealtime();
+      }
+      if (this.getPermissions().list) {
+        await Promise.all([this.loadRecords(), this.loadRelationLabelFields()]);
+      } else {
+        this.records = [];
+        this.totalItems = 0;
+        this.totalPages = 1;
+      }
+    } catch (err) {
+      this.error = err instanceof Error ? err.message : 'Failed to load collection';
+    } finally {
+      this.loading = false;
+      this.requestRender();
+    }
+  }
+
+  /** @private */
+  async loadRelationLabelFields() {
+    const crud = this.getCrud();
+    if (!crud) return;
+
+    const names = this.expand.split(',').filter(Boolean);
+    /** @type {Record<string, string[]>} */
+    const relationLabelFields = {};
+
+    for (const field of this.schema) {
+      if (field.type !== 'relation' || !names.includes(field.name)) continue;
+      relationLabelFields[field.name] = await crud.getRelationLabelFields(
+        String(field.options?.collectionId ?? ''),
+        field.options?.displayFields
+      );
+    }
+
+    this.relationLabelFields = relationLabelFields;
+  }
+
+  /**
+   * @private
+   * @param {number} page
+   */
+  async loadRecords(page = 1) {
+    const crud = this.getCrud();
+    if (!crud || !this.getPermissions().list) return;
+
+    try {
+      const result = await crud.getList(this.collectionName, {
+        page,
+        perPage: this.perPage,
+        sort: this.sort || undefined,
+        filter: buildRecordFilter(this.filter, this.schema, this.filterFields, {
+          timeZone: this.timeZone,
+        }),
+        expand: this.expand || undefined,
+      });
+      this.records = result.items;
+      this.currentPage = result.page;
+      this.totalPages = result.totalPages;
+      this.totalItems = result.totalItems;
+    } catch (err) {
+      if (normalizeError(err).status === 403) {
+        this.denyAction('list');
+      } else {
+        this.error = err instanceof Error ? err.message : 'Failed to load records';
+      }
+    }
+    this.requestRender();
+  }
+
+  /**
+   * Opens the form for a new record, or for `record`.
+   *
+   * @private
+   * @param {Record<string, any> | null} record
+   */
+  openForm(record) {
+    this.editingRecord = record;
+    // Passwords are only required when creating auth records
+    this.formSchema = this.collection
+      ? withAuthFields(this.collection, { isNew: !record })
+      : this.schema;
+    this.remoteChange = null;
+    this.submitError = null;
+    this.showForm = true;
+    this.requestRender();
+  }
+
+  /**
+   * @private
+   * @param {Record<string, any>} record
+   */
+  handleEdit(record) {
+    this.openForm(record);
+  }
+
+  /**
+   * @private
+   * @param {Record<string, any>} record
+   */
+  async handleDelete(record) {
+    const crud = this.getCrud();
+    if (!crud || !confirm(`Are you sure you want to delete this ${this.collectionName} record?`)) {
+      return;
+    }
+
+    this.actionNotice = null;
+    this.pendingIds.add(record.id);
+    try {
+      await crud.delete(this.collectionName, record.id);
+      await this.loadRecords(this.currentPage);
+    } catch (err) {
+      const normalized = normalizeError(err);
+      if (normalized.status === 403) this.denyAction('delete');
+      this.actionNotice = { type: 'error', message: normalized.message };
+      this.requestRender();
+    } finally {
+      this.pendingIds.delete(record.id);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Record<string, any> | FormData} formData
+   */
+  async handleFormSubmit(formData) {
+    const crud = this.getCrud();
+    const editing = this.editingRecord;
+    if (!crud) return;
+    if (editing) this.pendingIds.add(editing.id);
+    this.submitError = null;
+
+    try {
+      if (editing) {
+        await crud.update(this.collectionName, editing.id, formData);
+      } else {
+        await crud.create(this.collectionName, formData);
+      }
+
+      this.showForm = false;
+      this.editingRecord = null;
+      this.remoteChange = null;
+      await this.loadRecords(this.currentPage);
+    } catch (err) {
+      if (normalizeError(err).status === 403) this.denyAction(editing ? 'update' : 'create');
+      console.error('Form submission error:', err);
+      this.submitError = err;
+      this.requestRender();
+    } finally {
+      if (editing) this.pendingIds.delete(editing.id);
+    }
+  }
+
+  /** @private */
+  handleFormCancel() {
+    this.showForm = false;
+    this.editingRecord = null;
+    this.remoteChange = null;
+    this.requestRender();
+  }
+
+  /**
+   * @private
+   * @param {string} actionId
+   * @param {Record<string, any>} record
+   */
+  async handleRecordAction(actionId, record) {
+    const crud = this.getCrud();
+    if (!crud) return;
+
+    this.actionNotice = null;
+    try {
+      if (actionId === 'verify') {
+        await crud.requestVerification(this.collectionName, record.email);
+        this.actionNotice = {
+          type: 'success',
+          message: `Verification email sent to ${record.email}.`,
+        };
+      } else if (actionId === 'reset-password') {
+        await crud.requestPasswordReset(this.collectionName, record.email);
+        this.actionNotice = {
+          type: 'success',
+          message: `Password reset email sent to ${record.email}.`,
+        };
+      } else if (actionId === 'impersonate') {
+        const session = await crud.impersonate(this.collectionName, record.id);
+        this.actionNotice = {
+          type: 'success',
+          message: `Token to act as ${record.email || record.id}:`,
+          token: session.token,
+        };
+        this.emit('impersonate', session);
+      }
+    } catch (err) {
+      this.actionNotice = { type: 'error', message: normalizeError(err).message };
+    }
+    this.requestRender();
+  }
+
+  /**
+   * @private
+   * @param {string} next
+   */
+  handleSortChange(next) {
+    this.sort = next;
+    this.emit('sortChange', next);
+    this.loadRecords(1);
+  }
+
+  /**
+   * @private
+   * @param {import('../../utils/rule-utils.js').CollectionPermissions} permissions
+   */
+  renderFormCard(permissions) {
+    const editing = this.editingRecord;
+    const readOnly = Boolean(editing) && !permissions.update;
+
+    Object.assign(this.formElement, {
+      crud: this.getCrud(),
+      collectionName: this.collectionName,
+      schema: this.formSchema,
+      fieldOverrides: this.fieldOverrides,
+      initialData: editing,
+      locale: this.locale,
+      timeZone: this.timeZone,
+      serverError: this.submitError,
+      readOnly,
+    });
+
+    if (!this.formCard) {
+      this.formCard = h(
+        'div',
+        { class: 'pocketcrud-card' },
+        h('h3', { class: 'pc-card-title' }),
+        h('div', {}),
+        this.formElement
+      );
+    }
+    const [title, noticeRegion] = Array.from(this.formCard.children);
+    title.textContent = `${readOnly ? 'View' : editing ? 'Edit' : 'Create'} ${this.collectionName}`;
+    noticeRegion.replaceChildren(...(this.remoteChange ? [this.renderRemoteChange()] : []));
+    return this.formCard;
+  }
+
+  /** @private */
+  renderRemoteChange() {
+    const remoteChange = /** @type {NonNullable<typeof this.remoteChange>} */ (this.remoteChange);
+
+    return h(
+      'div',
+      {
+        class: 'pocketcrud-alert pocketcrud-alert-warning pc-realtime-notice',
+        'data-testid': 'remote-change-notice',
+      },
+      h(
+        'span',
+        {},
+        remoteChange.action === 'delete'
+          ? 'This record was deleted by someone else.'
+          : 'This record was updated by someone else.'
+      ),
+      remoteChange.action === 'update' &&
+        h(
+          'button',
+          {
+            type: 'button',
+            class: 'pc-link',
+            on: { click: () => this.handleLoadRemoteChange() },
+          },
+          'Load latest'
+        ),
+      h(
+        'button',
+        {
+          type: 'button',
+          class: 'pc-link-secondary',
+          on: {
+            click: () => {
+              this.remoteChange = null;
+              this.requestRender();
+            },
+          },
+        },
+        'Dismiss'
+      )
+    );
+  }
+
+  /** @private */
+  renderActionNotice() {
+    const notice = this.actionNotice;
+    if (!notice) return null;
+
+    return h(
+      'div',
+      {
+        class: `pocketcrud-alert pocketcrud-alert-${notice.type} pc-action-notice`,
+        role: notice.type === 'error' ? 'alert' : 'status',
+        'data-testid': 'record-action-notice',
+      },
+      h('span', {}, notice.message),
+      notice.token &&
+        h('input', {
+          type: 'text',
+          readonly: true,
+          value: notice.token,
+          'aria-label': 'Impersonation token',
+          class: 'pocketcrud-input pc-token-input',
+          on: { focus: event => event.target.select() },
+        }),
+      h(
+        'button',
+        {
+          type: 'button',
+          class: 'pc-link-secondary',
+          on: {
+            click: () => {
+              this.actionNotice = null;
+              this.requestRender();
+            },
+          },
+        },
+        'Dismiss'
+      )
+    );
+  }
+
+  /**
+   * @private
+   * @param {import('../../utils/rule-utils.js').CollectionPermissions} permissions
+   */
+  renderList(permissions) {
+    if (!permissions.list) {
+      return h(
+        'div',
+        { class: 'pocketcrud-alert pocketcrud-alert-warning', 'data-testid': 'list-denied-notice' },
+        `Only superusers can list ${this.collectionName} records.`
+      );
+    }
+
+    Object.assign(this.listElement, {
+      crud: this.getCrud(),
+      records: this.records,
+      schema: this.schema,
+      currentPage: this.currentPage,
+      totalPages: this.totalPages,
+      totalItems: this.totalItems,
+      perPage: this.perPage,
+      primaryDisplayField: this.primaryDisplayField,
+      sort: this.sort,
+      sortable: true,
+      locale: this.locale,
+      timeZone: this.timeZone,
+      canEdit: permissions.update,
+      canDelete: permissions.delete,
+      actions: this.recordActions,
+      relationLabelFields: this.relationLabelFields,
+    });
+    return this.listElement;
+  }
+
+  /**
+   * Updates the regions in place, so the form and list keep their state.
+   *
+   * @protected
+   */
+  render() {
+    if (this.loading) {
+      this.content = null;
+      this.replaceChildren(
+        h(
+          'div',
+          { class: 'pocketcrud-collection-manager' },
+          h('div', { class: 'pc-element-loading' }, h('span', { class: 'pocketcrud-spinner' }))
+        )
+      );
+      return;
+    }
+    if (this.error) {
+      this.content = null;
+      this.replaceChildren(
+        h(
+          'div',
+          { class: 'pocketcrud-collection-manager' },
+          h('div', { class: 'pocketcrud-alert pocketcrud-alert-error', role: 'alert' }, this.error)
+        )
+      );
+      return;
+    }
+
+    if (!this.content) {
+      this.content = h(
+        'div',
+        { 'data-testid': 'collection-manager' },
+        h('div', { class: 'pc-element-toolbar' }),
+        h('div', { class: 'pc-element-form-region' }),
+        h('div', { class: 'pc-element-notice-region' }),
+        h('div', { class: 'pc-element-list-region' })
+      );
+      this.replaceChildren(h('div', { class: 'pocketcrud-collection-manager' }, this.content));
+    }
+
+    const [toolbar, formRegion, noticeRegion, listRegion] = Array.from(this.content.children);
+    const permissions = this.getPermissions();
+
+    toolbar.replaceChildren(
+      ...(!this.showForm && permissions.create
+        ? [
+            h(
+              'button',
+              {
+                type: 'button',
+                class: 'pocketcrud-btn pocketcrud-btn-primary',
+                'data-testid': 'create-new-button',
+                on: { click: () => this.openForm(null) },
+              },
+              'Create New'
+            ),
+          ]
+        : [])
+    );
+
+    if (this.showForm) {
+      const card = this.renderFormCard(permissions);
+      if (formRegion.firstChild !== card) formRegion.replaceChildren(card);
+    } else {
+      formRegion.replaceChildren();
+    }
+
+    const notice = this.renderActionNotice();
+    noticeRegion.replaceChildren(...(notice ? [notice] : []));
+
+    const list = this.renderList(permissions);
+    if (listRegion.firstChild !== list) listRegion.replaceChildren(list);
+  }
+}
+
+defineElement('pocketcrud-collection-manager', CollectionManagerElement);
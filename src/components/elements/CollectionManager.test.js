@@ -0,0 +1,208 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import './CollectionManager.js';
+
+const schema = [
+  { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+];
+
+const posts = [
+  { id: 'r1', title: 'First post', created: '2024-01-01 10:00:00.000Z' },
+  { id: 'r2', title: 'Second post', created: '2024-01-02 10:00:00.000Z' },
+];
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * @param {Record<string, any>} [collection]
+ */
+function createMockCrud(collection = {}) {
+  return {
+    currentUser: { id: 'admin1', isAdmin: true },
+    getCollection: vi
+      .fn()
+      .mockResolvedValue({ name: 'posts', type: 'base', schema, ...collection }),
+    getList: vi.fn().mockResolvedValue({
+      items: posts,
+      page: 1,
+      perPage: 20,
+      totalItems: 2,
+      totalPages: 1,
+    }),
+    create: vi.fn().mockResolvedValue({ id: 'r3', title: 'New post' }),
+    update: vi.fn().mockResolvedValue({}),
+    delete: vi.fn().mockResolvedValue(true),
+    validateUnique: vi.fn().mockResolvedValue({}),
+    subscribe: vi.fn().mockResolvedValue(vi.fn()),
+  };
+}
+
+/**
+ * @param {Record<string, any>} crud
+ * @param {Record<string, string>} [attributes]
+ */
+async function createManager(crud, attributes = {}) {
+  const element = /** @type {any} */ (document.createElement('pocketcrud-collection-manager'));
+  element.crud = crud;
+  for (const [name, value] of Object.entries({ 'collection-name': 'posts', ...attributes })) {
+    element.setAttribute(name, value);
+  }
+  document.body.append(element);
+  await flush();
+  return element;
+}
+
+describe('<pocketcrud-collection-manager>', () => {
+  afterEach(() => {
+    document.body.replaceChildren();
+    vi.unstubAllGlobals();
+  });
+
+  it('should load the collection and list its records', async () => {
+    const crud = createMockCrud();
+    const element = await createManager(crud, { 'per-page': '10' });
+
+    expect(crud.getCollection).toHaveBeenCalledWith('posts');
+    expect(crud.getList).toHaveBeenCalledWith(
+      'posts',
+      expect.objectContaining({ page: 1, perPage: 10, sort: '-created' })
+    );
+    expect(element.querySelectorAll('tbody tr')).toHaveLength(2);
+  });
+
+  it('should show the error of a failed load', async () => {
+    const crud = createMockCrud();
+    crud.getCollection.mockRejectedValue(new Error('Collection not found'));
+    const element = await createManager(crud);
+
+    expect(element.querySelector('.pocketcrud-alert-error').textContent).toBe(
+      'Collection not found'
+    );
+  });
+
+  it('should create a record from the form', async () => {
+    const crud = createMockCrud();
+    const element = await createManager(crud);
+    const onSubmit = vi.fn();
+    element.addEventListener('submit', onSubmit);
+
+    element.querySelector('[data-testid="create-new-button"]').click();
+    await flush();
+    const input = element.querySelector('input#title');
+    input.value = 'New post';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    element.querySelector('form').requestSubmit();
+    await flush();
+
+    expect(crud.create).toHaveBeenCalledWith('posts', { title: 'New post' });
+    expect(element.querySelector('pocketcrud-dynamic-form')).toBeNull();
+    // Events of the inner elements do not leave the manager
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('should keep the open form when records change in realtime', async () => {
+    const crud = createMockCrud();
+    const element = await createManager(crud, { realtime: '' });
+    element.querySelector('.pc-action-btn-edit').click();
+    await flush();
+    const form = element.querySelector('pocketcrud-dynamic-form');
+
+    const [, , onEvent] = crud.subscribe.mock.calls[0];
+    onEvent({ action: 'update', record: { ...posts[0], title: 'Changed' } });
+    await flush();
+
+    expect(element.querySelector('pocketcrud-dynamic-form')).toBe(form);
+    expect(element.querySelector('[data-testid="remote-change-notice"]')).not.toBeNull();
+  });
+
+  it('should expand the listed relations and dispatch relationClick from their chips', async () => {
+    const author = {
+      id: 'f2',
+      name: 'author',
+      type: 'relation',
+      system: false,
+      required: false,
+      presentable: true,
+      options: { collectionId: 'users_id' },
+    };
+    const crud = {
+      ...createMockCrud({ schema: [...schema, author] }),
+      getRelationLabelFields: vi.fn().mockResolvedValue(['name']),
+    };
+    crud.getList.mockResolvedValue({
+      items: [{ ...posts[0], author: 'u1', expand: { author: { id: 'u1', name: 'Ada' } } }],
+      page: 1,
+      perPage: 20,
+      totalItems: 1,
+      totalPages: 1,
+    });
+    const element = await createManager(crud, { realtime: '' });
+    await flush();
+    const onRelationClick = vi.fn();
+    element.addEventListener('relationClick', onRelationClick);
+
+    expect(crud.getList).toHaveBeenCalledWith(
+      'posts',
+      expect.objectContaining({ expand: 'author' })
+    );
+    expect(crud.subscribe).toHaveBeenLastCalledWith('posts', '*', expect.any(Function), {
+      expand: 'author',
+    });
+
+    const chip = element.querySelector('.pc-relation-chip-btn');
+    expect(chip.textContent).toBe('Ada');
+    chip.click();
+    expect(onRelationClick).toHaveBeenCalledTimes(1);
+    expect(onRelationClick.mock.calls[0][0].detail).toEqual({
+      record: { id: 'u1', name: 'Ada' },
+      field: author,
+    });
+  });
+
+  it('should delete a record after confirmation', async () => {
+    vi.stubGlobal('confirm', vi.fn().mockReturnValue(true));
+    const crud = createMockCrud();
+    const element = await createManager(crud);
+
+    element.querySelector('.pc-action-btn-delete').click();
+    await flush();
+
+    expect(crud.delete).toHaveBeenCalledWith('posts', 'r1');
+    expect(crud.getList).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reload the first page when sorting and dispatch sortChange', async () => {
+    const crud = createMockCrud();
+    const element = await createManager(crud);
+    const onSortChange = vi.fn();
+    element.addEventListener('sortChange', onSortChange);
+
+    element.querySelector('.pc-sort-btn').click();
+    await flush();
+
+    expect(onSortChange).toHaveBeenCalledTimes(1);
+    expect(onSortChange.mock.calls[0][0].detail).toBe('title');
+    expect(crud.getList).toHaveBeenLastCalledWith(
+      'posts',
+      expect.objectContaining({ page: 1, sort: 'title' })
+    );
+  });
+
+  it('should hide the actions the collection rules do not allow', async () => {
+    const crud = createMockCrud({
+      listRule: '',
+      viewRule: '',
+      createRule: null,
+      updateRule: null,
+      deleteRule: null,
+    });
+    crud.currentUser = { id: 'user1', isAdmin: false };
+    const element = await createManager(crud);
+
+    expect(element.querySelector('[data-testid="create-new-button"]')).toBeNull();
+    expect(element.querySelector('.pc-action-btn-delete')).toBeNull();
+    expect(element.querySelector('.pc-action-btn-edit').getAttribute('aria-label')).toBe(
+      'View Record'
+    );
+  });
+});
@@ -0,0 +1,782 @@
+import { CRUD_PROPERTIES, PocketCrudElement, defineElement, h } from './element-utils.js';
+import { getFormFields, validateFormData, prepareFormData } from '../../utils/form-utils.js';
+import {
+  addFiles,
+  formatFileSize,
+  hasFileUploads,
+  removeFile,
+  toFileFieldValue,
+  toFormData,
+} from '../../utils/file-utils.js';
+import { normalizeError } from '../../utils/error-utils.js';
+import { formatDateTime, toDateTimeInputValue } from '../../utils/date-utils.js';
+import { isEmptyHtml, isSafeUrl, sanitizeHtml } from '../../utils/html-utils.js';
+
+/** Candidates listed for relation fields, the rest are found by typing their id */
+const RELATION_OPTIONS_LIMIT = 100;
+
+/**
+ * `<pocketcrud-dynamic-form>`: a form generated from a collection schema.
+ * Dispatches `submit` with the prepared data, or `FormData` when files are
+ * uploaded, and `cancel`.
+ */
+export class DynamicFormElement extends PocketCrudElement {
+  static properties = {
+    ...CRUD_PROPERTIES,
+    schema: { type: Object, default: () => [] },
+    initialData: { type: Object, default: null },
+    fieldOverrides: { type: Object },
+    /** With `crud`, values of unique fields are checked against existing records */
+    collectionName: { type: String },
+    /** Locale of the record timestamps, defaults to the browser's */
+    locale: { type: String },
+    /** Time zone dates are entered and shown in, defaults to the browser's */
+    timeZone: { type: String },
+    /** Error of a failed save; its field errors are shown next to their inputs */
+    serverError: { type: Object, attribute: false, default: null },
+    /** Shows the record without saving, eg. when the update rule forbids editing */
+    readOnly: { type: Boolean, default: false },
+  };
+
+  constructor() {
+    super();
+    /**
+     * @private
+     * @type {Record<string, any>}
+     */
+    this.formData = {};
+    /**
+     * @private
+     * @type {import('../../utils/error-utils.js').ValidationErrors}
+     */
+    this.fieldErrors = {};
+    /** @private */
+    this.formError = '';
+    /** @private */
+    this.isSubmitting = false;
+    /**
+     * Loaded candidates of relation fields, by field name
+     *
+     * @private
+     * @type {Record<string, Array<{id: string, label: string}>>}
+     */
+    this.relationOptions = {};
+    /**
+     * Discards options of an older load
+     *
+     * @private
+     */
+    this.relationOptionsToken = 0;
+    /** @private */
+    this.initialized = false;
+  }
+
+  connectedCallback() {
+    if (!this.initialized) this.initializeFormData();
+    super.connectedCallback();
+  }
+
+  /**
+   * @protected
+   * @param {string} name
+   */
+  propertyChanged(name) {
+    if (name === 'schema' || name === 'fieldOverrides' || name === 'initialData') {
+      this.initializeFormData();
+    } else if (name === 'crud' || name === 'url') {
+      this.loadRelationOptions();
+    } else if (name === 'serverError' && this.serverError) {
+      this.showServerError(this.serverError);
+    }
+  }
+
+  /** @private */
+  getFields() {
+    return getFormFields(this.schema, this.fieldOverrides);
+  }
+
+  /** @private */
+  initializeFormData() {
+    const initialData = this.initialData;
+    /** @type {Record<string, any>} */
+    const data = {};
+
+    this.getFields().forEach(field => {
+      if (field.type === 'file') {
+        data[field.name] = toFileFieldValue(initialData && initialData[field.name]);
+      } else if (initialData && initialData[field.name] !== undefined) {
+        if (field.type === 'json' && typeof initialData[field.name] === 'object') {
+          data[field.name] = JSON.stringify(initialData[field.name], null, 2);
+        } else if (field.type === 'checkbox') {
+          data[field.name] = Boolean(initialData[field.name]);
+        } else if ((field.type === 'select' || field.type === 'relation') && field.multiple) {
+          data[field.name] = Array.isArray(initialData[field.name])
+            ? initialData[field.name]
+            : initialData[field.name]
+              ? [initialData[field.name]]
+              : [];
+        } else if (field.type === 'datetime-local' || field.type === 'date') {
+          // Stored UTC dates are edited as wall time in the form's time zone
+          const value = toDateTimeInputValue(initialData[field.name], this.timeZone);
+          data[field.name] = field.type === 'date' ? value.slice(0, 10) : value;
+        } else {
+          data[field.name] = initialData[field.name] || '';
+        }
+      } else if (field.type === 'checkbox') {
+        data[field.name] = false;
+      } else if ((field.type === 'select' || field.type === 'relation') && field.multiple) {
+        data[field.name] = [];
+      } else {
+        data[field.name] = '';
+      }
+    });
+
+    this.formData = data;
+    this.relationOptions = {};
+    this.fieldErrors = {};
+    this.formError = '';
+    this.initialized = true;
+    this.loadRelationOptions();
+  }
+
+  /**
+   * Loads the candidates of relation fields, and the labels of selected
+   * records that are not among them.
+   *
+   * @private
+   */
+  async loadRelationOptions() {
+    const token = ++this.relationOptionsToken;
+    const crud = this.getCrud();
+    const fields = this.getFields().filter(
+      field => field.type === 'relation' && field.collectionId
+    );
+    if (!crud || fields.length === 0) return;
+
+    /** @type {Record<string, Array<{id: string, label: string}>>} */
+    const options = {};
+    for (const field of fields) {
+      try {
+        const result = await crud.getRelationOptions(field.collectionId, {
+          perPage: RELATION_OPTIONS_LIMIT,
+          displayFields: field.displayFields,
+        });
+        const value = this.formData[field.name];
+        const selectedIds = (Array.isArray(value) ? value : [value]).filter(Boolean);
+        const missingIds = selectedIds.filter(id => !result.items.some(item => item.id === id));
+        const selected = await crud.getRelationOptionsByIds(
+          field.collectionId,
+          missingIds,
+          field.displayFields
+        );
+        options[field.name] = [...selected, ...result.items];
+      } catch (err) {
+        // Unreadable collections keep the id input
+        console.error('Relation options error:', err);
+      }
+    }
+    if (token !== this.relationOptionsToken) return;
+    this.relationOptions = options;
+    this.requestRender();
+  }
+
+  /**
+   * @private
+   * @param {unknown} err
+   */
+  showServerError(err) {
+    const error = normalizeError(err);
+    if (Object.keys(error.fieldErrors).length > 0) {
+      this.showFieldErrors(error.fieldErrors);
+    } else {
+      this.formError = error.message;
+      this.requestRender();
+    }
+  }
+
+  /**
+   * Shows the errors and moves focus to the first invalid input.
+   *
+   * @private
+   * @param {import('../../utils/error-utils.js').ValidationErrors} errors
+   */
+  showFieldErrors(errors) {
+    this.fieldErrors = errors;
+    this.render();
+    const input = this.querySelector(
+      '.pc-field-invalid :is(input, select, textarea, [contenteditable])'
+    );
+    if (input instanceof HTMLElement) input.focus();
+  }
+
+  /**
+   * Drops the error of a field once it is edited, without rendering the
+   * inputs again.
+   *
+   * @private
+   * @param {string} fieldName
+   * @param {HTMLElement} container
+   */
+  clearFieldError(fieldName, container) {
+    if (!this.fieldErrors[fieldName]) return;
+    const rest = { ...this.fieldErrors };
+    delete rest[fieldName];
+    this.fieldErrors = rest;
+    container.classList.remove('pc-field-invalid');
+    container.querySelector('.pc-field-error')?.remove();
+    container.querySelectorAll('[aria-invalid]').forEach(input => {
+      input.removeAttribute('aria-invalid');
+      input.removeAttribute('aria-describedby');
+    });
+  }
+
+  /**
+   * Points the input of an invalid field at its error, so screen readers
+   * announce the error with the input.
+   *
+   * @private
+   * @param {string} fieldName
+   */
+  errorAttributes(fieldName) {
+    if (!this.fieldErrors[fieldName]) return {};
+    return { 'aria-invalid': 'true', 'aria-describedby': `${fieldName}-error` };
+  }
+
+  /** @private */
+  async handleSubmit() {
+    if (this.readOnly) return;
+    this.fieldErrors = {};
+    this.formError = '';
+
+    const validationErrors = validateFormData(this.formData, this.schema, {
+      timeZone: this.timeZone,
+    });
+    if (Object.keys(validationErrors).length > 0) {
+      this.showFieldErrors(validationErrors);
+      return;
+    }
+
+    const crud = this.getCrud();
+    this.isSubmitting = true;
+    this.render();
+
+    try {
+      if (crud && this.collectionName) {
+        const uniqueErrors = await crud.validateUnique(
+          this.collectionName,
+          this.formData,
+          this.initialData ? this.initialData.id : undefined
+        );
+        if (Object.keys(uniqueErrors).length > 0) {
+          this.isSubmitting = false;
+          this.showFieldErrors(uniqueErrors);
+          return;
+        }
+      }
+
+      // Dates are converted from the form's time zone to UTC
+      const preparedData = prepareFormData(this.formData, this.schema, {
+        timeZone: this.timeZone,
+      });
+
+      // Uploads need a multipart payload
+      this.emit(
+        'submit',
+        hasFileUploads(preparedData) ? toFormData(preparedData, this.schema) : preparedData
+      );
+    } catch (err) {
+      this.showServerError(err);
+    } finally {
+      this.isSubmitting = false;
+      this.requestRender();
+    }
+  }
+
+  /**
+   * @private
+   * @param {import('../../utils/form-utils.js').FormFieldConfig} field
+   */
+  renderInput(field) {
+    const name = field.name;
+    const value = this.formData[name];
+    /** @param {any} next */
+    const setValue = next => {
+      this.formData[name] = next;
+    };
+
+    switch (field.type) {
+      case 'textarea':
+      case 'json':
+        return h('textarea', {
+          id: name,
+          ...this.errorAttributes(name),
+          name,
+          placeholder: field.placeholder,
+          rows: field.rows || 3,
+          required: field.required,
+          class: 'pocketcrud-textarea',
+          value,
+          on: { input: event => setValue(event.target.value) },
+        });
+
+      case 'editor':
+        return this.renderEditor(field);
+
+      case 'checkbox':
+        return h(
+          'label',
+          { class: 'pocketcrud-checkbox-label' },
+          h('input', {
+            id: name,
+            ...this.errorAttributes(name),
+            type: 'checkbox',
+            checked: Boolean(value),
+            class: 'mr-2',
+            on: { change: event => setValue(event.target.checked) },
+          }),
+          h('span', {}, `Enable ${field.label}`)
+        );
+
+      case 'select':
+        if (field.multiple) {
+          return h(
+            'div',
+            { class: 'pocketcrud-checkbox-container' },
+            (field.options || []).map(option =>
+              h(
+                'label',
+                { class: 'pocketcrud-checkbox-label' },
+                h('input', {
+                  type: 'checkbox',
+                  checked: value.includes(option),
+                  class: 'mr-2',
+                  on: {
+                    change: event =>
+                      setValue(
+                        event.target.checked
+                          ? [...this.formData[name], option]
+                          : this.formData[name].filter(/** @param {string} v */ v => v !== option)
+                      ),
+                  },
+                }),
+                h('span', {}, option)
+              )
+            )
+          );
+        }
+        return h(
+          'select',
+          {
+            id: name,
+            ...this.errorAttributes(name),
+            required: field.required,
+            class: 'pocketcrud-select',
+            value,
+            on: { change: event => setValue(event.target.value) },
+          },
+          h('option', { value: '' }, 'Select an option'),
+          (field.options || []).map(option => h('option', { value: option }, option))
+        );
+
+      case 'relation':
+        return this.renderRelationInput(field);
+
+      case 'file':
+        return this.renderFileInput(field);
+
+      case 'number':
+        return h('input', {
+          id: name,
+          ...this.errorAttributes(name),
+          type: 'number',
+          name,
+          placeholder: field.placeholder,
+          required: field.required,
+          class: 'pocketcrud-input',
+          value: value === '' || value === null || value === undefined ? '' : String(value),
+          on: {
+            input: event => setValue(event.target.value === '' ? '' : Number(event.target.value)),
+          },
+        });
+
+      default:
+        return h('input', {
+          id: name,
+          ...this.errorAttributes(name),
+          type: field.type,
+          name,
+          placeholder: field.type === 'datetime-local' ? undefined : field.placeholder,
+          step: field.step,
+          required: field.required,
+          class: 'pocketcrud-input',
+          value,
+          on: { input: event => setValue(event.target.value) },
+        });
+    }
+  }
+
+  /**
+   * A select of the related records when they can be listed, otherwise an
+   * input of comma separated ids.
+   *
+   * @private
+   * @param {import('../../utils/form-utils.js').FormFieldConfig} field
+   */
+  renderRelationInput(field) {
+    const name = field.name;
+    const value = this.formData[name];
+    const options = this.relationOptions[name];
+
+    if (!options) {
+      return h('input', {
+        id: name,
+        ...this.errorAttributes(name),
+        type: 'text',
+        name,
+        placeholder: 'Record ID',
+        required: field.required,
+        class: 'pocketcrud-input',
+        value: Array.isArray(value) ? value.join(', ') : value,
+        on: {
+          input: event => {
+            this.formData[name] = field.multiple
+              ? event.target.value
+                  .split(',')
+                  .map(/** @param {string} id */ id => id.trim())
+                  .filter(Boolean)
+              : event.target.value;
+          },
+        },
+      });
+    }
+
+    const selectedIds = Array.isArray(value) ? value : [value];
+    return h(
+      'select',
+      {
+        id: name,
+        ...this.errorAttributes(name),
+        required: field.required,
+        multiple: Boolean(field.multiple),
+        class: 'pocketcrud-select',
+        on: {
+          change: event => {
+            const selected = Array.from(
+              /** @type {HTMLSelectElement} */ (event.target).selectedOptions,
+              option => option.value
+            );
+            this.formData[name] = field.multiple ? selected : selected[0] || '';
+          },
+        },
+      },
+      !field.multiple && h('option', { value: '' }, 'Select a record'),
+      options.map(option =>
+        h(
+          'option',
+          { value: option.id, selected: selectedIds.includes(option.id) },
+          option.label || option.id
+        )
+      )
+    );
+  }
+
+  /**
+   * @private
+   * @param {import('../../utils/form-utils.js').FormFieldConfig} field
+   */
+  renderFileInput(field) {
+    const name = field.name;
+    /** @type {import('../../utils/file-utils.js').FileFieldValue} */
+    const value = this.formData[name];
+    const crud = this.getCrud();
+    const record = this.initialData;
+    const multiple = Boolean(field.multiple);
+    const isFull = multiple && value.existing.length + value.added.length >= (field.maxSelect || 1);
+    /** @param {import('../../utils/file-utils.js').FileFieldValue} next */
+    const setValue = next => {
+      this.formData[name] = next;
+      this.render();
+    };
+
+    return h(
+      'div',
+      { class: 'pc-file-input' },
+      (value.existing.length > 0 || value.added.length > 0) &&
+        h(
+          'ul',
+          { class: 'pc-file-list' },
+          value.existing.map(filename =>
+            h(
+              'li',
+              { class: 'pc-file-item' },
+              crud && record && record.id
+                ? h(
+                    'a',
+                    {
+                      href: crud.getFileUrl(record, filename),
+                      target: '_blank',
+                      rel: 'noopener noreferrer',
+                      class: 'pc-file-link',
+                    },
+                    h('span', { class: 'pc-file-name' }, filename)
+                  )
+                : h('span', { class: 'pc-file-name' }, filename),
+              h(
+                'button',
+                {
+                  type: 'button',
+                  class: 'pc-link-secondary',
+                  'aria-label': `Remove ${filename}`,
+                  on: { click: () => setValue(removeFile(value, filename)) },
+                },
+                'Remove'
+              )
+            )
+          ),
+          value.added.map(file =>
+            h(
+              'li',
+              { class: 'pc-file-item pc-file-item-new' },
+              h('span', { class: 'pc-file-name' }, file.name),
+              h('span', { class: 'pc-file-size' }, formatFileSize(file.size)),
+              h(
+                'button',
+                {
+                  type: 'button',
+                  class: 'pc-link-secondary',
+                  'aria-label': `Remove ${file.name}`,
+                  on: { click: () => setValue(removeFile(value, file)) },
+                },
+                'Remove'
+              )
+            )
+          )
+        ),
+      value.removed.length > 0 &&
+        h(
+          'p',
+          { class: 'pc-file-hint' },
+          `${value.removed.length} file(s) will be deleted on save`
+        ),
+      h('input', {
+        id: name,
+        type: 'file',
+        accept: field.accept,
+        multiple,
+        disabled: isFull,
+        class: 'pocketcrud-input',
+        on: {
+          change: event =>
+            setValue(addFiles(value, Array.from(event.target.files || []), multiple)),
+        },
+      }),
+      field.maxSize &&
+        h('p', { class: 'pc-file-hint' }, `Max. ${formatFileSize(field.maxSize)} per file`)
+    );
+  }
+
+  /**
+   * A content editable area with basic formatting. Stored content is
+   * sanitized before it is rendered.
+   *
+   * @private
+   * @param {import('../../utils/form-utils.js').FormFieldConfig} field
+   */
+  renderEditor(field) {
+    const name = field.name;
+    const content = h('div', {
+      id: name,
+      ...this.errorAttributes(name),
+      contenteditable: this.readOnly ? 'false' : 'true',
+      role: 'textbox',
+      tabindex: '0',
+      'aria-multiline': 'true',
+      'aria-readonly': this.readOnly ? 'true' : undefined,
+      'data-placeholder': field.placeholder,
+      class: 'pc-rte-content',
+      style: `min-height: ${(field.rows || 8) * 1.5}em`,
+      on: {
+        input: () => {
+          this.formData[name] = isEmptyHtml(content.innerHTML) ? '' : content.innerHTML;
+        },
+        /** @param {ClipboardEvent} event */
+        paste: event => {
+          if (!event.clipboardData) return;
+          event.preventDefault();
+          const html = event.clipboardData.getData('text/html');
+          if (html) {
+            document.execCommand('insertHTML', false, sanitizeHtml(html));
+          } else {
+            document.execCommand('insertText', false, event.clipboardData.getData('text/plain'));
+          }
+          this.formData[name] = isEmptyHtml(content.innerHTML) ? '' : content.innerHTML;
+        },
+      },
+    });
+    content.innerHTML = sanitizeHtml(this.formData[name] || '');
+
+    /**
+     * @param {string} command
+     * @param {string} [argument]
+     */
+    const runCommand = (command, argument) => {
+      content.focus();
+      document.execCommand(command, false, argument);
+      this.formData[name] = isEmptyHtml(content.innerHTML) ? '' : content.innerHTML;
+    };
+    /**
+     * Buttons keep the selection in the editor by cancelling mousedown
+     *
+     * @param {string} label
+     * @param {string} text
+     * @param {() => void} onClick
+     */
+    const button = (label, text, onClick) =>
+      h(
+        'button',
+        {
+          type: 'button',
+          class: 'pc-rte-btn',
+          'aria-label': label,
+          on: { mousedown: event => event.preventDefault(), click: onClick },
+        },
+        text
+      );
+
+    return h(
+      'div',
+      { class: 'pc-rte' },
+      !this.readOnly &&
+        h(
+          'div',
+          { class: 'pc-rte-toolbar', role: 'toolbar', 'aria-label': 'Formatting' },
+          button('Bold', 'B', () => runCommand('bold')),
+          button('Italic', 'I', () => runCommand('italic')),
+          button('Heading 2', 'H2', () => runCommand('formatBlock', '<h2>')),
+          button('Bulleted list', '•', () => runCommand('insertUnorderedList')),
+          button('Numbered list', '1.', () => runCommand('insertOrderedList')),
+          button('Link', 'Link', () => {
+            const url = window.prompt('Link URL (leave empty to remove the link)', 'https://');
+            if (url === null) return;
+            if (!url.trim()) {
+              runCommand('unlink');
+            } else if (isSafeUrl(url.trim())) {
+              runCommand('createLink', url.trim());
+            }
+          })
+        ),
+      content
+    );
+  }
+
+  /** @protected */
+  render() {
+    const fields = this.getFields();
+    const initialData = this.initialData;
+    // Errors of fields without an input, eg. ones hidden by overrides
+    const otherErrors = Object.entries(this.fieldErrors).filter(
+      ([name]) => !fields.some(field => field.name === name)
+    );
+
+    const form = h(
+      'form',
+      {
+        class: 'pocketcrud-dynamic-form pc-element-form',
+        novalidate: true,
+        on: {
+          /** @param {SubmitEvent} event */
+          submit: event => {
+            // The element dispatches its own `submit`
+            event.preventDefault();
+            event.stopPropagation();
+            this.handleSubmit();
+          },
+        },
+      },
+      (this.formError || otherErrors.length > 0) &&
+        h(
+          'div',
+          { class: 'pocketcrud-alert pocketcrud-alert-error', role: 'alert' },
+          h(
+            'ul',
+            {},
+            this.formError && h('li', {}, this.formError),
+            otherErrors.map(([, error]) => h('li', {}, error.message))
+          )
+        ),
+      initialData &&
+        (initialData.created || initialData.updated) &&
+        h(
+          'dl',
+          { class: 'pc-record-timestamps' },
+          ['created', 'updated'].map(
+            key =>
+              initialData[key] &&
+              h(
+                'div',
+                {},
+                h('dt', {}, key === 'created' ? 'Created' : 'Updated'),
+                h(
+                  'dd',
+                  {},
+                  formatDateTime(initialData[key], {
+                    locale: this.locale,
+                    timeZone: this.timeZone,
+                  })
+                )
+              )
+          )
+        ),
+      h(
+        'fieldset',
+        { disabled: this.readOnly, class: 'pc-form-fields' },
+        fields.map(field => {
+          const error = this.fieldErrors[field.name];
+          const container = h(
+            'div',
+            { class: `pc-form-field${error ? ' pc-field-invalid' : ''}` },
+            h(
+              'label',
+              { for: field.name, class: 'pocketcrud-label' },
+              field.label,
+              field.required && h('span', { class: 'pc-field-required' }, ' *')
+            ),
+            this.renderInput(field),
+            error && h('p', { id: `${field.name}-error`, class: 'pc-field-error' }, error.message)
+          );
+          container.addEventListener('input', () => this.clearFieldError(field.name, container));
+          container.addEventListener('change', () => this.clearFieldError(field.name, container));
+          return container;
+        })
+      ),
+      h(
+        'div',
+        { class: 'pc-form-actions' },
+        !this.readOnly &&
+          h(
+            'button',
+            {
+              type: 'submit',
+              disabled: this.isSubmitting,
+              class: 'pocketcrud-btn pocketcrud-btn-primary',
+            },
+            this.isSubmitting ? 'Saving...' : initialData ? 'Update' : 'Create'
+          ),
+        h(
+          'button',
+          {
+            type: 'button',
+            disabled: this.isSubmitting,
+            class: 'pocketcrud-btn pocketcrud-btn-secondary',
+            on: { click: () => this.emit('cancel') },
+          },
+          this.readOnly ? 'Close' : 'Cancel'
+        )
+      )
+    );
+
+    this.replaceChildren(form);
+  }
+}
+
+defineElement('pocketcrud-dynamic-form', DynamicFormElement);
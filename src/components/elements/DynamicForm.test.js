@@ -0,0 +1,120 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import './DynamicForm.js';
+
+const schema = [
+  { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+  { id: 'f2', name: 'published', type: 'bool', system: false, required: false, presentable: false },
+];
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * @param {Record<string, any>} [properties]
+ */
+async function createForm(properties = {}) {
+  const element = /** @type {any} */ (document.createElement('pocketcrud-dynamic-form'));
+  Object.assign(element, { schema, ...properties });
+  document.body.append(element);
+  await flush();
+  return element;
+}
+
+/**
+ * @param {any} element
+ * @param {string} selector
+ * @param {string} value
+ */
+function type(element, selector, value) {
+  const input = element.querySelector(selector);
+  input.value = value;
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+describe('<pocketcrud-dynamic-form>', () => {
+  afterEach(() => {
+    document.body.replaceChildren();
+  });
+
+  it('should render an input per field, filled from the initial data', async () => {
+    const element = await createForm({
+      initialData: { id: 'r1', title: 'Hello', published: true },
+    });
+
+    expect(element.querySelector('input#title').value).toBe('Hello');
+    expect(element.querySelector('input#published').checked).toBe(true);
+    expect(element.querySelector('button[type="submit"]').textContent).toBe('Update');
+  });
+
+  it('should show validation errors instead of submitting', async () => {
+    const element = await createForm();
+    const onSubmit = vi.fn();
+    element.addEventListener('submit', onSubmit);
+
+    element.querySelector('form').requestSubmit();
+    await flush();
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(element.querySelector('#title-error')).not.toBeNull();
+  });
+
+  it('should point an invalid input at its error until the value changes', async () => {
+    const element = await createForm();
+
+    element.querySelector('form').requestSubmit();
+    await flush();
+
+    const input = element.querySelector('input#title');
+    expect(input.getAttribute('aria-invalid')).toBe('true');
+    expect(input.getAttribute('aria-describedby')).toBe('title-error');
+    expect(element.querySelector('input#published').hasAttribute('aria-invalid')).toBe(false);
+
+    type(element, 'input#title', 'Hello');
+
+    expect(input.hasAttribute('aria-invalid')).toBe(false);
+    expect(input.hasAttribute('aria-describedby')).toBe(false);
+  });
+
+  it('should check unique values with crud and dispatch the prepared data', async () => {
+    const crud = { validateUnique: vi.fn().mockResolvedValue({}) };
+    const element = await createForm({ crud, collectionName: 'posts' });
+    const onSubmit = vi.fn();
+    element.addEventListener('submit', onSubmit);
+
+    type(element, 'input#title', 'Hello');
+    element.querySelector('form').requestSubmit();
+    await flush();
+
+    expect(crud.validateUnique).toHaveBeenCalledWith(
+      'posts',
+      expect.objectContaining({ title: 'Hello' }),
+      undefined
+    );
+    expect(onSubmit).toHaveBeenCalledTimes(1);
+    expect(onSubmit.mock.calls[0][0].detail).toEqual({ title: 'Hello', published: false });
+  });
+
+  it('should show the field errors of a failed save', async () => {
+    const element = await createForm();
+    element.serverError = {
+      status: 400,
+      response: { message: 'Failed.', data: { title: { code: 'taken', message: 'Taken.' } } },
+    };
+    await flush();
+
+    expect(element.querySelector('#title-error').textContent).toBe('Taken.');
+  });
+
+  it('should dispatch cancel and hide saving when read-only', async () => {
+    const element = await createForm({ initialData: { id: 'r1', title: 'Hello' } });
+    element.setAttribute('read-only', '');
+    await flush();
+    const onCancel = vi.fn();
+    element.addEventListener('cancel', onCancel);
+
+    expect(element.querySelector('button[type="submit"]')).toBeNull();
+    expect(element.querySelector('fieldset').disabled).toBe(true);
+    element.querySelector('button[type="button"]').click();
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+});
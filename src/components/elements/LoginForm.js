@@ -0,0 +1,477 @@
+import { CRUD_PROPERTIES, PocketCrudElement, defineElement, h } from './element-utils.js';
+import { getOAuth2AuthUrl } from '../../utils/auth-utils.js';
+import { MfaRequiredError, normalizeError } from '../../utils/error-utils.js';
+
+/** @typedef {'password' | 'otp' | 'oauth2'} LoginMethod */
+
+/** Provider of a redirect sign-in in progress, needed again after the redirect */
+const OAUTH2_STORAGE_KEY = 'pocketcrud-oauth2-provider';
+
+/**
+ * `<pocketcrud-login-form>`: signs in with every method the auth collection
+ * has enabled and dispatches `login` with the user. Without `crud` or `url`
+ * it dispatches `submit` with the credentials instead.
+ */
+export class LoginFormElement extends PocketCrudElement {
+  static properties = {
+    ...CRUD_PROPERTIES,
+    email: { type: String, default: '' },
+    password: { type: String, default: '' },
+    isLoading: { type: Boolean, default: false },
+    error: { type: String, default: '' },
+    /** Named `heading` as `title` would show as a tooltip */
+    heading: { type: String, default: 'Admin Login' },
+    subheading: { type: String, default: 'Access the collection management interface' },
+    backLink: { type: String, default: '/' },
+    backText: { type: String, default: '← Back to site' },
+    /** Auth collection to sign in to, superusers when not set */
+    authCollection: { type: String },
+    /** Page OAuth2 providers send the user back to, the sign-in opens in a popup when not set */
+    oauth2RedirectUrl: { type: String },
+  };
+
+  constructor() {
+    super();
+    /** @private */
+    this.emailValue = '';
+    /** @private */
+    this.passwordValue = '';
+    /** @private */
+    this.loading = false;
+    /** @private */
+    this.errorMessage = '';
+    /**
+     * @private
+     * @type {import('../../utils/auth-utils.js').AuthMethods | null}
+     */
+    this.methods = null;
+    /** @private */
+    this.otpId = '';
+    /** @private */
+    this.code = '';
+    /**
+     * @private
+     * @type {{id: string, method: LoginMethod} | null}
+     */
+    this.mfa = null;
+    /** @private */
+    this.notice = '';
+    /** @private */
+    this.started = false;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.started) return;
+    this.started = true;
+    this.loadMethods();
+    this.finishRedirectLogin();
+  }
+
+  /**
+   * @protected
+   * @param {string} name
+   */
+  propertyChanged(name) {
+    if (name === 'email') this.emailValue = this.email;
+    else if (name === 'password') this.passwordValue = this.password;
+    else if (name === 'isLoading') this.loading = this.isLoading;
+    else if (name === 'error') this.errorMessage = this.error;
+    else if (this.started && ['crud', 'url', 'authCollection'].includes(name)) {
+      this.loadMethods();
+    }
+  }
+
+  /**
+   * Superusers sign in through `_superusers` on v0.23+ servers
+   *
+   * @private
+   */
+  get collection() {
+    return this.authCollection || '_superusers';
+  }
+
+  /** @private */
+  async loadMethods() {
+    const crud = this.getCrud();
+    const name = this.collection;
+    if (!crud) return;
+    try {
+      const loaded = await crud.getAuthMethods(name);
+      if (name === this.collection) this.methods = loaded;
+    } catch {
+      // Admins of legacy servers only have passwords
+      this.methods = null;
+    }
+    this.requestRender();
+  }
+
+  /**
+   * Finishes a redirect sign-in when the provider sent the user back here.
+   *
+   * @private
+   */
+  finishRedirectLogin() {
+    const crud = this.getCrud();
+    const redirectUrl = this.oauth2RedirectUrl;
+    if (!crud || !redirectUrl) return;
+
+    const stored = window.sessionStorage.getItem(OAUTH2_STORAGE_KEY);
+    const params = new URLSearchParams(window.location.search);
+    const returnedCode = params.get('code');
+    if (!stored || !returnedCode) return;
+
+    window.sessionStorage.removeItem(OAUTH2_STORAGE_KEY);
+    this.runLogin('oauth2', () =>
+      crud.loginWithOAuth2Code(
+        this.collection,
+        JSON.parse(stored),
+        { code: returnedCode, state: params.get('state') || '' },
+        redirectUrl
+      )
+    );
+  }
+
+  /**
+   * @private
+   * @param {LoginMethod} method
+   * @param {() => Promise<import('../../utils/crud.js').AuthUser>} login
+   */
+  async runLogin(method, login) {
+    this.loading = true;
+    this.errorMessage = '';
+    this.render();
+    try {
+      const user = await login();
+      this.passwordValue = '';
+      this.otpId = '';
+      this.code = '';
+      this.mfa = null;
+      this.notice = '';
+      this.emit('login', user);
+    } catch (err) {
+      const loginFailure = normalizeError(err);
+      if (loginFailure instanceof MfaRequiredError) {
+        this.mfa = { id: loginFailure.mfaId, method };
+        this.otpId = '';
+        this.notice = '';
+      } else {
+        this.errorMessage = loginFailure.message;
+      }
+    } finally {
+      this.loading = false;
+      this.requestRender();
+    }
+  }
+
+  /** @private */
+  async handleSubmit() {
+    const crud = this.getCrud();
+    if (!crud) {
+      this.emit('submit', { email: this.emailValue, password: this.passwordValue });
+      return;
+    }
+
+    const options = { mfaId: this.mfa?.id };
+    if (this.otpId) {
+      const otpId = this.otpId;
+      await this.runLogin('otp', () =>
+        crud.loginWithOTP(this.collection, otpId, this.code, options)
+      );
+    } else {
+      await this.runLogin('password', () =>
+        this.authCollection
+          ? crud.loginWithPassword(
+              this.authCollection,
+              this.emailValue,
+              this.passwordValue,
+              options
+            )
+          : crud.loginAdmin(this.emailValue, this.passwordValue, options)
+      );
+    }
+  }
+
+  /** @private */
+  async handleRequestCode() {
+    const crud = this.getCrud();
+    if (!crud) return;
+    if (!this.emailValue) {
+      this.errorMessage = 'Enter your email address to receive a code';
+      this.render();
+      return;
+    }
+
+    this.loading = true;
+    this.errorMessage = '';
+    this.render();
+    try {
+      this.otpId = await crud.requestOTP(this.collection, this.emailValue);
+      this.notice = `If ${this.emailValue} belongs to an account, a sign-in code is on its way.`;
+    } catch (err) {
+      this.errorMessage = normalizeError(err).message;
+    } finally {
+      this.loading = false;
+      this.requestRender();
+    }
+  }
+
+  /**
+   * @private
+   * @param {import('../../utils/auth-utils.js').OAuth2Provider} provider
+   */
+  async handleOAuth2(provider) {
+    const crud = this.getCrud();
+    if (!crud) return;
+
+    if (this.oauth2RedirectUrl) {
+      window.sessionStorage.setItem(OAUTH2_STORAGE_KEY, JSON.stringify(provider));
+      window.location.href = getOAuth2AuthUrl(provider, this.oauth2RedirectUrl);
+      return;
+    }
+
+    // Opened before any request, browsers block popups opened later
+    const popup = window.open('', 'pocketcrud-oauth2', 'width=1024,height=768');
+    const controller = new AbortController();
+    const watcher = window.setInterval(() => {
+      if (popup?.closed) controller.abort();
+    }, 500);
+
+    await this.runLogin('oauth2', () =>
+      crud.loginWithOAuth2(this.collection, provider.name, {
+        urlCallback: url => {
+          if (popup) popup.location.href = url;
+          else window.open(url);
+        },
+        signal: controller.signal,
+      })
+    );
+    window.clearInterval(watcher);
+    popup?.close();
+  }
+
+  /** @private */
+  handleUseOtherMethod() {
+    this.otpId = '';
+    this.code = '';
+    this.notice = '';
+    this.errorMessage = '';
+    this.render();
+  }
+
+  /** @private */
+  renderCodeStep() {
+    return [
+      h(
+        'div',
+        { class: 'pc-input-group' },
+        h('input', {
+          id: 'otp',
+          name: 'otp',
+          type: 'text',
+          inputmode: 'numeric',
+          autocomplete: 'one-time-code',
+          required: true,
+          disabled: this.loading,
+          placeholder: 'Sign-in code',
+          class: 'pocketcrud-input',
+          'data-testid': 'otp-input',
+          value: this.code,
+          on: { input: event => (this.code = event.target.value) },
+        })
+      ),
+      h(
+        'div',
+        { class: 'pc-login-methods' },
+        h(
+          'button',
+          {
+            type: 'submit',
+            disabled: this.loading,
+            class: 'pocketcrud-btn pocketcrud-btn-primary pc-btn-full',
+            'data-testid': 'otp-button',
+          },
+          this.loading ? 'Signing in...' : 'Sign in with code'
+        ),
+        h(
+          'button',
+          {
+            type: 'button',
+            disabled: this.loading,
+            class: 'pc-link',
+            on: { click: () => this.handleUseOtherMethod() },
+          },
+          'Use another method'
+        )
+      ),
+    ];
+  }
+
+  /** @private */
+  renderMethods() {
+    const methods = this.methods;
+    // The method that passed the first step of a multi-factor sign-in cannot be the second
+    const showPassword = (methods?.password.enabled ?? true) && this.mfa?.method !== 'password';
+    const showOtp = Boolean(methods?.otp.enabled) && this.mfa?.method !== 'otp';
+    const providers = methods?.oauth2.enabled && !this.mfa ? methods.oauth2.providers : [];
+
+    return [
+      (showPassword || showOtp) &&
+        h(
+          'div',
+          { class: 'pc-input-group' },
+          h('input', {
+            id: 'email',
+            name: 'email',
+            type: 'email',
+            autocomplete: 'email',
+            required: true,
+            disabled: this.loading,
+            placeholder: 'Email address',
+            class: 'pocketcrud-input',
+            'data-testid': 'email-input',
+            value: this.emailValue,
+            on: { input: event => (this.emailValue = event.target.value) },
+          }),
+          showPassword &&
+            h('input', {
+              id: 'password',
+              name: 'password',
+              type: 'password',
+              autocomplete: 'current-password',
+              required: true,
+              disabled: this.loading,
+              placeholder: 'Password',
+              class: 'pocketcrud-input',
+              'data-testid': 'password-input',
+              value: this.passwordValue,
+              on: { input: event => (this.passwordValue = event.target.value) },
+            })
+        ),
+      h(
+        'div',
+        { class: 'pc-login-methods' },
+        showPassword &&
+          h(
+            'button',
+            {
+              type: 'submit',
+              disabled: this.loading,
+              class: 'pocketcrud-btn pocketcrud-btn-primary pc-btn-full',
+              'data-testid': 'login-button',
+            },
+            this.loading
+              ? h(
+                  'span',
+                  { class: 'pc-loading' },
+                  h('span', { class: 'pocketcrud-spinner' }),
+                  'Signing in...'
+                )
+              : 'Sign in'
+          ),
+        showOtp &&
+          h(
+            'button',
+            {
+              type: 'button',
+              disabled: this.loading,
+              class: 'pocketcrud-btn pocketcrud-btn-secondary pc-btn-full',
+              'data-testid': 'request-otp-button',
+              on: { click: () => this.handleRequestCode() },
+            },
+            'Email me a sign-in code'
+          )
+      ),
+      providers.length > 0 &&
+        h(
+          'div',
+          { class: 'pc-login-methods' },
+          (showPassword || showOtp) && h('p', { class: 'pc-login-divider' }, 'or continue with'),
+          providers.map(provider =>
+            h(
+              'button',
+              {
+                type: 'button',
+                disabled: this.loading,
+                class: 'pocketcrud-btn pocketcrud-btn-secondary pc-btn-full',
+                'data-testid': `oauth2-${provider.name}`,
+                on: { click: () => this.handleOAuth2(provider) },
+              },
+              provider.displayName
+            )
+          )
+        ),
+    ];
+  }
+
+  /** @protected */
+  render() {
+    this.replaceChildren(
+      h(
+        'div',
+        { class: 'pocketcrud-login' },
+        h(
+          'div',
+          { class: 'pc-login-panel' },
+          h(
+            'div',
+            {},
+            h('h2', { class: 'pc-login-title' }, this.heading),
+            h('p', { class: 'pc-login-subtitle' }, this.subheading)
+          ),
+          h(
+            'form',
+            {
+              class: 'pc-form',
+              on: {
+                /** @param {SubmitEvent} event */
+                submit: event => {
+                  // The element dispatches its own `submit`
+                  event.preventDefault();
+                  event.stopPropagation();
+                  this.handleSubmit();
+                },
+              },
+            },
+            this.errorMessage &&
+              h(
+                'div',
+                {
+                  class: 'pocketcrud-alert pocketcrud-alert-error',
+                  role: 'alert',
+                  'data-testid': 'error-message',
+                },
+                this.errorMessage
+              ),
+            this.mfa &&
+              h(
+                'div',
+                {
+                  class: 'pocketcrud-alert pocketcrud-alert-warning',
+                  'data-testid': 'mfa-message',
+                },
+                'Confirm your sign-in with a second method.'
+              ),
+            this.notice &&
+              h(
+                'div',
+                {
+                  class: 'pocketcrud-alert pocketcrud-alert-success',
+                  'data-testid': 'notice-message',
+                },
+                this.notice
+              ),
+            this.otpId ? this.renderCodeStep() : this.renderMethods(),
+            h(
+              'div',
+              { class: 'pc-links' },
+              h('a', { href: this.backLink, class: 'pc-link' }, this.backText)
+            )
+          )
+        )
+      )
+    );
+  }
+}
+
+defineElement('pocketcrud-login-form', LoginFormElement);
@@ -0,0 +1,112 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import './LoginForm.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * @param {Record<string, any>} [overrides]
+ */
+function createMockCrud(overrides = {}) {
+  return {
+    getAuthMethods: vi.fn().mockResolvedValue({
+      password: { enabled: true },
+      otp: { enabled: false },
+      oauth2: { enabled: true, providers: [{ name: 'github', displayName: 'GitHub' }] },
+      mfa: { enabled: false },
+    }),
+    loginAdmin: vi.fn().mockResolvedValue({ id: 'admin1', isAdmin: true }),
+    ...overrides,
+  };
+}
+
+/**
+ * @param {Record<string, any>} [properties]
+ */
+async function createLoginForm(properties = {}) {
+  const element = /** @type {any} */ (document.createElement('pocketcrud-login-form'));
+  Object.assign(element, properties);
+  document.body.append(element);
+  await flush();
+  return element;
+}
+
+/**
+ * @param {any} element
+ */
+function fillCredentials(element) {
+  for (const [testId, value] of [
+    ['email-input', 'admin@example.com'],
+    ['password-input', 'secret'],
+  ]) {
+    const input = element.querySelector(`[data-testid="${testId}"]`);
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+}
+
+describe('<pocketcrud-login-form>', () => {
+  afterEach(() => {
+    document.body.replaceChildren();
+  });
+
+  it('should dispatch submit with the credentials without crud', async () => {
+    const element = await createLoginForm();
+    const onSubmit = vi.fn();
+    element.addEventListener('submit', onSubmit);
+
+    fillCredentials(element);
+    element.querySelector('form').requestSubmit();
+
+    expect(onSubmit).toHaveBeenCalledTimes(1);
+    expect(onSubmit.mock.calls[0][0].detail).toEqual({
+      email: 'admin@example.com',
+      password: 'secret',
+    });
+  });
+
+  it('should sign in a superuser with crud and dispatch login', async () => {
+    const crud = createMockCrud();
+    const element = await createLoginForm({ crud });
+    const onLogin = vi.fn();
+    element.addEventListener('login', onLogin);
+
+    expect(element.querySelector('[data-testid="oauth2-github"]').textContent).toBe('GitHub');
+    fillCredentials(element);
+    element.querySelector('form').requestSubmit();
+    await flush();
+
+    expect(crud.getAuthMethods).toHaveBeenCalledWith('_superusers');
+    expect(crud.loginAdmin).toHaveBeenCalledWith('admin@example.com', 'secret', {
+      mfaId: undefined,
+    });
+    expect(onLogin.mock.calls[0][0].detail).toEqual({ id: 'admin1', isAdmin: true });
+  });
+
+  it('should show the error of a failed sign-in', async () => {
+    const crud = createMockCrud({
+      loginAdmin: vi.fn().mockRejectedValue(new Error('Invalid credentials')),
+    });
+    const element = await createLoginForm({ crud });
+
+    fillCredentials(element);
+    element.querySelector('form').requestSubmit();
+    await flush();
+
+    expect(element.querySelector('[data-testid="error-message"]').textContent).toBe(
+      'Invalid credentials'
+    );
+  });
+
+  it('should take the heading and error from attributes', async () => {
+    const element = await createLoginForm();
+    element.setAttribute('heading', 'Sign in');
+    element.setAttribute('error', 'Session expired');
+    await flush();
+
+    expect(element.querySelector('h2').textContent).toBe('Sign in');
+    expect(element.querySelector('[data-testid="error-message"]').textContent).toBe(
+      'Session expired'
+    );
+  });
+});
@@ -0,0 +1,371 @@
+import { CRUD_PROPERTIES, PocketCrudElement, defineElement, h, icon } from './element-utils.js';
+import { formatDateTime } from '../../utils/date-utils.js';
+import { stripHtml } from '../../utils/html-utils.js';
+import { getRecordListFields, getRelationChips } from '../../utils/record-utils.js';
+import { getSortState, isSortableField, parseSort, toggleSort } from '../../utils/sort-utils.js';
+import { getFileNames, isImageFile } from '../../utils/file-utils.js';
+
+const EDIT_ICON =
+  'M200-200h57l391-391-57-57-391 391v57Zm-80 80v-170l528-527q12-11 26.5-17t30.5-6q16 0 31 6t26 18l55 56q12 11 17.5 26t5.5 30q0 16-5.5 30.5T817-647L290-120H120Zm640-584-56-56 56 56Zm-141 85-28-29 57 57-29-28Z';
+const VIEW_ICON =
+  'M480-320q75 0 127.5-52.5T660-500q0-75-52.5-127.5T480-680q-75 0-127.5 52.5T300-500q0 75 52.5 127.5T480-320Zm0-72q-45 0-76.5-31.5T372-500q0-45 31.5-76.5T480-608q45 0 76.5 31.5T588-500q0 45-31.5 76.5T480-392Zm0 192q-146 0-266-81.5T40-500q54-137 174-218.5T480-800q146 0 266 81.5T920-500q-54 137-174 218.5T480-200Zm0-300Zm0 220q113 0 207.5-59.5T832-500q-50-101-144.5-160.5T480-720q-113 0-207.5 59.5T128-500q50 101 144.5 160.5T480-280Z';
+const DELETE_ICON =
+  'M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z';
+
+/**
+ * `<pocketcrud-record-list>`: a paginated, sortable table of records.
+ * Dispatches `edit`, `delete`, `pageChange`, `sortChange`, `action` and
+ * `relationClick` with the related record and the field of a clicked relation chip.
+ */
+export class RecordListElement extends PocketCrudElement {
+  static properties = {
+    ...CRUD_PROPERTIES,
+    records: { type: Object, default: () => [] },
+    schema: { type: Object, default: () => [] },
+    currentPage: { type: Number, default: 1 },
+    totalPages: { type: Number, default: 1 },
+    totalItems: { type: Number, default: 0 },
+    perPage: { type: Number, default: 20 },
+    primaryDisplayField: { type: String },
+    sort: { type: String, default: '' },
+    sortable: { type: Boolean, default: false },
+    /** Locale of dates, defaults to the browser's */
+    locale: { type: String },
+    /** Time zone of dates, defaults to the browser's */
+    timeZone: { type: String },
+    /** Extra actions next to edit and delete, eg. from `getAuthRecordActions` */
+    actions: { type: Object, attribute: false, default: () => [] },
+    /** Offers viewing instead of editing when false, eg. when the update rule is locked */
+    canEdit: { type: Boolean, default: true },
+    /** Hides the delete buttons when false */
+    canDelete: { type: Boolean, default: true },
+    /** Fields related records are labelled by, by relation field name, the relation's `displayFields` by default */
+    relationLabelFields: { type: Object, attribute: false, default: () => ({}) },
+  };
+
+  /**
+   * @protected
+   * @returns {Array<{id?: string, name: string, type: string, presentable?: boolean}>}
+   */
+  getDisplayFields() {
+    return getRecordListFields(this.schema, this.primaryDisplayField);
+  }
+
+  /**
+   * @protected
+   * @param {any} value
+   * @param {{name: string, type: string}} field
+   * @returns {string}
+   */
+  formatFieldValue(value, field) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    switch (field.type) {
+      case 'bool':
+        return value ? 'Yes' : 'No';
+
+      case 'date':
+      case 'datetime':
+      case 'autodate': {
+        if (typeof value === 'string' || typeof value === 'number' || value instanceof Date) {
+          return formatDateTime(value, { locale: this.locale, timeZone: this.timeZone });
+        }
+        return String(value);
+      }
+
+      case 'json':
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+      case 'file':
+        if (Array.isArray(value)) {
+          return `${value.length} file(s)`;
+        }
+        return value ? '1 file' : '';
+
+      case 'select':
+        if (Array.isArray(value)) {
+          return value.join(', ');
+        }
+        return String(value);
+
+      case 'editor':
+        return stripHtml(String(value), 50);
+
+      default: {
+        const str = String(value);
+        return str.length > 50 ? str.substring(0, 50) + '...' : str;
+      }
+    }
+  }
+
+  /**
+   * @protected
+   * @param {Record<string, any>} record
+   * @param {{name: string, type: string}} field
+   */
+  renderCell(record, field) {
+    const crud = this.getCrud();
+    if (crud && field.type === 'file') {
+      const filenames = getFileNames(record[field.name]);
+      if (filenames.length > 0) {
+        return h(
+          'span',
+          { class: 'pc-file-cell' },
+          filenames.slice(0, 3).map(filename =>
+            h(
+              'a',
+              {
+                href: crud.getFileUrl(record, filename),
+                target: '_blank',
+                rel: 'noopener noreferrer',
+                title: filename,
+                class: 'pc-file-link',
+              },
+              isImageFile(filename)
+                ? h('img', {
+                    src: crud.getFileUrl(record, filename, { thumb: '100x100' }),
+                    alt: filename,
+                    class: 'pc-file-thumb',
+                  })
+                : h('span', { class: 'pc-file-name' }, filename)
+            )
+          ),
+          filenames.length > 3 && h('span', { class: 'pc-file-more' }, `+${filenames.length - 3}`)
+        );
+      }
+    }
+
+    if (field.type === 'relation') {
+      const { items, more } = getRelationChips(record, field, this.relationLabelFields[field.name]);
+      return h(
+        'span',
+        { class: 'pc-relation-selected' },
+        items.map(item =>
+          h(
+            'button',
+            {
+              type: 'button',
+              title: item.label,
+              class: 'pc-relation-chip pc-relation-chip-btn',
+              on: { click: () => this.emit('relationClick', { record: item.record, field }) },
+            },
+            item.label
+          )
+        ),
+        more > 0 && h('span', { class: 'pc-relation-more' }, `+${more} more`)
+      );
+    }
+
+    const text = this.formatFieldValue(record[field.name], field);
+    return field.name === this.primaryDisplayField
+      ? h('span', { class: 'pc-table-primary' }, text)
+      : text;
+  }
+
+  /**
+   * @protected
+   * @param {Record<string, any>} record
+   */
+  renderActions(record) {
+    return h(
+      'div',
+      { class: 'pc-record-actions' },
+      this.actions
+        .filter(action => !action.isVisible || action.isVisible(record))
+        .map(action =>
+          h(
+            'button',
+            {
+              type: 'button',
+              class: 'pc-action-btn pc-action-btn-text',
+              on: { click: () => this.emit('action', { id: action.id, record }) },
+            },
+            action.label
+          )
+        ),
+      h(
+        'button',
+        {
+          type: 'button',
+          title: this.canEdit ? 'Edit Record' : 'View Record',
+          'aria-label': this.canEdit ? 'Edit Record' : 'View Record',
+          class: 'pc-action-btn pc-action-btn-edit',
+          on: { click: () => this.emit('edit', record) },
+        },
+        icon(this.canEdit ? EDIT_ICON : VIEW_ICON)
+      ),
+      this.canDelete &&
+        h(
+          'button',
+          {
+            type: 'button',
+            title: 'Delete Record',
+            'aria-label': 'Delete Record',
+            class: 'pc-action-btn pc-action-btn-delete',
+            on: { click: () => this.emit('delete', record) },
+          },
+          icon(DELETE_ICON)
+        )
+    );
+  }
+
+  /**
+   * @protected
+   * @param {{name: string, type: string}} field
+   */
+  renderHeaderCell(field) {
+    const state = getSortState(this.sort, field.name);
+    const sortCount = parseSort(this.sort).length;
+
+    return h(
+      'th',
+      {
+        class: 'pc-table-header-cell',
+        'aria-sort': state ? (state.direction === 'asc' ? 'ascending' : 'descending') : undefined,
+      },
+      this.sortable && isSortableField(field)
+        ? h(
+            'button',
+            {
+              type: 'button',
+              title: 'Sort by this column, shift-click to sort by several columns',
+              class: 'pc-sort-btn',
+              on: {
+                /** @param {MouseEvent} event */
+                click: event =>
+                  this.emit('sortChange', toggleSort(this.sort, field.name, event.shiftKey)),
+              },
+            },
+            field.name,
+            state &&
+              h(
+                'span',
+                { class: 'pc-sort-indicator' },
+                `${state.direction === 'asc' ? '▲' : '▼'}${sortCount > 1 ? state.position : ''}`
+              )
+          )
+        : field.name
+    );
+  }
+
+  /** @protected */
+  renderPagination() {
+    const start = Math.max(1, this.currentPage - 2);
+    const pageNumbers = Array.from(
+      { length: Math.min(5, this.totalPages) },
+      (_, i) => start + i
+    ).filter(pageNum => pageNum <= this.totalPages);
+    const startItem = (this.currentPage - 1) * this.perPage + 1;
+    const endItem = Math.min(this.currentPage * this.perPage, this.totalItems);
+
+    return h(
+      'div',
+      { class: 'pc-pagination-container' },
+      h(
+        'p',
+        { class: 'pc-pagination-info' },
+        `Showing ${startItem} to ${endItem} of ${this.totalItems} results`
+      ),
+      h(
+        'nav',
+        { class: 'pc-pagination', 'aria-label': 'Pagination' },
+        h(
+          'button',
+          {
+            type: 'button',
+            disabled: this.currentPage === 1,
+            class: 'pc-pagination-btn pc-pagination-btn-first',
+            on: { click: () => this.emit('pageChange', this.currentPage - 1) },
+          },
+          'Previous'
+        ),
+        pageNumbers.map(pageNum =>
+          h(
+            'button',
+            {
+              type: 'button',
+              class: `pc-pagination-btn${pageNum === this.currentPage ? ' pc-pagination-btn-active' : ''}`,
+              'aria-current': pageNum === this.currentPage ? 'page' : undefined,
+              on: { click: () => this.emit('pageChange', pageNum) },
+            },
+            pageNum
+          )
+        ),
+        h(
+          'button',
+          {
+            type: 'button',
+            disabled: this.currentPage === this.totalPages,
+            class: 'pc-pagination-btn pc-pagination-btn-last',
+            on: { click: () => this.emit('pageChange', this.currentPage + 1) },
+          },
+          'Next'
+        )
+      )
+    );
+  }
+
+  /** @protected */
+  render() {
+    if (this.records.length === 0) {
+      this.replaceChildren(
+        h(
+          'div',
+          { class: 'pocketcrud-record-list' },
+          h(
+            'div',
+            { class: 'pc-empty-state' },
+            h('h3', { class: 'pc-empty-title' }, 'No records found'),
+            h('p', { class: 'pc-empty-description' }, 'Get started by creating a new record.')
+          )
+        )
+      );
+      return;
+    }
+
+    const fields = this.getDisplayFields();
+    this.replaceChildren(
+      h(
+        'div',
+        { class: 'pocketcrud-record-list' },
+        h(
+          'div',
+          { class: 'pc-table-scroll' },
+          h(
+            'table',
+            { class: 'pc-table' },
+            h(
+              'thead',
+              { class: 'pc-table-header' },
+              h(
+                'tr',
+                {},
+                fields.map(field => this.renderHeaderCell(field)),
+                h('th', { class: 'pc-table-header-cell pc-table-actions-header' }, 'Actions')
+              )
+            ),
+            h(
+              'tbody',
+              { class: 'pc-table-body' },
+              this.records.map(record =>
+                h(
+                  'tr',
+                  { class: 'pc-table-row' },
+                  fields.map(field =>
+                    h('td', { class: 'pc-table-cell' }, this.renderCell(record, field))
+                  ),
+                  h('td', { class: 'pc-table-cell pc-table-actions' }, this.renderActions(record))
+                )
+              )
+            )
+          )
+        ),
+        this.totalPages > 1 && this.renderPagination()
+      )
+    );
+  }
+}
+
+defineElement('pocketcrud-record-list', RecordListElement);
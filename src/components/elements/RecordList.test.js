@@ -0,0 +1,120 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import './RecordList.js';
+
+const schema = [
+  { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+];
+
+const records = [
+  { id: 'r1', title: 'First post', created: '2024-01-01 10:00:00.000Z' },
+  { id: 'r2', title: 'Second post', created: '2024-01-02 10:00:00.000Z' },
+];
+
+/**
+ * @param {Record<string, any>} [properties]
+ */
+async function createList(properties = {}) {
+  const element = /** @type {any} */ (document.createElement('pocketcrud-record-list'));
+  Object.assign(element, { schema, records, ...properties });
+  document.body.append(element);
+  await Promise.resolve();
+  return element;
+}
+
+describe('<pocketcrud-record-list>', () => {
+  afterEach(() => {
+    document.body.replaceChildren();
+  });
+
+  it('should render a row per record', async () => {
+    const element = await createList();
+
+    expect(element.querySelectorAll('tbody tr')).toHaveLength(2);
+    expect(element.querySelector('.pc-table-primary')).toBeNull();
+    expect(element.textContent).toContain('First post');
+  });
+
+  it('should show related records as chips and dispatch relationClick', async () => {
+    const tags = {
+      id: 'f3',
+      name: 'tags',
+      type: 'relation',
+      system: false,
+      required: false,
+      presentable: true,
+      options: { collectionId: 'tags_id', displayFields: ['name'] },
+    };
+    const element = await createList({
+      schema: [...schema, tags],
+      records: [
+        {
+          id: 'r1',
+          title: 'First post',
+          tags: ['t1', 't2', 't3', 't4', 't5'],
+          expand: { tags: [{ id: 't1', name: 'News' }] },
+        },
+      ],
+    });
+    const onRelationClick = vi.fn();
+    element.addEventListener('relationClick', onRelationClick);
+
+    const chips = element.querySelectorAll('.pc-relation-chip-btn');
+    expect(Array.from(chips).map(chip => chip.textContent)).toEqual(['News', 't2', 't3']);
+    expect(element.querySelector('.pc-relation-more').textContent).toBe('+2 more');
+
+    chips[0].click();
+    expect(onRelationClick.mock.calls[0][0].detail).toEqual({
+      record: { id: 't1', name: 'News' },
+      field: tags,
+    });
+  });
+
+  it('should show the empty state without records', async () => {
+    const element = await createList({ records: [] });
+
+    expect(element.querySelector('.pc-empty-title').textContent).toBe('No records found');
+  });
+
+  it('should dispatch edit and delete with the record', async () => {
+    const element = await createList();
+    const onEdit = vi.fn();
+    const onDelete = vi.fn();
+    element.addEventListener('edit', onEdit);
+    element.addEventListener('delete', onDelete);
+
+    element.querySelector('.pc-action-btn-edit').click();
+    element.querySelectorAll('.pc-action-btn-delete')[1].click();
+
+    expect(onEdit.mock.calls[0][0].detail).toBe(records[0]);
+    expect(onDelete.mock.calls[0][0].detail).toBe(records[1]);
+  });
+
+  it('should read its configuration from attributes', async () => {
+    const element = await createList();
+    element.setAttribute('total-pages', '3');
+    element.setAttribute('total-items', '50');
+    element.setAttribute('can-delete', 'false');
+    await Promise.resolve();
+
+    expect(element.totalPages).toBe(3);
+    expect(element.querySelector('.pc-action-btn-delete')).toBeNull();
+    expect(element.querySelector('.pc-pagination-info').textContent).toBe(
+      'Showing 1 to 20 of 50 results'
+    );
+  });
+
+  it('should dispatch pageChange and sortChange', async () => {
+    const element = await createList({ totalPages: 3, totalItems: 50, sortable: true });
+    const onPageChange = vi.fn();
+    const onSortChange = vi.fn();
+    element.addEventListener('pageChange', onPageChange);
+    element.addEventListener('sortChange', onSortChange);
+
+    element.querySelector('.pc-pagination-btn-last').click();
+    element.querySelector('.pc-sort-btn').click();
+
+    expect(onPageChange.mock.calls[0][0].detail).toBe(2);
+    expect(onSortChange.mock.calls[0][0].detail).toBe('title');
+  });
+});
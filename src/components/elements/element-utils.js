@@ -0,0 +1,277 @@
+import PocketCrud from '../../utils/crud.js';
+
+/**
+ * How a property is read from its attribute. `Object` attributes hold JSON,
+ * and properties with `attribute: false` can only be set as properties.
+ *
+ * @typedef {Object} PropertyDeclaration
+ * @property {StringConstructor | NumberConstructor | BooleanConstructor | ObjectConstructor} type
+ * @property {any} [default] Default value, or a function creating it for each element
+ * @property {boolean} [attribute]
+ */
+
+/** @type {Record<string, PropertyDeclaration>} */
+export const CRUD_PROPERTIES = {
+  /** PocketCrud instance to use */
+  crud: { type: Object, attribute: false },
+  /** PocketBase url to create a PocketCrud instance for, when `crud` is not set */
+  url: { type: String },
+};
+
+// Importing on a server, eg. for SSR, must not fail on the missing DOM
+const BaseElement =
+  typeof HTMLElement === 'undefined'
+    ? /** @type {typeof HTMLElement} */ (/** @type {unknown} */ (class {}))
+    : HTMLElement;
+
+/**
+ * @param {string} propertyName
+ * @returns {string}
+ */
+function toAttributeName(propertyName) {
+  return propertyName.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+}
+
+/**
+ * @param {string | null} value
+ * @param {PropertyDeclaration} declaration
+ * @returns {any}
+ */
+function fromAttribute(value, declaration) {
+  if (declaration.type === Boolean) {
+    return value !== null && value !== 'false';
+  }
+  if (value === null) {
+    return typeof declaration.default === 'function' ? declaration.default() : declaration.default;
+  }
+  if (declaration.type === Number) {
+    return Number(value);
+  }
+  if (declaration.type === Object) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      console.error(`PocketCrud: invalid JSON in attribute, ignoring "${value}"`);
+      return declaration.default;
+    }
+  }
+  return value;
+}
+
+/**
+ * Base of the custom elements. Subclasses declare their properties in
+ * `static properties`, which `defineElement` turns into accessors and
+ * observed attributes, and render into the light DOM so `pocketcrud.css`
+ * applies to them.
+ */
+export class PocketCrudElement extends BaseElement {
+  /** @type {Record<string, PropertyDeclaration>} */
+  static properties = {};
+
+  static get observedAttributes() {
+    return Object.entries(this.properties)
+      .filter(([, declaration]) => declaration.attribute !== false)
+      .map(([name]) => toAttributeName(name));
+  }
+
+  constructor() {
+    super();
+    /**
+     * @private
+     * @type {Record<string, any>}
+     */
+    this.values = {};
+    /** @private */
+    this.renderQueued = false;
+    /**
+     * @private
+     * @type {{url: string, crud: PocketCrud} | null}
+     */
+    this.urlCrud = null;
+
+    for (const [name, declaration] of Object.entries(this.declarations)) {
+      this.values[name] =
+        typeof declaration.default === 'function' ? declaration.default() : declaration.default;
+    }
+  }
+
+  /**
+   * @protected
+   * @returns {Record<string, PropertyDeclaration>}
+   */
+  get declarations() {
+    return /** @type {typeof PocketCrudElement} */ (this.constructor).properties;
+  }
+
+  connectedCallback() {
+    // Properties set before the element was defined shadow the accessors
+    for (const name of Object.keys(this.declarations)) {
+      if (Object.prototype.hasOwnProperty.call(this, name)) {
+        const value = /** @type {Record<string, any>} */ (this)[name];
+        delete (/** @type {Record<string, any>} */ (this)[name]);
+        /** @type {Record<string, any>} */ (this)[name] = value;
+      }
+    }
+    this.requestRender();
+  }
+
+  /**
+   * @param {string} attributeName
+   * @param {string | null} _previous
+   * @param {string | null} value
+   */
+  attributeChangedCallback(attributeName, _previous, value) {
+    const name = attributeName.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+    const declaration = this.declarations[name];
+    if (declaration) {
+      /** @type {Record<string, any>} */ (this)[name] = fromAttribute(value, declaration);
+    }
+  }
+
+  /**
+   * Called after a property changed, before the element renders again.
+   *
+   * @protected
+   * @param {string} _name
+   * @param {any} _previous
+   */
+  propertyChanged(_name, _previous) {}
+
+  /**
+   * Renders on the next microtask, once for any number of changes.
+   *
+   * @protected
+   */
+  requestRender() {
+    if (this.renderQueued) return;
+    this.renderQueued = true;
+    queueMicrotask(() => {
+      this.renderQueued = false;
+      if (this.isConnected) this.render();
+    });
+  }
+
+  /** @protected */
+  render() {}
+
+  /**
+   * The `crud` property, or an instance for the `url` attribute.
+   *
+   * @protected
+   * @returns {PocketCrud | undefined}
+   */
+  getCrud() {
+    const values = this.values;
+    if (values.crud) return values.crud;
+    if (!values.url) return undefined;
+    if (!this.urlCrud || this.urlCrud.url !== values.url) {
+      this.urlCrud = { url: values.url, crud: new PocketCrud({ url: values.url }) };
+    }
+    return this.urlCrud.crud;
+  }
+
+  /**
+   * Dispatches a bubbling `CustomEvent` with the event names of the Svelte
+   * components.
+   *
+   * @protected
+   * @param {string} type
+   * @param {any} [detail]
+   * @returns {boolean} False when a listener called `preventDefault`
+   */
+  emit(type, detail) {
+    return this.dispatchEvent(
+      new CustomEvent(type, { detail, bubbles: true, composed: true, cancelable: true })
+    );
+  }
+}
+
+/**
+ * Adds the accessors of the declared properties and registers the element,
+ * unless the name is taken already.
+ *
+ * @param {string} tagName
+ * @param {typeof PocketCrudElement} ElementClass
+ */
+export function defineElement(tagName, ElementClass) {
+  for (const name of Object.keys(ElementClass.properties)) {
+    Object.defineProperty(ElementClass.prototype, name, {
+      configurable: true,
+      get() {
+        return this.values[name];
+      },
+      /** @param {any} value */
+      set(value) {
+        const previous = this.values[name];
+        if (previous === value) return;
+        this.values[name] = value;
+        this.propertyChanged(name, previous);
+        this.requestRender();
+      },
+    });
+  }
+
+  if (typeof customElements !== 'undefined' && !customElements.get(tagName)) {
+    customElements.define(tagName, ElementClass);
+  }
+}
+
+/**
+ * Creates an element. Listeners go in `on`, attributes the element has a
+ * property for are set as properties, and strings become text nodes, so
+ * record values are never parsed as HTML.
+ *
+ * @param {string} tagName
+ * @param {Record<string, any> & {on?: Record<string, (event: any) => void>}} [props]
+ * @param {...any} children Nodes, strings, or nested arrays of them; nullish and false are skipped
+ * @returns {any}
+ */
+export function h(tagName, props = {}, ...children) {
+  const element = document.createElement(tagName);
+  const { on, value, ...attributes } = props;
+
+  for (const [key, attributeValue] of Object.entries(attributes)) {
+    if (attributeValue === undefined || attributeValue === null || attributeValue === false) {
+      continue;
+    }
+    if (key === 'class') {
+      element.className = attributeValue;
+    } else if (!key.includes('-') && key in element && typeof attributeValue !== 'string') {
+      /** @type {Record<string, any>} */ (element)[key] = attributeValue;
+    } else {
+      element.setAttribute(key, attributeValue === true ? '' : String(attributeValue));
+    }
+  }
+
+  for (const [type, listener] of Object.entries(on || {})) {
+    element.addEventListener(type, listener);
+  }
+
+  element.append(
+    ...children
+      .flat(Infinity)
+      .filter(child => child !== null && child !== undefined && child !== false)
+      .map(child => (typeof child === 'number' ? String(child) : child))
+  );
+
+  // Selects only take values of options they already have
+  if (value !== undefined) {
+    /** @type {Record<string, any>} */ (element).value = value;
+  }
+  return element;
+}
+
+/**
+ * @param {string} path `d` of a 24px Material icon
+ * @returns {SVGSVGElement}
+ */
+export function icon(path) {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('height', '24px');
+  svg.setAttribute('width', '24px');
+  svg.setAttribute('viewBox', '0 -960 960 960');
+  const pathElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  pathElement.setAttribute('d', path);
+  svg.append(pathElement);
+  return svg;
+}
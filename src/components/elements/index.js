@@ -0,0 +1,5 @@
+export { PocketCrudElement, defineElement } from './element-utils.js';
+export { RecordListElement } from './RecordList.js';
+export { DynamicFormElement } from './DynamicForm.js';
+export { LoginFormElement } from './LoginForm.js';
+export { CollectionManagerElement } from './CollectionManager.js';
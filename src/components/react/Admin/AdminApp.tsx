@@ -0,0 +1,291 @@
+'use client';
+
+import React, { useEffect, useMemo, useState } from 'react';
+import LoginForm from '../Auth/LoginForm';
+import SetupForm from '../Auth/SetupForm';
+import CollectionManager from '../Collections/CollectionManager';
+import type { RelatedCollectionConfig } from '../Collections/RelatedCollectionManager';
+import type PocketCrud from '@utils/crud.js';
+import type { AuthUser } from '@utils/crud.js';
+import type { CollectionField, FieldOverrides } from '@utils/form-utils.js';
+import type { CollectionSchema } from '@utils/schema-utils.js';
+import { createAdminRouter, groupCollections } from '@utils/admin-utils.js';
+import type { AdminRoute } from '@utils/admin-utils.js';
+import { normalizeError } from '@utils/error-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface AdminAppProps {
+  crud: PocketCrud;
+  title?: string;
+  /** `hash` urls such as `#/posts/RECORD_ID`, or `history` urls below `basePath` */
+  routing?: 'hash' | 'history';
+  /** Path the admin is served from with `history` routing, eg. `/admin` */
+  basePath?: string;
+  /** Auth collection to sign in to, superusers when not set */
+  authCollection?: string;
+  /** Page OAuth2 providers send the user back to, the sign-in opens in a popup when not set */
+  oauth2RedirectUrl?: string;
+  /** Offers to create the first superuser on the sign-in page */
+  allowSetup?: boolean;
+  /** Names of collections to leave out of the navigation */
+  hiddenCollections?: string[];
+  /** Lists system collections, such as `_superusers` */
+  showSystemCollections?: boolean;
+  /** Field overrides by collection name */
+  fieldOverrides?: Record<string, FieldOverrides>;
+  /** Primary display fields by collection name */
+  primaryDisplayFields?: Record<string, string>;
+  /** Related collections by collection name */
+  relatedCollections?: Record<string, RelatedCollectionConfig[]>;
+  perPage?: number;
+  realtime?: boolean;
+  filterable?: boolean;
+  /** Locale of dates, defaults to the browser's */
+  locale?: string;
+  /** Time zone dates are shown and entered in, defaults to the browser's */
+  timeZone?: string;
+  onLogout?: () => void;
+}
+
+export const AdminApp: React.FC<AdminAppProps> = ({
+  crud,
+  title = 'PocketCrud',
+  routing = 'hash',
+  basePath = '',
+  authCollection,
+  oauth2RedirectUrl,
+  allowSetup = false,
+  hiddenCollections = [],
+  showSystemCollections = false,
+  fieldOverrides = {},
+  primaryDisplayFields = {},
+  relatedCollections = {},
+  perPage = 20,
+  realtime = false,
+  filterable = true,
+  locale,
+  timeZone,
+  onLogout,
+}) => {
+  const [user, setUser] = useState<AuthUser | null>(() => crud.currentUser);
+  // A stored session is renewed first, the server may no longer accept it
+  const [checkingAuth, setCheckingAuth] = useState(() => Boolean(crud.currentUser));
+  const [authView, setAuthView] = useState<'login' | 'setup'>('login');
+  const [collections, setCollections] = useState<CollectionSchema[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const router = useMemo(() => createAdminRouter({ mode: routing, basePath }), [routing, basePath]);
+  const [route, setRoute] = useState<AdminRoute>(() => router.getRoute());
+
+  useEffect(() => router.subscribe(setRoute), [router]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const unsubscribe = crud.onAuthChange(setUser);
+
+    if (crud.currentUser) {
+      crud
+        .refreshAuth()
+        .catch((err) => {
+          console.error('Session refresh error:', err);
+        })
+        .finally(() => {
+          if (cancelled) return;
+          setUser(crud.currentUser);
+          setCheckingAuth(false);
+        });
+    } else {
+      setCheckingAuth(false);
+    }
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [crud]);
+
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!userId || checkingAuth) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    crud
+      .getCollections()
+      .then((loaded) => {
+        if (!cancelled) setCollections(loaded);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(normalizeError(err).message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [crud, userId, checkingAuth]);
+
+  const groups = useMemo(
+    () => groupCollections(collections, { hidden: hiddenCollections, includeSystem: showSystemCollections }),
+    [collections, hiddenCollections, showSystemCollections]
+  );
+  const visibleCollections = groups.flatMap((group) => group.collections);
+  const selected = visibleCollections.find((collection) => collection.name === route.collectionName) ?? null;
+  const firstCollectionName = visibleCollections[0]?.name;
+
+  // Open the first collection when none is in the url
+  useEffect(() => {
+    if (!loading && !route.collectionName && firstCollectionName) {
+      router.navigate({ collectionName: firstCollectionName, recordId: null }, { replace: true });
+    }
+  }, [loading, route.collectionName, firstCollectionName, router]);
+
+  const handleNavigate = (event: React.MouseEvent<HTMLAnchorElement>, collectionName: string) => {
+    // Let the browser open links in new tabs and windows
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    event.preventDefault();
+    router.navigate({ collectionName, recordId: null });
+  };
+
+  const handleRecordChange = (recordId: string | null) => {
+    if (route.collectionName) {
+      router.navigate({ collectionName: route.collectionName, recordId });
+    }
+  };
+
+  // Opens the related record of a relation chip in the list
+  const handleRelationClick = (record: Record<string, any>, field: CollectionField) => {
+    const target =
+      record.collectionName || collections.find((collection) => collection.id === field.options?.collectionId)?.name;
+    if (target) {
+      router.navigate({ collectionName: target, recordId: record.id });
+    }
+  };
+
+  const handleLogout = () => {
+    crud.logout();
+    setCollections([]);
+    onLogout?.();
+  };
+
+  if (checkingAuth) {
+    return (
+      <div className="pc-admin-auth flex justify-center py-8">
+        <div className="h-6 w-6 animate-spin rounded-full border-b-2 border-gray-900"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="pc-admin-auth" data-testid="admin-auth">
+        {authView === 'setup' ? (
+          <SetupForm
+            crud={crud}
+            onCreate={() => setAuthView('login')}
+            loginLinkSlot={
+              <button type="button" onClick={() => setAuthView('login')} className="pc-link">
+                Already have an account? Sign in
+              </button>
+            }
+          />
+        ) : (
+          <LoginForm
+            crud={crud}
+            authCollection={authCollection}
+            oauth2RedirectUrl={oauth2RedirectUrl}
+            onLogin={setUser}
+            backLinkSlot={
+              allowSetup ? (
+                <button type="button" onClick={() => setAuthView('setup')} className="pc-link">
+                  Create the first superuser
+                </button>
+              ) : undefined
+            }
+          />
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="pocketcrud-admin" data-testid="admin-app">
+      <aside className="pc-admin-sidebar">
+        <p className="pc-admin-brand">{title}</p>
+        <nav className="pc-admin-nav" aria-label="Collections">
+          {groups.map((group) => (
+            <div key={group.type}>
+              <h2 className="pc-admin-nav-title">{group.label}</h2>
+              <ul className="pc-admin-nav-list">
+                {group.collections.map((collection) => {
+                  const active = collection.name === route.collectionName;
+                  return (
+                    <li key={collection.id}>
+                      <a
+                        href={router.href({ collectionName: collection.name, recordId: null })}
+                        onClick={(event) => handleNavigate(event, collection.name)}
+                        className={`pc-admin-nav-link${active ? ' pc-admin-nav-link-active' : ''}`}
+                        aria-current={active ? 'page' : undefined}
+                      >
+                        {collection.name}
+                      </a>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </nav>
+        <div className="pc-admin-user">
+          <span>{user.email || user.id}</span>
+          <button type="button" onClick={handleLogout} className="pc-link-secondary">
+            Sign out
+          </button>
+        </div>
+      </aside>
+
+      <main className="pc-admin-main">
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="h-6 w-6 animate-spin rounded-full border-b-2 border-gray-900"></div>
+          </div>
+        ) : error ? (
+          <div className="pocketcrud-alert pocketcrud-alert-error">{error}</div>
+        ) : selected ? (
+          <>
+            <h1 className="pc-admin-title">{selected.name}</h1>
+            <CollectionManager
+              crud={crud}
+              collectionName={selected.name}
+              fieldOverrides={fieldOverrides[selected.name]}
+              primaryDisplayField={primaryDisplayFields[selected.name]}
+              relatedCollections={relatedCollections[selected.name]}
+              perPage={perPage}
+              realtime={realtime}
+              filterable={filterable}
+              locale={locale}
+              timeZone={timeZone}
+              recordId={route.recordId}
+              onRecordChange={handleRecordChange}
+              onRelationClick={handleRelationClick}
+            />
+          </>
+        ) : (
+          <div className="pc-empty-state" data-testid="admin-empty">
+            {route.collectionName
+              ? `Collection "${route.collectionName}" was not found.`
+              : 'There are no collections to manage yet.'}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AdminApp;
@@ -0,0 +1 @@
+export { AdminApp, type AdminAppProps } from './AdminApp';
@@ -0,0 +1,170 @@
+'use client';
+
+import React, { FormEvent } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import { normalizeError } from '@utils/error-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface ChangeEmailFormProps {
+  crud: PocketCrud;
+  /** Token from the link in the confirmation email, asks for the password to confirm when given */
+  token?: string;
+  /** Auth collection of the account, the one of the signed in user when not set */
+  authCollection?: string;
+  title?: string;
+  subtitle?: string;
+  loginLink?: string;
+  loginText?: string;
+  /** Called with the new address after the confirmation link was requested */
+  onRequest?: (newEmail: string) => void;
+  /** Called after the change was confirmed, which ends the session of the account */
+  onConfirm?: () => void;
+}
+
+export const ChangeEmailForm: React.FC<ChangeEmailFormProps> = ({
+  crud,
+  token = '',
+  authCollection,
+  title = 'Change Email',
+  subtitle,
+  loginLink = '/admin/login',
+  loginText = 'Sign in with your new email',
+  onRequest,
+  onConfirm,
+}) => {
+  const [newEmail, setNewEmail] = React.useState('');
+  const [password, setPassword] = React.useState('');
+  const [loading, setLoading] = React.useState(false);
+  const [errorMessage, setErrorMessage] = React.useState('');
+  const [successMessage, setSuccessMessage] = React.useState('');
+  const [confirmed, setConfirmed] = React.useState(false);
+
+  const collection = authCollection || crud.currentUser?.collectionName || '_superusers';
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrorMessage('');
+    setSuccessMessage('');
+    try {
+      if (token) {
+        await crud.confirmEmailChange(collection, token, password);
+        setPassword('');
+        setConfirmed(true);
+        onConfirm?.();
+      } else {
+        await crud.requestEmailChange(collection, newEmail);
+        setSuccessMessage(`A confirmation link is on its way to ${newEmail}.`);
+        onRequest?.(newEmail);
+      }
+    } catch (err) {
+      setErrorMessage(normalizeError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const description =
+    subtitle ??
+    (token
+      ? 'Enter your password to confirm the new email address'
+      : 'Enter the new email address, we will send it a link to confirm the change');
+
+  return (
+    <div className="pocketcrud-change-email flex min-h-screen items-center justify-center px-4 py-12 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold">{title}</h2>
+          <p className="mt-2 text-center">{description}</p>
+        </div>
+
+        {confirmed ? (
+          <div className="mt-8 space-y-6">
+            <div className="pocketcrud-alert pocketcrud-alert-success" data-testid="success-message">
+              Your email address has been changed.
+            </div>
+            <div className="text-center">
+              <a href={loginLink} className="pc-link">
+                {loginText}
+              </a>
+            </div>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {errorMessage && (
+              <div className="pocketcrud-alert pocketcrud-alert-error" data-testid="error-message">
+                {errorMessage}
+              </div>
+            )}
+
+            {successMessage && (
+              <div className="pocketcrud-alert pocketcrud-alert-success" data-testid="success-message">
+                {successMessage}
+              </div>
+            )}
+
+            {token ? (
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={loading}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
+                  placeholder="Enter your password"
+                  data-testid="password-input"
+                />
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="newEmail" className="block text-sm font-medium">
+                  New email address
+                </label>
+                <input
+                  id="newEmail"
+                  name="newEmail"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={newEmail}
+                  onChange={(e) => setNewEmail(e.target.value)}
+                  disabled={loading}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
+                  placeholder="Enter the new email"
+                  data-testid="email-input"
+                />
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="pocketcrud-btn pocketcrud-btn-primary pc-btn-full"
+              data-testid="change-email-button"
+            >
+              {loading ? (
+                <span className="pc-loading">
+                  <div className="pocketcrud-spinner"></div>
+                  {token ? 'Confirming...' : 'Sending...'}
+                </span>
+              ) : token ? (
+                'Confirm New Email'
+              ) : (
+                'Send Confirmation Link'
+              )}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChangeEmailForm;
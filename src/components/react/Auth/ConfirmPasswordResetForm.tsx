@@ -0,0 +1,153 @@
+'use client';
+
+import React, { FormEvent } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import { DEFAULT_MIN_PASSWORD_LENGTH, getPasswordError } from '@utils/auth-utils.js';
+import { normalizeError } from '@utils/error-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface ConfirmPasswordResetFormProps {
+  crud: PocketCrud;
+  /** Token from the link in the password reset email */
+  token: string;
+  /** Auth collection of the account, superusers when not set */
+  authCollection?: string;
+  title?: string;
+  subtitle?: string;
+  minPasswordLength?: number;
+  loginLink?: string;
+  loginText?: string;
+  /** Called after the new password was saved */
+  onConfirm?: () => void;
+}
+
+export const ConfirmPasswordResetForm: React.FC<ConfirmPasswordResetFormProps> = ({
+  crud,
+  token,
+  authCollection = '_superusers',
+  title = 'Choose a New Password',
+  subtitle = 'Enter the new password for your account',
+  minPasswordLength = DEFAULT_MIN_PASSWORD_LENGTH,
+  loginLink = '/admin/login',
+  loginText = 'Sign in with your new password',
+  onConfirm,
+}) => {
+  const [password, setPassword] = React.useState('');
+  const [passwordConfirm, setPasswordConfirm] = React.useState('');
+  const [loading, setLoading] = React.useState(false);
+  const [errorMessage, setErrorMessage] = React.useState('');
+  const [confirmed, setConfirmed] = React.useState(false);
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    const passwordError = getPasswordError(password, passwordConfirm, minPasswordLength);
+    if (passwordError) {
+      setErrorMessage(passwordError);
+      return;
+    }
+
+    setLoading(true);
+    setErrorMessage('');
+    try {
+      await crud.confirmPasswordReset(authCollection, token, password, passwordConfirm);
+      setPassword('');
+      setPasswordConfirm('');
+      setConfirmed(true);
+      onConfirm?.();
+    } catch (err) {
+      setErrorMessage(normalizeError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="pocketcrud-password-reset flex min-h-screen items-center justify-center px-4 py-12 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold">{title}</h2>
+          <p className="mt-2 text-center">{subtitle}</p>
+        </div>
+
+        {confirmed ? (
+          <div className="mt-8 space-y-6">
+            <div className="pocketcrud-alert pocketcrud-alert-success" data-testid="success-message">
+              Your password has been changed.
+            </div>
+            <div className="text-center">
+              <a href={loginLink} className="pc-link">
+                {loginText}
+              </a>
+            </div>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {errorMessage && (
+              <div className="pocketcrud-alert pocketcrud-alert-error" data-testid="error-message">
+                {errorMessage}
+              </div>
+            )}
+
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium">
+                  New Password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={loading}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
+                  placeholder={`Enter password (min ${minPasswordLength} characters)`}
+                  data-testid="password-input"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="passwordConfirm" className="block text-sm font-medium">
+                  Confirm Password
+                </label>
+                <input
+                  id="passwordConfirm"
+                  name="passwordConfirm"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  value={passwordConfirm}
+                  onChange={(e) => setPasswordConfirm(e.target.value)}
+                  disabled={loading}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
+                  placeholder="Confirm password"
+                  data-testid="password-confirm-input"
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="pocketcrud-btn pocketcrud-btn-primary pc-btn-full"
+              data-testid="confirm-button"
+            >
+              {loading ? (
+                <span className="pc-loading">
+                  <div className="pocketcrud-spinner"></div>
+                  Saving...
+                </span>
+              ) : (
+                'Set New Password'
+              )}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmPasswordResetForm;
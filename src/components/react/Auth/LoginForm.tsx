@@ -1,8 +1,18 @@
 'use client';
 
 import React, { FormEvent } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import type { AuthUser } from '@utils/crud.js';
+import { getOAuth2AuthUrl } from '@utils/auth-utils.js';
+import type { AuthMethods, OAuth2Provider } from '@utils/auth-utils.js';
+import { MfaRequiredError, normalizeError } from '@utils/error-utils.js';
 import '../../styles/pocketcrud.css';
 
+/** Provider of a redirect sign-in in progress, needed again after the redirect */
+const OAUTH2_STORAGE_KEY = 'pocketcrud-oauth2-provider';
+
+type LoginMethod = 'password' | 'otp' | 'oauth2';
+
 export interface LoginFormProps {
   email?: string;
   password?: string;
@@ -14,7 +24,16 @@ export interface LoginFormProps {
   backText?: string;
   onEmailChange?: (email: string) => void;
   onPasswordChange?: (password: string) => void;
-  onSubmit: (data: { email: string; password: string }) => void | Promise<void>;
+  /** Called instead of signing in through `crud` */
+  onSubmit?: (data: { email: string; password: string }) => void | Promise<void>;
+  /** Signs in on its own when given, offering every method the auth collection has enabled */
+  crud?: PocketCrud;
+  /** Auth collection to sign in to, superusers when not set */
+  authCollection?: string;
+  /** Page OAuth2 providers send the user back to, the sign-in opens in a popup when not set */
+  oauth2RedirectUrl?: string;
+  /** Called with the signed in user after signing in through `crud` */
+  onLogin?: (user: AuthUser) => void;
   emailSlot?: React.ReactNode;
   passwordSlot?: React.ReactNode;
   submitButtonSlot?: React.ReactNode;
@@ -33,6 +52,10 @@ export const LoginForm: React.FC<LoginFormProps> = ({
   onEmailChange,
   onPasswordChange,
   onSubmit,
+  crud,
+  authCollection,
+  oauth2RedirectUrl,
+  onLogin,
   emailSlot,
   passwordSlot,
   submitButtonSlot,
@@ -40,6 +63,16 @@ export const LoginForm: React.FC<LoginFormProps> = ({
 }) => {
   const [emailState, setEmailState] = React.useState(email);
   const [passwordState, setPasswordState] = React.useState(password);
+  const [methods, setMethods] = React.useState<AuthMethods | null>(null);
+  const [otpId, setOtpId] = React.useState('');
+  const [code, setCode] = React.useState('');
+  const [mfa, setMfa] = React.useState<{ id: string; method: LoginMethod } | null>(null);
+  const [notice, setNotice] = React.useState('');
+  const [loggingIn, setLoggingIn] = React.useState(false);
+  const [loginError, setLoginError] = React.useState('');
+
+  // Superusers sign in through `_superusers` on v0.23+ servers
+  const collection = authCollection || '_superusers';
 
   React.useEffect(() => {
     setEmailState(email);
@@ -49,6 +82,72 @@ export const LoginForm: React.FC<LoginFormProps> = ({
     setPasswordState(password);
   }, [password]);
 
+  React.useEffect(() => {
+    if (!crud) return;
+    let cancelled = false;
+
+    crud
+      .getAuthMethods(collection)
+      .then((loaded) => {
+        if (!cancelled) setMethods(loaded);
+      })
+      .catch(() => {
+        // Admins of legacy servers only have passwords
+        if (!cancelled) setMethods(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [crud, collection]);
+
+  const runLogin = async (method: LoginMethod, login: () => Promise<AuthUser>) => {
+    setLoggingIn(true);
+    setLoginError('');
+    try {
+      const user = await login();
+      setPasswordState('');
+      setOtpId('');
+      setCode('');
+      setMfa(null);
+      setNotice('');
+      onLogin?.(user);
+    } catch (err) {
+      const loginFailure = normalizeError(err);
+      if (loginFailure instanceof MfaRequiredError) {
+        setMfa({ id: loginFailure.mfaId, method });
+        setOtpId('');
+        setNotice('');
+      } else {
+        setLoginError(loginFailure.message);
+      }
+    } finally {
+      setLoggingIn(false);
+    }
+  };
+
+  // Finish a redirect sign-in when the provider sent the user back here
+  React.useEffect(() => {
+    if (!crud || !oauth2RedirectUrl) return;
+
+    const stored = window.sessionStorage.getItem(OAUTH2_STORAGE_KEY);
+    const params = new URLSearchParams(window.location.search);
+    const returnedCode = params.get('code');
+    if (!stored || !returnedCode) return;
+
+    window.sessionStorage.removeItem(OAUTH2_STORAGE_KEY);
+    const provider: OAuth2Provider = JSON.parse(stored);
+    runLogin('oauth2', () =>
+      crud.loginWithOAuth2Code(
+        collection,
+        provider,
+        { code: returnedCode, state: params.get('state') || '' },
+        oauth2RedirectUrl
+      )
+    );
+    // Only on mount, the stored provider is used up by the first attempt
+  }, []);
+
   const handleEmailChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const value = e.target.value;
     setEmailState(value);
@@ -63,9 +162,85 @@ export const LoginForm: React.FC<LoginFormProps> = ({
 
   const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
     e.preventDefault();
-    await onSubmit({ email: emailState, password: passwordState });
+    if (!crud) {
+      await onSubmit?.({ email: emailState, password: passwordState });
+      return;
+    }
+
+    const options = { mfaId: mfa?.id };
+    if (otpId) {
+      await runLogin('otp', () => crud.loginWithOTP(collection, otpId, code, options));
+    } else {
+      await runLogin('password', () =>
+        authCollection
+          ? crud.loginWithPassword(authCollection, emailState, passwordState, options)
+          : crud.loginAdmin(emailState, passwordState, options)
+      );
+    }
+  };
+
+  const handleRequestCode = async () => {
+    if (!crud) return;
+    if (!emailState) {
+      setLoginError('Enter your email address to receive a code');
+      return;
+    }
+
+    setLoggingIn(true);
+    setLoginError('');
+    try {
+      setOtpId(await crud.requestOTP(collection, emailState));
+      setNotice(`If ${emailState} belongs to an account, a sign-in code is on its way.`);
+    } catch (err) {
+      setLoginError(normalizeError(err).message);
+    } finally {
+      setLoggingIn(false);
+    }
   };
 
+  const handleOAuth2 = async (provider: OAuth2Provider) => {
+    if (!crud) return;
+
+    if (oauth2RedirectUrl) {
+      window.sessionStorage.setItem(OAUTH2_STORAGE_KEY, JSON.stringify(provider));
+      window.location.href = getOAuth2AuthUrl(provider, oauth2RedirectUrl);
+      return;
+    }
+
+    // Opened before any request, browsers block popups opened later
+    const popup = window.open('', 'pocketcrud-oauth2', 'width=1024,height=768');
+    const controller = new window.AbortController();
+    const watcher = window.setInterval(() => {
+      if (popup?.closed) controller.abort();
+    }, 500);
+
+    await runLogin('oauth2', () =>
+      crud.loginWithOAuth2(collection, provider.name, {
+        urlCallback: (url) => {
+          if (popup) popup.location.href = url;
+          else window.open(url);
+        },
+        signal: controller.signal,
+      })
+    );
+    window.clearInterval(watcher);
+    popup?.close();
+  };
+
+  const handleUseOtherMethod = () => {
+    setOtpId('');
+    setCode('');
+    setNotice('');
+    setLoginError('');
+  };
+
+  const loading = isLoading || loggingIn;
+  const errorMessage = loginError || error;
+  // The method that passed the first step of a multi-factor sign-in cannot be the second
+  const showPassword = (methods?.password.enabled ?? true) && mfa?.method !== 'password';
+  const showOtp = Boolean(methods?.otp.enabled) && mfa?.method !== 'otp';
+  const providers = methods?.oauth2.enabled && !mfa ? methods.oauth2.providers : [];
+
   return (
     <div className="pocketcrud-login flex min-h-screen items-center justify-center px-4 py-12 sm:px-6 lg:px-8">
       <div className="w-full max-w-md space-y-8">
@@ -75,64 +250,146 @@ export const LoginForm: React.FC<LoginFormProps> = ({
         </div>
 
         <form className="pc-form" onSubmit={handleSubmit}>
-          {error && (
+          {errorMessage && (
             <div className="pocketcrud-alert pocketcrud-alert-error" data-testid="error-message">
-              {error}
+              {errorMessage}
             </div>
           )}
 
-          <div className="pc-input-group">
-            {emailSlot || (
-              <input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                value={emailState}
-                onChange={handleEmailChange}
-                disabled={isLoading}
-                placeholder="Email address"
-                className="pocketcrud-input"
-                data-testid="email-input"
-              />
-            )}
-            {passwordSlot || (
-              <input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete="current-password"
-                required
-                value={passwordState}
-                onChange={handlePasswordChange}
-                disabled={isLoading}
-                placeholder="Password"
-                className="pocketcrud-input"
-                data-testid="password-input"
-              />
-            )}
-          </div>
+          {mfa && (
+            <div className="pocketcrud-alert pocketcrud-alert-warning" data-testid="mfa-message">
+              Confirm your sign-in with a second method.
+            </div>
+          )}
 
-          <div>
-            {submitButtonSlot || (
-              <button
-                type="submit"
-                disabled={isLoading}
-                className="pocketcrud-btn pocketcrud-btn-primary pc-btn-full"
-                data-testid="login-button"
-              >
-                {isLoading ? (
-                  <span className="pc-loading">
-                    <div className="pocketcrud-spinner"></div>
-                    Signing in...
-                  </span>
-                ) : (
-                  'Sign in'
+          {notice && (
+            <div className="pocketcrud-alert pocketcrud-alert-success" data-testid="notice-message">
+              {notice}
+            </div>
+          )}
+
+          {otpId ? (
+            <>
+              <div className="pc-input-group">
+                <input
+                  id="otp"
+                  name="otp"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  required
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  disabled={loading}
+                  placeholder="Sign-in code"
+                  className="pocketcrud-input"
+                  data-testid="otp-input"
+                />
+              </div>
+
+              <div className="pc-login-methods">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="pocketcrud-btn pocketcrud-btn-primary pc-btn-full"
+                  data-testid="otp-button"
+                >
+                  {loading ? 'Signing in...' : 'Sign in with code'}
+                </button>
+                <button type="button" onClick={handleUseOtherMethod} disabled={loading} className="pc-link">
+                  Use another method
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              {(showPassword || showOtp) && (
+                <div className="pc-input-group">
+                  {emailSlot || (
+                    <input
+                      id="email"
+                      name="email"
+                      type="email"
+                      autoComplete="email"
+                      required
+                      value={emailState}
+                      onChange={handleEmailChange}
+                      disabled={loading}
+                      placeholder="Email address"
+                      className="pocketcrud-input"
+                      data-testid="email-input"
+                    />
+                  )}
+                  {showPassword &&
+                    (passwordSlot || (
+                      <input
+                        id="password"
+                        name="password"
+                        type="password"
+                        autoComplete="current-password"
+                        required
+                        value={passwordState}
+                        onChange={handlePasswordChange}
+                        disabled={loading}
+                        placeholder="Password"
+                        className="pocketcrud-input"
+                        data-testid="password-input"
+                      />
+                    ))}
+                </div>
+              )}
+
+              <div className="pc-login-methods">
+                {showPassword &&
+                  (submitButtonSlot || (
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="pocketcrud-btn pocketcrud-btn-primary pc-btn-full"
+                      data-testid="login-button"
+                    >
+                      {loading ? (
+                        <span className="pc-loading">
+                          <div className="pocketcrud-spinner"></div>
+                          Signing in...
+                        </span>
+                      ) : (
+                        'Sign in'
+                      )}
+                    </button>
+                  ))}
+                {showOtp && (
+                  <button
+                    type="button"
+                    onClick={handleRequestCode}
+                    disabled={loading}
+                    className="pocketcrud-btn pocketcrud-btn-secondary pc-btn-full"
+                    data-testid="request-otp-button"
+                  >
+                    Email me a sign-in code
+                  </button>
                 )}
-              </button>
-            )}
-          </div>
+              </div>
+
+              {providers.length > 0 && (
+                <div className="pc-login-methods">
+                  {(showPassword || showOtp) && <p className="pc-login-divider">or continue with</p>}
+                  {providers.map((provider) => (
+                    <button
+                      key={provider.name}
+                      type="button"
+                      onClick={() => handleOAuth2(provider)}
+                      disabled={loading}
+                      className="pocketcrud-btn pocketcrud-btn-secondary pc-btn-full"
+                      data-testid={`oauth2-${provider.name}`}
+                    >
+                      {provider.displayName}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
 
           <div className="pc-links">
             {backLinkSlot || (
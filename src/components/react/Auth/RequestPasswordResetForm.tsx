@@ -0,0 +1,124 @@
+'use client';
+
+import React, { FormEvent } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import { normalizeError } from '@utils/error-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface RequestPasswordResetFormProps {
+  crud: PocketCrud;
+  /** Auth collection of the account, superusers when not set */
+  authCollection?: string;
+  email?: string;
+  title?: string;
+  subtitle?: string;
+  loginLink?: string;
+  loginText?: string;
+  /** Called with the email address after the reset link was requested */
+  onRequest?: (email: string) => void;
+}
+
+export const RequestPasswordResetForm: React.FC<RequestPasswordResetFormProps> = ({
+  crud,
+  authCollection = '_superusers',
+  email = '',
+  title = 'Reset Password',
+  subtitle = 'Enter your email address and we will send you a link to choose a new password',
+  loginLink = '/admin/login',
+  loginText = '← Back to sign in',
+  onRequest,
+}) => {
+  const [emailState, setEmailState] = React.useState(email);
+  const [loading, setLoading] = React.useState(false);
+  const [errorMessage, setErrorMessage] = React.useState('');
+  const [successMessage, setSuccessMessage] = React.useState('');
+
+  React.useEffect(() => {
+    setEmailState(email);
+  }, [email]);
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrorMessage('');
+    setSuccessMessage('');
+    try {
+      await crud.requestPasswordReset(authCollection, emailState);
+      // The same answer whether or not the account exists
+      setSuccessMessage(`If ${emailState} belongs to an account, a reset link is on its way.`);
+      onRequest?.(emailState);
+    } catch (err) {
+      setErrorMessage(normalizeError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="pocketcrud-password-reset flex min-h-screen items-center justify-center px-4 py-12 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold">{title}</h2>
+          <p className="mt-2 text-center">{subtitle}</p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {errorMessage && (
+            <div className="pocketcrud-alert pocketcrud-alert-error" data-testid="error-message">
+              {errorMessage}
+            </div>
+          )}
+
+          {successMessage && (
+            <div className="pocketcrud-alert pocketcrud-alert-success" data-testid="success-message">
+              {successMessage}
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium">
+              Email address
+            </label>
+            <input
+              id="email"
+              name="email"
+              type="email"
+              autoComplete="email"
+              required
+              value={emailState}
+              onChange={(e) => setEmailState(e.target.value)}
+              disabled={loading}
+              className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
+              placeholder="Enter your email"
+              data-testid="email-input"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="pocketcrud-btn pocketcrud-btn-primary pc-btn-full"
+            data-testid="request-button"
+          >
+            {loading ? (
+              <span className="pc-loading">
+                <div className="pocketcrud-spinner"></div>
+                Sending...
+              </span>
+            ) : (
+              'Send Reset Link'
+            )}
+          </button>
+
+          <div className="text-center">
+            <a href={loginLink} className="pc-link">
+              {loginText}
+            </a>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RequestPasswordResetForm;
@@ -1,6 +1,9 @@
 'use client';
 
 import React, { FormEvent } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import { DEFAULT_MIN_PASSWORD_LENGTH, getPasswordError } from '@utils/auth-utils.js';
+import { normalizeError } from '@utils/error-utils.js';
 import '../../styles/pocketcrud.css';
 
 export interface SetupFormProps {
@@ -20,7 +23,12 @@ export interface SetupFormProps {
   onEmailChange?: (email: string) => void;
   onPasswordChange?: (password: string) => void;
   onPasswordConfirmChange?: (passwordConfirm: string) => void;
-  onSubmit: (data: { email: string; password: string; passwordConfirm: string }) => void | Promise<void>;
+  /** Called instead of creating the superuser through `crud` */
+  onSubmit?: (data: { email: string; password: string; passwordConfirm: string }) => void | Promise<void>;
+  /** Creates the superuser on its own when given */
+  crud?: PocketCrud;
+  /** Called with the created superuser after creating it through `crud` */
+  onCreate?: (admin: { id: string; email: string; created: string; updated: string }) => void;
   emailSlot?: React.ReactNode;
   passwordSlot?: React.ReactNode;
   passwordConfirmSlot?: React.ReactNode;
@@ -39,7 +47,7 @@ export const SetupForm: React.FC<SetupFormProps> = ({
   success = '',
   title = 'Admin Setup',
   subtitle = 'Create an admin user to access the collection management interface',
-  minPasswordLength = 10,
+  minPasswordLength = DEFAULT_MIN_PASSWORD_LENGTH,
   loginLink = '/admin/login',
   loginText = 'Already have admin account? Sign in',
   backLink = '/',
@@ -48,6 +56,8 @@ export const SetupForm: React.FC<SetupFormProps> = ({
   onPasswordChange,
   onPasswordConfirmChange,
   onSubmit,
+  crud,
+  onCreate,
   emailSlot,
   passwordSlot,
   passwordConfirmSlot,
@@ -59,6 +69,9 @@ export const SetupForm: React.FC<SetupFormProps> = ({
   const [emailState, setEmailState] = React.useState(email);
   const [passwordState, setPasswordState] = React.useState(password);
   const [passwordConfirmState, setPasswordConfirmState] = React.useState(passwordConfirm);
+  const [creating, setCreating] = React.useState(false);
+  const [setupError, setSetupError] = React.useState('');
+  const [setupSuccess, setSetupSuccess] = React.useState('');
 
   React.useEffect(() => {
     setEmailState(email);
@@ -92,13 +105,41 @@ export const SetupForm: React.FC<SetupFormProps> = ({
 
   const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
     e.preventDefault();
-    await onSubmit({
-      email: emailState,
-      password: passwordState,
-      passwordConfirm: passwordConfirmState,
-    });
+    if (!crud) {
+      await onSubmit?.({
+        email: emailState,
+        password: passwordState,
+        passwordConfirm: passwordConfirmState,
+      });
+      return;
+    }
+
+    setSetupSuccess('');
+    const passwordError = getPasswordError(passwordState, passwordConfirmState, minPasswordLength);
+    if (passwordError) {
+      setSetupError(passwordError);
+      return;
+    }
+
+    setCreating(true);
+    setSetupError('');
+    try {
+      const admin = await crud.createAdmin(emailState, passwordState);
+      setPasswordState('');
+      setPasswordConfirmState('');
+      setSetupSuccess('Admin user created successfully!');
+      onCreate?.(admin);
+    } catch (err) {
+      setSetupError(normalizeError(err).message);
+    } finally {
+      setCreating(false);
+    }
   };
 
+  const loading = isLoading || creating;
+  const errorMessage = setupError || error;
+  const successMessage = setupSuccess || success;
+
   return (
     <div className="pocketcrud-setup flex min-h-screen items-center justify-center px-4 py-12 sm:px-6 lg:px-8">
       <div className="w-full max-w-md space-y-8">
@@ -108,15 +149,15 @@ export const SetupForm: React.FC<SetupFormProps> = ({
         </div>
 
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          {error && (
+          {errorMessage && (
             <div className="pocketcrud-alert pocketcrud-alert-error" data-testid="error-message">
-              {error}
+              {errorMessage}
             </div>
           )}
 
-          {success && (
+          {successMessage && (
             <div className="pocketcrud-alert pocketcrud-alert-success" data-testid="success-message">
-              {success}
+              {successMessage}
             </div>
           )}
 
@@ -134,7 +175,7 @@ export const SetupForm: React.FC<SetupFormProps> = ({
                   required
                   value={emailState}
                   onChange={handleEmailChange}
-                  disabled={isLoading}
+                  disabled={loading}
                   className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
                   placeholder="Enter admin email"
                   data-testid="email-input"
@@ -155,7 +196,7 @@ export const SetupForm: React.FC<SetupFormProps> = ({
                   required
                   value={passwordState}
                   onChange={handlePasswordChange}
-                  disabled={isLoading}
+                  disabled={loading}
                   className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
                   placeholder={`Enter password (min ${minPasswordLength} characters)`}
                   data-testid="password-input"
@@ -176,7 +217,7 @@ export const SetupForm: React.FC<SetupFormProps> = ({
                   required
                   value={passwordConfirmState}
                   onChange={handlePasswordConfirmChange}
-                  disabled={isLoading}
+                  disabled={loading}
                   className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
                   placeholder="Confirm password"
                   data-testid="password-confirm-input"
@@ -189,11 +230,11 @@ export const SetupForm: React.FC<SetupFormProps> = ({
             {submitButtonSlot || (
               <button
                 type="submit"
-                disabled={isLoading}
+                disabled={loading}
                 className="pocketcrud-btn pocketcrud-btn-primary pc-btn-full"
                 data-testid="setup-button"
               >
-                {isLoading ? (
+                {loading ? (
                   <span className="pc-loading">
                     <div className="pocketcrud-spinner"></div>
                     Creating Admin...
@@ -0,0 +1,181 @@
+'use client';
+
+import React, { FormEvent } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import { normalizeError } from '@utils/error-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface VerifyEmailFormProps {
+  crud: PocketCrud;
+  /** Token from the link in the verification email, verifies right away when given */
+  token?: string;
+  /** Auth collection of the account, superusers when not set */
+  authCollection?: string;
+  email?: string;
+  title?: string;
+  subtitle?: string;
+  loginLink?: string;
+  loginText?: string;
+  /** Called after the token was accepted */
+  onVerify?: () => void;
+  /** Called with the email address after a new verification link was requested */
+  onRequest?: (email: string) => void;
+}
+
+export const VerifyEmailForm: React.FC<VerifyEmailFormProps> = ({
+  crud,
+  token = '',
+  authCollection = '_superusers',
+  email = '',
+  title = 'Verify Email',
+  subtitle = 'Enter your email address and we will send you a new verification link',
+  loginLink = '/admin/login',
+  loginText = '← Back to sign in',
+  onVerify,
+  onRequest,
+}) => {
+  const [emailState, setEmailState] = React.useState(email);
+  const [loading, setLoading] = React.useState(Boolean(token));
+  const [verified, setVerified] = React.useState(false);
+  const [errorMessage, setErrorMessage] = React.useState('');
+  const [successMessage, setSuccessMessage] = React.useState('');
+
+  React.useEffect(() => {
+    setEmailState(email);
+  }, [email]);
+
+  React.useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+
+    setLoading(true);
+    setErrorMessage('');
+    crud
+      .confirmVerification(authCollection, token)
+      .then(() => {
+        if (cancelled) return;
+        setVerified(true);
+        onVerify?.();
+      })
+      .catch((err) => {
+        if (!cancelled) setErrorMessage(normalizeError(err).message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [crud, authCollection, token]);
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrorMessage('');
+    setSuccessMessage('');
+    try {
+      await crud.requestVerification(authCollection, emailState);
+      setSuccessMessage(`If ${emailState} belongs to an unverified account, a verification link is on its way.`);
+      onRequest?.(emailState);
+    } catch (err) {
+      setErrorMessage(normalizeError(err).message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loginLinkElement = (
+    <div className="text-center">
+      <a href={loginLink} className="pc-link">
+        {loginText}
+      </a>
+    </div>
+  );
+
+  return (
+    <div className="pocketcrud-verify-email flex min-h-screen items-center justify-center px-4 py-12 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold">{title}</h2>
+          {!token && <p className="mt-2 text-center">{subtitle}</p>}
+        </div>
+
+        {token ? (
+          <div className="mt-8 space-y-6">
+            {loading && (
+              <span className="pc-loading justify-center">
+                <div className="pocketcrud-spinner"></div>
+                Verifying...
+              </span>
+            )}
+            {verified && (
+              <div className="pocketcrud-alert pocketcrud-alert-success" data-testid="success-message">
+                Your email address has been verified.
+              </div>
+            )}
+            {errorMessage && (
+              <div className="pocketcrud-alert pocketcrud-alert-error" data-testid="error-message">
+                {errorMessage}
+              </div>
+            )}
+            {!loading && loginLinkElement}
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {errorMessage && (
+              <div className="pocketcrud-alert pocketcrud-alert-error" data-testid="error-message">
+                {errorMessage}
+              </div>
+            )}
+
+            {successMessage && (
+              <div className="pocketcrud-alert pocketcrud-alert-success" data-testid="success-message">
+                {successMessage}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={emailState}
+                onChange={(e) => setEmailState(e.target.value)}
+                disabled={loading}
+                className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
+                placeholder="Enter your email"
+                data-testid="email-input"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="pocketcrud-btn pocketcrud-btn-primary pc-btn-full"
+              data-testid="request-button"
+            >
+              {loading ? (
+                <span className="pc-loading">
+                  <div className="pocketcrud-spinner"></div>
+                  Sending...
+                </span>
+              ) : (
+                'Send Verification Link'
+              )}
+            </button>
+
+            {loginLinkElement}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailForm;
@@ -1,2 +1,6 @@
 export { LoginForm, type LoginFormProps } from './LoginForm';
 export { SetupForm, type SetupFormProps } from './SetupForm';
+export { RequestPasswordResetForm, type RequestPasswordResetFormProps } from './RequestPasswordResetForm';
+export { ConfirmPasswordResetForm, type ConfirmPasswordResetFormProps } from './ConfirmPasswordResetForm';
+export { VerifyEmailForm, type VerifyEmailFormProps } from './VerifyEmailForm';
+export { ChangeEmailForm, type ChangeEmailFormProps } from './ChangeEmailForm';
@@ -0,0 +1,66 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { act, cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import CollectionManager from './CollectionManager';
+
+const schema = [{ id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true }];
+
+const posts = [
+  { id: 'r1', title: 'First post', created: '2024-01-01 10:00:00.000Z' },
+  { id: 'r2', title: 'Second post', created: '2024-01-02 10:00:00.000Z' },
+];
+
+function createMockCrud() {
+  return {
+    currentUser: { id: 'admin1', isAdmin: true },
+    getCollection: vi.fn().mockResolvedValue({ name: 'posts', type: 'base', schema }),
+    getList: vi.fn().mockResolvedValue({ items: posts, page: 1, perPage: 20, totalItems: 2, totalPages: 1 }),
+    create: vi.fn().mockResolvedValue({ id: 'r3', title: 'New post' }),
+    update: vi.fn().mockResolvedValue({}),
+    delete: vi.fn().mockResolvedValue(true),
+    validateUnique: vi.fn().mockResolvedValue({}),
+    subscribe: vi.fn().mockResolvedValue(vi.fn()),
+    getRelationLabelFields: vi.fn().mockResolvedValue(['id']),
+  };
+}
+
+describe('CollectionManager (React)', () => {
+  afterEach(() => {
+    cleanup();
+  });
+
+  it('should keep what was typed when another record changes in realtime', async () => {
+    const crud = createMockCrud();
+    render(<CollectionManager crud={crud as any} collectionName="posts" realtime />);
+
+    fireEvent.click(await screen.findByTestId('create-new-button'));
+    const input = screen.getByLabelText(/title/i) as HTMLInputElement;
+    fireEvent.change(input, { target: { value: 'my draft' } });
+    await waitFor(() => expect(crud.subscribe).toHaveBeenCalled());
+
+    const callback = crud.subscribe.mock.calls[0][2];
+    await act(async () => {
+      callback({ action: 'update', record: { id: 'r2', title: 'Changed elsewhere' } });
+    });
+
+    expect(screen.getAllByText('Changed elsewhere').length).toBeGreaterThan(0);
+    expect((screen.getByLabelText(/title/i) as HTMLInputElement).value).toBe('my draft');
+  });
+
+  it('should point an invalid input at its field error', async () => {
+    const crud = createMockCrud();
+    render(<CollectionManager crud={crud as any} collectionName="posts" />);
+
+    fireEvent.click(await screen.findByTestId('create-new-button'));
+    const input = screen.getByLabelText(/title/i) as HTMLInputElement;
+    expect(input.getAttribute('aria-invalid')).toBeNull();
+
+    fireEvent.submit(input.closest('form')!);
+
+    await waitFor(() => expect(input.getAttribute('aria-invalid')).toBe('true'));
+    expect(input.getAttribute('aria-describedby')).toBe('title-error');
+    expect(document.getElementById('title-error')?.textContent).toBeTruthy();
+    expect(crud.create).not.toHaveBeenCalled();
+  });
+});
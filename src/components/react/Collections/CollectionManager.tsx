@@ -1,12 +1,21 @@
 'use client';
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import DynamicForm from '../Records/DynamicForm';
 import RecordList from '../Records/RecordList';
+import type { RecordAction } from '../Records/RecordList';
+import FilterBar from '../Records/FilterBar';
 import RelatedCollectionManager from './RelatedCollectionManager';
 import type { RelatedCollectionConfig } from './RelatedCollectionManager';
+import { useCollection } from './useCollection';
 import type PocketCrud from '@utils/crud.js';
 import type { CollectionField, FieldOverrides } from '@utils/form-utils.js';
+import { withAuthFields } from '@utils/schema-utils.js';
+import { getExpandQuery, getRecordListFields } from '@utils/record-utils.js';
+import type { CollectionPermissions } from '@utils/rule-utils.js';
+import { isAbortError, normalizeError } from '@utils/error-utils.js';
+import type { RecordFilterValues } from '@utils/filter-utils.js';
+import type { RealtimeEvent } from '@utils/realtime-utils.js';
 import '../../styles/pocketcrud.css';
 
 export interface CollectionManagerProps {
@@ -16,6 +25,25 @@ export interface CollectionManagerProps {
   primaryDisplayField?: string;
   perPage?: number;
   relatedCollections?: RelatedCollectionConfig[];
+  realtime?: boolean;
+  filterable?: boolean;
+  filter?: RecordFilterValues;
+  filterFields?: string[];
+  onFilterChange?: (filter: RecordFilterValues) => void;
+  defaultSort?: string;
+  onSortChange?: (sort: string) => void;
+  /** Locale of dates, defaults to the browser's */
+  locale?: string;
+  /** Time zone dates are shown and entered in, defaults to the browser's */
+  timeZone?: string;
+  /** Receives the token of an impersonated auth record, which is shown to copy when not set */
+  onImpersonate?: (session: { token: string; record: Record<string, any> }) => void;
+  /** Record to open in the form, eg. from the url; `null` closes it */
+  recordId?: string | null;
+  /** Called with the id of the record the user opens, and `null` when the form closes */
+  onRecordChange?: (recordId: string | null) => void;
+  /** Called with the related record and its field when a relation chip in the list is clicked */
+  onRelationClick?: (record: Record<string, any>, field: CollectionField) => void;
   loadingSlot?: React.ReactNode;
   errorSlot?: (error: string) => React.ReactNode;
   createButtonSlot?: (handleCreateNew: () => void) => React.ReactNode;
@@ -23,7 +51,10 @@ export interface CollectionManagerProps {
     schema: CollectionField[];
     fieldOverrides?: FieldOverrides;
     editingRecord: Record<string, any> | null;
-    handleFormSubmit: (data: Record<string, any>) => void;
+    remoteChange: RealtimeEvent | null;
+    permissions: CollectionPermissions;
+    /** Rejects with a `PocketCrudError` when the record could not be saved */
+    handleFormSubmit: (data: Record<string, any> | FormData) => Promise<void>;
     handleFormCancel: () => void;
   }) => React.ReactNode;
   recordsSlot?: (props: {
@@ -34,115 +65,195 @@ export interface CollectionManagerProps {
     totalItems: number;
     perPage: number;
     primaryDisplayField?: string;
+    sort: string;
+    handleSortChange: (sort: string) => void;
     handleEdit: (record: Record<string, any>) => void;
     handleDelete: (record: Record<string, any>) => void;
     handlePageChange: (page: number) => void;
+    recordActions: RecordAction[];
+    handleRecordAction: (actionId: string, record: Record<string, any>) => Promise<void>;
+    permissions: CollectionPermissions;
   }) => React.ReactNode;
 }
 
+// A default of its own on every render would reset the form
+const EMPTY_OVERRIDES: FieldOverrides = {};
+
 export const CollectionManager: React.FC<CollectionManagerProps> = ({
   crud,
   collectionName,
-  fieldOverrides = {},
+  fieldOverrides = EMPTY_OVERRIDES,
   primaryDisplayField,
   perPage = 20,
   relatedCollections = [],
+  realtime = false,
+  filterable = false,
+  filter,
+  filterFields,
+  onFilterChange,
+  defaultSort = '-created',
+  onSortChange,
+  locale,
+  timeZone,
+  onImpersonate,
+  recordId,
+  onRecordChange,
+  onRelationClick,
   loadingSlot,
   errorSlot,
   createButtonSlot,
   formSlot,
   recordsSlot,
 }) => {
-  const [schema, setSchema] = useState<CollectionField[]>([]);
-  const [records, setRecords] = useState<Record<string, any>[]>([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
   const [showForm, setShowForm] = useState(false);
   const [editingRecord, setEditingRecord] = useState<Record<string, any> | null>(null);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
-  const [totalItems, setTotalItems] = useState(0);
-
-  useEffect(() => {
-    let cancelled = false;
-
-    const loadCollection = async () => {
-      setLoading(true);
-      setError('');
-      setShowForm(false);
-      setEditingRecord(null);
+  const [remoteChange, setRemoteChange] = useState<RealtimeEvent | null>(null);
+  const [actionNotice, setActionNotice] = useState<{
+    type: 'success' | 'error';
+    message: string;
+    token?: string;
+  } | null>(null);
 
-      try {
-        const collectionSchema = await crud.getCollectionSchema(collectionName);
-        if (cancelled) return;
+  // Lets the realtime handler see the record being edited without resubscribing
+  const editingRecordRef = useRef(editingRecord);
+  editingRecordRef.current = editingRecord;
 
-        setSchema(collectionSchema);
+  const {
+    collection,
+    schema,
+    records,
+    currentPage,
+    totalPages,
+    totalItems,
+    sort,
+    filter: collectionFilter,
+    loading,
+    error,
+    permissions,
+    recordActions,
+    relationLabelFields,
+    loadPage,
+    setSort,
+    setFilter,
+    createRecord,
+    updateRecord,
+    deleteRecord,
+  } = useCollection(crud, collectionName, {
+    perPage,
+    sort: defaultSort,
+    filter,
+    filterFields,
+    timeZone,
+    realtime,
+    // Relations shown in the list are labelled with their records
+    expand: (listSchema) => getExpandQuery(getRecordListFields(listSchema, primaryDisplayField)),
+    onRemoteChange: (event) => {
+      // Only flag changes made by someone else to the record being edited
+      if (editingRecordRef.current?.id === event.record.id) {
+        setRemoteChange(event);
+      }
+    },
+  });
 
-        const result = await crud.getList(collectionName, {
-          page: 1,
-          perPage,
-          sort: '-created',
-        });
-        if (cancelled) return;
+  const activeFilter = filter ?? collectionFilter;
 
-        setRecords(result.items);
-        setCurrentPage(result.page);
-        setTotalPages(result.totalPages);
-        setTotalItems(result.totalItems);
-      } catch (err) {
-        if (cancelled) return;
+  useEffect(() => {
+    setShowForm(false);
+    setEditingRecord(null);
+    setRemoteChange(null);
+    setActionNotice(null);
+  }, [collectionName, crud, perPage]);
 
-        // Ignore PocketBase auto-cancellation errors
-        const errorMessage = err instanceof Error ? err.message : '';
-        if (errorMessage.includes('autocancelled') || errorMessage.includes('aborted')) {
-          return;
-        }
+  useEffect(() => {
+    if (recordId === undefined || !collectionName) return;
 
-        setError(err instanceof Error ? err.message : 'Failed to load collection');
-      } finally {
-        if (!cancelled) {
-          setLoading(false);
-        }
+    if (!recordId) {
+      if (editingRecord) {
+        setShowForm(false);
+        setEditingRecord(null);
+        setRemoteChange(null);
       }
-    };
-
-    if (collectionName) {
-      loadCollection();
+      return;
     }
+    if (editingRecord?.id === recordId) return;
+
+    let cancelled = false;
+    crud
+      .getOne(collectionName, recordId)
+      .then((record) => {
+        if (cancelled) return;
+        setEditingRecord(record);
+        setRemoteChange(null);
+        setShowForm(true);
+      })
+      .catch((err) => {
+        if (cancelled || isAbortError(err)) return;
+        setActionNotice({ type: 'error', message: normalizeError(err).message });
+      });
 
     return () => {
       cancelled = true;
     };
-  }, [collectionName, crud, perPage]);
+  }, [crud, collectionName, recordId]);
+
+  // Viewing a record the update rule does not let the user change
+  const readOnly = Boolean(editingRecord) && !permissions.update;
 
-  const loadRecords = async (page = 1) => {
+  // Passwords are only required when creating auth records
+  const formSchema = useMemo(
+    () => (collection ? withAuthFields(collection, { isNew: !editingRecord }) : schema),
+    [collection, schema, editingRecord]
+  );
+
+  const handleRecordAction = async (actionId: string, record: Record<string, any>) => {
+    setActionNotice(null);
     try {
-      const result = await crud.getList(collectionName, {
-        page,
-        perPage,
-        sort: '-created',
-      });
-      setRecords(result.items);
-      setCurrentPage(result.page);
-      setTotalPages(result.totalPages);
-      setTotalItems(result.totalItems);
-    } catch (err) {
-      // Ignore PocketBase auto-cancellation errors
-      const errorMessage = err instanceof Error ? err.message : '';
-      if (errorMessage.includes('autocancelled') || errorMessage.includes('aborted')) {
-        return;
+      if (actionId === 'verify') {
+        await crud.requestVerification(collectionName, record.email);
+        setActionNotice({ type: 'success', message: `Verification email sent to ${record.email}.` });
+      } else if (actionId === 'reset-password') {
+        await crud.requestPasswordReset(collectionName, record.email);
+        setActionNotice({ type: 'success', message: `Password reset email sent to ${record.email}.` });
+      } else if (actionId === 'impersonate') {
+        const session = await crud.impersonate(collectionName, record.id);
+        if (onImpersonate) {
+          onImpersonate(session);
+        } else {
+          setActionNotice({
+            type: 'success',
+            message: `Token to act as ${record.email || record.id}:`,
+            token: session.token,
+          });
+        }
       }
-      setError(err instanceof Error ? err.message : 'Failed to load records');
+    } catch (err) {
+      setActionNotice({ type: 'error', message: normalizeError(err).message });
+    }
+  };
+
+  const handleFilterChange = (next: RecordFilterValues) => {
+    if (filter === undefined) {
+      setFilter(next);
     }
+    onFilterChange?.(next);
+  };
+
+  const handleSortChange = (next: string) => {
+    setSort(next);
+    onSortChange?.(next);
   };
 
   const handleCreateNew = () => {
+    if (editingRecord) onRecordChange?.(null);
     setEditingRecord(null);
+    setRemoteChange(null);
     setShowForm(true);
   };
 
   const handleEdit = (record: Record<string, any>) => {
+    onRecordChange?.(record.id);
     setEditingRecord(record);
+    setRemoteChange(null);
     setShowForm(true);
   };
 
@@ -151,38 +262,49 @@ export const CollectionManager: React.FC<CollectionManagerProps> = ({
       return;
     }
 
+    setActionNotice(null);
     try {
-      await crud.delete(collectionName, record.id);
-      await loadRecords(currentPage);
+      await deleteRecord(record.id);
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'Failed to delete record');
+      setActionNotice({ type: 'error', message: normalizeError(err).message });
     }
   };
 
-  const handleFormSubmit = async (formData: Record<string, any>) => {
+  const handleFormSubmit = async (formData: Record<string, any> | FormData) => {
     try {
       if (editingRecord) {
-        await crud.update(collectionName, editingRecord.id, formData);
+        await updateRecord(editingRecord.id, formData);
       } else {
-        await crud.create(collectionName, formData);
+        await createRecord(formData);
       }
 
+      if (editingRecord) onRecordChange?.(null);
       setShowForm(false);
       setEditingRecord(null);
-      await loadRecords(currentPage);
+      setRemoteChange(null);
     } catch (err) {
       console.error('Form submission error:', err);
-      setError(err instanceof Error ? err.message : 'Failed to save record');
+      // Rethrown so the form stays open and shows the server field errors
+      throw err;
     }
   };
 
   const handleFormCancel = () => {
+    if (editingRecord) onRecordChange?.(null);
     setShowForm(false);
     setEditingRecord(null);
+    setRemoteChange(null);
+  };
+
+  const handleLoadRemoteChange = () => {
+    if (remoteChange?.action === 'update') {
+      setEditingRecord(remoteChange.record);
+    }
+    setRemoteChange(null);
   };
 
   const handlePageChange = async (page: number) => {
-    await loadRecords(page);
+    await loadPage(page);
   };
 
   if (loading) {
@@ -200,11 +322,7 @@ export const CollectionManager: React.FC<CollectionManagerProps> = ({
   if (error) {
     return (
       <div className="pocketcrud-collection-manager">
-        {errorSlot ? (
-          errorSlot(error)
-        ) : (
-          <div className="pocketcrud-alert pocketcrud-alert-error">{error}</div>
-        )}
+        {errorSlot ? errorSlot(error) : <div className="pocketcrud-alert pocketcrud-alert-error">{error}</div>}
       </div>
     );
   }
@@ -214,6 +332,7 @@ export const CollectionManager: React.FC<CollectionManagerProps> = ({
       <div data-testid="collection-manager">
         <div className="mb-6 flex items-center justify-start">
           {!showForm &&
+            permissions.create &&
             (createButtonSlot ? (
               createButtonSlot(handleCreateNew)
             ) : (
@@ -231,21 +350,48 @@ export const CollectionManager: React.FC<CollectionManagerProps> = ({
         {showForm &&
           (formSlot ? (
             formSlot({
-              schema,
+              schema: formSchema,
               fieldOverrides,
               editingRecord,
+              remoteChange,
+              permissions,
               handleFormSubmit,
               handleFormCancel,
             })
           ) : (
             <div className="pocketcrud-card mb-6">
               <h3 className="mb-4 text-lg font-semibold">
-                {editingRecord ? 'Edit' : 'Create'} {collectionName}
+                {readOnly ? 'View' : editingRecord ? 'Edit' : 'Create'} {collectionName}
               </h3>
+              {remoteChange && (
+                <div
+                  className="pocketcrud-alert pocketcrud-alert-warning pc-realtime-notice"
+                  data-testid="remote-change-notice"
+                >
+                  <span>
+                    {remoteChange.action === 'delete'
+                      ? 'This record was deleted by someone else.'
+                      : 'This record was updated by someone else.'}
+                  </span>
+                  {remoteChange.action === 'update' && (
+                    <button type="button" onClick={handleLoadRemoteChange} className="pc-link">
+                      Load latest
+                    </button>
+                  )}
+                  <button type="button" onClick={() => setRemoteChange(null)} className="pc-link-secondary">
+                    Dismiss
+                  </button>
+                </div>
+              )}
               <DynamicForm
-                schema={schema}
+                crud={crud}
+                collectionName={collectionName}
+                schema={formSchema}
                 fieldOverrides={fieldOverrides}
                 initialData={editingRecord}
+                locale={locale}
+                timeZone={timeZone}
+                readOnly={readOnly}
                 onSubmit={handleFormSubmit}
                 onCancel={handleFormCancel}
               />
@@ -257,6 +403,9 @@ export const CollectionManager: React.FC<CollectionManagerProps> = ({
                       crud={crud}
                       config={config}
                       parentRecordId={editingRecord.id}
+                      realtime={realtime}
+                      locale={locale}
+                      timeZone={timeZone}
                     />
                   ))}
                 </div>
@@ -264,7 +413,43 @@ export const CollectionManager: React.FC<CollectionManagerProps> = ({
             </div>
           ))}
 
-        {recordsSlot ? (
+        {filterable && (
+          <FilterBar
+            schema={schema}
+            crud={crud}
+            value={activeFilter}
+            fields={filterFields}
+            onChange={handleFilterChange}
+          />
+        )}
+
+        {actionNotice && (
+          <div
+            className={`pocketcrud-alert pocketcrud-alert-${actionNotice.type} pc-action-notice mb-4`}
+            data-testid="record-action-notice"
+          >
+            <span>{actionNotice.message}</span>
+            {actionNotice.token && (
+              <input
+                type="text"
+                readOnly
+                value={actionNotice.token}
+                onFocus={(e) => e.target.select()}
+                aria-label="Impersonation token"
+                className="pocketcrud-input pc-token-input"
+              />
+            )}
+            <button type="button" onClick={() => setActionNotice(null)} className="pc-link-secondary">
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {!permissions.list ? (
+          <div className="pocketcrud-alert pocketcrud-alert-warning" data-testid="list-denied-notice">
+            Only superusers can list {collectionName} records.
+          </div>
+        ) : recordsSlot ? (
           recordsSlot({
             records,
             schema,
@@ -273,12 +458,18 @@ export const CollectionManager: React.FC<CollectionManagerProps> = ({
             totalItems,
             perPage,
             primaryDisplayField,
+            sort,
+            handleSortChange,
             handleEdit,
             handleDelete,
             handlePageChange,
+            recordActions,
+            handleRecordAction,
+            permissions,
           })
         ) : (
           <RecordList
+            crud={crud}
             records={records}
             schema={schema}
             currentPage={currentPage}
@@ -286,9 +477,19 @@ export const CollectionManager: React.FC<CollectionManagerProps> = ({
             totalItems={totalItems}
             perPage={perPage}
             primaryDisplayField={primaryDisplayField}
+            sort={sort}
+            onSortChange={handleSortChange}
+            locale={locale}
+            timeZone={timeZone}
             onEdit={handleEdit}
             onDelete={handleDelete}
             onPageChange={handlePageChange}
+            canEdit={permissions.update}
+            canDelete={permissions.delete}
+            actions={recordActions}
+            onAction={handleRecordAction}
+            relationLabelFields={relationLabelFields}
+            onRelationClick={onRelationClick}
           />
         )}
       </div>
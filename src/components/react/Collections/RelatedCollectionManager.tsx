@@ -1,10 +1,16 @@
 'use client';
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import DynamicForm from '../Records/DynamicForm';
 import RecordList from '../Records/RecordList';
 import type PocketCrud from '@utils/crud.js';
 import type { CollectionField, FieldOverrides } from '@utils/form-utils.js';
+import type { CollectionSchema } from '@utils/schema-utils.js';
+import { isAbortError, normalizeError } from '@utils/error-utils.js';
+import { getCollectionPermissions } from '@utils/rule-utils.js';
+import type { CollectionPermissions } from '@utils/rule-utils.js';
+import { applyRealtimeEvent, isRelatedTo } from '@utils/realtime-utils.js';
+import type { RealtimeEvent, RecordPage } from '@utils/realtime-utils.js';
 
 export interface RelatedCollectionConfig {
   collectionName: string;
@@ -19,22 +25,27 @@ export interface RelatedCollectionManagerProps {
   crud: PocketCrud;
   config: RelatedCollectionConfig;
   parentRecordId: string;
+  realtime?: boolean;
+  /** Locale of dates, defaults to the browser's */
+  locale?: string;
+  /** Time zone dates are shown and entered in, defaults to the browser's */
+  timeZone?: string;
 }
 
+// A default of its own on every render would reset the form
+const EMPTY_OVERRIDES: FieldOverrides = {};
+
 export const RelatedCollectionManager: React.FC<RelatedCollectionManagerProps> = ({
   crud,
   config,
   parentRecordId,
+  realtime = false,
+  locale,
+  timeZone,
 }) => {
-  const {
-    collectionName,
-    relationField,
-    label,
-    fieldOverrides = {},
-    primaryDisplayField,
-    perPage = 10,
-  } = config;
+  const { collectionName, relationField, label, fieldOverrides = EMPTY_OVERRIDES, primaryDisplayField, perPage = 10 } = config;
 
+  const [collection, setCollection] = useState<CollectionSchema | null>(null);
   const [filteredSchema, setFilteredSchema] = useState<CollectionField[]>([]);
   const [records, setRecords] = useState<Record<string, any>[]>([]);
   const [loading, setLoading] = useState(true);
@@ -44,6 +55,14 @@ export const RelatedCollectionManager: React.FC<RelatedCollectionManagerProps> =
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [totalItems, setTotalItems] = useState(0);
+  const [remoteChange, setRemoteChange] = useState<RealtimeEvent | null>(null);
+  const [deniedActions, setDeniedActions] = useState<(keyof CollectionPermissions)[]>([]);
+
+  const pageRef = useRef<RecordPage>({ records, currentPage, perPage, totalItems, totalPages });
+  pageRef.current = { records, currentPage, perPage, totalItems, totalPages };
+  const editingRecordRef = useRef(editingRecord);
+  editingRecordRef.current = editingRecord;
+  const pendingIdsRef = useRef<Set<string>>(new Set());
 
   useEffect(() => {
     let cancelled = false;
@@ -53,18 +72,24 @@ export const RelatedCollectionManager: React.FC<RelatedCollectionManagerProps> =
       setError('');
       setShowForm(false);
       setEditingRecord(null);
+      setDeniedActions([]);
 
       try {
-        const collectionSchema = await crud.getCollectionSchema(collectionName);
+        const loaded = await crud.getCollection(collectionName);
         if (cancelled) return;
 
-        setFilteredSchema(collectionSchema.filter((f) => f.name !== relationField));
+        setCollection(loaded);
+        setFilteredSchema(loaded.schema.filter((f) => f.name !== relationField));
+        if (!getCollectionPermissions(loaded, crud.currentUser).list) {
+          setRecords([]);
+          return;
+        }
 
         const result = await crud.getList(collectionName, {
           page: 1,
           perPage,
           sort: '-created',
-          filter: `${relationField} = '${parentRecordId}'`,
+          filter: { [relationField]: parentRecordId },
         });
         if (cancelled) return;
 
@@ -74,8 +99,11 @@ export const RelatedCollectionManager: React.FC<RelatedCollectionManagerProps> =
         setTotalItems(result.totalItems);
       } catch (err) {
         if (cancelled) return;
-        const errorMessage = err instanceof Error ? err.message : '';
-        if (errorMessage.includes('autocancelled') || errorMessage.includes('aborted')) return;
+        if (isAbortError(err)) return;
+        if (normalizeError(err).status === 403) {
+          setDeniedActions(['list']);
+          return;
+        }
         setError(err instanceof Error ? err.message : 'Failed to load related records');
       } finally {
         if (!cancelled) setLoading(false);
@@ -88,48 +116,123 @@ export const RelatedCollectionManager: React.FC<RelatedCollectionManagerProps> =
     };
   }, [collectionName, relationField, parentRecordId, crud, perPage]);
 
+  useEffect(() => {
+    if (!realtime) return;
+
+    let unsubscribe: (() => Promise<void>) | null = null;
+    let cancelled = false;
+
+    const handleRealtimeEvent = (event: RealtimeEvent) => {
+      const next = applyRealtimeEvent(pageRef.current, event, {
+        matches: (record) => isRelatedTo(record, relationField, parentRecordId),
+      });
+      pageRef.current = next;
+      setRecords(next.records);
+      setTotalItems(next.totalItems);
+      setTotalPages(next.totalPages);
+
+      if (editingRecordRef.current?.id === event.record.id && !pendingIdsRef.current.has(event.record.id)) {
+        setRemoteChange(event);
+      }
+    };
+
+    crud
+      .subscribe(collectionName, '*', handleRealtimeEvent)
+      .then((unsubscribeFn) => {
+        if (cancelled) {
+          unsubscribeFn();
+        } else {
+          unsubscribe = unsubscribeFn;
+        }
+      })
+      .catch((err) => {
+        console.error('Realtime subscription error:', err);
+      });
+
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+    };
+  }, [realtime, collectionName, relationField, parentRecordId, crud]);
+
+  const permissions = useMemo(() => {
+    const allowed: CollectionPermissions = collection
+      ? getCollectionPermissions(collection, crud.currentUser)
+      : { list: true, view: true, create: true, update: true, delete: true };
+    for (const action of deniedActions) {
+      allowed[action] = false;
+    }
+    return allowed;
+  }, [collection, crud, deniedActions]);
+
+  const denyAction = (action: keyof CollectionPermissions) => {
+    setDeniedActions((current) => (current.includes(action) ? current : [...current, action]));
+  };
+
+  const readOnly = Boolean(editingRecord) && !permissions.update;
+
   const loadRecords = async (page = 1) => {
+    if (!permissions.list) return;
+
     try {
       const result = await crud.getList(collectionName, {
         page,
         perPage,
         sort: '-created',
-        filter: `${relationField} = '${parentRecordId}'`,
+        filter: { [relationField]: parentRecordId },
       });
       setRecords(result.items);
       setCurrentPage(result.page);
       setTotalPages(result.totalPages);
       setTotalItems(result.totalItems);
     } catch (err) {
-      const errorMessage = err instanceof Error ? err.message : '';
-      if (errorMessage.includes('autocancelled') || errorMessage.includes('aborted')) return;
+      if (isAbortError(err)) return;
+      if (normalizeError(err).status === 403) {
+        denyAction('list');
+        return;
+      }
       setError(err instanceof Error ? err.message : 'Failed to load records');
     }
   };
 
   const handleCreateNew = () => {
     setEditingRecord(null);
+    setRemoteChange(null);
     setShowForm(true);
   };
 
   const handleEdit = (record: Record<string, any>) => {
     setEditingRecord(record);
+    setRemoteChange(null);
     setShowForm(true);
   };
 
   const handleDelete = async (record: Record<string, any>) => {
     if (!confirm(`Are you sure you want to delete this ${collectionName} record?`)) return;
+    pendingIdsRef.current.add(record.id);
     try {
       await crud.delete(collectionName, record.id);
       await loadRecords(currentPage);
     } catch (err) {
+      if (normalizeError(err).status === 403) denyAction('delete');
       setError(err instanceof Error ? err.message : 'Failed to delete record');
+    } finally {
+      pendingIdsRef.current.delete(record.id);
     }
   };
 
-  const handleFormSubmit = async (formData: Record<string, any>) => {
+  const handleFormSubmit = async (formData: Record<string, any> | FormData) => {
+    const editingId = editingRecord?.id;
+    if (editingId) pendingIdsRef.current.add(editingId);
+
     try {
-      const data = { ...formData, [relationField]: parentRecordId };
+      let data: Record<string, any> | FormData;
+      if (formData instanceof FormData) {
+        formData.set(relationField, parentRecordId);
+        data = formData;
+      } else {
+        data = { ...formData, [relationField]: parentRecordId };
+      }
       if (editingRecord) {
         await crud.update(collectionName, editingRecord.id, data);
       } else {
@@ -137,16 +240,29 @@ export const RelatedCollectionManager: React.FC<RelatedCollectionManagerProps> =
       }
       setShowForm(false);
       setEditingRecord(null);
+      setRemoteChange(null);
       await loadRecords(currentPage);
     } catch (err) {
+      if (normalizeError(err).status === 403) denyAction(editingRecord ? 'update' : 'create');
       console.error('Form submission error:', err);
-      setError(err instanceof Error ? err.message : 'Failed to save record');
+      // Rethrown so the form stays open and shows the server field errors
+      throw err;
+    } finally {
+      if (editingId) pendingIdsRef.current.delete(editingId);
     }
   };
 
   const handleFormCancel = () => {
     setShowForm(false);
     setEditingRecord(null);
+    setRemoteChange(null);
+  };
+
+  const handleLoadRemoteChange = () => {
+    if (remoteChange?.action === 'update') {
+      setEditingRecord(remoteChange.record);
+    }
+    setRemoteChange(null);
   };
 
   const displayLabel = label || collectionName;
@@ -163,13 +279,9 @@ export const RelatedCollectionManager: React.FC<RelatedCollectionManagerProps> =
         </div>
       ) : (
         <>
-          {!showForm && (
+          {!showForm && permissions.create && (
             <div className="mb-4">
-              <button
-                type="button"
-                onClick={handleCreateNew}
-                className="pocketcrud-btn pocketcrud-btn-secondary"
-              >
+              <button type="button" onClick={handleCreateNew} className="pocketcrud-btn pocketcrud-btn-secondary">
                 Add {displayLabel}
               </button>
             </div>
@@ -178,30 +290,63 @@ export const RelatedCollectionManager: React.FC<RelatedCollectionManagerProps> =
           {showForm && (
             <div className="pocketcrud-card mb-4">
               <h5 className="mb-3 text-sm font-semibold">
-                {editingRecord ? 'Edit' : 'Add'} {displayLabel}
+                {readOnly ? 'View' : editingRecord ? 'Edit' : 'Add'} {displayLabel}
               </h5>
+              {remoteChange && (
+                <div className="pocketcrud-alert pocketcrud-alert-warning pc-realtime-notice">
+                  <span>
+                    {remoteChange.action === 'delete'
+                      ? 'This record was deleted by someone else.'
+                      : 'This record was updated by someone else.'}
+                  </span>
+                  {remoteChange.action === 'update' && (
+                    <button type="button" onClick={handleLoadRemoteChange} className="pc-link">
+                      Load latest
+                    </button>
+                  )}
+                  <button type="button" onClick={() => setRemoteChange(null)} className="pc-link-secondary">
+                    Dismiss
+                  </button>
+                </div>
+              )}
               <DynamicForm
+                crud={crud}
+                collectionName={collectionName}
                 schema={filteredSchema}
                 fieldOverrides={fieldOverrides}
                 initialData={editingRecord}
+                locale={locale}
+                timeZone={timeZone}
+                readOnly={readOnly}
                 onSubmit={handleFormSubmit}
                 onCancel={handleFormCancel}
               />
             </div>
           )}
 
-          <RecordList
-            records={records}
-            schema={filteredSchema}
-            currentPage={currentPage}
-            totalPages={totalPages}
-            totalItems={totalItems}
-            perPage={perPage}
-            primaryDisplayField={primaryDisplayField}
-            onEdit={handleEdit}
-            onDelete={handleDelete}
-            onPageChange={loadRecords}
-          />
+          {permissions.list ? (
+            <RecordList
+              crud={crud}
+              records={records}
+              schema={filteredSchema}
+              currentPage={currentPage}
+              totalPages={totalPages}
+              totalItems={totalItems}
+              perPage={perPage}
+              primaryDisplayField={primaryDisplayField}
+              locale={locale}
+              timeZone={timeZone}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+              onPageChange={loadRecords}
+              canEdit={permissions.update}
+              canDelete={permissions.delete}
+            />
+          ) : (
+            <div className="pocketcrud-alert pocketcrud-alert-warning">
+              Only superusers can list {displayLabel} records.
+            </div>
+          )}
         </>
       )}
     </div>
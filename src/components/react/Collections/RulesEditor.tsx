@@ -0,0 +1,296 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import type { ValidationErrors } from '@utils/form-utils.js';
+import type { CollectionSchema } from '@utils/schema-utils.js';
+import { API_RULES, getRuleCompletions, lintRule } from '@utils/rule-utils.js';
+import type { CollectionRules, RuleName } from '@utils/rule-utils.js';
+import { normalizeError } from '@utils/error-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface RulesEditorProps {
+  crud: PocketCrud;
+  collectionName: string;
+  /** Called with the collection returned by the server after saving */
+  onSave?: (collection: CollectionSchema) => void;
+  onCancel?: () => void;
+  loadingSlot?: React.ReactNode;
+}
+
+interface CompletionState {
+  rule: RuleName;
+  from: number;
+  to: number;
+  options: string[];
+  active: number;
+}
+
+const getRules = (collection: CollectionSchema): CollectionRules =>
+  Object.fromEntries(API_RULES.map(({ name }) => [name, collection[name] ?? null]));
+
+export const RulesEditor: React.FC<RulesEditorProps> = ({ crud, collectionName, onSave, onCancel, loadingSlot }) => {
+  const [collection, setCollection] = useState<CollectionSchema | null>(null);
+  const [collections, setCollections] = useState<CollectionSchema[] | undefined>(undefined);
+  const [rules, setRules] = useState<CollectionRules>({});
+  const [completion, setCompletion] = useState<CompletionState | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState<ValidationErrors>({});
+  const inputRefs = useRef<Partial<Record<RuleName, HTMLTextAreaElement | null>>>({});
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadCollection = async () => {
+      setLoading(true);
+      setFormError('');
+      setFieldErrors({});
+      try {
+        const loaded = await crud.getCollection(collectionName);
+        if (cancelled) return;
+        setCollection(loaded);
+        setRules(getRules(loaded));
+      } catch (err) {
+        if (!cancelled) setFormError(normalizeError(err).message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+
+      // Other collections are only needed to check and complete references to them
+      try {
+        const all = await crud.getCollections();
+        if (!cancelled) setCollections(all);
+      } catch {
+        if (!cancelled) setCollections(undefined);
+      }
+    };
+
+    loadCollection();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [collectionName, crud]);
+
+  const context = collection ? { collection, collections } : null;
+  const availableRules = collection?.type === 'view' ? API_RULES.slice(0, 2) : API_RULES;
+
+  const clearRuleError = (name: RuleName) => {
+    if (!fieldErrors[name]) return;
+    setFieldErrors((prev) => {
+      const next = { ...prev };
+      delete next[name];
+      return next;
+    });
+  };
+
+  const setRule = (name: RuleName, value: string | null) => {
+    clearRuleError(name);
+    setRules((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const updateCompletion = (name: RuleName, value: string, position: number, force = false) => {
+    if (!context) return;
+    const result = getRuleCompletions(value, position, context);
+    // Suggestions open while typing a reference, or on Ctrl+Space
+    if (result.options.length > 0 && (force || result.from < position)) {
+      setCompletion({ rule: name, ...result, active: 0 });
+    } else {
+      setCompletion(null);
+    }
+  };
+
+  const applyCompletion = (option: string) => {
+    if (!completion) return;
+    const { rule: name, from, to } = completion;
+    const value = rules[name] || '';
+    const next = value.slice(0, from) + option + value.slice(to);
+    const caret = from + option.length;
+
+    setRule(name, next);
+    // Keep completing after `@request.`, `author.`, ...
+    updateCompletion(name, next, caret, option.endsWith('.'));
+    window.requestAnimationFrame(() => {
+      const input = inputRefs.current[name];
+      input?.focus();
+      input?.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleKeyDown = (name: RuleName, e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (e.key === ' ' && e.ctrlKey) {
+      e.preventDefault();
+      updateCompletion(name, e.currentTarget.value, e.currentTarget.selectionStart, true);
+      return;
+    }
+    if (completion?.rule !== name) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const count = completion.options.length;
+      setCompletion({ ...completion, active: (completion.active + step + count) % count });
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applyCompletion(completion.options[completion.active]);
+    } else if (e.key === 'Escape') {
+      setCompletion(null);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!collection) return;
+
+    setSaving(true);
+    setFormError('');
+    setFieldErrors({});
+    setCompletion(null);
+
+    try {
+      const saved = await crud.updateRules(collection.id, rules);
+      setCollection(saved);
+      setRules(getRules(saved));
+      onSave?.(saved);
+    } catch (err) {
+      const error = normalizeError(err);
+      setFormError(error.message);
+      setFieldErrors(error.fieldErrors);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="pocketcrud-rules-editor">
+        {loadingSlot || (
+          <div className="flex justify-center py-8">
+            <div className="h-6 w-6 animate-spin rounded-full border-b-2 border-gray-900"></div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (!collection || !context) {
+    return (
+      <div className="pocketcrud-rules-editor">
+        <div className="pocketcrud-alert pocketcrud-alert-error">{formError}</div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="pocketcrud-rules-editor space-y-4">
+      {formError && <div className="pocketcrud-alert pocketcrud-alert-error">{formError}</div>}
+
+      {availableRules.map(({ name, label, action }) => {
+        const value = rules[name] ?? null;
+        const locked = value === null;
+        const issues = lintRule(value, context);
+        const error = fieldErrors[name]?.message || issues[0]?.message;
+        const inputId = `pc-rule-${name}`;
+        const listId = `${inputId}-completions`;
+        const open = completion?.rule === name;
+
+        return (
+          <div key={name} className={`pc-rule${error ? ' pc-field-invalid' : ''}`}>
+            <div className="pc-rule-header">
+              <label htmlFor={inputId} className="pocketcrud-label">
+                {label} rule
+              </label>
+              <span className={`pc-rule-status pc-rule-status-${locked ? 'locked' : value ? 'custom' : 'public'}`}>
+                {locked ? 'Superusers only' : value ? 'Custom' : 'Public'}
+              </span>
+              <button type="button" onClick={() => setRule(name, locked ? '' : null)} className="pc-link">
+                {locked ? 'Unlock' : 'Lock'}
+              </button>
+            </div>
+
+            {locked ? (
+              <p id={inputId} className="pc-rule-hint">
+                Only superusers can {action}.
+              </p>
+            ) : (
+              <>
+                <div className="pc-rule-input">
+                  <textarea
+                    ref={(element) => {
+                      inputRefs.current[name] = element;
+                    }}
+                    id={inputId}
+                    value={value}
+                    onChange={(e) => {
+                      setRule(name, e.target.value);
+                      updateCompletion(name, e.target.value, e.target.selectionStart);
+                    }}
+                    onKeyDown={(e) => handleKeyDown(name, e)}
+                    onBlur={() => setCompletion(null)}
+                    rows={2}
+                    spellCheck={false}
+                    placeholder={'Leave empty to allow everyone, eg. @request.auth.id != ""'}
+                    role="combobox"
+                    aria-autocomplete="list"
+                    aria-expanded={open}
+                    aria-controls={listId}
+                    aria-activedescendant={open ? `${listId}-${completion.active}` : undefined}
+                    aria-invalid={error ? true : undefined}
+                    aria-describedby={error ? `${inputId}-error` : undefined}
+                    className="pocketcrud-textarea pc-rule-textarea"
+                  />
+                  {open && (
+                    <ul id={listId} role="listbox" className="pc-rule-completions">
+                      {completion.options.map((option, index) => (
+                        <li
+                          key={option}
+                          id={`${listId}-${index}`}
+                          role="option"
+                          aria-selected={index === completion.active}
+                          onMouseDown={(e) => {
+                            // Keep the focus in the textarea
+                            e.preventDefault();
+                            applyCompletion(option);
+                          }}
+                          className={`pc-rule-completion${index === completion.active ? ' pc-rule-completion-active' : ''}`}
+                        >
+                          {option}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+                {value === '' && <p className="pc-rule-hint">Anyone can {action}, including guests.</p>}
+                {error && (
+                  <p id={`${inputId}-error`} className="pc-field-error">
+                    {error}
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="flex space-x-3 pt-4">
+        <button type="submit" disabled={saving} className="pocketcrud-btn pocketcrud-btn-primary">
+          {saving ? 'Saving...' : 'Save rules'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="pocketcrud-btn pocketcrud-btn-secondary"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default RulesEditor;
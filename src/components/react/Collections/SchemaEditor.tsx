@@ -0,0 +1,573 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import type { CollectionField, ValidationErrors } from '@utils/form-utils.js';
+import {
+  FIELD_TYPES,
+  diffCollectionSchema,
+  getDefaultFieldOptions,
+  getFieldOptionDefinitions,
+} from '@utils/schema-utils.js';
+import type { CollectionSchema, FieldOptionDefinition, SchemaChange } from '@utils/schema-utils.js';
+import { normalizeError } from '@utils/error-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface SchemaEditorProps {
+  crud: PocketCrud;
+  /** Collection to edit, a new collection is created when omitted */
+  collectionName?: string;
+  /** Called with the collection returned by the server after saving */
+  onSave?: (collection: CollectionSchema) => void;
+  onCancel?: () => void;
+  loadingSlot?: React.ReactNode;
+}
+
+type CollectionType = CollectionSchema['type'];
+
+interface EditorField {
+  /** Stable key, new fields have no id yet */
+  key: string;
+  field: CollectionField;
+}
+
+const COLLECTION_TYPES: CollectionType[] = ['base', 'auth', 'view'];
+
+/**
+ * @param value Comma separated list
+ */
+const parseList = (value: string) =>
+  value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+export const SchemaEditor: React.FC<SchemaEditorProps> = ({ crud, collectionName, onSave, onCancel, loadingSlot }) => {
+  const [original, setOriginal] = useState<CollectionSchema | null>(null);
+  const [name, setName] = useState('');
+  const [type, setType] = useState<CollectionType>('base');
+  const [query, setQuery] = useState('');
+  const [fields, setFields] = useState<EditorField[]>([]);
+  const [indexes, setIndexes] = useState<string[]>([]);
+  // Text of list options while they are typed, so separators are not dropped
+  const [listText, setListText] = useState<Record<string, string>>({});
+  const [openOptions, setOpenOptions] = useState<string | null>(null);
+  const [collections, setCollections] = useState<CollectionSchema[]>([]);
+  const [pendingChanges, setPendingChanges] = useState<SchemaChange[] | null>(null);
+  const [loading, setLoading] = useState(Boolean(collectionName));
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState<ValidationErrors>({});
+  const nextKeyRef = useRef(0);
+
+  const createKey = () => `field-${nextKeyRef.current++}`;
+
+  const resetDraft = (collection: CollectionSchema | null) => {
+    setOriginal(collection);
+    setName(collection?.name || '');
+    setType(collection?.type || 'base');
+    setQuery(String(collection?.options?.query ?? ''));
+    setFields((collection?.schema || []).map((field) => ({ key: createKey(), field })));
+    setIndexes(collection?.indexes || []);
+    setListText({});
+    setOpenOptions(null);
+    setPendingChanges(null);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadCollection = async () => {
+      setLoading(true);
+      setFormError('');
+      try {
+        const collection = await crud.getCollection(collectionName as string);
+        if (!cancelled) resetDraft(collection);
+      } catch (err) {
+        if (!cancelled) setFormError(normalizeError(err).message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    if (collectionName) {
+      loadCollection();
+    } else {
+      resetDraft(null);
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [collectionName, crud]);
+
+  useEffect(() => {
+    let cancelled = false;
+    // Only used to pick relation targets, the editor works without them
+    crud
+      .getCollections()
+      .then((items) => {
+        if (!cancelled) setCollections(items);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [crud]);
+
+  // Option names of the server's format, new collections take it from the others
+  const schemaFormat = original?.format || collections[0]?.format;
+
+  const buildChanges = () => {
+    const options: Record<string, any> = { ...original?.options };
+    if (type === 'view') {
+      options.query = query;
+    } else {
+      delete options.query;
+    }
+
+    return {
+      name: name.trim(),
+      type,
+      // View fields are derived from the query by the server
+      schema: type === 'view' ? original?.schema || [] : fields.map((item) => item.field),
+      indexes: indexes.map((index) => index.trim()).filter(Boolean),
+      options,
+    };
+  };
+
+  const updateField = (key: string, changes: Partial<CollectionField>) => {
+    setFields((prev) =>
+      prev.map((item) => (item.key === key ? { ...item, field: { ...item.field, ...changes } } : item))
+    );
+  };
+
+  const updateOption = (key: string, option: string, value: unknown) => {
+    setFields((prev) =>
+      prev.map((item) =>
+        item.key === key
+          ? {
+              ...item,
+              field: { ...item.field, options: { ...item.field.options, [option]: value } },
+            }
+          : item
+      )
+    );
+  };
+
+  const handleTypeChange = (key: string, fieldType: string) => {
+    updateField(key, { type: fieldType, options: getDefaultFieldOptions(fieldType) });
+    setListText({});
+  };
+
+  const handleAddField = () => {
+    const key = createKey();
+    setFields((prev) => [
+      ...prev,
+      {
+        key,
+        field: {
+          id: '',
+          name: '',
+          type: 'text',
+          system: false,
+          required: false,
+          presentable: false,
+          options: getDefaultFieldOptions('text'),
+        },
+      },
+    ]);
+    setOpenOptions(null);
+  };
+
+  const handleRemoveField = (key: string) => {
+    setFields((prev) => prev.filter((item) => item.key !== key));
+  };
+
+  const applyChanges = async (changes: ReturnType<typeof buildChanges>) => {
+    setSaving(true);
+    setFormError('');
+    setFieldErrors({});
+
+    try {
+      const saved = original ? await crud.updateCollection(original.id, changes) : await crud.createCollection(changes);
+      resetDraft(saved);
+      onSave?.(saved);
+    } catch (err) {
+      const error = normalizeError(err);
+      setPendingChanges(null);
+      setFormError(error.message);
+      setFieldErrors(error.fieldErrors);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    const changes = buildChanges();
+
+    if (original) {
+      const diff = diffCollectionSchema(original, { ...original, ...changes });
+      if (diff.length === 0) {
+        onSave?.(original);
+        return;
+      }
+      // Changes that can lose data are applied after a confirmation
+      if (diff.some((change) => change.destructive)) {
+        setPendingChanges(diff);
+        return;
+      }
+    }
+
+    applyChanges(changes);
+  };
+
+  const renderOption = (item: EditorField, option: FieldOptionDefinition) => {
+    const id = `${item.key}-${option.name}`;
+    const options: Record<string, any> = item.field.options || {};
+    const value = options[option.name];
+
+    if (option.input === 'boolean') {
+      return (
+        <label key={option.name} className="pocketcrud-checkbox-label">
+          <input
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => updateOption(item.key, option.name, e.target.checked)}
+            className="mr-2"
+          />
+          {option.label}
+        </label>
+      );
+    }
+
+    let input: React.ReactNode;
+    if (option.input === 'collection') {
+      input = (
+        <select
+          id={id}
+          value={value || ''}
+          onChange={(e) => updateOption(item.key, option.name, e.target.value)}
+          className="pocketcrud-select"
+        >
+          <option value="">Select a collection</option>
+          {collections.map((collection) => (
+            <option key={collection.id} value={collection.id}>
+              {collection.name}
+            </option>
+          ))}
+        </select>
+      );
+    } else if (option.input === 'list') {
+      input = (
+        <input
+          id={id}
+          type="text"
+          value={listText[id] ?? (value || []).join(', ')}
+          onChange={(e) => {
+            setListText((prev) => ({ ...prev, [id]: e.target.value }));
+            updateOption(item.key, option.name, parseList(e.target.value));
+          }}
+          placeholder="Comma separated"
+          className="pocketcrud-input"
+        />
+      );
+    } else {
+      input = (
+        <input
+          id={id}
+          type={option.input}
+          value={value ?? ''}
+          onChange={(e) => {
+            const raw = e.target.value;
+            updateOption(item.key, option.name, option.input === 'number' ? (raw === '' ? null : Number(raw)) : raw);
+          }}
+          className="pocketcrud-input"
+        />
+      );
+    }
+
+    return (
+      <div key={option.name} className="flex flex-col">
+        <label htmlFor={id} className="pocketcrud-label">
+          {option.label}
+        </label>
+        {input}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="pocketcrud-schema-editor">
+        {loadingSlot || (
+          <div className="flex justify-center py-8">
+            <div className="h-6 w-6 animate-spin rounded-full border-b-2 border-gray-900"></div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (pendingChanges) {
+    return (
+      <div className="pocketcrud-schema-editor">
+        <div className="pc-schema-diff" role="alertdialog" aria-labelledby="pc-schema-diff-title">
+          <h3 id="pc-schema-diff-title" className="pc-schema-diff-title">
+            Confirm changes to {original?.name}
+          </h3>
+          <p>Some of these changes can delete data and cannot be undone.</p>
+          <ul className="pc-schema-changes">
+            {pendingChanges.map((change, index) => (
+              <li
+                key={index}
+                className={`pc-schema-change${change.destructive ? ' pc-schema-change-destructive' : ''}`}
+              >
+                {change.description}
+              </li>
+            ))}
+          </ul>
+          <div className="flex space-x-3 pt-4">
+            <button
+              type="button"
+              onClick={() => applyChanges(buildChanges())}
+              disabled={saving}
+              className="pocketcrud-btn pocketcrud-btn-danger"
+            >
+              {saving ? 'Applying...' : 'Apply changes'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setPendingChanges(null)}
+              disabled={saving}
+              className="pocketcrud-btn pocketcrud-btn-secondary"
+            >
+              Back
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Errors without an input of their own
+  const otherErrors = Object.entries(fieldErrors).filter(([key]) => key !== 'name');
+
+  return (
+    <form onSubmit={handleSubmit} className="pocketcrud-schema-editor space-y-4">
+      {(formError || otherErrors.length > 0) && (
+        <div className="pocketcrud-alert pocketcrud-alert-error">
+          <ul className="list-inside list-disc">
+            {formError && <li>{formError}</li>}
+            {otherErrors.map(([key, error]) => (
+              <li key={key}>
+                {key}: {error.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className={`flex flex-col${fieldErrors.name ? ' pc-field-invalid' : ''}`}>
+        <label htmlFor="pc-collection-name" className="pocketcrud-label">
+          Name
+          <span className="pc-field-required">*</span>
+        </label>
+        <input
+          id="pc-collection-name"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          required
+          disabled={original?.system}
+          aria-invalid={fieldErrors.name ? true : undefined}
+          className="pocketcrud-input"
+        />
+        {fieldErrors.name && <p className="pc-field-error">{fieldErrors.name.message}</p>}
+      </div>
+
+      <div className="flex flex-col">
+        <label htmlFor="pc-collection-type" className="pocketcrud-label">
+          Type
+        </label>
+        <select
+          id="pc-collection-type"
+          value={type}
+          onChange={(e) => setType(e.target.value as CollectionType)}
+          disabled={original?.system}
+          className="pocketcrud-select"
+        >
+          {COLLECTION_TYPES.map((collectionType) => (
+            <option key={collectionType} value={collectionType}>
+              {collectionType}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {type === 'view' ? (
+        <div className="flex flex-col">
+          <label htmlFor="pc-collection-query" className="pocketcrud-label">
+            Select query
+            <span className="pc-field-required">*</span>
+          </label>
+          <textarea
+            id="pc-collection-query"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            required
+            rows={6}
+            placeholder="SELECT id, title FROM posts"
+            className="pocketcrud-textarea pc-schema-query"
+          />
+          <p className="pc-file-hint">The fields of a view are read from its query.</p>
+        </div>
+      ) : (
+        <fieldset className="pc-schema-section">
+          <legend className="pocketcrud-label">Fields</legend>
+          <ul className="pc-schema-fields">
+            {fields.map((item) => {
+              const optionDefinitions = getFieldOptionDefinitions(item.field.type, schemaFormat);
+              const optionsOpen = openOptions === item.key;
+              const fieldLabel = item.field.name || 'new field';
+
+              return (
+                <li key={item.key} className="pc-schema-field">
+                  <div className="pc-schema-field-row">
+                    <input
+                      type="text"
+                      value={item.field.name}
+                      onChange={(e) => updateField(item.key, { name: e.target.value })}
+                      required
+                      disabled={item.field.system}
+                      placeholder="Field name"
+                      aria-label="Field name"
+                      className="pocketcrud-input"
+                    />
+                    <select
+                      value={item.field.type}
+                      onChange={(e) => handleTypeChange(item.key, e.target.value)}
+                      disabled={item.field.system}
+                      aria-label={`Type of ${fieldLabel}`}
+                      className="pocketcrud-select"
+                    >
+                      {!FIELD_TYPES.includes(item.field.type) && (
+                        <option value={item.field.type}>{item.field.type}</option>
+                      )}
+                      {FIELD_TYPES.map((fieldType) => (
+                        <option key={fieldType} value={fieldType}>
+                          {fieldType}
+                        </option>
+                      ))}
+                    </select>
+                    <label className="pocketcrud-checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={item.field.required}
+                        onChange={(e) => updateField(item.key, { required: e.target.checked })}
+                        disabled={item.field.system}
+                        className="mr-2"
+                      />
+                      Required
+                    </label>
+                    <label className="pocketcrud-checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={item.field.presentable}
+                        onChange={(e) => updateField(item.key, { presentable: e.target.checked })}
+                        disabled={item.field.system}
+                        className="mr-2"
+                      />
+                      Presentable
+                    </label>
+                    {optionDefinitions.length > 0 && !item.field.system && (
+                      <button
+                        type="button"
+                        onClick={() => setOpenOptions(optionsOpen ? null : item.key)}
+                        aria-expanded={optionsOpen}
+                        className="pc-link"
+                      >
+                        Options
+                      </button>
+                    )}
+                    {!item.field.system && (
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveField(item.key)}
+                        aria-label={`Remove ${fieldLabel}`}
+                        className="pc-action-btn pc-action-btn-delete"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                  {optionsOpen && (
+                    <div className="pc-schema-field-options">
+                      {optionDefinitions.map((option) => renderOption(item, option))}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          <button type="button" onClick={handleAddField} className="pocketcrud-btn pocketcrud-btn-secondary">
+            Add field
+          </button>
+        </fieldset>
+      )}
+
+      <fieldset className="pc-schema-section">
+        <legend className="pocketcrud-label">Indexes</legend>
+        <ul className="pc-schema-indexes">
+          {indexes.map((index, position) => (
+            <li key={position} className="pc-schema-field-row">
+              <input
+                type="text"
+                value={index}
+                onChange={(e) => setIndexes((prev) => prev.map((item, i) => (i === position ? e.target.value : item)))}
+                placeholder={`CREATE INDEX idx_${name || 'name'} ON ${name || 'collection'} (field)`}
+                aria-label={`Index ${position + 1}`}
+                className="pocketcrud-input"
+              />
+              <button
+                type="button"
+                onClick={() => setIndexes((prev) => prev.filter((_, i) => i !== position))}
+                aria-label={`Remove index ${position + 1}`}
+                className="pc-action-btn pc-action-btn-delete"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+        <button
+          type="button"
+          onClick={() => setIndexes((prev) => [...prev, ''])}
+          className="pocketcrud-btn pocketcrud-btn-secondary"
+        >
+          Add index
+        </button>
+      </fieldset>
+
+      <div className="flex space-x-3 pt-4">
+        <button type="submit" disabled={saving} className="pocketcrud-btn pocketcrud-btn-primary">
+          {saving ? 'Saving...' : original ? 'Save changes' : 'Create collection'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="pocketcrud-btn pocketcrud-btn-secondary"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default SchemaEditor;
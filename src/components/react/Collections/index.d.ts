@@ -1 +1,4 @@
 export { CollectionManager, type CollectionManagerProps } from './CollectionManager';
+export { SchemaEditor, type SchemaEditorProps } from './SchemaEditor';
+export { RulesEditor, type RulesEditorProps } from './RulesEditor';
+export { useCollection, type UseCollectionOptions, type UseCollectionResult } from './useCollection';
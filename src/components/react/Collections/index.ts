@@ -1,2 +1,5 @@
 export { CollectionManager, type CollectionManagerProps } from './CollectionManager';
 export { RelatedCollectionManager, type RelatedCollectionManagerProps, type RelatedCollectionConfig } from './RelatedCollectionManager';
+export { SchemaEditor, type SchemaEditorProps } from './SchemaEditor';
+export { RulesEditor, type RulesEditorProps } from './RulesEditor';
+export { useCollection, type UseCollectionOptions, type UseCollectionResult } from './useCollection';
@@ -0,0 +1,112 @@
+'use client';
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import { CollectionController } from '@utils/collection-utils.js';
+import type { CollectionControllerOptions, CollectionState } from '@utils/collection-utils.js';
+import type { RecordFilterValues } from '@utils/filter-utils.js';
+
+export interface UseCollectionOptions extends CollectionControllerOptions {
+  /** Keeps the records up to date with changes made elsewhere */
+  realtime?: boolean;
+}
+
+export interface UseCollectionResult extends CollectionState {
+  /** Loads the collection and the first page of its records again */
+  reload: () => Promise<void>;
+  loadPage: (page?: number) => Promise<void>;
+  setSort: (sort: string) => void;
+  setFilter: (filter: RecordFilterValues) => void;
+  /** Rejects with a `PocketCrudError` when the record could not be saved */
+  createRecord: (data: Record<string, any> | FormData) => Promise<Record<string, any>>;
+  /** Rejects with a `PocketCrudError` when the record could not be saved */
+  updateRecord: (id: string, data: Record<string, any> | FormData) => Promise<Record<string, any>>;
+  deleteRecord: (id: string) => Promise<void>;
+}
+
+/**
+ * Loads, pages, sorts, filters and edits the records of a collection for a
+ * custom UI, see `CollectionController`. `sort` and `filter` set the initial
+ * query; a `filter` that changes afterwards is applied too.
+ */
+export function useCollection(
+  crud: PocketCrud,
+  collectionName: string,
+  options: UseCollectionOptions = {}
+): UseCollectionResult {
+  const { perPage, sort, filter, filterFields, onRemoteChange, expand, timeZone, realtime = false } = options;
+
+  // Lets the controller call the latest callbacks without being recreated
+  const onRemoteChangeRef = useRef(onRemoteChange);
+  onRemoteChangeRef.current = onRemoteChange;
+  const expandRef = useRef(expand);
+  expandRef.current = expand;
+
+  const filterFieldsKey = JSON.stringify(filterFields ?? null);
+  const controller = useMemo(
+    () =>
+      new CollectionController(crud, collectionName, {
+        perPage,
+        sort,
+        filter,
+        filterFields,
+        timeZone,
+        onRemoteChange: (event) => onRemoteChangeRef.current?.(event),
+        // Read when the collection loads
+        expand: (schema) => {
+          const current = expandRef.current;
+          return typeof current === 'function' ? current(schema) : current ?? '';
+        },
+      }),
+    [crud, collectionName, perPage, filterFieldsKey, timeZone]
+  );
+
+  // State of a previous controller is not shown while the new one subscribes
+  const [snapshot, setSnapshot] = useState(() => ({ controller, state: controller.getState() }));
+  const state = snapshot.controller === controller ? snapshot.state : controller.getState();
+
+  useEffect(() => {
+    const unsubscribe = controller.subscribe((next) => setSnapshot({ controller, state: next }));
+    if (collectionName) {
+      controller.load();
+    }
+
+    return () => {
+      unsubscribe();
+      controller.disconnect();
+    };
+  }, [controller]);
+
+  useEffect(() => {
+    if (!realtime || !collectionName) return;
+
+    controller.setRealtime(true);
+    return () => {
+      controller.setRealtime(false);
+    };
+  }, [controller, realtime]);
+
+  const filterKey = JSON.stringify(filter ?? null);
+  useEffect(() => {
+    if (filter !== undefined) {
+      controller.setFilter(filter);
+    }
+  }, [controller, filterKey]);
+
+  const actions = useMemo(
+    () => ({
+      reload: () => controller.load(),
+      loadPage: (page?: number) => controller.loadPage(page),
+      setSort: (next: string) => controller.setSort(next),
+      setFilter: (next: RecordFilterValues) => controller.setFilter(next),
+      createRecord: (data: Record<string, any> | FormData) => controller.createRecord(data),
+      updateRecord: (id: string, data: Record<string, any> | FormData) => controller.updateRecord(id, data),
+      deleteRecord: (id: string) => controller.deleteRecord(id),
+    }),
+    [controller]
+  );
+
+  return { ...state, ...actions };
+}
+
+export default useCollection;
@@ -1,65 +1,95 @@
 'use client';
 
-import React, { FormEvent, useEffect, useState } from 'react';
-import {
-  getFormFields,
-  validateFormData,
-  prepareFormData,
-  formatDateForInput,
-} from '@utils/form-utils.js';
-import type { CollectionField, FieldOverrides, FormFieldConfig } from '@utils/form-utils.js';
+import React, { FormEvent, useEffect, useMemo, useRef, useState } from 'react';
+import { getFormFields, validateFormData, prepareFormData } from '@utils/form-utils.js';
+import type { CollectionField, FieldOverrides, FormFieldConfig, ValidationErrors } from '@utils/form-utils.js';
+import { getRecordImages, hasFileUploads, toFileFieldValue, toFormData } from '@utils/file-utils.js';
+import { normalizeError } from '@utils/error-utils.js';
+import { formatDateTime, toDateTimeInputValue } from '@utils/date-utils.js';
+import type PocketCrud from '@utils/crud.js';
+import RelationPicker from './RelationPicker';
+import FileInput from './FileInput';
+import RichTextEditor from './RichTextEditor';
+import type { RichTextEditorImage } from './RichTextEditor';
 import '../../styles/pocketcrud.css';
 
 export interface DynamicFormProps {
   schema: CollectionField[];
+  crud?: PocketCrud;
+  /** With `crud`, values of unique fields are checked against existing records */
+  collectionName?: string;
   initialData?: Record<string, any> | null;
   fieldOverrides?: FieldOverrides;
-  onSubmit: (data: Record<string, any>) => void | Promise<void>;
+  /** Locale of the record timestamps, defaults to the browser's */
+  locale?: string;
+  /** Time zone dates are entered and shown in, defaults to the browser's */
+  timeZone?: string;
+  /** Shows the record without saving, eg. when the update rule forbids editing */
+  readOnly?: boolean;
+  /**
+   * Receives `FormData` when files are uploaded. Rejecting keeps the form open
+   * and shows the field errors of the error next to their inputs.
+   */
+  onSubmit: (data: Record<string, any> | FormData) => void | Promise<void>;
   onCancel: () => void;
 }
 
 export const DynamicForm: React.FC<DynamicFormProps> = ({
   schema,
+  crud,
+  collectionName,
   initialData = null,
   fieldOverrides,
+  locale,
+  timeZone,
+  readOnly = false,
   onSubmit,
   onCancel,
 }) => {
   const [formFields, setFormFields] = useState<FormFieldConfig[]>([]);
   const [formData, setFormData] = useState<Record<string, any>>({});
-  const [errors, setErrors] = useState<string[]>([]);
+  const [fieldErrors, setFieldErrors] = useState<ValidationErrors>({});
+  const [formError, setFormError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const formRef = useRef<HTMLFormElement>(null);
+  const focusErrorRef = useRef(false);
 
   useEffect(() => {
-    const fields = getFormFields(schema, fieldOverrides);
-    setFormFields(fields);
-    initializeFormData(fields);
-  }, [schema, fieldOverrides, initialData]);
+    setFormFields(getFormFields(schema, fieldOverrides));
+  }, [schema, fieldOverrides]);
+
+  // Only a different record or schema resets the values, so re-renders of the host keep what was typed
+  useEffect(() => {
+    initializeFormData(getFormFields(schema, fieldOverrides));
+  }, [schema, initialData, timeZone]);
 
   const initializeFormData = (fields: FormFieldConfig[]) => {
     const data: Record<string, any> = {};
 
     fields.forEach((field) => {
-      if (initialData && initialData[field.name] !== undefined) {
+      if (field.type === 'file') {
+        data[field.name] = toFileFieldValue(initialData?.[field.name]);
+      } else if (initialData && initialData[field.name] !== undefined) {
         if (field.type === 'json' && typeof initialData[field.name] === 'object') {
           data[field.name] = JSON.stringify(initialData[field.name], null, 2);
         } else if (field.type === 'checkbox') {
           data[field.name] = Boolean(initialData[field.name]);
-        } else if (field.type === 'select' && field.multiple) {
+        } else if ((field.type === 'select' || field.type === 'relation') && field.multiple) {
           data[field.name] = Array.isArray(initialData[field.name])
             ? initialData[field.name]
             : initialData[field.name]
               ? [initialData[field.name]]
               : [];
-        } else if (field.type === 'date' && initialData[field.name]) {
-          data[field.name] = formatDateForInput(initialData[field.name]);
+        } else if (field.type === 'datetime-local' || field.type === 'date') {
+          const value = toDateTimeInputValue(initialData[field.name], timeZone);
+          data[field.name] = field.type === 'date' ? value.slice(0, 10) : value;
         } else {
           data[field.name] = initialData[field.name] || '';
         }
       } else {
         if (field.type === 'checkbox') {
           data[field.name] = false;
-        } else if (field.type === 'select' && field.multiple) {
+        } else if ((field.type === 'select' || field.type === 'relation') && field.multiple) {
           data[field.name] = [];
         } else {
           data[field.name] = '';
@@ -70,40 +100,63 @@ export const DynamicForm: React.FC<DynamicFormProps> = ({
     setFormData(data);
   };
 
+  // Saved images of the record can be inserted into editor fields
+  const editorImages = useMemo<RichTextEditorImage[]>(() => {
+    if (!crud || !initialData) return [];
+    return getRecordImages(initialData, schema).map(({ filename }) => ({
+      name: filename,
+      url: crud.getFileUrl(initialData, filename),
+      thumbUrl: crud.getFileUrl(initialData, filename, { thumb: '100x100' }),
+    }));
+  }, [crud, initialData, schema]);
+
+  // Move focus to the first invalid input after errors from a submit are rendered
+  useEffect(() => {
+    if (!focusErrorRef.current) return;
+    focusErrorRef.current = false;
+    formRef.current
+      ?.querySelector<HTMLElement>('.pc-field-invalid :is(input, select, textarea, [contenteditable], button)')
+      ?.focus();
+  }, [fieldErrors]);
+
+  const showFieldErrors = (errors: ValidationErrors) => {
+    focusErrorRef.current = true;
+    setFieldErrors(errors);
+  };
+
   const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
     e.preventDefault();
-    setErrors([]);
+    if (readOnly) return;
+    setFieldErrors({});
+    setFormError('');
 
-    const validationErrors = validateFormData(formData, schema);
-    if (validationErrors.length > 0) {
-      setErrors(validationErrors);
+    const validationErrors = validateFormData(formData, schema, { timeZone });
+    if (Object.keys(validationErrors).length > 0) {
+      showFieldErrors(validationErrors);
       return;
     }
 
     setIsSubmitting(true);
 
     try {
-      const cleanedData = { ...formData };
-
-      // Handle date fields
-      schema.forEach((field) => {
-        const value = cleanedData[field.name];
-
-        if (field.type === 'date' && value) {
-          if (typeof value === 'string') {
-            if (value.includes('T')) {
-              cleanedData[field.name] = value.split('T')[0];
-            } else if (value.includes(' ')) {
-              cleanedData[field.name] = value.split(' ')[0];
-            }
-          }
+      if (crud && collectionName) {
+        const uniqueErrors = await crud.validateUnique(collectionName, formData, initialData?.id);
+        if (Object.keys(uniqueErrors).length > 0) {
+          showFieldErrors(uniqueErrors);
+          return;
         }
-      });
+      }
 
-      const preparedData = prepareFormData(cleanedData, schema);
-      await onSubmit(preparedData);
+      // Dates are converted from the form's time zone to UTC
+      const preparedData = prepareFormData(formData, schema, { timeZone });
+      await onSubmit(hasFileUploads(preparedData) ? toFormData(preparedData, schema) : preparedData);
     } catch (err) {
-      setErrors([err instanceof Error ? err.message : 'An error occurred']);
+      const error = normalizeError(err);
+      if (Object.keys(error.fieldErrors).length > 0) {
+        showFieldErrors(error.fieldErrors);
+      } else {
+        setFormError(error.message);
+      }
     } finally {
       setIsSubmitting(false);
     }
@@ -113,7 +166,17 @@ export const DynamicForm: React.FC<DynamicFormProps> = ({
     onCancel();
   };
 
+  const clearFieldError = (fieldName: string) => {
+    if (!fieldErrors[fieldName]) return;
+    setFieldErrors((prev) => {
+      const next = { ...prev };
+      delete next[fieldName];
+      return next;
+    });
+  };
+
   const handleMultiSelectChange = (fieldName: string, value: string, checked: boolean) => {
+    clearFieldError(fieldName);
     setFormData((prev) => {
       const current = prev[fieldName] || [];
       if (checked) {
@@ -125,148 +188,240 @@ export const DynamicForm: React.FC<DynamicFormProps> = ({
   };
 
   const handleInputChange = (fieldName: string, value: any) => {
+    clearFieldError(fieldName);
     setFormData((prev) => ({ ...prev, [fieldName]: value }));
   };
 
+  // Screen readers announce the error below an input with the input
+  const errorProps = (name: string) =>
+    fieldErrors[name] ? { 'aria-invalid': true, 'aria-describedby': `${name}-error` } : {};
+
+  // Errors of fields without an input, eg. ones hidden by overrides
+  const otherErrors = Object.entries(fieldErrors).filter(([name]) => !formFields.some((field) => field.name === name));
+
   return (
-    <form onSubmit={handleSubmit} className="pocketcrud-dynamic-form space-y-4">
-      {errors.length > 0 && (
+    <form ref={formRef} onSubmit={handleSubmit} className="pocketcrud-dynamic-form space-y-4">
+      {(formError || otherErrors.length > 0) && (
         <div className="pocketcrud-alert pocketcrud-alert-error">
           <ul className="list-inside list-disc">
-            {errors.map((error, index) => (
-              <li key={index}>{error}</li>
+            {formError && <li>{formError}</li>}
+            {otherErrors.map(([name, error]) => (
+              <li key={name}>{error.message}</li>
             ))}
           </ul>
         </div>
       )}
 
-      {formFields.map((field) => (
-        <div key={field.name} className="flex flex-col">
-          <label htmlFor={field.name} className="pocketcrud-label">
-            {field.label}
-            {field.required && <span className="pc-field-required">*</span>}
-          </label>
-
-          {(field.type === 'textarea' || field.type === 'json') && (
-            <textarea
-              id={field.name}
-              name={field.name}
-              value={formData[field.name] || ''}
-              onChange={(e) => handleInputChange(field.name, e.target.value)}
-              placeholder={field.placeholder}
-              rows={field.rows || 3}
-              required={field.required}
-              className="pocketcrud-textarea"
-            />
+      {(initialData?.created || initialData?.updated) && (
+        <dl className="pc-record-timestamps">
+          {initialData.created && (
+            <div>
+              <dt>Created</dt>
+              <dd>{formatDateTime(initialData.created, { locale, timeZone })}</dd>
+            </div>
+          )}
+          {initialData.updated && (
+            <div>
+              <dt>Updated</dt>
+              <dd>{formatDateTime(initialData.updated, { locale, timeZone })}</dd>
+            </div>
           )}
+        </dl>
+      )}
 
-          {field.type === 'checkbox' && (
-            <label className="pocketcrud-checkbox-label">
-              <input
-                type="checkbox"
+      <fieldset disabled={readOnly} className="pc-form-fields space-y-4">
+        {formFields.map((field) => (
+          <div key={field.name} className={`flex flex-col${fieldErrors[field.name] ? ' pc-field-invalid' : ''}`}>
+            <label htmlFor={field.name} className="pocketcrud-label">
+              {field.label}
+              {field.required && <span className="pc-field-required">*</span>}
+            </label>
+
+            {(field.type === 'textarea' || field.type === 'json') && (
+              <textarea
                 id={field.name}
-                checked={formData[field.name] || false}
-                onChange={(e) => handleInputChange(field.name, e.target.checked)}
-                className="mr-2"
+                name={field.name}
+                value={formData[field.name] || ''}
+                onChange={(e) => handleInputChange(field.name, e.target.value)}
+                placeholder={field.placeholder}
+                rows={field.rows || 3}
+                required={field.required}
+                {...errorProps(field.name)}
+                className="pocketcrud-textarea"
               />
-              <span>Enable {field.label}</span>
-            </label>
-          )}
+            )}
 
-          {field.type === 'select' && field.multiple && (
-            <div className="pocketcrud-checkbox-container space-y-2">
-              {(field.options || []).map((option) => (
-                <label key={option} className="pocketcrud-checkbox-label">
-                  <input
-                    type="checkbox"
-                    checked={(formData[field.name] || []).includes(option)}
-                    onChange={(e) => handleMultiSelectChange(field.name, option, e.target.checked)}
-                    className="mr-2"
-                  />
-                  <span>{option}</span>
-                </label>
-              ))}
-            </div>
-          )}
+            {field.type === 'editor' && (
+              <RichTextEditor
+                id={field.name}
+                value={formData[field.name] || ''}
+                images={editorImages}
+                placeholder={field.placeholder}
+                rows={field.rows}
+                readOnly={readOnly}
+                errorId={fieldErrors[field.name] ? `${field.name}-error` : undefined}
+                onChange={(value) => handleInputChange(field.name, value)}
+              />
+            )}
 
-          {field.type === 'select' && !field.multiple && (
-            <select
-              id={field.name}
-              value={formData[field.name] || ''}
-              onChange={(e) => handleInputChange(field.name, e.target.value)}
-              required={field.required}
-              className="pocketcrud-select"
-            >
-              <option value="">Select an option</option>
-              {(field.options || []).map((option) => (
-                <option key={option} value={option}>
-                  {option}
-                </option>
-              ))}
-            </select>
-          )}
+            {field.type === 'checkbox' && (
+              <label className="pocketcrud-checkbox-label">
+                <input
+                  type="checkbox"
+                  id={field.name}
+                  checked={formData[field.name] || false}
+                  onChange={(e) => handleInputChange(field.name, e.target.checked)}
+                  {...errorProps(field.name)}
+                  className="mr-2"
+                />
+                <span>Enable {field.label}</span>
+              </label>
+            )}
 
-          {field.type === 'file' && (
-            <input
-              type="file"
-              id={field.name}
-              accept={field.accept}
-              multiple={field.multiple}
-              required={field.required}
-              className="pocketcrud-input"
-            />
-          )}
+            {field.type === 'select' && field.multiple && (
+              <div className="pocketcrud-checkbox-container space-y-2">
+                {(field.options || []).map((option) => (
+                  <label key={option} className="pocketcrud-checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={(formData[field.name] || []).includes(option)}
+                      onChange={(e) => handleMultiSelectChange(field.name, option, e.target.checked)}
+                      className="mr-2"
+                    />
+                    <span>{option}</span>
+                  </label>
+                ))}
+              </div>
+            )}
 
-          {field.type === 'date' && (
-            <input
-              type="date"
-              id={field.name}
-              name={field.name}
-              value={formData[field.name] || ''}
-              onChange={(e) => handleInputChange(field.name, e.target.value)}
-              required={field.required}
-              className="pocketcrud-input"
-            />
-          )}
+            {field.type === 'select' && !field.multiple && (
+              <select
+                id={field.name}
+                value={formData[field.name] || ''}
+                onChange={(e) => handleInputChange(field.name, e.target.value)}
+                required={field.required}
+                {...errorProps(field.name)}
+                className="pocketcrud-select"
+              >
+                <option value="">Select an option</option>
+                {(field.options || []).map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            )}
 
-          {field.type === 'number' && (
-            <input
-              type="number"
-              id={field.name}
-              name={field.name}
-              value={formData[field.name] || ''}
-              onChange={(e) => handleInputChange(field.name, e.target.value)}
-              placeholder={field.placeholder}
-              required={field.required}
-              className="pocketcrud-input"
-            />
-          )}
+            {field.type === 'relation' &&
+              (crud ? (
+                <RelationPicker
+                  crud={crud}
+                  field={field}
+                  value={formData[field.name] || (field.multiple ? [] : '')}
+                  onChange={(value) => handleInputChange(field.name, value)}
+                />
+              ) : (
+                <input
+                  type="text"
+                  id={field.name}
+                  name={field.name}
+                  value={
+                    Array.isArray(formData[field.name]) ? formData[field.name].join(', ') : formData[field.name] || ''
+                  }
+                  onChange={(e) =>
+                    handleInputChange(
+                      field.name,
+                      field.multiple
+                        ? e.target.value
+                            .split(',')
+                            .map((id) => id.trim())
+                            .filter(Boolean)
+                        : e.target.value
+                    )
+                  }
+                  placeholder="Record ID"
+                  required={field.required}
+                  {...errorProps(field.name)}
+                  className="pocketcrud-input"
+                />
+              ))}
+
+            {field.type === 'file' && (
+              <FileInput
+                field={field}
+                value={formData[field.name] || toFileFieldValue(null)}
+                crud={crud}
+                record={initialData}
+                onChange={(value) => handleInputChange(field.name, value)}
+              />
+            )}
 
-          {field.type !== 'textarea' &&
-            field.type !== 'json' &&
-            field.type !== 'checkbox' &&
-            field.type !== 'select' &&
-            field.type !== 'file' &&
-            field.type !== 'date' &&
-            field.type !== 'number' && (
+            {(field.type === 'datetime-local' || field.type === 'date') && (
               <input
                 type={field.type}
                 id={field.name}
                 name={field.name}
                 value={formData[field.name] || ''}
                 onChange={(e) => handleInputChange(field.name, e.target.value)}
+                step={field.step}
+                required={field.required}
+                {...errorProps(field.name)}
+                className="pocketcrud-input"
+              />
+            )}
+
+            {field.type === 'number' && (
+              <input
+                type="number"
+                id={field.name}
+                name={field.name}
+                value={formData[field.name] || ''}
+                onChange={(e) => handleInputChange(field.name, e.target.value)}
                 placeholder={field.placeholder}
                 required={field.required}
+                {...errorProps(field.name)}
                 className="pocketcrud-input"
               />
             )}
-        </div>
-      ))}
+
+            {field.type !== 'textarea' &&
+              field.type !== 'json' &&
+              field.type !== 'editor' &&
+              field.type !== 'checkbox' &&
+              field.type !== 'select' &&
+              field.type !== 'relation' &&
+              field.type !== 'file' &&
+              field.type !== 'datetime-local' &&
+              field.type !== 'date' &&
+              field.type !== 'number' && (
+                <input
+                  type={field.type}
+                  id={field.name}
+                  name={field.name}
+                  value={formData[field.name] || ''}
+                  onChange={(e) => handleInputChange(field.name, e.target.value)}
+                  placeholder={field.placeholder}
+                  required={field.required}
+                  {...errorProps(field.name)}
+                  className="pocketcrud-input"
+                />
+              )}
+
+            {fieldErrors[field.name] && (
+              <p id={`${field.name}-error`} className="pc-field-error">
+                {fieldErrors[field.name].message}
+              </p>
+            )}
+          </div>
+        ))}
+      </fieldset>
 
       <div className="flex space-x-3 pt-4">
-        <button type="submit" disabled={isSubmitting} className="pocketcrud-btn pocketcrud-btn-primary">
-          {isSubmitting ? 'Saving...' : initialData ? 'Update' : 'Create'}
-        </button>
+        {!readOnly && (
+          <button type="submit" disabled={isSubmitting} className="pocketcrud-btn pocketcrud-btn-primary">
+            {isSubmitting ? 'Saving...' : initialData ? 'Update' : 'Create'}
+          </button>
+        )}
 
         <button
           type="button"
@@ -274,7 +429,7 @@ export const DynamicForm: React.FC<DynamicFormProps> = ({
           disabled={isSubmitting}
           className="pocketcrud-btn pocketcrud-btn-secondary"
         >
-          Cancel
+          {readOnly ? 'Close' : 'Cancel'}
         </button>
       </div>
     </form>
@@ -0,0 +1,95 @@
+'use client';
+
+import React from 'react';
+import type PocketCrud from '@utils/crud.js';
+import type { FormFieldConfig } from '@utils/form-utils.js';
+import { addFiles, formatFileSize, isImageFile, removeFile } from '@utils/file-utils.js';
+import type { FileFieldValue } from '@utils/file-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface FileInputProps {
+  field: FormFieldConfig;
+  value: FileFieldValue;
+  crud?: PocketCrud;
+  record?: Record<string, any> | null;
+  onChange: (value: FileFieldValue) => void;
+}
+
+export const FileInput: React.FC<FileInputProps> = ({ field, value, crud, record, onChange }) => {
+  const multiple = Boolean(field.multiple);
+  const isFull = multiple && value.existing.length + value.added.length >= (field.maxSelect || 1);
+
+  const handleSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
+    onChange(addFiles(value, Array.from(e.target.files || []), multiple));
+    // Allow selecting the same file again after removing it
+    e.target.value = '';
+  };
+
+  const renderExisting = (filename: string) => {
+    if (!crud || !record?.id) {
+      return <span className="pc-file-name">{filename}</span>;
+    }
+
+    return (
+      <a href={crud.getFileUrl(record, filename)} target="_blank" rel="noopener noreferrer" className="pc-file-link">
+        {isImageFile(filename) && (
+          <img src={crud.getFileUrl(record, filename, { thumb: '100x100' })} alt="" className="pc-file-thumb" />
+        )}
+        <span className="pc-file-name">{filename}</span>
+      </a>
+    );
+  };
+
+  return (
+    <div className="pc-file-input">
+      {(value.existing.length > 0 || value.added.length > 0) && (
+        <ul className="pc-file-list">
+          {value.existing.map((filename) => (
+            <li key={filename} className="pc-file-item">
+              {renderExisting(filename)}
+              <button
+                type="button"
+                onClick={() => onChange(removeFile(value, filename))}
+                className="pc-link-secondary"
+                aria-label={`Remove ${filename}`}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+          {value.added.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="pc-file-item pc-file-item-new">
+              <span className="pc-file-name">{file.name}</span>
+              <span className="pc-file-size">{formatFileSize(file.size)}</span>
+              <button
+                type="button"
+                onClick={() => onChange(removeFile(value, file))}
+                className="pc-link-secondary"
+                aria-label={`Remove ${file.name}`}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {value.removed.length > 0 && (
+        <p className="pc-file-hint">{value.removed.length} file(s) will be deleted on save</p>
+      )}
+
+      <input
+        type="file"
+        id={field.name}
+        accept={field.accept}
+        multiple={multiple}
+        disabled={isFull}
+        onChange={handleSelect}
+        className="pocketcrud-input"
+      />
+      {field.maxSize && <p className="pc-file-hint">Max. {formatFileSize(field.maxSize)} per file</p>}
+    </div>
+  );
+};
+
+export default FileInput;
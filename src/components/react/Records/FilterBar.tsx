@@ -0,0 +1,187 @@
+'use client';
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import RelationPicker from './RelationPicker';
+import type PocketCrud from '@utils/crud.js';
+import type { CollectionField } from '@utils/form-utils.js';
+import { getFilterBarConfig, hasActiveFilter } from '@utils/filter-utils.js';
+import type { FilterBarControl, RecordFilterValues } from '@utils/filter-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface FilterBarProps {
+  schema: CollectionField[];
+  crud?: PocketCrud;
+  value?: RecordFilterValues;
+  fields?: string[];
+  debounce?: number;
+  onChange?: (value: RecordFilterValues) => void;
+}
+
+export const FilterBar: React.FC<FilterBarProps> = ({ schema, crud, value, fields, debounce = 300, onChange }) => {
+  const [internalValue, setInternalValue] = useState<RecordFilterValues>({});
+  const current = value ?? internalValue;
+  const [searchText, setSearchText] = useState(current.search || '');
+  // The debounced search must not overwrite controls changed while typing
+  const currentRef = useRef(current);
+  currentRef.current = current;
+
+  const config = useMemo(() => getFilterBarConfig(schema, fields), [schema, fields]);
+
+  // Keep the input in sync when the host app changes the filter
+  useEffect(() => {
+    setSearchText(current.search || '');
+  }, [current.search]);
+
+  const emit = (next: RecordFilterValues) => {
+    if (value === undefined) {
+      setInternalValue(next);
+    }
+    onChange?.(next);
+  };
+
+  useEffect(() => {
+    if (searchText === (currentRef.current.search || '')) return;
+
+    const timer = setTimeout(() => emit({ ...currentRef.current, search: searchText }), debounce);
+    return () => clearTimeout(timer);
+    // Only typing should restart the debounce
+  }, [searchText]);
+
+  const setFieldValue = (name: string, fieldValue: any) => {
+    emit({ ...current, fields: { ...current.fields, [name]: fieldValue } });
+  };
+
+  const handleClear = () => {
+    setSearchText('');
+    emit({});
+  };
+
+  const renderControl = (control: FilterBarControl) => {
+    const fieldValue = current.fields?.[control.name];
+    const id = `filter-${control.name}`;
+
+    switch (control.type) {
+      case 'select':
+        return (
+          <select
+            id={id}
+            value={fieldValue || ''}
+            onChange={(e) => setFieldValue(control.name, e.target.value)}
+            className="pocketcrud-input"
+          >
+            <option value="">Any</option>
+            {control.options?.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        );
+
+      case 'bool':
+        return (
+          <select
+            id={id}
+            value={fieldValue === undefined || fieldValue === '' ? '' : String(fieldValue)}
+            onChange={(e) => setFieldValue(control.name, e.target.value === '' ? '' : e.target.value === 'true')}
+            className="pocketcrud-input"
+          >
+            <option value="">Any</option>
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+          </select>
+        );
+
+      case 'date':
+        return (
+          <div className="pc-filter-range">
+            <input
+              type="date"
+              id={id}
+              value={fieldValue?.from || ''}
+              onChange={(e) => setFieldValue(control.name, { ...fieldValue, from: e.target.value })}
+              aria-label={`${control.label} from`}
+              className="pocketcrud-input"
+            />
+            <span>–</span>
+            <input
+              type="date"
+              value={fieldValue?.to || ''}
+              onChange={(e) => setFieldValue(control.name, { ...fieldValue, to: e.target.value })}
+              aria-label={`${control.label} to`}
+              className="pocketcrud-input"
+            />
+          </div>
+        );
+
+      case 'relation':
+        return crud ? (
+          <RelationPicker
+            crud={crud}
+            field={{
+              name: id,
+              label: control.label,
+              type: 'relation',
+              required: false,
+              placeholder: 'Search records',
+              collectionId: control.collectionId,
+              displayFields: control.displayFields,
+              multiple: false,
+            }}
+            value={fieldValue || ''}
+            onChange={(selected) => setFieldValue(control.name, selected)}
+          />
+        ) : (
+          <input
+            type="text"
+            id={id}
+            value={fieldValue || ''}
+            onChange={(e) => setFieldValue(control.name, e.target.value.trim())}
+            placeholder="Record ID"
+            className="pocketcrud-input"
+          />
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  if (config.searchFields.length === 0 && config.controls.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="pc-filter-bar" data-testid="filter-bar">
+      {config.searchFields.length > 0 && (
+        <div className="pc-filter-search">
+          <input
+            type="search"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Search"
+            aria-label="Search records"
+            className="pocketcrud-input"
+          />
+        </div>
+      )}
+
+      {config.controls.map((control) => (
+        <div key={control.name} className="pc-filter-control">
+          <label htmlFor={`filter-${control.name}`} className="pocketcrud-label">
+            {control.label}
+          </label>
+          {renderControl(control)}
+        </div>
+      ))}
+
+      {hasActiveFilter(current) && (
+        <button type="button" onClick={handleClear} className="pc-link-secondary pc-filter-clear">
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FilterBar;
@@ -1,10 +1,28 @@
 'use client';
 
 import React, { useMemo } from 'react';
-import { formatDateForDisplay } from '@utils/form-utils.js';
 import type { CollectionField } from '@utils/form-utils.js';
+import { formatDateTime } from '@utils/date-utils.js';
+import { stripHtml } from '@utils/html-utils.js';
+import { getRecordListFields, getRelationChips } from '@utils/record-utils.js';
+import type PocketCrud from '@utils/crud.js';
+import { getFileNames, isImageFile } from '@utils/file-utils.js';
+import { getSortState, isSortableField, parseSort, toggleSort } from '@utils/sort-utils.js';
 import '../../styles/pocketcrud.css';
 
+const EDIT_ICON =
+  'M200-200h57l391-391-57-57-391 391v57Zm-80 80v-170l528-527q12-11 26.5-17t30.5-6q16 0 31 6t26 18l55 56q12 11 17.5 26t5.5 30q0 16-5.5 30.5T817-647L290-120H120Zm640-584-56-56 56 56Zm-141 85-28-29 57 57-29-28Z';
+const VIEW_ICON =
+  'M480-320q75 0 127.5-52.5T660-500q0-75-52.5-127.5T480-680q-75 0-127.5 52.5T300-500q0 75 52.5 127.5T480-320Zm0-72q-45 0-76.5-31.5T372-500q0-45 31.5-76.5T480-608q45 0 76.5 31.5T588-500q0 45-31.5 76.5T480-392Zm0 192q-146 0-266-81.5T40-500q54-137 174-218.5T480-800q146 0 266 81.5T920-500q-54 137-174 218.5T480-200Zm0-300Zm0 220q113 0 207.5-59.5T832-500q-50-101-144.5-160.5T480-720q-113 0-207.5 59.5T128-500q50 101 144.5 160.5T480-280Z';
+
+/** Extra action offered next to edit and delete, eg. from `getAuthRecordActions` */
+export interface RecordAction {
+  id: string;
+  label: string;
+  /** Whether the action applies to the record, all records when not set */
+  isVisible?: (record: Record<string, any>) => boolean;
+}
+
 export interface RecordListProps {
   records: Record<string, any>[];
   schema: CollectionField[];
@@ -13,9 +31,28 @@ export interface RecordListProps {
   totalItems: number;
   perPage: number;
   primaryDisplayField?: string;
+  /** Enables file thumbnails and links */
+  crud?: PocketCrud;
+  sort?: string;
+  onSortChange?: (sort: string) => void;
+  /** Locale of dates, defaults to the browser's */
+  locale?: string;
+  /** Time zone of dates, defaults to the browser's */
+  timeZone?: string;
   onEdit: (record: Record<string, any>) => void;
   onDelete: (record: Record<string, any>) => void;
   onPageChange: (page: number) => void;
+  /** Offers viewing instead of editing when false, eg. when the update rule is locked */
+  canEdit?: boolean;
+  /** Hides the delete buttons when false */
+  canDelete?: boolean;
+  actions?: RecordAction[];
+  /** Called with the id of the clicked action */
+  onAction?: (actionId: string, record: Record<string, any>) => void;
+  /** Fields related records are labelled by, by relation field name, the relation's `displayFields` by default */
+  relationLabelFields?: Record<string, string[]>;
+  /** Called with the related record and the relation field when a relation chip is clicked, eg. to navigate to it */
+  onRelationClick?: (record: Record<string, any>, field: CollectionField) => void;
 }
 
 export const RecordList: React.FC<RecordListProps> = ({
@@ -26,30 +63,22 @@ export const RecordList: React.FC<RecordListProps> = ({
   totalItems,
   perPage,
   primaryDisplayField,
+  crud,
+  sort = '',
+  onSortChange,
+  locale,
+  timeZone,
   onEdit,
   onDelete,
   onPageChange,
+  canEdit = true,
+  canDelete = true,
+  actions = [],
+  onAction,
+  relationLabelFields = {},
+  onRelationClick,
 }) => {
-  const displayFields = useMemo(() => {
-    const fields: CollectionField[] = [];
-
-    if (primaryDisplayField) {
-      const primaryField = schema.find((f) => f.name === primaryDisplayField);
-      if (primaryField) {
-        fields.push(primaryField);
-      }
-    }
-
-    const otherFields = schema.filter(
-      (field) =>
-        (field.presentable || field.name === 'id' || field.name === 'created' || field.name === 'updated') &&
-        field.name !== primaryDisplayField
-    );
-
-    fields.push(...otherFields);
-
-    return fields.slice(0, 6);
-  }, [schema, primaryDisplayField]);
+  const displayFields = useMemo(() => getRecordListFields(schema, primaryDisplayField), [schema, primaryDisplayField]);
 
   const formatFieldValue = (value: any, field: CollectionField): string => {
     if (value === null || value === undefined) {
@@ -62,8 +91,9 @@ export const RecordList: React.FC<RecordListProps> = ({
 
       case 'date':
       case 'datetime':
+      case 'autodate':
         if (typeof value === 'string' || typeof value === 'number' || value instanceof Date) {
-          return formatDateForDisplay(String(value));
+          return formatDateTime(value, { locale, timeZone });
         }
         return String(value);
 
@@ -82,11 +112,8 @@ export const RecordList: React.FC<RecordListProps> = ({
         }
         return String(value);
 
-      case 'relation':
-        if (Array.isArray(value)) {
-          return `${value.length} relation(s)`;
-        }
-        return value ? '1 relation' : '';
+      case 'editor':
+        return stripHtml(String(value), 50);
 
       default: {
         const str = String(value);
@@ -95,6 +122,73 @@ export const RecordList: React.FC<RecordListProps> = ({
     }
   };
 
+  const renderFiles = (record: Record<string, any>, field: CollectionField) => {
+    const filenames = getFileNames(record[field.name]);
+    if (!crud || filenames.length === 0) {
+      return formatFieldValue(record[field.name], field);
+    }
+
+    return (
+      <span className="pc-file-cell">
+        {filenames.slice(0, 3).map((filename) => (
+          <a
+            key={filename}
+            href={crud.getFileUrl(record, filename)}
+            target="_blank"
+            rel="noopener noreferrer"
+            title={filename}
+            className="pc-file-link"
+          >
+            {isImageFile(filename) ? (
+              <img
+                src={crud.getFileUrl(record, filename, { thumb: '100x100' })}
+                alt={filename}
+                className="pc-file-thumb"
+              />
+            ) : (
+              <span className="pc-file-name">{filename}</span>
+            )}
+          </a>
+        ))}
+        {filenames.length > 3 && <span className="pc-file-more">+{filenames.length - 3}</span>}
+      </span>
+    );
+  };
+
+  const renderRelations = (record: Record<string, any>, field: CollectionField) => {
+    const { items, more } = getRelationChips(record, field, relationLabelFields[field.name]);
+    if (items.length === 0) {
+      return '';
+    }
+
+    return (
+      <span className="pc-relation-selected">
+        {items.map((item) => (
+          <button
+            key={item.id}
+            type="button"
+            onClick={() => onRelationClick?.(item.record, field)}
+            title={item.label}
+            className="pc-relation-chip pc-relation-chip-btn"
+          >
+            {item.label}
+          </button>
+        ))}
+        {more > 0 && <span className="pc-relation-more">+{more} more</span>}
+      </span>
+    );
+  };
+
+  const renderCell = (record: Record<string, any>, field: CollectionField) => {
+    if (field.type === 'file') {
+      return renderFiles(record, field);
+    }
+    if (field.type === 'relation') {
+      return renderRelations(record, field);
+    }
+    return formatFieldValue(record[field.name], field);
+  };
+
   const handleEdit = (record: Record<string, any>) => {
     onEdit(record);
   };
@@ -107,6 +201,58 @@ export const RecordList: React.FC<RecordListProps> = ({
     onPageChange(page);
   };
 
+  const editIcon = (
+    <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px">
+      <path d={canEdit ? EDIT_ICON : VIEW_ICON} />
+    </svg>
+  );
+
+  const renderActions = (record: Record<string, any>) =>
+    actions
+      .filter((action) => !action.isVisible || action.isVisible(record))
+      .map((action) => (
+        <button
+          key={action.id}
+          type="button"
+          onClick={() => onAction?.(action.id, record)}
+          className="pc-action-btn pc-action-btn-text"
+        >
+          {action.label}
+        </button>
+      ));
+
+  const sortCount = parseSort(sort).length;
+
+  const renderHeader = (field: CollectionField) => {
+    if (!onSortChange || !isSortableField(field)) {
+      return field.name;
+    }
+
+    const state = getSortState(sort, field.name);
+    return (
+      <button
+        type="button"
+        onClick={(e) => onSortChange(toggleSort(sort, field.name, e.shiftKey))}
+        title="Sort by this column, shift-click to sort by several columns"
+        className="pc-sort-btn"
+      >
+        {field.name}
+        {state && (
+          <span className="pc-sort-indicator">
+            {state.direction === 'asc' ? '▲' : '▼'}
+            {sortCount > 1 && state.position}
+          </span>
+        )}
+      </button>
+    );
+  };
+
+  const getAriaSort = (field: CollectionField) => {
+    const state = getSortState(sort, field.name);
+    if (!state) return undefined;
+    return state.direction === 'asc' ? 'ascending' : 'descending';
+  };
+
   const startItem = (currentPage - 1) * perPage + 1;
   const endItem = Math.min(currentPage * perPage, totalItems);
 
@@ -142,8 +288,8 @@ export const RecordList: React.FC<RecordListProps> = ({
           <thead className="pc-table-header">
             <tr>
               {displayFields.map((field) => (
-                <th key={field.id} className="pc-table-header-cell">
-                  {field.name}
+                <th key={field.id} className="pc-table-header-cell" aria-sort={getAriaSort(field)}>
+                  {renderHeader(field)}
                 </th>
               ))}
               <th className="pc-table-header-cell pc-table-actions-header">Actions</th>
@@ -155,24 +301,29 @@ export const RecordList: React.FC<RecordListProps> = ({
                 {displayFields.map((field) => (
                   <td key={field.id} className="pc-table-cell">
                     {field.name === primaryDisplayField ? (
-                      <span className="pc-table-primary">{formatFieldValue(record[field.name], field)}</span>
+                      <span className="pc-table-primary">{renderCell(record, field)}</span>
                     ) : (
-                      formatFieldValue(record[field.name], field)
+                      renderCell(record, field)
                     )}
                   </td>
                 ))}
                 <td className="pc-table-cell pc-table-actions">
                   <div className="flex justify-end space-x-2">
-                    <button onClick={() => handleEdit(record)} className="pc-action-btn pc-action-btn-edit">
-                      <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px">
-                        <path d="M200-200h57l391-391-57-57-391 391v57Zm-80 80v-170l528-527q12-11 26.5-17t30.5-6q16 0 31 6t26 18l55 56q12 11 17.5 26t5.5 30q0 16-5.5 30.5T817-647L290-120H120Zm640-584-56-56 56 56Zm-141 85-28-29 57 57-29-28Z" />
-                      </svg>
-                    </button>
-                    <button onClick={() => handleDelete(record)} className="pc-action-btn pc-action-btn-delete">
-                      <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px">
-                        <path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z" />
-                      </svg>
+                    {renderActions(record)}
+                    <button
+                      onClick={() => handleEdit(record)}
+                      title={canEdit ? 'Edit Record' : 'View Record'}
+                      className="pc-action-btn pc-action-btn-edit"
+                    >
+                      {editIcon}
                     </button>
+                    {canDelete && (
+                      <button onClick={() => handleDelete(record)} className="pc-action-btn pc-action-btn-delete">
+                        <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px">
+                          <path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z" />
+                        </svg>
+                      </button>
+                    )}
                   </div>
                 </td>
               </tr>
@@ -188,31 +339,32 @@ export const RecordList: React.FC<RecordListProps> = ({
             {displayFields.slice(0, 3).map((field) => (
               <div key={field.id} className="flex justify-between">
                 {field.name === primaryDisplayField ? (
-                  <span className="pc-table-primary">{formatFieldValue(record[field.name], field)}</span>
+                  <span className="pc-table-primary">{renderCell(record, field)}</span>
                 ) : (
-                  <span className="pc-mobile-card-text">{formatFieldValue(record[field.name], field)}</span>
+                  <span className="pc-mobile-card-text">{renderCell(record, field)}</span>
                 )}
               </div>
             ))}
-            <div className="mt-3 flex justify-end space-x-2">
+            <div className="mt-3 flex flex-wrap justify-end space-x-2">
+              {renderActions(record)}
               <button
-                title="Edit Record"
+                title={canEdit ? 'Edit Record' : 'View Record'}
                 onClick={() => handleEdit(record)}
                 className="pc-action-btn pc-action-btn-edit"
               >
-                <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px">
-                  <path d="M200-200h57l391-391-57-57-391 391v57Zm-80 80v-170l528-527q12-11 26.5-17t30.5-6q16 0 31 6t26 18l55 56q12 11 17.5 26t5.5 30q0 16-5.5 30.5T817-647L290-120H120Zm640-584-56-56 56 56Zm-141 85-28-29 57 57-29-28Z" />
-                </svg>
-              </button>
-              <button
-                title="Delete Record"
-                onClick={() => handleDelete(record)}
-                className="pc-action-btn pc-action-btn-delete"
-              >
-                <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px">
-                  <path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z" />
-                </svg>
+                {editIcon}
               </button>
+              {canDelete && (
+                <button
+                  title="Delete Record"
+                  onClick={() => handleDelete(record)}
+                  className="pc-action-btn pc-action-btn-delete"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px">
+                    <path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z" />
+                  </svg>
+                </button>
+              )}
             </div>
           </div>
         ))}
@@ -0,0 +1,263 @@
+'use client';
+
+import React, { useEffect, useMemo, useState } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import type { CollectionField } from '@utils/form-utils.js';
+import type { CollectionSchema, RecordReference, RelationOption } from '@utils/crud.js';
+import { formatAdminPath } from '@utils/admin-utils.js';
+import { formatDateTime } from '@utils/date-utils.js';
+import { isAbortError, normalizeError } from '@utils/error-utils.js';
+import { getFileNames, isImageFile } from '@utils/file-utils.js';
+import { isSafeUrl, sanitizeHtml } from '@utils/html-utils.js';
+import { formatJsonValue, getRecordViewFields } from '@utils/record-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface RecordViewProps {
+  crud: PocketCrud;
+  collectionName: string;
+  recordId: string;
+  /** Field shown as the title, the id when not set */
+  primaryDisplayField?: string;
+  /** Link to a related record, `#/collection/RECORD_ID` as used by `AdminApp` by default */
+  recordHref?: (collectionName: string, recordId: string) => string;
+  /** Lists the records of other collections that link to this one */
+  showBackReferences?: boolean;
+  /** Linking records listed per relation field */
+  backReferencesPerPage?: number;
+  /** Locale of dates, defaults to the browser's */
+  locale?: string;
+  /** Time zone of dates, defaults to the browser's */
+  timeZone?: string;
+}
+
+const defaultRecordHref = (collectionName: string, recordId: string) =>
+  `#${formatAdminPath({ collectionName, recordId })}`;
+
+export const RecordView: React.FC<RecordViewProps> = ({
+  crud,
+  collectionName,
+  recordId,
+  primaryDisplayField,
+  recordHref = defaultRecordHref,
+  showBackReferences = true,
+  backReferencesPerPage = 10,
+  locale,
+  timeZone,
+}) => {
+  const [collection, setCollection] = useState<CollectionSchema | null>(null);
+  const [record, setRecord] = useState<Record<string, any> | null>(null);
+  const [relations, setRelations] = useState<Record<string, RelationOption[]>>({});
+  const [references, setReferences] = useState<RecordReference[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [referencesLoading, setReferencesLoading] = useState(false);
+  const [referencesError, setReferencesError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError('');
+      setReferencesError('');
+      setReferences([]);
+
+      try {
+        const loaded = await crud.getRecordWithRelations(collectionName, recordId);
+        if (cancelled) return;
+        setCollection(loaded.collection);
+        setRecord(loaded.record);
+        setRelations(loaded.relations);
+      } catch (err) {
+        if (cancelled || isAbortError(err)) return;
+        setRecord(null);
+        setError(normalizeError(err).message);
+        return;
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+
+      if (!showBackReferences) return;
+      setReferencesLoading(true);
+      try {
+        const found = await crud.getBackReferences(collectionName, recordId, { perPage: backReferencesPerPage });
+        if (!cancelled) setReferences(found);
+      } catch (err) {
+        if (cancelled || isAbortError(err)) return;
+        setReferencesError(normalizeError(err).message);
+      } finally {
+        if (!cancelled) setReferencesLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [crud, collectionName, recordId, showBackReferences, backReferencesPerPage]);
+
+  const fields = useMemo(() => (collection ? getRecordViewFields(collection.schema) : []), [collection]);
+
+  const renderRelations = (options: RelationOption[]) => (
+    <span className="pc-relation-selected">
+      {options.map((option) =>
+        option.record.collectionName ? (
+          <a
+            key={option.id}
+            href={recordHref(option.record.collectionName, option.id)}
+            className="pc-relation-chip pc-relation-link"
+          >
+            {option.label}
+          </a>
+        ) : (
+          // Not expanded, eg. hidden by the view rule of the related collection
+          <span key={option.id} className="pc-relation-chip">
+            {option.label}
+          </span>
+        )
+      )}
+    </span>
+  );
+
+  const renderFiles = (current: Record<string, any>, filenames: string[]) => (
+    <span className="pc-file-cell">
+      {filenames.map((filename) => (
+        <a
+          key={filename}
+          href={crud.getFileUrl(current, filename)}
+          target="_blank"
+          rel="noopener noreferrer"
+          title={filename}
+          className="pc-file-link"
+        >
+          {isImageFile(filename) ? (
+            <img
+              src={crud.getFileUrl(current, filename, { thumb: '100x100' })}
+              alt={filename}
+              className="pc-file-thumb pc-record-view-thumb"
+            />
+          ) : (
+            <span className="pc-file-name">{filename}</span>
+          )}
+        </a>
+      ))}
+    </span>
+  );
+
+  const renderValue = (current: Record<string, any>, field: CollectionField) => {
+    const value = current[field.name];
+
+    switch (field.type) {
+      case 'bool':
+        return value ? 'Yes' : 'No';
+      case 'relation':
+        if (relations[field.name]?.length) return renderRelations(relations[field.name]);
+        break;
+      case 'file': {
+        const filenames = getFileNames(value);
+        if (filenames.length > 0) return renderFiles(current, filenames);
+        break;
+      }
+    }
+
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return <span className="pc-record-view-empty">—</span>;
+    }
+
+    switch (field.type) {
+      case 'date':
+      case 'datetime':
+      case 'autodate':
+        return formatDateTime(value, { locale, timeZone });
+      case 'json':
+        return <pre className="pc-record-view-json">{formatJsonValue(value)}</pre>;
+      case 'editor':
+        return (
+          <div className="pc-record-view-html" dangerouslySetInnerHTML={{ __html: sanitizeHtml(String(value)) }} />
+        );
+      case 'url':
+        return isSafeUrl(String(value)) ? (
+          <a href={String(value)} target="_blank" rel="noopener noreferrer" className="pc-link">
+            {String(value)}
+          </a>
+        ) : (
+          String(value)
+        );
+      case 'email':
+        return (
+          <a href={`mailto:${value}`} className="pc-link">
+            {String(value)}
+          </a>
+        );
+      case 'select':
+        return Array.isArray(value) ? value.join(', ') : String(value);
+      default:
+        return String(value);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="pocketcrud-record-view flex justify-center py-8">
+        <div className="h-6 w-6 animate-spin rounded-full border-b-2 border-gray-900"></div>
+      </div>
+    );
+  }
+
+  if (error || !record) {
+    return (
+      <div className="pocketcrud-record-view">
+        <div className="pocketcrud-alert pocketcrud-alert-error">{error || 'Record not found'}</div>
+      </div>
+    );
+  }
+
+  const title = (primaryDisplayField && record[primaryDisplayField]) || record.id;
+
+  return (
+    <div className="pocketcrud-record-view pocketcrud-card" data-testid="record-view">
+      <h2 className="pc-record-view-title">{String(title)}</h2>
+
+      <dl className="pc-record-view-fields">
+        {fields.map((field) => (
+          <div key={field.id} className="pc-record-view-field">
+            <dt className="pc-record-view-label">{field.name}</dt>
+            <dd className="pc-record-view-value">{renderValue(record, field)}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {showBackReferences && (
+        <section className="pc-record-view-references">
+          <h3 className="pc-record-view-subtitle">Linked from</h3>
+          {referencesLoading ? (
+            <div className="h-5 w-5 animate-spin rounded-full border-b-2 border-gray-900"></div>
+          ) : referencesError ? (
+            <div className="pocketcrud-alert pocketcrud-alert-error">{referencesError}</div>
+          ) : references.length === 0 ? (
+            <p className="pc-record-view-empty">No other records link to this one.</p>
+          ) : (
+            references.map((reference) => (
+              <div key={`${reference.collection.id}.${reference.field.name}`} className="pc-record-view-reference">
+                <h4 className="pc-record-view-reference-title">
+                  {reference.collection.name}.{reference.field.name}
+                </h4>
+                {renderRelations(
+                  reference.items.map((item) => ({
+                    ...item,
+                    record: { ...item.record, collectionName: reference.collection.name },
+                  }))
+                )}
+                {reference.totalItems > reference.items.length && (
+                  <span className="pc-file-more">and {reference.totalItems - reference.items.length} more</span>
+                )}
+              </div>
+            ))
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default RecordView;
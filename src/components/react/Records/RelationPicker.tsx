@@ -0,0 +1,223 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import type PocketCrud from '@utils/crud.js';
+import type { RelationOption } from '@utils/crud.js';
+import type { FormFieldConfig } from '@utils/form-utils.js';
+import { isAbortError } from '@utils/error-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface RelationPickerProps {
+  crud: PocketCrud;
+  field: FormFieldConfig;
+  value: string | string[];
+  perPage?: number;
+  onChange: (value: string | string[]) => void;
+}
+
+export const RelationPicker: React.FC<RelationPickerProps> = ({
+  crud,
+  field,
+  value,
+  perPage = 10,
+  onChange,
+}) => {
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [options, setOptions] = useState<RelationOption[]>([]);
+  const [labels, setLabels] = useState<Record<string, string>>({});
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isOpen, setIsOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const selectedIds = (Array.isArray(value) ? value : value ? [value] : []).filter(Boolean);
+  const limitReached = field.multiple && !!field.maxSelect && selectedIds.length >= field.maxSelect;
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(search);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    if (!isOpen || !field.collectionId) return;
+    let cancelled = false;
+
+    const loadOptions = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const result = await crud.getRelationOptions(field.collectionId as string, {
+          search: debouncedSearch,
+          page,
+          perPage,
+          displayFields: field.displayFields,
+        });
+        if (cancelled) return;
+
+        setOptions(result.items);
+        setTotalPages(Math.max(1, result.totalPages));
+        setLabels((prev) => ({
+          ...prev,
+          ...Object.fromEntries(result.items.map((option) => [option.id, option.label])),
+        }));
+      } catch (err) {
+        if (cancelled) return;
+        if (isAbortError(err)) return;
+        setError(err instanceof Error ? err.message : 'Failed to load records');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadOptions();
+    return () => {
+      cancelled = true;
+    };
+  }, [crud, field.collectionId, field.displayFields, debouncedSearch, page, perPage, isOpen]);
+
+  const unresolvedKey = selectedIds.filter((id) => labels[id] === undefined).join(',');
+
+  useEffect(() => {
+    if (!unresolvedKey || !field.collectionId) return;
+    let cancelled = false;
+
+    crud
+      .getRelationOptionsByIds(field.collectionId, unresolvedKey.split(','), field.displayFields)
+      .then((resolved) => {
+        if (cancelled) return;
+        setLabels((prev) => ({
+          ...prev,
+          ...Object.fromEntries(resolved.map((option) => [option.id, option.label])),
+        }));
+      })
+      .catch(() => {
+        // Fall back to showing the raw ids
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [crud, field.collectionId, field.displayFields, unresolvedKey]);
+
+  const handleToggle = (option: RelationOption) => {
+    if (!field.multiple) {
+      onChange(option.id === value ? '' : option.id);
+      setIsOpen(false);
+      return;
+    }
+
+    if (selectedIds.includes(option.id)) {
+      onChange(selectedIds.filter((id) => id !== option.id));
+    } else if (!limitReached) {
+      onChange([...selectedIds, option.id]);
+    }
+  };
+
+  const handleRemove = (id: string) => {
+    onChange(field.multiple ? selectedIds.filter((selectedId) => selectedId !== id) : '');
+  };
+
+  const hint =
+    field.multiple && (field.minSelect || field.maxSelect)
+      ? [
+          field.minSelect ? `at least ${field.minSelect}` : '',
+          field.maxSelect ? `at most ${field.maxSelect}` : '',
+        ]
+          .filter(Boolean)
+          .join(', ')
+      : '';
+
+  return (
+    <div className="pc-relation-picker">
+      {selectedIds.length > 0 && (
+        <div className="pc-relation-selected">
+          {selectedIds.map((id) => (
+            <span key={id} className="pc-relation-chip">
+              {labels[id] || id}
+              <button
+                type="button"
+                title="Remove"
+                onClick={() => handleRemove(id)}
+                className="pc-relation-chip-remove"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <input
+        type="search"
+        id={field.name}
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        onFocus={() => setIsOpen(true)}
+        placeholder={field.placeholder}
+        disabled={limitReached}
+        className="pocketcrud-input"
+        autoComplete="off"
+      />
+
+      {hint && <p className="pc-relation-hint">Select {hint}</p>}
+
+      {isOpen && (
+        <div className="pc-relation-dropdown">
+          {error && <div className="pocketcrud-alert pocketcrud-alert-error">{error}</div>}
+
+          {loading ? (
+            <div className="flex justify-center py-4">
+              <div className="pocketcrud-spinner"></div>
+            </div>
+          ) : options.length === 0 ? (
+            <p className="pc-relation-empty">No records found</p>
+          ) : (
+            <ul className="pc-relation-options">
+              {options.map((option) => (
+                <li key={option.id}>
+                  <button
+                    type="button"
+                    onClick={() => handleToggle(option)}
+                    disabled={limitReached && !selectedIds.includes(option.id)}
+                    className={`pc-relation-option ${selectedIds.includes(option.id) ? 'pc-relation-option-selected' : ''}`}
+                  >
+                    {option.label}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="pc-relation-footer">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1 || loading}
+              className="pc-pagination-btn pc-pagination-btn-first"
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= totalPages || loading}
+              className="pc-pagination-btn pc-pagination-btn-last"
+            >
+              Next
+            </button>
+            <button type="button" onClick={() => setIsOpen(false)} className="pc-link-secondary">
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RelationPicker;
@@ -0,0 +1,215 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import { escapeHtml, isEmptyHtml, isSafeUrl, sanitizeHtml } from '@utils/html-utils.js';
+import '../../styles/pocketcrud.css';
+
+export interface RichTextEditorImage {
+  name: string;
+  url: string;
+  thumbUrl?: string;
+}
+
+export interface RichTextEditorProps {
+  id?: string;
+  /** HTML content */
+  value: string;
+  /** Images that can be inserted, eg. the saved image files of the record */
+  images?: RichTextEditorImage[];
+  placeholder?: string;
+  /** Minimum height in lines */
+  rows?: number;
+  /** Shows the content without the toolbar */
+  readOnly?: boolean;
+  /** Id of the error shown for the content, which marks it invalid */
+  errorId?: string;
+  onChange: (html: string) => void;
+}
+
+const BLOCK_FORMATS = [
+  { label: 'Paragraph', tag: 'p' },
+  { label: 'Heading 2', tag: 'h2' },
+  { label: 'Heading 3', tag: 'h3' },
+];
+
+export const RichTextEditor: React.FC<RichTextEditorProps> = ({
+  id,
+  value,
+  images = [],
+  placeholder,
+  rows = 8,
+  readOnly = false,
+  errorId,
+  onChange,
+}) => {
+  const editorRef = useRef<HTMLDivElement>(null);
+  // Last HTML emitted, so our own changes do not reset the caret
+  const lastHtmlRef = useRef<string | null>(null);
+  const [showImages, setShowImages] = useState(false);
+
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || value === lastHtmlRef.current) return;
+    // Stored content is sanitized before it is rendered
+    editor.innerHTML = sanitizeHtml(value);
+    lastHtmlRef.current = value;
+  }, [value]);
+
+  const emitChange = () => {
+    const editor = editorRef.current;
+    if (!editor) return;
+    const html = isEmptyHtml(editor.innerHTML) ? '' : editor.innerHTML;
+    lastHtmlRef.current = html;
+    onChange(html);
+  };
+
+  const runCommand = (command: string, argument?: string) => {
+    editorRef.current?.focus();
+    document.execCommand(command, false, argument);
+    emitChange();
+  };
+
+  const handleLink = () => {
+    const url = window.prompt('Link URL (leave empty to remove the link)', 'https://');
+    if (url === null) return;
+    if (!url.trim()) {
+      runCommand('unlink');
+    } else if (isSafeUrl(url.trim())) {
+      runCommand('createLink', url.trim());
+    }
+  };
+
+  const handleInsertImage = (image: RichTextEditorImage) => {
+    setShowImages(false);
+    runCommand('insertHTML', `<img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.name)}">`);
+  };
+
+  const handlePaste = (e: React.ClipboardEvent<HTMLDivElement>) => {
+    e.preventDefault();
+    const html = e.clipboardData.getData('text/html');
+    if (html) {
+      document.execCommand('insertHTML', false, sanitizeHtml(html));
+    } else {
+      document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+    }
+    emitChange();
+  };
+
+  // Keep the selection in the editor while toolbar buttons are clicked
+  const keepSelection = (e: React.MouseEvent) => e.preventDefault();
+
+  return (
+    <div className="pc-rte">
+      {!readOnly && (
+        <div className="pc-rte-toolbar" role="toolbar" aria-label="Formatting">
+          <button
+            type="button"
+            onMouseDown={keepSelection}
+            onClick={() => runCommand('bold')}
+            className="pc-rte-btn"
+            aria-label="Bold"
+          >
+            <strong>B</strong>
+          </button>
+          <button
+            type="button"
+            onMouseDown={keepSelection}
+            onClick={() => runCommand('italic')}
+            className="pc-rte-btn"
+            aria-label="Italic"
+          >
+            <em>I</em>
+          </button>
+          {BLOCK_FORMATS.map((format) => (
+            <button
+              key={format.tag}
+              type="button"
+              onMouseDown={keepSelection}
+              onClick={() => runCommand('formatBlock', `<${format.tag}>`)}
+              className="pc-rte-btn"
+              aria-label={format.label}
+            >
+              {format.tag === 'p' ? '¶' : format.tag.toUpperCase()}
+            </button>
+          ))}
+          <button
+            type="button"
+            onMouseDown={keepSelection}
+            onClick={() => runCommand('insertUnorderedList')}
+            className="pc-rte-btn"
+            aria-label="Bulleted list"
+          >
+            •
+          </button>
+          <button
+            type="button"
+            onMouseDown={keepSelection}
+            onClick={() => runCommand('insertOrderedList')}
+            className="pc-rte-btn"
+            aria-label="Numbered list"
+          >
+            1.
+          </button>
+          <button
+            type="button"
+            onMouseDown={keepSelection}
+            onClick={handleLink}
+            className="pc-rte-btn"
+            aria-label="Link"
+          >
+            Link
+          </button>
+          <button
+            type="button"
+            onMouseDown={keepSelection}
+            onClick={() => setShowImages((prev) => !prev)}
+            disabled={images.length === 0}
+            title={images.length === 0 ? 'Save images to a file field of this record to insert them' : undefined}
+            className="pc-rte-btn"
+            aria-label="Insert image"
+            aria-expanded={showImages}
+          >
+            Image
+          </button>
+        </div>
+      )}
+
+      {showImages && images.length > 0 && (
+        <ul className="pc-rte-images">
+          {images.map((image) => (
+            <li key={image.url}>
+              <button
+                type="button"
+                onMouseDown={keepSelection}
+                onClick={() => handleInsertImage(image)}
+                className="pc-rte-image"
+                title={image.name}
+              >
+                <img src={image.thumbUrl || image.url} alt={image.name} className="pc-file-thumb" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div
+        ref={editorRef}
+        id={id}
+        contentEditable={!readOnly}
+        suppressContentEditableWarning
+        role="textbox"
+        aria-multiline="true"
+        aria-readonly={readOnly || undefined}
+        aria-invalid={errorId ? true : undefined}
+        aria-describedby={errorId}
+        data-placeholder={placeholder}
+        onInput={emitChange}
+        onPaste={handlePaste}
+        className="pc-rte-content"
+        style={{ minHeight: `${rows * 1.5}em` }}
+      />
+    </div>
+  );
+};
+
+export default RichTextEditor;
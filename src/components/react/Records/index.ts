@@ -1,2 +1,7 @@
 export { DynamicForm, type DynamicFormProps } from './DynamicForm';
-export { RecordList, type RecordListProps } from './RecordList';
+export { RecordList, type RecordListProps, type RecordAction } from './RecordList';
+export { RecordView, type RecordViewProps } from './RecordView';
+export { RelationPicker, type RelationPickerProps } from './RelationPicker';
+export { FilterBar, type FilterBarProps } from './FilterBar';
+export { FileInput, type FileInputProps } from './FileInput';
+export { RichTextEditor, type RichTextEditorProps, type RichTextEditorImage } from './RichTextEditor';
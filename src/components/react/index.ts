@@ -1,11 +1,53 @@
+// Admin shell
+export { AdminApp } from './Admin';
+export type { AdminAppProps } from './Admin';
+
 // Auth components
-export { LoginForm, SetupForm } from './Auth';
-export type { LoginFormProps, SetupFormProps } from './Auth';
+export {
+  LoginForm,
+  SetupForm,
+  RequestPasswordResetForm,
+  ConfirmPasswordResetForm,
+  VerifyEmailForm,
+  ChangeEmailForm,
+} from './Auth';
+export type {
+  LoginFormProps,
+  SetupFormProps,
+  RequestPasswordResetFormProps,
+  ConfirmPasswordResetFormProps,
+  VerifyEmailFormProps,
+  ChangeEmailFormProps,
+} from './Auth';
 
 // Collection components
-export { CollectionManager } from './Collections';
-export type { CollectionManagerProps } from './Collections';
+export { CollectionManager, SchemaEditor, RulesEditor, useCollection } from './Collections';
+export type {
+  CollectionManagerProps,
+  SchemaEditorProps,
+  RulesEditorProps,
+  UseCollectionOptions,
+  UseCollectionResult,
+} from './Collections';
 
 // Record components
-export { DynamicForm, RecordList } from './Records';
-export type { DynamicFormProps, RecordListProps } from './Records';
+export {
+  DynamicForm,
+  RecordList,
+  RecordView,
+  RelationPicker,
+  FilterBar,
+  FileInput,
+  RichTextEditor,
+} from './Records';
+export type {
+  DynamicFormProps,
+  RecordListProps,
+  RecordAction,
+  RecordViewProps,
+  RelationPickerProps,
+  FilterBarProps,
+  FileInputProps,
+  RichTextEditorProps,
+  RichTextEditorImage,
+} from './Records';
@@ -0,0 +1 @@
+export { default as AdminApp } from './AdminApp.svelte';
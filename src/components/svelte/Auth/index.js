@@ -1,2 +1,6 @@
 export { default as LoginForm } from './LoginForm.svelte';
 export { default as SetupForm } from './SetupForm.svelte';
+export { default as RequestPasswordResetForm } from './RequestPasswordResetForm.svelte';
+export { default as ConfirmPasswordResetForm } from './ConfirmPasswordResetForm.svelte';
+export { default as VerifyEmailForm } from './VerifyEmailForm.svelte';
+export { default as ChangeEmailForm } from './ChangeEmailForm.svelte';
@@ -0,0 +1,59 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { cleanup, fireEvent, render, screen, waitFor } from '@testing-library/svelte';
+import { tick } from 'svelte';
+import CollectionManager from './CollectionManager.svelte';
+
+const schema = [
+  { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+];
+
+const posts = [
+  { id: 'r1', title: 'First post', created: '2024-01-01 10:00:00.000Z' },
+  { id: 'r2', title: 'Second post', created: '2024-01-02 10:00:00.000Z' },
+];
+
+function createMockCrud() {
+  return {
+    currentUser: { id: 'admin1', isAdmin: true },
+    getCollection: vi.fn().mockResolvedValue({ name: 'posts', type: 'base', schema }),
+    getList: vi.fn().mockResolvedValue({
+      items: posts,
+      page: 1,
+      perPage: 20,
+      totalItems: 2,
+      totalPages: 1,
+    }),
+    create: vi.fn().mockResolvedValue({ id: 'r3', title: 'New post' }),
+    update: vi.fn().mockResolvedValue({}),
+    delete: vi.fn().mockResolvedValue(true),
+    validateUnique: vi.fn().mockResolvedValue({}),
+    subscribe: vi.fn().mockResolvedValue(vi.fn()),
+    getRelationLabelFields: vi.fn().mockResolvedValue(['id']),
+  };
+}
+
+describe('CollectionManager (Svelte)', () => {
+  afterEach(() => {
+    cleanup();
+  });
+
+  it('should keep what was typed when another record changes in realtime', async () => {
+    const crud = createMockCrud();
+    render(CollectionManager, { props: { crud, collectionName: 'posts', realtime: true } });
+
+    await fireEvent.click(await screen.findByTestId('create-new-button'));
+    const input = /** @type {HTMLInputElement} */ (screen.getByLabelText(/title/i));
+    await fireEvent.input(input, { target: { value: 'my draft' } });
+    await waitFor(() => expect(crud.subscribe).toHaveBeenCalled());
+
+    const callback = crud.subscribe.mock.calls[0][2];
+    callback({ action: 'update', record: { id: 'r2', title: 'Changed elsewhere' } });
+    await tick();
+
+    expect(screen.getAllByText('Changed elsewhere').length).toBeGreaterThan(0);
+    expect(/** @type {HTMLInputElement} */ (screen.getByLabelText(/title/i)).value).toBe(
+      'my draft'
+    );
+  });
+});
@@ -0,0 +1,73 @@
+import { readable } from 'svelte/store';
+import { CollectionController } from '../../../utils/collection-utils.js';
+
+/**
+ * @typedef {import('../../../utils/collection-utils.js').CollectionState} CollectionState
+ * @typedef {import('../../../utils/collection-utils.js').CollectionControllerOptions & {
+ *   realtime?: boolean
+ * }} CollectionStoreOptions
+ */
+
+/**
+ * Loads, pages, sorts, filters and edits the records of a collection for a
+ * custom UI, see `CollectionController`. The collection loads when the store
+ * gets its first subscriber, and requests in flight and realtime updates stop
+ * with the last one.
+ *
+ * @param {import('../../../utils/crud.js').default} crud
+ * @param {string} collectionName
+ * @param {CollectionStoreOptions} [options]
+ */
+export function createCollectionStore(crud, collectionName, options = {}) {
+  const controller = new CollectionController(crud, collectionName, options);
+  let realtime = options.realtime ?? false;
+  let started = false;
+
+  /** @type {import('svelte/store').Readable<CollectionState>} */
+  const { subscribe } = readable(controller.getState(), set => {
+    started = true;
+    const unsubscribe = controller.subscribe(set);
+    if (collectionName) {
+      controller.load();
+      if (realtime) controller.setRealtime(true);
+    }
+
+    return () => {
+      started = false;
+      unsubscribe();
+      controller.disconnect();
+    };
+  });
+
+  return {
+    subscribe,
+    /** Loads the collection and the first page of its records again */
+    reload: () => controller.load(),
+    /** @param {number} [page] */
+    loadPage: page => controller.loadPage(page),
+    /** @param {string} sort */
+    setSort: sort => controller.setSort(sort),
+    /** @param {import('../../../utils/filter-utils.js').RecordFilterValues} filter */
+    setFilter: filter => controller.setFilter(filter),
+    /** @param {Record<string, any> | FormData} data */
+    createRecord: data => controller.createRecord(data),
+    /**
+     * @param {string} id
+     * @param {Record<string, any> | FormData} data
+     */
+    updateRecord: (id, data) => controller.updateRecord(id, data),
+    /** @param {string} id */
+    deleteRecord: id => controller.deleteRecord(id),
+    /**
+     * Keeps the records up to date with changes made elsewhere while the
+     * store has subscribers.
+     *
+     * @param {boolean} enabled
+     */
+    setRealtime: enabled => {
+      if (enabled === realtime) return;
+      realtime = enabled;
+      if (started && collectionName) controller.setRealtime(enabled);
+    },
+  };
+}
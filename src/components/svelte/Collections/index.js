@@ -1,2 +1,5 @@
 export { default as CollectionManager } from './CollectionManager.svelte';
 export { default as RelatedCollectionManager } from './RelatedCollectionManager.svelte';
+export { default as SchemaEditor } from './SchemaEditor.svelte';
+export { default as RulesEditor } from './RulesEditor.svelte';
+export { createCollectionStore } from './collection-store.js';
@@ -1,2 +1,7 @@
 export { default as RecordList } from './RecordList.svelte';
+export { default as RecordView } from './RecordView.svelte';
 export { default as DynamicForm } from './DynamicForm.svelte';
+export { default as RelationPicker } from './RelationPicker.svelte';
+export { default as FilterBar } from './FilterBar.svelte';
+export { default as FileInput } from './FileInput.svelte';
+export { default as RichTextEditor } from './RichTextEditor.svelte';
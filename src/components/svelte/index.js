@@ -1,3 +1,4 @@
+export * from './Admin/index.js';
 export * from './Auth/index.js';
 export * from './Collections/index.js';
 export * from './Records/index.js';
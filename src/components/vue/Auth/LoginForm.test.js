@@ -0,0 +1,97 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest';
+import { flushPromises, mount } from '@vue/test-utils';
+import LoginForm from './LoginForm.vue';
+
+/**
+ * @param {Record<string, any>} [overrides]
+ */
+function createMockCrud(overrides = {}) {
+  return {
+    getAuthMethods: vi.fn().mockResolvedValue({
+      password: { enabled: true },
+      otp: { enabled: false },
+      oauth2: { enabled: true, providers: [{ name: 'github', displayName: 'GitHub' }] },
+      mfa: { enabled: false },
+    }),
+    loginAdmin: vi.fn().mockResolvedValue({ id: 'admin1', isAdmin: true }),
+    loginWithPassword: vi.fn().mockResolvedValue({ id: 'user1', isAdmin: false }),
+    ...overrides,
+  };
+}
+
+describe('LoginForm (Vue)', () => {
+  it('should emit submit with the credentials without crud', async () => {
+    const wrapper = mount(LoginForm);
+
+    await wrapper.find('[data-testid="email-input"]').setValue('admin@example.com');
+    await wrapper.find('[data-testid="password-input"]').setValue('secret');
+    await wrapper.find('form').trigger('submit');
+
+    expect(wrapper.emitted('submit')).toEqual([
+      [{ email: 'admin@example.com', password: 'secret' }],
+    ]);
+  });
+
+  it('should sign in a superuser with crud and emit login', async () => {
+    const crud = createMockCrud();
+    const wrapper = mount(LoginForm, { props: { crud } });
+    await flushPromises();
+
+    await wrapper.find('[data-testid="email-input"]').setValue('admin@example.com');
+    await wrapper.find('[data-testid="password-input"]').setValue('secret');
+    await wrapper.find('form').trigger('submit');
+    await flushPromises();
+
+    expect(crud.getAuthMethods).toHaveBeenCalledWith('_superusers');
+    expect(crud.loginAdmin).toHaveBeenCalledWith('admin@example.com', 'secret', {
+      mfaId: undefined,
+    });
+    expect(wrapper.emitted('login')).toEqual([[{ id: 'admin1', isAdmin: true }]]);
+  });
+
+  it('should sign in to the given auth collection', async () => {
+    const crud = createMockCrud();
+    const wrapper = mount(LoginForm, { props: { crud, authCollection: 'users' } });
+    await flushPromises();
+
+    await wrapper.find('[data-testid="email-input"]').setValue('user@example.com');
+    await wrapper.find('[data-testid="password-input"]').setValue('secret');
+    await wrapper.find('form').trigger('submit');
+    await flushPromises();
+
+    expect(crud.loginWithPassword).toHaveBeenCalledWith('users', 'user@example.com', 'secret', {
+      mfaId: undefined,
+    });
+  });
+
+  it('should show the error of a failed sign-in', async () => {
+    const crud = createMockCrud({
+      loginAdmin: vi.fn().mockRejectedValue(new Error('Invalid credentials')),
+    });
+    const wrapper = mount(LoginForm, { props: { crud } });
+    await flushPromises();
+
+    await wrapper.find('form').trigger('submit');
+    await flushPromises();
+
+    expect(wrapper.find('[data-testid="error-message"]').text()).toBe('Invalid credentials');
+    expect(wrapper.emitted('login')).toBeUndefined();
+  });
+
+  it('should offer the enabled OAuth2 providers', async () => {
+    const wrapper = mount(LoginForm, { props: { crud: createMockCrud() } });
+    await flushPromises();
+
+    expect(wrapper.find('[data-testid="oauth2-github"]').text()).toContain('GitHub');
+  });
+
+  it('should render slot content in place of the inputs', () => {
+    const wrapper = mount(LoginForm, {
+      slots: { 'email-input': '<input data-testid="custom-email" />' },
+    });
+
+    expect(wrapper.find('[data-testid="custom-email"]').exists()).toBe(true);
+    expect(wrapper.find('[data-testid="email-input"]').exists()).toBe(false);
+  });
+});
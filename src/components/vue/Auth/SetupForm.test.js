@@ -0,0 +1,52 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest';
+import { flushPromises, mount } from '@vue/test-utils';
+import SetupForm from './SetupForm.vue';
+
+/**
+ * @param {import('@vue/test-utils').VueWrapper} wrapper
+ * @param {string} password
+ * @param {string} passwordConfirm
+ */
+async function fillForm(wrapper, password, passwordConfirm) {
+  await wrapper.find('[data-testid="email-input"]').setValue('admin@example.com');
+  await wrapper.find('[data-testid="password-input"]').setValue(password);
+  await wrapper.find('[data-testid="password-confirm-input"]').setValue(passwordConfirm);
+}
+
+describe('SetupForm (Vue)', () => {
+  it('should emit submit with the values without crud', async () => {
+    const wrapper = mount(SetupForm);
+
+    await fillForm(wrapper, 'secret', 'secret');
+    await wrapper.find('form').trigger('submit');
+
+    expect(wrapper.emitted('submit')).toEqual([
+      [{ email: 'admin@example.com', password: 'secret', passwordConfirm: 'secret' }],
+    ]);
+  });
+
+  it('should create the superuser with crud and emit create', async () => {
+    const crud = { createAdmin: vi.fn().mockResolvedValue({ id: 'admin1' }) };
+    const wrapper = mount(SetupForm, { props: { crud } });
+
+    await fillForm(wrapper, 'long-enough-password', 'long-enough-password');
+    await wrapper.find('form').trigger('submit');
+    await flushPromises();
+
+    expect(crud.createAdmin).toHaveBeenCalledWith('admin@example.com', 'long-enough-password');
+    expect(wrapper.emitted('create')).toEqual([[{ id: 'admin1' }]]);
+    expect(wrapper.find('[data-testid="success-message"]').exists()).toBe(true);
+  });
+
+  it('should not create the superuser when the passwords differ', async () => {
+    const crud = { createAdmin: vi.fn() };
+    const wrapper = mount(SetupForm, { props: { crud } });
+
+    await fillForm(wrapper, 'long-enough-password', 'something-else');
+    await wrapper.find('form').trigger('submit');
+
+    expect(crud.createAdmin).not.toHaveBeenCalled();
+    expect(wrapper.find('[data-testid="error-message"]').text()).toBe('Passwords do not match');
+  });
+});
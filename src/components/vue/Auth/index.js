@@ -0,0 +1,2 @@
+export { default as LoginForm } from './LoginForm.vue';
+export { default as SetupForm } from './SetupForm.vue';
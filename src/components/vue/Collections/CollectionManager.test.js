@@ -0,0 +1,207 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { flushPromises, mount } from '@vue/test-utils';
+import CollectionManager from './CollectionManager.vue';
+import { buildRecordFilter } from '../../../utils/filter-utils.js';
+
+const schema = [
+  { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+];
+
+const posts = [
+  { id: 'r1', title: 'First post', created: '2024-01-01 10:00:00.000Z' },
+  { id: 'r2', title: 'Second post', created: '2024-01-02 10:00:00.000Z' },
+];
+
+/**
+ * @param {Record<string, any>} [collection]
+ */
+function createMockCrud(collection = {}) {
+  return {
+    currentUser: { id: 'admin1', isAdmin: true },
+    getCollection: vi
+      .fn()
+      .mockResolvedValue({ name: 'posts', type: 'base', schema, ...collection }),
+    getList: vi.fn().mockResolvedValue({
+      items: posts,
+      page: 1,
+      perPage: 20,
+      totalItems: 2,
+      totalPages: 1,
+    }),
+    create: vi.fn().mockResolvedValue({ id: 'r3', title: 'New post' }),
+    update: vi.fn().mockResolvedValue({}),
+    delete: vi.fn().mockResolvedValue(true),
+    validateUnique: vi.fn().mockResolvedValue({}),
+    subscribe: vi.fn().mockResolvedValue(vi.fn()),
+  };
+}
+
+describe('CollectionManager (Vue)', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should load the collection and list its records', async () => {
+    const crud = createMockCrud();
+    const wrapper = mount(CollectionManager, { props: { crud, collectionName: 'posts' } });
+    await flushPromises();
+
+    expect(crud.getCollection).toHaveBeenCalledWith('posts');
+    expect(crud.getList).toHaveBeenCalledWith(
+      'posts',
+      expect.objectContaining({ page: 1, perPage: 20, sort: '-created' })
+    );
+    expect(wrapper.findAll('tbody tr')).toHaveLength(2);
+  });
+
+  it('should show the error of a failed load', async () => {
+    const crud = createMockCrud();
+    crud.getCollection.mockRejectedValue(new Error('Collection not found'));
+    const wrapper = mount(CollectionManager, { props: { crud, collectionName: 'posts' } });
+    await flushPromises();
+
+    expect(wrapper.text()).toContain('Collection not found');
+  });
+
+  it('should create a record from the form', async () => {
+    const crud = createMockCrud();
+    const wrapper = mount(CollectionManager, { props: { crud, collectionName: 'posts' } });
+    await flushPromises();
+
+    await wrapper.find('[data-testid="create-new-button"]').trigger('click');
+    await wrapper.find('input#title').setValue('New post');
+    await wrapper.find('form').trigger('submit');
+    await flushPromises();
+
+    expect(crud.create).toHaveBeenCalledWith('posts', { title: 'New post' });
+    expect(wrapper.find('form').exists()).toBe(false);
+  });
+
+  it('should delete a record after confirming', async () => {
+    vi.stubGlobal(
+      'confirm',
+      vi.fn(() => true)
+    );
+    const crud = createMockCrud();
+    const wrapper = mount(CollectionManager, { props: { crud, collectionName: 'posts' } });
+    await flushPromises();
+
+    await wrapper.find('tbody .pc-action-btn-delete').trigger('click');
+    await flushPromises();
+
+    expect(crud.delete).toHaveBeenCalledWith('posts', 'r1');
+  });
+
+  it('should hide the actions the rules do not allow', async () => {
+    const crud = createMockCrud({ createRule: null, deleteRule: null, listRule: '' });
+    crud.currentUser = { id: 'user1', isAdmin: false };
+    const wrapper = mount(CollectionManager, { props: { crud, collectionName: 'posts' } });
+    await flushPromises();
+
+    expect(wrapper.find('[data-testid="create-new-button"]').exists()).toBe(false);
+    expect(wrapper.find('tbody .pc-action-btn-delete').exists()).toBe(false);
+  });
+
+  it('should not list records when only superusers may', async () => {
+    const crud = createMockCrud({ listRule: null });
+    crud.currentUser = { id: 'user1', isAdmin: false };
+    const wrapper = mount(CollectionManager, { props: { crud, collectionName: 'posts' } });
+    await flushPromises();
+
+    expect(crud.getList).not.toHaveBeenCalled();
+    expect(wrapper.find('[data-testid="list-denied-notice"]').exists()).toBe(true);
+  });
+
+  it('should pass the records to the records slot', async () => {
+    const crud = createMockCrud();
+    const wrapper = mount(CollectionManager, {
+      props: { crud, collectionName: 'posts' },
+      slots: {
+        records: `<template #records="{ records, totalItems }">
+          <p data-testid="custom-list">{{ records.length }} of {{ totalItems }}</p>
+        </template>`,
+      },
+    });
+    await flushPromises();
+
+    expect(wrapper.find('[data-testid="custom-list"]').text()).toBe('2 of 2');
+    expect(wrapper.find('table').exists()).toBe(false);
+  });
+
+  it('should subscribe to realtime changes and add created records', async () => {
+    const crud = createMockCrud();
+    const wrapper = mount(CollectionManager, {
+      props: { crud, collectionName: 'posts', realtime: true },
+    });
+    await flushPromises();
+
+    expect(crud.subscribe).toHaveBeenCalledWith('posts', '*', expect.any(Function), undefined);
+    const handler = crud.subscribe.mock.calls[0][2];
+    handler({ action: 'create', record: { id: 'r3', title: 'Remote post' } });
+    await flushPromises();
+
+    expect(wrapper.text()).toContain('Remote post');
+  });
+
+  it('should expand the listed relations and emit relationClick from their chips', async () => {
+    const author = {
+      id: 'f2',
+      name: 'author',
+      type: 'relation',
+      system: false,
+      required: false,
+      presentable: true,
+      options: { collectionId: 'users_id' },
+    };
+    const crud = {
+      ...createMockCrud({ schema: [...schema, author] }),
+      getRelationLabelFields: vi.fn().mockResolvedValue(['name']),
+    };
+    crud.getList.mockResolvedValue({
+      items: [{ ...posts[0], author: 'u1', expand: { author: { id: 'u1', name: 'Ada' } } }],
+      page: 1,
+      perPage: 20,
+      totalItems: 1,
+      totalPages: 1,
+    });
+    const wrapper = mount(CollectionManager, {
+      props: { crud, collectionName: 'posts', realtime: true },
+    });
+    await flushPromises();
+
+    expect(crud.getList).toHaveBeenCalledWith(
+      'posts',
+      expect.objectContaining({ expand: 'author' })
+    );
+    expect(crud.getRelationLabelFields).toHaveBeenCalledWith('users_id', undefined);
+    expect(crud.subscribe).toHaveBeenLastCalledWith('posts', '*', expect.any(Function), {
+      expand: 'author',
+    });
+
+    const chip = wrapper.find('tbody .pc-relation-chip-btn');
+    expect(chip.text()).toBe('Ada');
+    await chip.trigger('click');
+    expect(wrapper.emitted('relationClick')).toEqual([
+      [{ record: { id: 'u1', name: 'Ada' }, field: author }],
+    ]);
+  });
+
+  it('should reload the records and emit filterChange when filtering', async () => {
+    const crud = createMockCrud();
+    const wrapper = mount(CollectionManager, {
+      props: { crud, collectionName: 'posts', filterable: true },
+    });
+    await flushPromises();
+    crud.getList.mockClear();
+
+    wrapper.findComponent({ name: 'FilterBar' }).vm.$emit('change', { search: 'first' });
+    await flushPromises();
+
+    expect(wrapper.emitted('filterChange')).toEqual([[{ search: 'first' }]]);
+    expect(crud.getList).toHaveBeenCalledWith(
+      'posts',
+      expect.objectContaining({ page: 1, filter: buildRecordFilter({ search: 'first' }, schema) })
+    );
+  });
+});
@@ -0,0 +1,64 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest';
+import { flushPromises, mount } from '@vue/test-utils';
+import RelatedCollectionManager from './RelatedCollectionManager.vue';
+
+const schema = [
+  { id: 'f1', name: 'body', type: 'text', system: false, required: true, presentable: true },
+  { id: 'f2', name: 'post', type: 'relation', system: false, required: true, presentable: false },
+];
+
+function createMockCrud() {
+  return {
+    currentUser: { id: 'admin1', isAdmin: true },
+    getCollection: vi.fn().mockResolvedValue({ name: 'comments', type: 'base', schema }),
+    getList: vi.fn().mockResolvedValue({
+      items: [{ id: 'c1', body: 'Nice post', post: 'p1' }],
+      page: 1,
+      perPage: 10,
+      totalItems: 1,
+      totalPages: 1,
+    }),
+    create: vi.fn().mockResolvedValue({ id: 'c2' }),
+    validateUnique: vi.fn().mockResolvedValue({}),
+    subscribe: vi.fn().mockResolvedValue(vi.fn()),
+  };
+}
+
+const config = { collectionName: 'comments', relationField: 'post', label: 'Comments' };
+
+describe('RelatedCollectionManager (Vue)', () => {
+  it('should list the records related to the parent record', async () => {
+    const crud = createMockCrud();
+    const wrapper = mount(RelatedCollectionManager, {
+      props: { crud, config, parentRecordId: 'p1' },
+    });
+    await flushPromises();
+
+    expect(crud.getList).toHaveBeenCalledWith('comments', {
+      page: 1,
+      perPage: 10,
+      sort: '-created',
+      filter: { post: 'p1' },
+    });
+    expect(wrapper.find('h4').text()).toBe('Comments');
+    expect(wrapper.text()).toContain('Nice post');
+  });
+
+  it('should leave the relation field out of the form and set it on save', async () => {
+    const crud = createMockCrud();
+    const wrapper = mount(RelatedCollectionManager, {
+      props: { crud, config, parentRecordId: 'p1' },
+    });
+    await flushPromises();
+
+    await wrapper.find('button.pocketcrud-btn-secondary').trigger('click');
+    expect(wrapper.find('#post').exists()).toBe(false);
+
+    await wrapper.find('input#body').setValue('Great read');
+    await wrapper.find('form').trigger('submit');
+    await flushPromises();
+
+    expect(crud.create).toHaveBeenCalledWith('comments', { body: 'Great read', post: 'p1' });
+  });
+});
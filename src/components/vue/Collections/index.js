@@ -0,0 +1,2 @@
+export { default as CollectionManager } from './CollectionManager.vue';
+export { default as RelatedCollectionManager } from './RelatedCollectionManager.vue';
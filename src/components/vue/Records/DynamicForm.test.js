@@ -0,0 +1,79 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest';
+import { flushPromises, mount } from '@vue/test-utils';
+import DynamicForm from './DynamicForm.vue';
+
+const schema = [
+  { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+  { id: 'f2', name: 'published', type: 'bool', system: false, required: false, presentable: false },
+];
+
+describe('DynamicForm (Vue)', () => {
+  it('should render an input per field', () => {
+    const wrapper = mount(DynamicForm, { props: { schema } });
+
+    expect(wrapper.find('input#title').exists()).toBe(true);
+    expect(wrapper.find('input#published[type="checkbox"]').exists()).toBe(true);
+  });
+
+  it('should fill the inputs from the initial data', () => {
+    const wrapper = mount(DynamicForm, {
+      props: { schema, initialData: { id: 'r1', title: 'Hello', published: true } },
+    });
+
+    expect(wrapper.find('input#title').element.value).toBe('Hello');
+    expect(wrapper.find('input#published').element.checked).toBe(true);
+    expect(wrapper.find('button[type="submit"]').text()).toBe('Update');
+  });
+
+  it('should show validation errors instead of submitting', async () => {
+    const wrapper = mount(DynamicForm, { props: { schema } });
+
+    await wrapper.find('form').trigger('submit');
+    await flushPromises();
+
+    expect(wrapper.emitted('submit')).toBeUndefined();
+    expect(wrapper.find('#title-error').exists()).toBe(true);
+    expect(wrapper.find('input#title').attributes('aria-invalid')).toBe('true');
+    expect(wrapper.find('input#title').attributes('aria-describedby')).toBe('title-error');
+  });
+
+  it('should check unique values with crud and emit the prepared data', async () => {
+    const crud = { validateUnique: vi.fn().mockResolvedValue({}) };
+    const wrapper = mount(DynamicForm, {
+      props: { schema, crud, collectionName: 'posts' },
+    });
+
+    await wrapper.find('input#title').setValue('Hello');
+    await wrapper.find('form').trigger('submit');
+    await flushPromises();
+
+    expect(crud.validateUnique).toHaveBeenCalledWith(
+      'posts',
+      expect.objectContaining({ title: 'Hello' }),
+      undefined
+    );
+    expect(wrapper.emitted('submit')).toEqual([[{ title: 'Hello', published: false }]]);
+  });
+
+  it('should show the field errors of a failed save', async () => {
+    const serverError = {
+      status: 400,
+      response: { message: 'Failed.', data: { title: { code: 'taken', message: 'Taken.' } } },
+    };
+    const wrapper = mount(DynamicForm, { props: { schema, serverError } });
+    await flushPromises();
+
+    expect(wrapper.find('#title-error').text()).toBe('Taken.');
+  });
+
+  it('should hide saving when read-only', () => {
+    const wrapper = mount(DynamicForm, {
+      props: { schema, initialData: { id: 'r1', title: 'Hello' }, readOnly: true },
+    });
+
+    expect(wrapper.find('button[type="submit"]').exists()).toBe(false);
+    expect(wrapper.find('fieldset').attributes('disabled')).toBeDefined();
+    expect(wrapper.find('button[type="button"]').text()).toBe('Close');
+  });
+});
@@ -0,0 +1,116 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { mount } from '@vue/test-utils';
+import RecordList from './RecordList.vue';
+
+const schema = [
+  { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+  { id: 'f2', name: 'views', type: 'number', system: false, required: false, presentable: false },
+];
+
+const records = [
+  { id: 'r1', title: 'First post', views: 3 },
+  { id: 'r2', title: 'Second post', views: 5 },
+];
+
+const pagination = { currentPage: 1, totalPages: 1, totalItems: 2, perPage: 20 };
+
+describe('RecordList (Vue)', () => {
+  it('should render a row per record', () => {
+    const wrapper = mount(RecordList, { props: { records, schema, ...pagination } });
+
+    const rows = wrapper.findAll('tbody tr');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].text()).toContain('First post');
+  });
+
+  it('should show related records as chips and emit relationClick', async () => {
+    const tags = {
+      id: 'f3',
+      name: 'tags',
+      type: 'relation',
+      system: false,
+      required: false,
+      presentable: true,
+      options: { collectionId: 'tags_id', maxSelect: null },
+    };
+    const wrapper = mount(RecordList, {
+      props: {
+        records: [
+          {
+            id: 'r1',
+            title: 'First post',
+            tags: ['t1', 't2', 't3', 't4'],
+            expand: {
+              tags: [
+                { id: 't1', name: 'News' },
+                { id: 't2', name: 'Sport' },
+                { id: 't3', name: 'Tech' },
+              ],
+            },
+          },
+        ],
+        schema: [...schema, tags],
+        ...pagination,
+        relationLabelFields: { tags: ['name'] },
+      },
+    });
+
+    const chips = wrapper.findAll('tbody .pc-relation-chip-btn');
+    expect(chips.map(chip => chip.text())).toEqual(['News', 'Sport', 'Tech']);
+    expect(wrapper.find('tbody .pc-relation-more').text()).toBe('+1 more');
+    expect(wrapper.text()).not.toContain('relation(s)');
+
+    await chips[1].trigger('click');
+    expect(wrapper.emitted('relationClick')).toEqual([
+      [{ record: { id: 't2', name: 'Sport' }, field: tags }],
+    ]);
+  });
+
+  it('should show the empty state without records', () => {
+    const wrapper = mount(RecordList, {
+      props: { records: [], schema, ...pagination, totalItems: 0 },
+    });
+
+    expect(wrapper.text()).toContain('No records found');
+  });
+
+  it('should emit edit and delete with the record', async () => {
+    const wrapper = mount(RecordList, { props: { records, schema, ...pagination } });
+
+    await wrapper.find('tbody .pc-action-btn-edit').trigger('click');
+    await wrapper.find('tbody .pc-action-btn-delete').trigger('click');
+
+    expect(wrapper.emitted('edit')).toEqual([[records[0]]]);
+    expect(wrapper.emitted('delete')).toEqual([[records[0]]]);
+  });
+
+  it('should emit sortChange when a sortable column is clicked', async () => {
+    const wrapper = mount(RecordList, {
+      props: { records, schema, ...pagination, sortable: true },
+    });
+
+    await wrapper.find('thead .pc-sort-btn').trigger('click');
+
+    expect(wrapper.emitted('sortChange')).toEqual([['title']]);
+  });
+
+  it('should emit pageChange from the pagination', async () => {
+    const wrapper = mount(RecordList, {
+      props: { records, schema, ...pagination, currentPage: 2, totalPages: 3, totalItems: 50 },
+    });
+
+    await wrapper.find('.pc-pagination-btn-last').trigger('click');
+
+    expect(wrapper.emitted('pageChange')).toEqual([[3]]);
+  });
+
+  it('should offer viewing instead of editing and deleting when not allowed', () => {
+    const wrapper = mount(RecordList, {
+      props: { records, schema, ...pagination, canEdit: false, canDelete: false },
+    });
+
+    expect(wrapper.find('tbody .pc-action-btn-edit').attributes('title')).toBe('View Record');
+    expect(wrapper.find('tbody .pc-action-btn-delete').exists()).toBe(false);
+  });
+});
@@ -0,0 +1,6 @@
+export { default as RecordList } from './RecordList.vue';
+export { default as DynamicForm } from './DynamicForm.vue';
+export { default as RelationPicker } from './RelationPicker.vue';
+export { default as FilterBar } from './FilterBar.vue';
+export { default as FileInput } from './FileInput.vue';
+export { default as RichTextEditor } from './RichTextEditor.vue';
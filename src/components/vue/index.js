@@ -0,0 +1,3 @@
+export * from './Auth/index.js';
+export * from './Collections/index.js';
+export * from './Records/index.js';
@@ -3,6 +3,27 @@ export * from './utils/index.d.ts';
 export { default } from './utils/crud.js';
 
 // Export Svelte components (as any for now since .svelte files don't have TS definitions)
-export { LoginForm, SetupForm } from './components/svelte/Auth/index.js';
-export { CollectionManager } from './components/svelte/Collections/index.js';
-export { RecordList, DynamicForm } from './components/svelte/Records/index.js';
+export { AdminApp } from './components/svelte/Admin/index.js';
+export {
+  LoginForm,
+  SetupForm,
+  RequestPasswordResetForm,
+  ConfirmPasswordResetForm,
+  VerifyEmailForm,
+  ChangeEmailForm,
+} from './components/svelte/Auth/index.js';
+export {
+  CollectionManager,
+  SchemaEditor,
+  RulesEditor,
+  createCollectionStore,
+} from './components/svelte/Collections/index.js';
+export {
+  RecordList,
+  RecordView,
+  DynamicForm,
+  RelationPicker,
+  FilterBar,
+  FileInput,
+  RichTextEditor,
+} from './components/svelte/Records/index.js';
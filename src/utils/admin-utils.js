@@ -0,0 +1,184 @@
+/**
+ * @typedef {import('./crud.js').CollectionSchema} CollectionSchema
+ */
+
+/**
+ * @typedef {Object} AdminRoute
+ * @property {string | null} collectionName
+ * @property {string | null} recordId Record open in the form
+ */
+
+/**
+ * @typedef {Object} CollectionGroup
+ * @property {'base' | 'auth' | 'view'} type
+ * @property {string} label
+ * @property {CollectionSchema[]} collections
+ */
+
+/**
+ * @typedef {Object} GroupCollectionsOptions
+ * @property {string[]} [hidden] Names of collections to leave out
+ * @property {boolean} [includeSystem] Include system collections, such as `_superusers`
+ */
+
+/**
+ * @typedef {Object} AdminRouterOptions
+ * @property {'hash' | 'history'} [mode] `hash` by default, eg. `#/posts/RECORD_ID`
+ * @property {string} [basePath] Path the admin is served from in `history` mode, eg. `/admin`
+ * @property {Window | null} [window] The browser window by default
+ */
+
+/**
+ * @typedef {Object} AdminRouter
+ * @property {() => AdminRoute} getRoute
+ * @property {(route: AdminRoute) => string} href Link to a route
+ * @property {(route: AdminRoute, options?: {replace?: boolean}) => void} navigate
+ * @property {(listener: (route: AdminRoute) => void) => () => void} subscribe Calls `listener` with the current route and whenever it changes
+ */
+
+/** @type {Array<{type: CollectionGroup['type'], label: string}>} */
+export const COLLECTION_GROUPS = [
+  { type: 'base', label: 'Collections' },
+  { type: 'auth', label: 'Auth collections' },
+  { type: 'view', label: 'Views' },
+];
+
+/**
+ * Groups collections by type for navigation, sorted by name. Empty groups
+ * are left out.
+ *
+ * @param {CollectionSchema[]} collections
+ * @param {GroupCollectionsOptions} [options]
+ * @returns {CollectionGroup[]}
+ */
+export function groupCollections(collections, options = {}) {
+  const hidden = options.hidden || [];
+  const visible = collections
+    .filter(collection => options.includeSystem || !collection.system)
+    .filter(collection => !hidden.includes(collection.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  // Collections of unknown types are listed with the base ones
+  /** @param {CollectionSchema} collection */
+  const groupOf = collection =>
+    collection.type === 'auth' || collection.type === 'view' ? collection.type : 'base';
+
+  return COLLECTION_GROUPS.map(group => ({
+    ...group,
+    collections: visible.filter(collection => groupOf(collection) === group.type),
+  })).filter(group => group.collections.length > 0);
+}
+
+/**
+ * Reads a route from a path such as `/posts/RECORD_ID`, with or without a
+ * leading `#`.
+ *
+ * @param {string} path
+ * @returns {AdminRoute}
+ */
+export function parseAdminPath(path) {
+  const [collectionName, recordId] = path
+    .replace(/^#/, '')
+    .split(/[?#]/)[0]
+    .split('/')
+    .filter(Boolean)
+    .map(part => {
+      try {
+        return decodeURIComponent(part);
+      } catch {
+        return part;
+      }
+    });
+
+  return { collectionName: collectionName || null, recordId: recordId || null };
+}
+
+/**
+ * @param {AdminRoute} route
+ * @returns {string} Path such as `/posts/RECORD_ID`
+ */
+export function formatAdminPath(route) {
+  if (!route.collectionName) return '/';
+
+  const path = `/${encodeURIComponent(route.collectionName)}`;
+  return route.recordId ? `${path}/${encodeURIComponent(route.recordId)}` : path;
+}
+
+/**
+ * Keeps the admin route in the url, with the hash (`#/posts/RECORD_ID`) or
+ * the History API (`/admin/posts/RECORD_ID`). Without a window, eg. during
+ * server rendering, the route stays empty.
+ *
+ * @param {AdminRouterOptions} [options]
+ * @returns {AdminRouter}
+ */
+export function createAdminRouter(options = {}) {
+  const mode = options.mode || 'hash';
+  const basePath = (options.basePath || '').replace(/\/+$/, '');
+  /** @type {Set<(route: AdminRoute) => void>} */
+  const listeners = new Set();
+  let currentPath = '';
+
+  const getWindow = () => ('window' in options ? options.window : globalThis.window);
+
+  const readPath = () => {
+    const win = getWindow();
+    if (!win) return '/';
+    if (mode === 'hash') return win.location.hash.replace(/^#/, '') || '/';
+
+    const { pathname } = win.location;
+    if (!basePath) return pathname;
+    if (pathname === basePath) return '/';
+    return pathname.startsWith(`${basePath}/`) ? pathname.slice(basePath.length) : '/';
+  };
+
+  // Back and forward fire both `popstate` and `hashchange` in hash mode
+  const notify = () => {
+    const path = readPath();
+    if (path === currentPath) return;
+    currentPath = path;
+    const route = parseAdminPath(path);
+    for (const listener of listeners) {
+      listener(route);
+    }
+  };
+
+  /** @param {AdminRoute} route */
+  const href = route => {
+    const path = formatAdminPath(route);
+    return mode === 'hash' ? `#${path}` : `${basePath}${path}`;
+  };
+
+  return {
+    getRoute: () => parseAdminPath(readPath()),
+    href,
+    navigate(route, { replace = false } = {}) {
+      const win = getWindow();
+      if (!win) return;
+      if (replace) {
+        win.history.replaceState(win.history.state, '', href(route));
+      } else {
+        win.history.pushState(null, '', href(route));
+      }
+      notify();
+    },
+    subscribe(listener) {
+      const win = getWindow();
+      if (listeners.size === 0 && win) {
+        currentPath = readPath();
+        win.addEventListener('popstate', notify);
+        win.addEventListener('hashchange', notify);
+      }
+      listeners.add(listener);
+      listener(parseAdminPath(readPath()));
+
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && win) {
+          win.removeEventListener('popstate', notify);
+          win.removeEventListener('hashchange', notify);
+        }
+      };
+    },
+  };
+}
@@ -0,0 +1,123 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  createAdminRouter,
+  formatAdminPath,
+  groupCollections,
+  parseAdminPath,
+} from './admin-utils.js';
+
+/**
+ * @param {string} name
+ * @param {string} type
+ * @param {boolean} [system]
+ * @returns {any}
+ */
+const collection = (name, type, system = false) => ({ id: name, name, type, system, schema: [] });
+
+/** @type {Window} */
+const win = globalThis.window;
+
+describe('admin-utils', () => {
+  afterEach(() => {
+    win.history.replaceState(null, '', '/');
+  });
+
+  describe('groupCollections', () => {
+    const collections = [
+      collection('posts', 'base'),
+      collection('users', 'auth'),
+      collection('_superusers', 'auth', true),
+      collection('comments', 'base'),
+      collection('stats', 'view'),
+    ];
+
+    it('should group collections by type and sort them by name', () => {
+      const groups = groupCollections(collections);
+
+      expect(groups.map(group => group.label)).toEqual([
+        'Collections',
+        'Auth collections',
+        'Views',
+      ]);
+      expect(groups[0].collections.map(item => item.name)).toEqual(['comments', 'posts']);
+      expect(groups[1].collections.map(item => item.name)).toEqual(['users']);
+    });
+
+    it('should leave out hidden collections and empty groups', () => {
+      const groups = groupCollections(collections, { hidden: ['stats'], includeSystem: true });
+
+      expect(groups.map(group => group.type)).toEqual(['base', 'auth']);
+      expect(groups[1].collections.map(item => item.name)).toEqual(['_superusers', 'users']);
+    });
+  });
+
+  describe('parseAdminPath and formatAdminPath', () => {
+    it('should read collections and records from paths', () => {
+      expect(parseAdminPath('#/posts/abc123')).toEqual({
+        collectionName: 'posts',
+        recordId: 'abc123',
+      });
+      expect(parseAdminPath('/posts/')).toEqual({ collectionName: 'posts', recordId: null });
+      expect(parseAdminPath('')).toEqual({ collectionName: null, recordId: null });
+    });
+
+    it('should round-trip encoded segments', () => {
+      const route = { collectionName: 'posts', recordId: 'a/b c' };
+
+      expect(formatAdminPath(route)).toBe('/posts/a%2Fb%20c');
+      expect(parseAdminPath(formatAdminPath(route))).toEqual(route);
+      expect(formatAdminPath({ collectionName: null, recordId: 'abc' })).toBe('/');
+    });
+  });
+
+  describe('createAdminRouter', () => {
+    it('should keep the route in the hash', () => {
+      const router = createAdminRouter();
+      const listener = vi.fn();
+      const unsubscribe = router.subscribe(listener);
+
+      expect(listener).toHaveBeenLastCalledWith({ collectionName: null, recordId: null });
+
+      router.navigate({ collectionName: 'posts', recordId: 'abc123' });
+      expect(win.location.hash).toBe('#/posts/abc123');
+      expect(listener).toHaveBeenLastCalledWith({ collectionName: 'posts', recordId: 'abc123' });
+
+      win.history.replaceState(null, '', '#/users');
+      win.dispatchEvent(new win.HashChangeEvent('hashchange'));
+      win.dispatchEvent(new win.PopStateEvent('popstate'));
+      expect(router.getRoute()).toEqual({ collectionName: 'users', recordId: null });
+      expect(listener).toHaveBeenCalledTimes(3);
+
+      unsubscribe();
+      router.navigate({ collectionName: 'posts', recordId: null });
+      expect(listener).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep the route in the path below the base path in history mode', () => {
+      const router = createAdminRouter({ mode: 'history', basePath: '/admin/' });
+      const listener = vi.fn();
+      router.subscribe(listener);
+
+      expect(router.href({ collectionName: 'posts', recordId: null })).toBe('/admin/posts');
+
+      router.navigate({ collectionName: 'posts', recordId: 'abc123' });
+      router.navigate({ collectionName: 'posts', recordId: null }, { replace: true });
+      expect(win.location.pathname).toBe('/admin/posts');
+      expect(listener).toHaveBeenLastCalledWith({ collectionName: 'posts', recordId: null });
+
+      win.history.back();
+      return new Promise(resolve => win.addEventListener('popstate', resolve, { once: true })).then(
+        () => {
+          expect(router.getRoute()).toEqual({ collectionName: null, recordId: null });
+        }
+      );
+    });
+
+    it('should have an empty route without a window', () => {
+      const router = createAdminRouter({ window: /** @type {any} */ (null) });
+
+      expect(router.getRoute()).toEqual({ collectionName: null, recordId: null });
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * @typedef {Object} OAuth2Provider
+ * @property {string} name
+ * @property {string} displayName
+ * @property {string} state
+ * @property {string} authUrl Provider url ending in `redirect_uri=`, see `getOAuth2AuthUrl`
+ * @property {string} codeVerifier
+ * @property {string} codeChallenge
+ * @property {string} codeChallengeMethod
+ */
+
+/**
+ * Sign-in methods an auth collection has enabled
+ *
+ * @typedef {Object} AuthMethods
+ * @property {{enabled: boolean, identityFields: string[]}} password
+ * @property {{enabled: boolean, providers: OAuth2Provider[]}} oauth2
+ * @property {{enabled: boolean}} otp One-time passwords sent by email (v0.23+)
+ * @property {{enabled: boolean}} mfa Whether a second method is required (v0.23+)
+ */
+
+/**
+ * Maps the `auth-methods` response of either PocketBase version into
+ * `AuthMethods`. Servers before v0.23 only know passwords and OAuth2.
+ *
+ * @param {Record<string, any>} raw
+ * @returns {AuthMethods}
+ */
+export function normalizeAuthMethods(raw) {
+  if (raw.password && typeof raw.password === 'object') {
+    const providers = raw.oauth2?.providers || [];
+    return {
+      password: {
+        enabled: Boolean(raw.password.enabled),
+        identityFields: raw.password.identityFields || [],
+      },
+      oauth2: {
+        enabled: Boolean(raw.oauth2?.enabled) && providers.length > 0,
+        providers: providers.map(normalizeProvider),
+      },
+      otp: { enabled: Boolean(raw.otp?.enabled) },
+      mfa: { enabled: Boolean(raw.mfa?.enabled) },
+    };
+  }
+
+  const identityFields = [];
+  if (raw.emailPassword) identityFields.push('email');
+  if (raw.usernamePassword) identityFields.push('username');
+  const providers = raw.authProviders || [];
+
+  return {
+    password: { enabled: identityFields.length > 0, identityFields },
+    oauth2: { enabled: providers.length > 0, providers: providers.map(normalizeProvider) },
+    otp: { enabled: false },
+    mfa: { enabled: false },
+  };
+}
+
+/**
+ * Url that starts the sign-in with an OAuth2 provider. The provider sends
+ * the user back to `redirectUrl` with `code` and `state` query parameters.
+ *
+ * @param {OAuth2Provider} provider
+ * @param {string} redirectUrl
+ * @param {{state?: string, scopes?: string[]}} [options] Replace the state or the default scopes of the provider
+ * @returns {string}
+ */
+export function getOAuth2AuthUrl(provider, redirectUrl, options = {}) {
+  const url = new URL(provider.authUrl + encodeURIComponent(redirectUrl));
+  if (options.state) {
+    url.searchParams.set('state', options.state);
+  }
+  if (options.scopes?.length) {
+    url.searchParams.set('scope', options.scopes.join(' '));
+  }
+  return url.toString();
+}
+
+/** Minimum length of new passwords, the default of `SetupForm` */
+export const DEFAULT_MIN_PASSWORD_LENGTH = 10;
+
+/**
+ * Checks a new password and its confirmation, as the forms that set
+ * passwords do before sending them.
+ *
+ * @param {string} password
+ * @param {string} passwordConfirm
+ * @param {number} [minLength]
+ * @returns {string} The problem to show, empty when the password is fine
+ */
+export function getPasswordError(
+  password,
+  passwordConfirm,
+  minLength = DEFAULT_MIN_PASSWORD_LENGTH
+) {
+  if (password !== passwordConfirm) {
+    return 'Passwords do not match';
+  }
+  if (password.length < minLength) {
+    return `Password must be at least ${minLength} characters`;
+  }
+  return '';
+}
+
+/**
+ * Action offered next to a record of an auth collection
+ *
+ * @typedef {Object} AuthRecordAction
+ * @property {'verify' | 'reset-password' | 'impersonate'} id
+ * @property {string} label
+ * @property {(record: Record<string, any>) => boolean} isVisible Whether the action applies to the record
+ */
+
+/**
+ * Actions on the records of an auth collection: emailing a verification or
+ * password reset link, and impersonating the record, which superusers of
+ * PocketBase v0.23+ may do. Other collections have none.
+ *
+ * @param {import('./index.js').CollectionSchema} collection
+ * @param {import('./crud.js').AuthUser | null} user The signed in user
+ * @returns {AuthRecordAction[]}
+ */
+export function getAuthRecordActions(collection, user) {
+  if (collection.type !== 'auth') {
+    return [];
+  }
+
+  /** @type {AuthRecordAction[]} */
+  const actions = [
+    {
+      id: 'verify',
+      label: 'Send verification email',
+      isVisible: record => Boolean(record.email) && !record.verified,
+    },
+    {
+      id: 'reset-password',
+      label: 'Send password reset email',
+      isVisible: record => Boolean(record.email),
+    },
+  ];
+
+  if (user?.isAdmin && collection.format === 'fields') {
+    actions.push({ id: 'impersonate', label: 'Impersonate', isVisible: () => true });
+  }
+
+  return actions;
+}
+
+/**
+ * @param {Record<string, any>} provider
+ * @returns {OAuth2Provider}
+ */
+function normalizeProvider(provider) {
+  return {
+    name: provider.name,
+    displayName:
+      provider.displayName || provider.name.charAt(0).toUpperCase() + provider.name.slice(1),
+    state: provider.state || '',
+    // Renamed to `authURL` in v0.23
+    authUrl: provider.authURL || provider.authUrl || '',
+    codeVerifier: provider.codeVerifier || '',
+    codeChallenge: provider.codeChallenge || '',
+    codeChallengeMethod: provider.codeChallengeMethod || '',
+  };
+}
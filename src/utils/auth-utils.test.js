@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getAuthRecordActions,
+  getOAuth2AuthUrl,
+  getPasswordError,
+  normalizeAuthMethods,
+} from './auth-utils.js';
+
+const google = {
+  name: 'google',
+  displayName: 'Google',
+  state: 'state123',
+  codeVerifier: 'verifier',
+  codeChallenge: 'challenge',
+  codeChallengeMethod: 'S256',
+};
+
+describe('auth-utils', () => {
+  describe('normalizeAuthMethods', () => {
+    it('should map the legacy format', () => {
+      const methods = normalizeAuthMethods({
+        usernamePassword: true,
+        emailPassword: true,
+        onlyVerified: false,
+        authProviders: [
+          {
+            ...google,
+            displayName: undefined,
+            authUrl: 'https://accounts.google.com/auth?x=1&redirect_uri=',
+          },
+        ],
+      });
+
+      expect(methods).toEqual({
+        password: { enabled: true, identityFields: ['email', 'username'] },
+        oauth2: {
+          enabled: true,
+          providers: [
+            {
+              ...google,
+              displayName: 'Google',
+              authUrl: 'https://accounts.google.com/auth?x=1&redirect_uri=',
+            },
+          ],
+        },
+        otp: { enabled: false },
+        mfa: { enabled: false },
+      });
+    });
+
+    it('should map the v0.23 format', () => {
+      const methods = normalizeAuthMethods({
+        password: { enabled: true, identityFields: ['email'] },
+        oauth2: {
+          enabled: true,
+          providers: [{ ...google, authURL: 'https://accounts.google.com/auth?redirect_uri=' }],
+        },
+        mfa: { enabled: true, duration: 1800 },
+        otp: { enabled: true, duration: 180 },
+      });
+
+      expect(methods.password).toEqual({ enabled: true, identityFields: ['email'] });
+      expect(methods.oauth2.providers[0].authUrl).toBe(
+        'https://accounts.google.com/auth?redirect_uri='
+      );
+      expect(methods.otp.enabled).toBe(true);
+      expect(methods.mfa.enabled).toBe(true);
+    });
+
+    it('should treat OAuth2 without providers as disabled', () => {
+      const methods = normalizeAuthMethods({
+        password: { enabled: false },
+        oauth2: { enabled: true, providers: [] },
+      });
+
+      expect(methods.password).toEqual({ enabled: false, identityFields: [] });
+      expect(methods.oauth2.enabled).toBe(false);
+      expect(methods.otp.enabled).toBe(false);
+    });
+  });
+
+  describe('getOAuth2AuthUrl', () => {
+    const provider = {
+      ...google,
+      authUrl: 'https://accounts.google.com/auth?client_id=abc&state=state123&redirect_uri=',
+    };
+
+    it('should append the redirect url', () => {
+      const url = new URL(getOAuth2AuthUrl(provider, 'https://example.com/login?next=/admin'));
+
+      expect(url.searchParams.get('redirect_uri')).toBe('https://example.com/login?next=/admin');
+      expect(url.searchParams.get('state')).toBe('state123');
+      expect(url.searchParams.get('client_id')).toBe('abc');
+    });
+
+    it('should replace the state and scopes', () => {
+      const url = new URL(
+        getOAuth2AuthUrl(provider, 'https://example.com', {
+          state: 'client1',
+          scopes: ['openid', 'email'],
+        })
+      );
+
+      expect(url.searchParams.get('state')).toBe('client1');
+      expect(url.searchParams.get('scope')).toBe('openid email');
+    });
+  });
+
+  describe('getPasswordError', () => {
+    it('should require matching passwords of the minimum length', () => {
+      expect(getPasswordError('secret1234', 'secret1234')).toBe('');
+      expect(getPasswordError('secret1234', 'secret12345')).toBe('Passwords do not match');
+      expect(getPasswordError('short', 'short')).toBe('Password must be at least 10 characters');
+      expect(getPasswordError('short123', 'short123', 8)).toBe('');
+    });
+  });
+
+  describe('getAuthRecordActions', () => {
+    const users = { type: 'auth', format: 'fields' };
+    const superuser = { id: 'a1', email: 'admin@example.com', isAdmin: true };
+
+    it('should offer emails for records with an address', () => {
+      const actions = getAuthRecordActions(
+        /** @type {any} */ ({ ...users, format: 'legacy' }),
+        null
+      );
+
+      expect(actions.map(action => action.id)).toEqual(['verify', 'reset-password']);
+      expect(actions[0].isVisible({ email: 'jane@example.com', verified: false })).toBe(true);
+      expect(actions[0].isVisible({ email: 'jane@example.com', verified: true })).toBe(false);
+      expect(actions[1].isVisible({ email: '' })).toBe(false);
+    });
+
+    it('should only let superusers of v0.23+ servers impersonate', () => {
+      const ids = (/** @type {any} */ collection, /** @type {any} */ user) =>
+        getAuthRecordActions(collection, user).map(action => action.id);
+
+      expect(ids(users, superuser)).toContain('impersonate');
+      expect(ids({ ...users, format: 'legacy' }, superuser)).not.toContain('impersonate');
+      expect(ids(users, { ...superuser, isAdmin: false })).not.toContain('impersonate');
+      expect(ids({ type: 'base', format: 'fields' }, superuser)).toEqual([]);
+    });
+  });
+});
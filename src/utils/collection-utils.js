@@ -0,0 +1,497 @@
+import { applyRealtimeEvent } from './realtime-utils.js';
+import { buildRecordFilter } from './filter-utils.js';
+import { withAuthFields } from './schema-utils.js';
+import { getAuthRecordActions } from './auth-utils.js';
+import { getCollectionPermissions } from './rule-utils.js';
+import { isAbortError, normalizeError } from './error-utils.js';
+
+/**
+ * @typedef {import('./crud.js').default} PocketCrud
+ * @typedef {import('./crud.js').CollectionSchema} CollectionSchema
+ * @typedef {import('./crud.js').CollectionField} CollectionField
+ * @typedef {import('./filter-utils.js').RecordFilterValues} RecordFilterValues
+ * @typedef {import('./realtime-utils.js').RealtimeEvent} RealtimeEvent
+ * @typedef {import('./rule-utils.js').CollectionPermissions} CollectionPermissions
+ * @typedef {import('./auth-utils.js').AuthRecordAction} AuthRecordAction
+ */
+
+/**
+ * @typedef {Object} CollectionState
+ * @property {CollectionSchema | null} collection
+ * @property {CollectionField[]} schema Fields to list and filter by, including `email` of auth collections
+ * @property {Record<string, any>[]} records Records of the current page
+ * @property {number} currentPage
+ * @property {number} totalPages
+ * @property {number} totalItems
+ * @property {number} perPage
+ * @property {string} sort
+ * @property {RecordFilterValues} filter
+ * @property {boolean} loading Whether the collection is loading
+ * @property {string} error Message of a failed load
+ * @property {CollectionPermissions} permissions What the rules, and the server's answers, let the user do
+ * @property {AuthRecordAction[]} recordActions Actions on the records of auth collections
+ * @property {Record<string, string[]>} relationLabelFields Fields the expanded related records are labelled by, by relation field name
+ */
+
+/**
+ * @typedef {Object} CollectionControllerOptions
+ * @property {number} [perPage] Records per page, 20 by default
+ * @property {string} [sort] Initial sort, `-created` by default
+ * @property {RecordFilterValues} [filter] Initial filter values, see `buildRecordFilter`
+ * @property {string[]} [filterFields] Fields the `search` filter value looks in
+ * @property {(event: RealtimeEvent) => void} [onRemoteChange] Called with realtime changes that were not made through the controller
+ * @property {string | ((schema: CollectionField[]) => string)} [expand] Relation fields to expand in the records, eg. `author,tags`, or a function picking them from the schema once it is loaded
+ * @property {string} [timeZone] Time zone the days of date filters are in, defaults to the browser's
+ */
+
+/** @type {CollectionPermissions} */
+const ALL_ALLOWED = { list: true, view: true, create: true, update: true, delete: true };
+
+let controllerCount = 0;
+
+/**
+ * Loads, pages, sorts, filters and edits the records of a collection,
+ * without any UI. Components render its state and call its actions;
+ * `subscribe` follows the Svelte store contract.
+ *
+ * List requests use a key of their own, so PocketBase only cancels older
+ * requests of the same controller, and results of cancelled or outdated
+ * requests are dropped.
+ */
+export class CollectionController {
+  /**
+   * @param {PocketCrud} crud
+   * @param {string} collectionName
+   * @param {CollectionControllerOptions} [options]
+   */
+  constructor(crud, collectionName, options = {}) {
+    this.crud = crud;
+    this.collectionName = collectionName;
+    /** @private */
+    this.onRemoteChange = options.onRemoteChange;
+    /** @private */
+    this.filterFields = options.filterFields;
+    /** @private */
+    this.timeZone = options.timeZone;
+    /** @private */
+    this.expandOption = options.expand;
+    /**
+     * Relation fields the records are requested with
+     *
+     * @private
+     */
+    this.expand = typeof options.expand === 'string' ? options.expand : '';
+    /**
+     * @private
+     * @type {Set<(state: CollectionState) => void>}
+     */
+    this.listeners = new Set();
+    /**
+     * Actions the server answered with 403, which the rules alone did not tell
+     *
+     * @private
+     * @type {Array<keyof CollectionPermissions>}
+     */
+    this.deniedActions = [];
+    /**
+     * Records being saved or deleted, whose realtime events are not remote changes
+     *
+     * @private
+     * @type {Set<string>}
+     */
+    this.pendingIds = new Set();
+    /** @private */
+    this.loadId = 0;
+    /** @private */
+    this.pageRequestId = 0;
+    /**
+     * Filter and sort the records were last requested with
+     *
+     * @private
+     */
+    this.loadedQueryKey = '';
+    /** @private */
+    this.realtime = false;
+    /** @private */
+    this.realtimeId = 0;
+    /**
+     * @private
+     * @type {(() => Promise<void>) | null}
+     */
+    this.unsubscribeRealtime = null;
+    /** @private */
+    this.requestKey = `pocketcrud-collection-${++controllerCount}`;
+    /**
+     * @private
+     * @type {CollectionState}
+     */
+    this.state = {
+      collection: null,
+      schema: [],
+      records: [],
+      currentPage: 1,
+      totalPages: 1,
+      totalItems: 0,
+      perPage: options.perPage ?? 20,
+      sort: options.sort ?? '-created',
+      filter: options.filter ?? {},
+      loading: true,
+      error: '',
+      permissions: { ...ALL_ALLOWED },
+      recordActions: [],
+      relationLabelFields: {},
+    };
+  }
+
+  /**
+   * @returns {CollectionState}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Calls `listener` with the current state and after every change.
+   *
+   * @param {(state: CollectionState) => void} listener
+   * @returns {() => void} Unsubscribes
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.state);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * @private
+   * @param {Partial<CollectionState>} changes
+   */
+  setState(changes) {
+    const next = { ...this.state, ...changes };
+    next.permissions = this.getPermissions(next.collection);
+    this.state = next;
+    for (const listener of this.listeners) {
+      listener(next);
+    }
+  }
+
+  /**
+   * @private
+   * @param {CollectionSchema | null} collection
+   * @returns {CollectionPermissions}
+   */
+  getPermissions(collection) {
+    const allowed = collection
+      ? getCollectionPermissions(collection, this.crud.currentUser)
+      : { ...ALL_ALLOWED };
+    for (const action of this.deniedActions) {
+      allowed[action] = false;
+    }
+    return allowed;
+  }
+
+  /**
+   * @private
+   * @param {keyof CollectionPermissions} action
+   */
+  denyAction(action) {
+    if (!this.deniedActions.includes(action)) {
+      this.deniedActions = [...this.deniedActions, action];
+      this.setState({});
+    }
+  }
+
+  /**
+   * Loads the collection and the first page of its records.
+   *
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const loadId = ++this.loadId;
+    this.deniedActions = [];
+    this.setState({ loading: true, error: '' });
+
+    try {
+      const collection = await this.crud.getCollection(this.collectionName);
+      if (loadId !== this.loadId) return;
+
+      const schema = withAuthFields(collection);
+      this.setState({
+        collection,
+        // Auth collections list and filter by email too
+        schema,
+        recordActions: getAuthRecordActions(collection, this.crud.currentUser),
+      });
+      this.setExpand(schema);
+      if (this.state.permissions.list) {
+        await Promise.all([this.loadPage(1), this.loadRelationLabelFields(loadId)]);
+      } else {
+        this.setState({ records: [], totalItems: 0, totalPages: 1 });
+      }
+    } catch (err) {
+      if (loadId !== this.loadId || isAbortError(err)) return;
+      this.setState({ error: err instanceof Error ? err.message : 'Failed to load collection' });
+    } finally {
+      if (loadId === this.loadId) {
+        this.setState({ loading: false });
+        this.reloadIfQueryChanged();
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {CollectionField[]} schema
+   */
+  setExpand(schema) {
+    const expand =
+      typeof this.expandOption === 'function' ? this.expandOption(schema) : this.expand;
+    if (expand === this.expand) return;
+
+    this.expand = expand;
+    // Realtime events carry the same relations as the listed records
+    if (this.realtime) this.setRealtime(true);
+  }
+
+  /**
+   * @private
+   * @param {number} loadId
+   */
+  async loadRelationLabelFields(loadId) {
+    const names = this.expand.split(',').filter(Boolean);
+    /** @type {Record<string, string[]>} */
+    const relationLabelFields = {};
+
+    for (const field of this.state.schema) {
+      if (field.type !== 'relation' || !names.includes(field.name)) continue;
+      relationLabelFields[field.name] = await this.crud.getRelationLabelFields(
+        String(field.options?.collectionId ?? ''),
+        field.options?.displayFields
+      );
+    }
+
+    if (loadId === this.loadId) this.setState({ relationLabelFields });
+  }
+
+  /**
+   * Loads a page of records with the current filter and sort.
+   *
+   * @param {number} [page] The current page by default
+   * @returns {Promise<void>}
+   */
+  async loadPage(page = this.state.currentPage) {
+    if (!this.state.permissions.list) return;
+
+    const requestId = ++this.pageRequestId;
+    const { perPage, sort, filter, schema } = this.state;
+    this.loadedQueryKey = JSON.stringify([filter, sort]);
+
+    try {
+      const result = await this.crud.getList(this.collectionName, {
+        page,
+        perPage,
+        sort: sort || undefined,
+        filter: buildRecordFilter(filter, schema, this.filterFields, { timeZone: this.timeZone }),
+        expand: this.expand || undefined,
+        requestKey: this.requestKey,
+      });
+      if (requestId !== this.pageRequestId) return;
+
+      this.setState({
+        records: result.items,
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        totalItems: result.totalItems,
+      });
+    } catch (err) {
+      if (requestId !== this.pageRequestId || isAbortError(err)) return;
+      if (normalizeError(err).status === 403) {
+        this.denyAction('list');
+        return;
+      }
+      this.setState({ error: err instanceof Error ? err.message : 'Failed to load records' });
+    }
+  }
+
+  /**
+   * Sorts the records, eg. `-created` or `title,-created`, from the first page.
+   *
+   * @param {string} sort
+   */
+  setSort(sort) {
+    if (sort === this.state.sort) return;
+    this.setState({ sort });
+    this.reloadIfQueryChanged();
+  }
+
+  /**
+   * Filters the records, see `buildRecordFilter`, from the first page.
+   *
+   * @param {RecordFilterValues} filter
+   */
+  setFilter(filter) {
+    if (JSON.stringify(filter) === JSON.stringify(this.state.filter)) return;
+    this.setState({ filter });
+    this.reloadIfQueryChanged();
+  }
+
+  /**
+   * Loads the first page when the filter or sort changed since the records
+   * were requested. A running `load()` does so once it is done.
+   *
+   * @private
+   */
+  reloadIfQueryChanged() {
+    const { collection, loading, filter, sort } = this.state;
+    if (!collection || loading || JSON.stringify([filter, sort]) === this.loadedQueryKey) return;
+    this.loadPage(1);
+  }
+
+  /**
+   * @param {Record<string, any> | FormData} data
+   * @returns {Promise<Record<string, any>>} The created record
+   * @throws {import('./error-utils.js').PocketCrudError} With the field errors returned by PocketBase
+   */
+  async createRecord(data) {
+    try {
+      const record = await this.crud.create(this.collectionName, data);
+      await this.loadPage();
+      return record;
+    } catch (err) {
+      throw this.toMutationError(err, 'create');
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @param {Record<string, any> | FormData} data
+   * @returns {Promise<Record<string, any>>} The updated record
+   * @throws {import('./error-utils.js').PocketCrudError} With the field errors returned by PocketBase
+   */
+  async updateRecord(id, data) {
+    this.pendingIds.add(id);
+    try {
+      const record = await this.crud.update(this.collectionName, id, data);
+      await this.loadPage();
+      return record;
+    } catch (err) {
+      throw this.toMutationError(err, 'update');
+    } finally {
+      this.pendingIds.delete(id);
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   * @throws {import('./error-utils.js').PocketCrudError}
+   */
+  async deleteRecord(id) {
+    this.pendingIds.add(id);
+    try {
+      await this.crud.delete(this.collectionName, id);
+      await this.loadPage();
+    } catch (err) {
+      throw this.toMutationError(err, 'delete');
+    } finally {
+      this.pendingIds.delete(id);
+    }
+  }
+
+  /**
+   * @private
+   * @param {unknown} err
+   * @param {keyof CollectionPermissions} action
+   * @returns {import('./error-utils.js').PocketCrudError}
+   */
+  toMutationError(err, action) {
+    const error = normalizeError(err);
+    if (error.status === 403) this.denyAction(action);
+    return error;
+  }
+
+  /**
+   * Keeps the records up to date with changes made elsewhere.
+   *
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  async setRealtime(enabled) {
+    const realtimeId = ++this.realtimeId;
+    this.realtime = enabled;
+    this.stopRealtime();
+    if (!enabled) return;
+
+    try {
+      const unsubscribe = await this.crud.subscribe(
+        this.collectionName,
+        '*',
+        event => this.handleRealtimeEvent(event),
+        this.expand ? { expand: this.expand } : undefined
+      );
+      // Drop the subscription if realtime was turned off, or on again, meanwhile
+      if (!this.realtime || realtimeId !== this.realtimeId) {
+        this.dropSubscription(unsubscribe);
+        return;
+      }
+      this.unsubscribeRealtime = unsubscribe;
+    } catch (err) {
+      console.error('Realtime subscription error:', err);
+    }
+  }
+
+  /** @private */
+  stopRealtime() {
+    if (this.unsubscribeRealtime) {
+      this.dropSubscription(this.unsubscribeRealtime);
+      this.unsubscribeRealtime = null;
+    }
+  }
+
+  /**
+   * Removes a subscription without waiting for it. A failed removal, eg.
+   * after the connection dropped, is logged like a failed subscription.
+   *
+   * @private
+   * @param {() => Promise<void>} unsubscribe
+   */
+  dropSubscription(unsubscribe) {
+    new Promise(resolve => resolve(unsubscribe())).catch(err => {
+      console.error('Realtime unsubscribe error:', err);
+    });
+  }
+
+  /**
+   * @private
+   * @param {RealtimeEvent} event
+   */
+  handleRealtimeEvent(event) {
+    const { records, currentPage, perPage, totalItems, totalPages } = this.state;
+    const next = applyRealtimeEvent(
+      { records, currentPage, perPage, totalItems, totalPages },
+      event
+    );
+    this.setState({
+      records: next.records,
+      totalItems: next.totalItems,
+      totalPages: next.totalPages,
+    });
+
+    if (!this.pendingIds.has(event.record.id)) {
+      this.onRemoteChange?.(event);
+    }
+  }
+
+  /**
+   * Stops realtime updates and drops the results of requests in flight, eg.
+   * when the component using the controller unmounts. `load()` starts over.
+   */
+  disconnect() {
+    this.realtime = false;
+    this.stopRealtime();
+    this.loadId++;
+    this.pageRequestId++;
+  }
+}
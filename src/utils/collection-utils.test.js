@@ -0,0 +1,250 @@
+import { describe, it, expect, vi } from 'vitest';
+import { CollectionController } from './collection-utils.js';
+
+const schema = [
+  { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+];
+
+const posts = [
+  { id: 'r1', title: 'First post' },
+  { id: 'r2', title: 'Second post' },
+];
+
+/**
+ * @param {Record<string, any>} [collection]
+ * @returns {any}
+ */
+function createMockCrud(collection = {}) {
+  return {
+    currentUser: { id: 'admin1', isAdmin: true },
+    getCollection: vi
+      .fn()
+      .mockResolvedValue({ name: 'posts', type: 'base', schema, ...collection }),
+    getList: vi.fn().mockResolvedValue({
+      items: posts,
+      page: 1,
+      perPage: 20,
+      totalItems: 2,
+      totalPages: 1,
+    }),
+    create: vi.fn().mockResolvedValue({ id: 'r3', title: 'New post' }),
+    update: vi.fn().mockResolvedValue({ id: 'r1', title: 'Changed' }),
+    delete: vi.fn().mockResolvedValue(true),
+    subscribe: vi.fn().mockResolvedValue(vi.fn()),
+    getRelationLabelFields: vi.fn().mockResolvedValue(['name']),
+  };
+}
+
+describe('CollectionController', () => {
+  it('should load the collection and its first page', async () => {
+    const crud = createMockCrud();
+    const controller = new CollectionController(crud, 'posts', { perPage: 10 });
+    const listener = vi.fn();
+    controller.subscribe(listener);
+
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ loading: true }));
+    await controller.load();
+
+    expect(crud.getList).toHaveBeenCalledWith('posts', {
+      page: 1,
+      perPage: 10,
+      sort: '-created',
+      filter: expect.anything(),
+      requestKey: expect.stringMatching(/^pocketcrud-collection-/),
+    });
+    expect(controller.getState()).toMatchObject({
+      loading: false,
+      error: '',
+      records: posts,
+      totalItems: 2,
+      permissions: { list: true, create: true, update: true, delete: true },
+    });
+    expect(listener).toHaveBeenLastCalledWith(controller.getState());
+  });
+
+  it('should give every controller its own request key', async () => {
+    const crud = createMockCrud();
+    await new CollectionController(crud, 'posts').load();
+    await new CollectionController(crud, 'posts').load();
+
+    const [first, second] = crud.getList.mock.calls.map(call => call[1].requestKey);
+    expect(first).not.toBe(second);
+  });
+
+  it('should report failed loads but not cancelled ones', async () => {
+    const crud = createMockCrud();
+    crud.getCollection.mockRejectedValueOnce(new Error('Collection not found'));
+    const controller = new CollectionController(crud, 'posts');
+    await controller.load();
+
+    expect(controller.getState().error).toBe('Collection not found');
+
+    crud.getList.mockRejectedValueOnce(
+      Object.assign(new Error('The request was autocancelled.'), { isAbort: true })
+    );
+    await controller.load();
+
+    expect(controller.getState()).toMatchObject({ error: '', loading: false });
+  });
+
+  it('should drop the results of outdated page requests', async () => {
+    const crud = createMockCrud();
+    const controller = new CollectionController(crud, 'posts');
+    await controller.load();
+
+    /** @type {(value: any) => void} */
+    let resolveSlow = () => {};
+    crud.getList.mockReturnValueOnce(new Promise(resolve => (resolveSlow = resolve)));
+    crud.getList.mockResolvedValueOnce({
+      items: [posts[1]],
+      page: 3,
+      perPage: 20,
+      totalItems: 41,
+      totalPages: 3,
+    });
+    const slow = controller.loadPage(2);
+    await controller.loadPage(3);
+    resolveSlow({ items: [posts[0]], page: 2, perPage: 20, totalItems: 41, totalPages: 3 });
+    await slow;
+
+    expect(controller.getState()).toMatchObject({ currentPage: 3, records: [posts[1]] });
+  });
+
+  it('should reload the first page when the sort or filter changes', async () => {
+    const crud = createMockCrud();
+    const controller = new CollectionController(crud, 'posts');
+    await controller.load();
+
+    controller.setSort('title');
+    controller.setFilter({ search: 'first' });
+    controller.setFilter({ search: 'first' });
+
+    expect(crud.getList).toHaveBeenCalledTimes(3);
+    expect(crud.getList).toHaveBeenLastCalledWith(
+      'posts',
+      expect.objectContaining({ page: 1, sort: 'title' })
+    );
+    expect(controller.getState().filter).toEqual({ search: 'first' });
+  });
+
+  it('should not list records the list rule does not allow', async () => {
+    const crud = createMockCrud({ listRule: null, createRule: '' });
+    crud.currentUser = { id: 'user1', isAdmin: false };
+    const controller = new CollectionController(crud, 'posts');
+    await controller.load();
+
+    expect(crud.getList).not.toHaveBeenCalled();
+    expect(controller.getState().permissions).toMatchObject({ list: false, create: true });
+  });
+
+  it('should save records, reload the page and deny actions the server forbids', async () => {
+    const crud = createMockCrud();
+    const controller = new CollectionController(crud, 'posts');
+    await controller.load();
+
+    await controller.createRecord({ title: 'New post' });
+    await controller.updateRecord('r1', { title: 'Changed' });
+    expect(crud.create).toHaveBeenCalledWith('posts', { title: 'New post' });
+    expect(crud.update).toHaveBeenCalledWith('posts', 'r1', { title: 'Changed' });
+    expect(crud.getList).toHaveBeenCalledTimes(3);
+
+    crud.delete.mockRejectedValueOnce({ status: 403, response: { message: 'Forbidden.' } });
+    await expect(controller.deleteRecord('r1')).rejects.toMatchObject({
+      status: 403,
+      message: 'Forbidden.',
+    });
+    expect(controller.getState().permissions.delete).toBe(false);
+  });
+
+  it('should apply realtime events and report changes made elsewhere', async () => {
+    const crud = createMockCrud();
+    const onRemoteChange = vi.fn();
+    const controller = new CollectionController(crud, 'posts', { onRemoteChange });
+    await controller.load();
+    await controller.setRealtime(true);
+
+    const [, , handleEvent] = crud.subscribe.mock.calls[0];
+    handleEvent({ action: 'create', record: { id: 'r3', title: 'Third' } });
+
+    expect(controller.getState().records.map(record => record.id)).toEqual(['r3', 'r1', 'r2']);
+    expect(onRemoteChange).toHaveBeenCalledWith({
+      action: 'create',
+      record: { id: 'r3', title: 'Third' },
+    });
+
+    // Events of the controller's own saves are not remote changes
+    crud.update.mockImplementationOnce(async () => {
+      handleEvent({ action: 'update', record: { id: 'r1', title: 'Mine' } });
+      return { id: 'r1', title: 'Mine' };
+    });
+    await controller.updateRecord('r1', { title: 'Mine' });
+    expect(onRemoteChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should expand the relations picked from the schema', async () => {
+    const author = {
+      id: 'f2',
+      name: 'author',
+      type: 'relation',
+      system: false,
+      required: false,
+      presentable: true,
+      options: { collectionId: 'users_id' },
+    };
+    const crud = createMockCrud({ schema: [...schema, author] });
+    const expand = vi.fn(fields =>
+      fields
+        .filter(field => field.type === 'relation')
+        .map(field => field.name)
+        .join(',')
+    );
+    const controller = new CollectionController(crud, 'posts', { expand });
+    await controller.setRealtime(true);
+    await controller.load();
+
+    expect(expand).toHaveBeenCalledWith(expect.arrayContaining([author]));
+    expect(crud.getList).toHaveBeenCalledWith(
+      'posts',
+      expect.objectContaining({ expand: 'author' })
+    );
+    expect(crud.getRelationLabelFields).toHaveBeenCalledWith('users_id', undefined);
+    expect(controller.getState().relationLabelFields).toEqual({ author: ['name'] });
+
+    // Realtime events carry the relations too
+    await vi.waitFor(() => expect(crud.subscribe).toHaveBeenCalledTimes(2));
+    expect(crud.subscribe).toHaveBeenLastCalledWith('posts', '*', expect.any(Function), {
+      expand: 'author',
+    });
+  });
+
+  it('should unsubscribe and drop results in flight when disconnected', async () => {
+    const crud = createMockCrud();
+    const unsubscribe = vi.fn();
+    crud.subscribe.mockResolvedValue(unsubscribe);
+    const controller = new CollectionController(crud, 'posts');
+    await controller.setRealtime(true);
+
+    const loading = controller.load();
+    controller.disconnect();
+    await loading;
+
+    expect(unsubscribe).toHaveBeenCalled();
+    expect(controller.getState().collection).toBeNull();
+  });
+
+  it('should log a failed unsubscribe instead of rejecting', async () => {
+    const crud = createMockCrud();
+    const error = new Error('Connection lost');
+    crud.subscribe.mockResolvedValue(vi.fn().mockRejectedValue(error));
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const controller = new CollectionController(crud, 'posts');
+    await controller.setRealtime(true);
+
+    controller.disconnect();
+
+    await vi.waitFor(() =>
+      expect(consoleError).toHaveBeenCalledWith('Realtime unsubscribe error:', error)
+    );
+    consoleError.mockRestore();
+  });
+});
@@ -1,18 +1,48 @@
-import PocketBase from 'pocketbase';
+import PocketBase, { RealtimeService } from 'pocketbase';
+import { getRecordLabel } from './form-utils.js';
+import { denormalizeCollection, detectSchemaFormat, normalizeCollection } from './schema-utils.js';
+import { compileFilter, getUnknownFilterFields } from './filter-utils.js';
+import { PocketCrudError, normalizeError } from './error-utils.js';
+import { API_RULES, validateRules } from './rule-utils.js';
+import { getOAuth2AuthUrl, normalizeAuthMethods } from './auth-utils.js';
+import { getBackReferenceFields, getExpandQuery, getExpandedRecords } from './record-utils.js';
+
+/**
+ * A collection name to probe, or a full collection definition in either
+ * PocketBase format (eg. taken from a schema snapshot)
+ *
+ * @typedef {string | Record<string, any>} CollectionDefinition
+ */
 
 /**
  * @typedef {Object} CrudOptions
  * @property {string} url
  * @property {any} [authStore]
+ * @property {CollectionDefinition[]} [collections] Collections to discover when the schema API is not accessible
+ * @property {(error: unknown, collectionName: string) => void} [onDiscoveryError] Called when a collection cannot be discovered, defaults to `console.warn`
+ */
+
+/**
+ * Guessed collection names, only probed when no `collections` are configured
  */
+const DEFAULT_PROBE_COLLECTIONS = [
+  'posts',
+  'users',
+  'comments',
+  'categories',
+  'pages',
+  'media',
+  'settings',
+];
 
 /**
  * @typedef {Object} QueryOptions
- * @property {string} [filter]
+ * @property {string | import('./filter-utils.js').FilterBuilder | import('./filter-utils.js').FilterObject} [filter] Raw filter expression, a `FilterBuilder` or a filter object
  * @property {string} [sort]
  * @property {number} [page]
  * @property {number} [perPage]
  * @property {string} [expand]
+ * @property {string | null} [requestKey] Key PocketBase cancels older requests by, `null` never cancels
  */
 
 /**
@@ -24,6 +54,7 @@ import PocketBase from 'pocketbase';
  * @property {boolean} required
  * @property {boolean} presentable
  * @property {boolean} [unique]
+ * @property {boolean} [hidden]
  * @property {Object} [options]
  * @property {number} [options.min]
  * @property {number} [options.max]
@@ -34,6 +65,16 @@ import PocketBase from 'pocketbase';
  * @property {number} [options.minSelect]
  * @property {string[]} [options.displayFields]
  * @property {string} [options.collectionId]
+ * @property {boolean} [options.onCreate]
+ * @property {boolean} [options.onUpdate]
+ * @property {number} [options.maxSize]
+ * @property {string[]} [options.mimeTypes]
+ * @property {string[]} [options.thumbs]
+ * @property {boolean} [options.onlyInt]
+ * @property {boolean} [options.noDecimal]
+ * @property {string[]} [options.onlyDomains]
+ * @property {string[]} [options.exceptDomains]
+ * @property {string} [options.autogeneratePattern]
  */
 
 /**
@@ -50,6 +91,70 @@ import PocketBase from 'pocketbase';
  * @property {string | null} [updateRule]
  * @property {string | null} [deleteRule]
  * @property {Record<string, any> | null} [options]
+ * @property {import('./schema-utils.js').SchemaFormat} [format] Format the server returned the collection in
+ */
+
+/**
+ * @typedef {Object} AuthUser
+ * @property {string} id
+ * @property {string} email
+ * @property {string | null} collectionName Auth collection of the user, null for admins of legacy servers
+ * @property {boolean} isAdmin Whether the user is a superuser (an admin on legacy servers)
+ * @property {Record<string, any>} record The auth record returned by the server
+ */
+
+/**
+ * @typedef {Object} LoginOptions
+ * @property {string} [mfaId] Id from the `MfaRequiredError` of the first sign-in step
+ */
+
+/**
+ * @typedef {Object} OAuth2LoginOptions
+ * @property {(url: string) => void | Promise<void>} urlCallback Opens the sign-in page of the provider, usually in a popup
+ * @property {string[]} [scopes] Replaces the default scopes of the provider
+ * @property {Record<string, any>} [createData] Data for the record created on first sign-in
+ * @property {AbortSignal} [signal] Stops waiting for the provider, eg. when the user closed the popup
+ */
+
+/**
+ * @typedef {Object} RelationOption
+ * @property {string} id
+ * @property {string} label
+ * @property {Record<string, any>} record
+ */
+
+/**
+ * @typedef {Object} RelationOptionsQuery
+ * @property {string} [search]
+ * @property {number} [page]
+ * @property {number} [perPage]
+ * @property {string[]} [displayFields]
+ */
+
+/**
+ * @typedef {Object} RelationOptionsResult
+ * @property {RelationOption[]} items
+ * @property {number} page
+ * @property {number} perPage
+ * @property {number} totalItems
+ * @property {number} totalPages
+ */
+
+/**
+ * @typedef {Object} RecordWithRelations
+ * @property {CollectionSchema} collection
+ * @property {Record<string, any>} record
+ * @property {Record<string, RelationOption[]>} relations Related records by relation field name
+ */
+
+/**
+ * Records of another collection whose relation field points at a record
+ *
+ * @typedef {Object} RecordReference
+ * @property {CollectionSchema} collection
+ * @property {CollectionField} field
+ * @property {RelationOption[]} items The first records
+ * @property {number} totalItems
  */
 
 export class PocketCrud {
@@ -59,6 +164,42 @@ export class PocketCrud {
    */
   pb;
 
+  /**
+   * @private
+   * @type {Map<string, CollectionSchema | null>}
+   */
+  collectionCache = new Map();
+
+  /**
+   * Collection format of the connected server, once a collection was read
+   *
+   * @private
+   * @type {import('./schema-utils.js').SchemaFormat | null}
+   */
+  schemaFormat = null;
+
+  /**
+   * Configured collection names, in discovery order
+   *
+   * @private
+   * @type {string[]}
+   */
+  collectionNames = [];
+
+  /**
+   * Known collection definitions by id and name
+   *
+   * @private
+   * @type {Map<string, CollectionSchema>}
+   */
+  manifest = new Map();
+
+  /**
+   * @private
+   * @type {(error: unknown, collectionName: string) => void}
+   */
+  onDiscoveryError;
+
   /**
    * @param {CrudOptions} options
    */
@@ -67,16 +208,35 @@ export class PocketCrud {
     if (options.authStore) {
       this.pb.authStore = options.authStore;
     }
+
+    this.onDiscoveryError =
+      options.onDiscoveryError ||
+      ((error, collectionName) => {
+        console.warn(`PocketCrud: could not discover collection "${collectionName}"`, error);
+      });
+
+    for (const definition of options.collections || []) {
+      if (typeof definition === 'string') {
+        this.addCollectionName(definition);
+      } else {
+        this.addToManifest(normalizeCollection(definition));
+      }
+    }
   }
 
   /**
    * @template {Record<string, any>} T
    * @param {string} collection
-   * @param {Record<string, any>} data
+   * @param {Record<string, any> | FormData} data
    * @returns {Promise<T>}
+   * @throws {import('./error-utils.js').PocketCrudError} With the field errors returned by PocketBase
    */
   async create(collection, data) {
-    return this.pb.collection(collection).create(data);
+    try {
+      return await this.pb.collection(collection).create(data);
+    } catch (err) {
+      throw normalizeError(err);
+    }
   }
 
   /**
@@ -97,7 +257,8 @@ export class PocketCrud {
    */
   async getList(collection, options) {
     const { page = 1, perPage = 30, ...restOptions } = options || {};
-    return this.pb.collection(collection).getList(page, perPage, restOptions);
+    const query = await this.resolveQuery(collection, restOptions);
+    return this.pb.collection(collection).getList(page, perPage, query);
   }
 
   /**
@@ -106,27 +267,172 @@ export class PocketCrud {
    * @param {Omit<QueryOptions, 'page' | 'perPage'>} [options]
    */
   async getFullList(collection, options) {
-    return this.pb.collection(collection).getFullList(options);
+    const query = options && (await this.resolveQuery(collection, options));
+    return this.pb.collection(collection).getFullList(query);
+  }
+
+  /**
+   * Turns a `FilterBuilder` or filter object into an escaped filter
+   * expression. Field names are checked against the collection schema when
+   * it is readable.
+   *
+   * @param {string} collection
+   * @param {import('./filter-utils.js').FilterBuilder | import('./filter-utils.js').FilterObject} filter
+   * @returns {Promise<string>}
+   */
+  async buildFilter(collection, filter) {
+    const { raw, params, fields } = compileFilter(filter);
+
+    const schema = await this.getCachedCollection(collection);
+    if (schema) {
+      const unknown = getUnknownFilterFields(fields, schema.schema);
+      if (unknown.length > 0) {
+        throw new Error(
+          `Unknown filter ${unknown.length > 1 ? 'fields' : 'field'} ${unknown
+            .map(name => `"${name}"`)
+            .join(', ')} in collection "${collection}"`
+        );
+      }
+    }
+
+    return raw ? this.pb.filter(raw, params) : '';
+  }
+
+  /**
+   * Checks the values of `unique` fields against existing records with one
+   * `getList` probe per field. Probes that fail, eg. for lack of list
+   * access, are skipped and left to the server.
+   *
+   * @param {string} collection
+   * @param {Record<string, any>} data
+   * @param {string} [excludeId] Id of the record being edited
+   * @returns {Promise<import('./form-utils.js').ValidationErrors>}
+   */
+  async validateUnique(collection, data, excludeId) {
+    /** @type {import('./form-utils.js').ValidationErrors} */
+    const errors = {};
+    const schema = await this.getCachedCollection(collection);
+    if (!schema) return errors;
+
+    const fields = schema.schema.filter(field => {
+      const value = data[field.name];
+      return (
+        field.unique &&
+        field.name !== 'id' &&
+        (typeof value === 'number' || (typeof value === 'string' && value !== ''))
+      );
+    });
+
+    await Promise.all(
+      fields.map(async field => {
+        try {
+          const result = await this.getList(collection, {
+            page: 1,
+            perPage: 1,
+            filter: {
+              [field.name]: data[field.name],
+              id: excludeId ? { ne: excludeId } : undefined,
+            },
+          });
+          if (result.items.length > 0) {
+            errors[field.name] = {
+              code: 'validation_not_unique',
+              message: `${field.name} must be unique`,
+            };
+          }
+        } catch {
+          // The server still enforces the unique index on save
+        }
+      })
+    );
+
+    return errors;
+  }
+
+  /**
+   * @private
+   * @template {Pick<QueryOptions, 'filter'>} O
+   * @param {string} collection
+   * @param {O} options
+   * @returns {Promise<Omit<O, 'filter'> & {filter?: string}>}
+   */
+  async resolveQuery(collection, options) {
+    const { filter, ...rest } = options;
+    if (filter === undefined || typeof filter === 'string') {
+      return /** @type {Omit<O, 'filter'> & {filter?: string}} */ (options);
+    }
+
+    const built = await this.buildFilter(collection, filter);
+    return built ? { ...rest, filter: built } : rest;
   }
 
   /**
    * @template {Record<string, any>} T
    * @param {string} collection
    * @param {string} id
-   * @param {Record<string, any>} data
+   * @param {Record<string, any> | FormData} data
    * @returns {Promise<T>}
+   * @throws {import('./error-utils.js').PocketCrudError} With the field errors returned by PocketBase
    */
   async update(collection, id, data) {
-    return this.pb.collection(collection).update(id, data);
+    try {
+      return await this.pb.collection(collection).update(id, data);
+    } catch (err) {
+      throw normalizeError(err);
+    }
   }
 
   /**
    * @param {string} collection
    * @param {string} id
    * @returns {Promise<boolean>}
+   * @throws {import('./error-utils.js').PocketCrudError}
    */
   async delete(collection, id) {
-    return this.pb.collection(collection).delete(id);
+    try {
+      return await this.pb.collection(collection).delete(id);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Builds the url of a file of a record. Pass a `thumb` size such as
+   * `100x100` for image thumbnails.
+   *
+   * @param {Record<string, any>} record Record with `id` and `collectionId` or `collectionName`
+   * @param {string} filename
+   * @param {{thumb?: string, download?: boolean}} [options]
+   * @returns {string}
+   */
+  getFileUrl(record, filename, options) {
+    return this.pb.files.getUrl(record, filename, options);
+  }
+
+  /**
+   * Subscribes to realtime changes of a collection. Use `'*'` as topic to
+   * receive every record change or a record id to watch a single record.
+   *
+   * @param {string} collection
+   * @param {string} topic
+   * @param {(event: import('./realtime-utils.js').RealtimeEvent) => void} callback
+   * @param {Pick<QueryOptions, 'expand'>} [options] Relations to expand in the event records
+   * @returns {Promise<() => Promise<void>>} Removes only this subscription
+   */
+  async subscribe(collection, topic, callback, options) {
+    return this.pb.collection(collection).subscribe(topic, callback, options);
+  }
+
+  /**
+   * Removes all subscriptions of a collection topic, or every subscription
+   * of the collection when no topic is given.
+   *
+   * @param {string} collection
+   * @param {string} [topic]
+   * @returns {Promise<void>}
+   */
+  async unsubscribe(collection, topic) {
+    return this.pb.collection(collection).unsubscribe(topic);
   }
 
   /**
@@ -136,29 +442,7 @@ export class PocketCrud {
     try {
       // Try admin method first
       const collections = await this.pb.collections.getFullList();
-      return collections.map(col => ({
-        id: col.id,
-        name: col.name,
-        type: /** @type {'base' | 'auth' | 'view'} */ (col.type),
-        system: col.system,
-        schema: (col.schema || []).map(field => ({
-          id: field.id,
-          name: field.name,
-          type: field.type,
-          system: field.system,
-          required: field.required,
-          presentable: field.presentable,
-          unique: field.unique || false,
-          options: field.options,
-        })),
-        indexes: col.indexes || [],
-        listRule: col.listRule,
-        viewRule: col.viewRule,
-        createRule: col.createRule,
-        updateRule: col.updateRule,
-        deleteRule: col.deleteRule,
-        options: col.options,
-      }));
+      return collections.map(col => this.toCollectionSchema(col));
     } catch {
       // If admin method fails, fallback to discovering accessible collections
       return this.getAccessibleCollections();
@@ -166,108 +450,148 @@ export class PocketCrud {
   }
 
   /**
+   * Discovers the collections the current user can list, for sessions
+   * without access to the schema API. Probes the configured `collections`
+   * (or a few common names when none are configured) and takes schemas
+   * from loaded definitions before asking the server.
+   *
    * @returns {Promise<CollectionSchema[]>}
    */
   async getAccessibleCollections() {
-    // List of known collections to try
-    const knownCollections = [
-      'posts',
-      'users',
-      'comments',
-      'categories',
-      'pages',
-      'media',
-      'settings',
-    ];
+    const configured = this.collectionNames.length > 0;
+    const names = configured ? this.collectionNames : DEFAULT_PROBE_COLLECTIONS;
     /** @type {CollectionSchema[]} */
     const accessibleCollections = [];
 
-    for (const collectionName of knownCollections) {
+    for (const collectionName of names) {
       try {
         // Try to access the collection to see if we have permissions
         await this.pb.collection(collectionName).getList(1, 1);
-
-        // If successful, try to get the collection schema
-        try {
-          const collection = await this.pb.collections.getOne(collectionName);
-          accessibleCollections.push({
-            id: collection.id,
-            name: collection.name,
-            type: /** @type {'base' | 'auth' | 'view'} */ (collection.type),
-            system: collection.system || false,
-            schema: (collection.schema || []).map(field => ({
-              id: field.id,
-              name: field.name,
-              type: field.type,
-              system: field.system,
-              required: field.required,
-              presentable: field.presentable,
-              unique: field.unique || false,
-              options: field.options,
-            })),
-            indexes: collection.indexes || [],
-            listRule: collection.listRule,
-            viewRule: collection.viewRule,
-            createRule: collection.createRule,
-            updateRule: collection.updateRule,
-            deleteRule: collection.deleteRule,
-            options: collection.options,
-          });
-        } catch {
-          // If we can't get schema, create a basic collection entry
-          accessibleCollections.push({
-            id: collectionName,
-            name: collectionName,
-            type: 'base',
-            system: false,
-            schema: [],
-            indexes: [],
-            listRule: null,
-            viewRule: null,
-            createRule: null,
-            updateRule: null,
-            deleteRule: null,
-            options: null,
-          });
+      } catch (err) {
+        // Missing guessed collections are expected, everything else is reported
+        if (configured || /** @type {{status?: number}} */ (err)?.status !== 404) {
+          this.onDiscoveryError(err, collectionName);
         }
-      } catch {
-        // Collection not accessible, skip it
         continue;
       }
+
+      const known = this.manifest.get(collectionName);
+      if (known) {
+        accessibleCollections.push(known);
+        continue;
+      }
+
+      try {
+        const collection = await this.pb.collections.getOne(collectionName);
+        accessibleCollections.push(this.toCollectionSchema(collection));
+      } catch (err) {
+        this.onDiscoveryError(err, collectionName);
+        // Without a schema only a basic collection entry can be offered. Its
+        // rules are unknown rather than superuser-only, so the server decides
+        accessibleCollections.push({
+          id: collectionName,
+          name: collectionName,
+          type: 'base',
+          system: false,
+          schema: [],
+          indexes: [],
+          options: null,
+        });
+      }
     }
 
     return accessibleCollections;
   }
 
   /**
+   * Reads a collection from the server, falling back to a loaded definition
+   * when the schema API is not accessible.
+   *
    * @param {string} idOrName
    * @returns {Promise<CollectionSchema>}
    */
   async getCollection(idOrName) {
-    const collection = await this.pb.collections.getOne(idOrName);
-    return {
-      id: collection.id,
-      name: collection.name,
-      type: /** @type {'base' | 'auth' | 'view'} */ (collection.type),
-      system: collection.system,
-      schema: (collection.schema || []).map(field => ({
-        id: field.id,
-        name: field.name,
-        type: field.type,
-        system: field.system,
-        required: field.required,
-        presentable: field.presentable,
-        unique: field.unique,
-        options: field.options,
-      })),
-      indexes: collection.indexes || [],
-      listRule: collection.listRule,
-      viewRule: collection.viewRule,
-      createRule: collection.createRule,
-      updateRule: collection.updateRule,
-      deleteRule: collection.deleteRule,
-      options: collection.options,
-    };
+    try {
+      const collection = await this.pb.collections.getOne(idOrName);
+      return this.toCollectionSchema(collection);
+    } catch (err) {
+      const known = this.manifest.get(idOrName);
+      if (known) return known;
+      throw err;
+    }
+  }
+
+  /**
+   * Loads collection definitions from a schema snapshot, eg. one created by
+   * `exportSchemaSnapshot()` or the PocketBase "Export collections" screen.
+   * Loaded collections are used for discovery and whenever the schema API
+   * is not accessible.
+   *
+   * @param {string | Record<string, any>[]} snapshot JSON string or parsed array
+   * @returns {CollectionSchema[]}
+   */
+  loadSchemaSnapshot(snapshot) {
+    const definitions = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    if (!Array.isArray(definitions)) {
+      throw new Error('Schema snapshot must be an array of collections');
+    }
+
+    const collections = definitions.map(definition => normalizeCollection(definition));
+    for (const collection of collections) {
+      this.addToManifest(collection);
+    }
+    return collections;
+  }
+
+  /**
+   * Exports every collection as a schema snapshot JSON string. Requires a
+   * superuser session.
+   *
+   * @returns {Promise<string>}
+   */
+  async exportSchemaSnapshot() {
+    const collections = await this.pb.collections.getFullList();
+    return JSON.stringify(
+      collections.map(col => this.toCollectionSchema(col)),
+      null,
+      2
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   */
+  addCollectionName(name) {
+    if (!this.collectionNames.includes(name)) {
+      this.collectionNames.push(name);
+    }
+  }
+
+  /**
+   * @private
+   * @param {CollectionSchema} collection
+   */
+  addToManifest(collection) {
+    this.manifest.set(collection.name, collection);
+    if (collection.id) {
+      this.manifest.set(collection.id, collection);
+    }
+    // System collections (eg. `_superusers`) are never offered for editing
+    if (!collection.system) {
+      this.addCollectionName(collection.name);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Record<string, any>} collection
+   * @returns {CollectionSchema}
+   */
+  toCollectionSchema(collection) {
+    const normalized = normalizeCollection(collection);
+    this.schemaFormat = normalized.format || null;
+    return normalized;
   }
 
   /**
@@ -280,16 +604,437 @@ export class PocketCrud {
   }
 
   /**
+   * Creates a collection. Requires a superuser session.
+   *
+   * @param {Partial<CollectionSchema> & {name: string}} collection
+   * @returns {Promise<CollectionSchema>}
+   * @throws {PocketCrudError}
+   */
+  async createCollection(collection) {
+    const format = await this.getSchemaFormat();
+    /** @type {Record<string, any>} */
+    let created;
+    try {
+      created = await this.pb.collections.create(denormalizeCollection(collection, format));
+    } catch (err) {
+      throw normalizeError(err);
+    }
+
+    const result = this.toCollectionSchema(created);
+    this.replaceCollection(result.name, result);
+    return result;
+  }
+
+  /**
+   * Updates a collection. Only the given properties are changed; `schema`
+   * replaces the whole field list, so fields left out are removed.
+   *
+   * @param {string} idOrName
+   * @param {Partial<CollectionSchema>} changes
+   * @returns {Promise<CollectionSchema>}
+   * @throws {PocketCrudError}
+   */
+  async updateCollection(idOrName, changes) {
+    const format = await this.getSchemaFormat();
+    /** @type {Record<string, any>} */
+    let updated;
+    try {
+      updated = await this.pb.collections.update(idOrName, denormalizeCollection(changes, format));
+    } catch (err) {
+      throw normalizeError(err);
+    }
+
+    const result = this.toCollectionSchema(updated);
+    this.replaceCollection(idOrName, result);
+    return result;
+  }
+
+  /**
+   * Deletes a collection and all of its records.
+   *
+   * @param {string} idOrName
+   * @returns {Promise<boolean>}
+   * @throws {PocketCrudError}
+   */
+  async deleteCollection(idOrName) {
+    try {
+      await this.pb.collections.delete(idOrName);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+
+    this.replaceCollection(idOrName, null);
+    return true;
+  }
+
+  /**
+   * Adds a field to a collection. Options missing from `field.options` get
+   * the server defaults.
+   *
+   * @param {string} collectionIdOrName
+   * @param {Partial<CollectionField> & {name: string, type: string}} field
+   * @returns {Promise<CollectionSchema>}
+   * @throws {PocketCrudError} When a field with the same name exists or the server rejects the change
+   */
+  async addField(collectionIdOrName, field) {
+    const collection = await this.getCollection(collectionIdOrName);
+    if (collection.schema.some(item => item.name === field.name)) {
+      throw new PocketCrudError(`Field "${field.name}" already exists`, { status: 400 });
+    }
+
+    /** @type {CollectionField} */
+    const newField = {
+      id: '',
+      system: false,
+      required: false,
+      presentable: false,
+      ...field,
+      options: { ...field.options },
+    };
+    return this.updateCollection(collection.id, { schema: [...collection.schema, newField] });
+  }
+
+  /**
+   * Changes a field of a collection. `changes.options` are merged into the
+   * current options.
+   *
+   * @param {string} collectionIdOrName
+   * @param {string} fieldIdOrName
+   * @param {Partial<CollectionField>} changes
+   * @returns {Promise<CollectionSchema>}
+   * @throws {PocketCrudError} When the field does not exist or the server rejects the change
+   */
+  async updateField(collectionIdOrName, fieldIdOrName, changes) {
+    const collection = await this.getCollection(collectionIdOrName);
+    const field = findField(collection, fieldIdOrName);
+
+    const schema = collection.schema.map(item =>
+      item === field
+        ? { ...item, ...changes, options: { ...item.options, ...changes.options } }
+        : item
+    );
+    return this.updateCollection(collection.id, { schema });
+  }
+
+  /**
+   * Removes a field, and its data, from a collection.
+   *
+   * @param {string} collectionIdOrName
+   * @param {string} fieldIdOrName
+   * @returns {Promise<CollectionSchema>}
+   * @throws {PocketCrudError} When the field does not exist or the server rejects the change
+   */
+  async removeField(collectionIdOrName, fieldIdOrName) {
+    const collection = await this.getCollection(collectionIdOrName);
+    const field = findField(collection, fieldIdOrName);
+
+    return this.updateCollection(collection.id, {
+      schema: collection.schema.filter(item => item !== field),
+    });
+  }
+
+  /**
+   * Checks API rules against the fields of the collection and, when the
+   * schema API is accessible, of the other collections. See `lintRule`.
+   *
+   * @param {string} idOrName
+   * @param {import('./rule-utils.js').CollectionRules} rules
+   * @returns {Promise<import('./form-utils.js').ValidationErrors>} Problems by rule name, empty when all rules are valid
+   */
+  async validateRules(idOrName, rules) {
+    const collection = await this.getCollection(idOrName);
+
+    /** @type {CollectionSchema[] | undefined} */
+    let collections;
+    try {
+      const all = await this.pb.collections.getFullList();
+      collections = all.map(col => this.toCollectionSchema(col));
+    } catch {
+      // References to other collections are not checked
+      collections = undefined;
+    }
+
+    return validateRules(rules, { collection, collections });
+  }
+
+  /**
+   * Validates and saves the API rules of a collection. `null` locks an
+   * action to superusers and `''` makes it public.
+   *
+   * @param {string} idOrName
+   * @param {import('./rule-utils.js').CollectionRules} rules
+   * @returns {Promise<CollectionSchema>}
+   * @throws {PocketCrudError} With the problems by rule name when a rule references unknown fields
+   */
+  async updateRules(idOrName, rules) {
+    const fieldErrors = await this.validateRules(idOrName, rules);
+    if (Object.keys(fieldErrors).length > 0) {
+      throw new PocketCrudError('Some rules are invalid', { status: 400, fieldErrors });
+    }
+
+    /** @type {import('./rule-utils.js').CollectionRules} */
+    const changes = {};
+    for (const { name } of API_RULES) {
+      if (rules[name] !== undefined) changes[name] = rules[name];
+    }
+    return this.updateCollection(idOrName, changes);
+  }
+
+  /**
+   * Collection format of the server, read from the first collection when no
+   * collection was loaded yet.
+   *
+   * @private
+   * @returns {Promise<import('./schema-utils.js').SchemaFormat>}
+   */
+  async getSchemaFormat() {
+    if (!this.schemaFormat) {
+      try {
+        const { items } = await this.pb.collections.getList(1, 1);
+        if (items.length > 0) {
+          this.schemaFormat = detectSchemaFormat(items[0]);
+        }
+      } catch (err) {
+        throw normalizeError(err);
+      }
+    }
+    return this.schemaFormat || 'legacy';
+  }
+
+  /**
+   * Replaces the cached and loaded definitions of a collection after it was
+   * created, changed or deleted, keeping its place in the discovery order.
+   *
+   * @private
+   * @param {string} idOrName
+   * @param {CollectionSchema | null} collection The new definition, null when deleted
+   */
+  replaceCollection(idOrName, collection) {
+    const previous = this.manifest.get(idOrName) || this.collectionCache.get(idOrName);
+    const loaded = this.manifest.has(idOrName);
+    const position = previous ? this.collectionNames.indexOf(previous.name) : -1;
+
+    for (const key of [idOrName, previous?.id, previous?.name]) {
+      if (key) {
+        this.collectionCache.delete(key);
+        this.manifest.delete(key);
+      }
+    }
+
+    if (!collection) {
+      if (position !== -1) this.collectionNames.splice(position, 1);
+      return;
+    }
+
+    this.collectionCache.set(collection.id, collection);
+    this.collectionCache.set(collection.name, collection);
+    if (position !== -1) this.collectionNames[position] = collection.name;
+    if (loaded) this.addToManifest(collection);
+  }
+
+  /**
+   * Loads a page of candidate records for a relation field, searching the
+   * related collection's label fields.
+   *
+   * @param {string} collectionId
+   * @param {RelationOptionsQuery} [options]
+   * @returns {Promise<RelationOptionsResult>}
+   */
+  async getRelationOptions(collectionId, options) {
+    const { search = '', page = 1, perPage = 10, displayFields } = options || {};
+    const labelFields = await this.getRelationLabelFields(collectionId, displayFields);
+
+    /** @type {QueryOptions} */
+    const query = { page, perPage };
+    const term = search.trim();
+    if (term) {
+      const searchFields = labelFields.includes('id') ? labelFields : ['id', ...labelFields];
+      query.filter = this.pb.filter(searchFields.map(name => `${name} ~ {:search}`).join(' || '), {
+        search: term,
+      });
+    }
+
+    const result = await this.getList(collectionId, query);
+    return {
+      items: result.items.map(record => toRelationOption(record, labelFields)),
+      page: result.page,
+      perPage: result.perPage,
+      totalItems: result.totalItems,
+      totalPages: result.totalPages,
+    };
+  }
+
+  /**
+   * Resolves already selected relation ids into labelled options.
+   *
+   * @param {string} collectionId
+   * @param {string[]} ids
+   * @param {string[]} [displayFields]
+   * @returns {Promise<RelationOption[]>}
+   */
+  async getRelationOptionsByIds(collectionId, ids, displayFields) {
+    if (!ids || ids.length === 0) return [];
+
+    const labelFields = await this.getRelationLabelFields(collectionId, displayFields);
+    /** @type {Record<string, string>} */
+    const params = {};
+    const filter = ids
+      .map((id, index) => {
+        params[`id${index}`] = id;
+        return `id = {:id${index}}`;
+      })
+      .join(' || ');
+
+    const records = await this.getFullList(collectionId, {
+      filter: this.pb.filter(filter, params),
+    });
+    return records.map(record => toRelationOption(record, labelFields));
+  }
+
+  /**
+   * Reads a record with its relations expanded into labelled options, for
+   * read-only views.
+   *
+   * @param {string} collectionIdOrName
+   * @param {string} id
+   * @returns {Promise<RecordWithRelations>}
+   */
+  async getRecordWithRelations(collectionIdOrName, id) {
+    const collection = await this.getCollection(collectionIdOrName);
+    const expand = getExpandQuery(collection.schema);
+    const record = await this.getOne(collection.name, id, expand ? { expand } : undefined);
+
+    /** @type {Record<string, RelationOption[]>} */
+    const relations = {};
+    for (const field of collection.schema) {
+      if (field.type !== 'relation') continue;
+
+      const labelFields = await this.getRelationLabelFields(
+        String(field.options?.collectionId ?? ''),
+        field.options?.displayFields
+      );
+      relations[field.name] = getExpandedRecords(record, field).map(related =>
+        toRelationOption(related, labelFields)
+      );
+    }
+
+    return { collection, record, relations };
+  }
+
+  /**
+   * Lists the records of every collection that link to a record through a
+   * relation field, the first `perPage` of each. Collections the user cannot
+   * list and relations without linking records are left out.
+   *
+   * @param {string} collectionIdOrName
+   * @param {string} id
+   * @param {{perPage?: number}} [options]
+   * @returns {Promise<RecordReference[]>}
+   */
+  async getBackReferences(collectionIdOrName, id, options = {}) {
+    const { perPage = 10 } = options;
+    const [collection, collections] = await Promise.all([
+      this.getCollection(collectionIdOrName),
+      this.getCollections(),
+    ]);
+
+    /** @type {RecordReference[]} */
+    const references = [];
+    for (const { collection: source, field } of getBackReferenceFields(collections, collection)) {
+      const multiple = Boolean(field.options?.maxSelect && field.options.maxSelect > 1);
+      try {
+        const result = await this.getList(source.name, {
+          perPage,
+          filter: this.pb.filter(`${field.name} ${multiple ? '?=' : '='} {:id}`, { id }),
+          // Several fields of one collection would otherwise cancel each other
+          requestKey: null,
+        });
+        if (result.totalItems === 0) continue;
+
+        const labelFields = await this.getRelationLabelFields(source.id);
+        references.push({
+          collection: source,
+          field,
+          items: result.items.map(record => toRelationOption(record, labelFields)),
+          totalItems: result.totalItems,
+        });
+      } catch (err) {
+        const { status } = normalizeError(err);
+        if (status !== 403 && status !== 404) throw err;
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Fields records of a related collection are labelled by: the given
+   * `displayFields`, else the presentable fields of the collection, else
+   * the id.
+   *
+   * @param {string} collectionId
+   * @param {string[]} [displayFields]
+   * @returns {Promise<string[]>}
+   */
+  async getRelationLabelFields(collectionId, displayFields) {
+    if (displayFields && displayFields.length > 0) {
+      return displayFields;
+    }
+
+    const collection = await this.getCachedCollection(collectionId);
+    const presentable = (collection?.schema || [])
+      .filter(field => field.presentable)
+      .map(field => field.name);
+
+    return presentable.length > 0 ? presentable : ['id'];
+  }
+
+  /**
+   * Reads a collection once per instance. Resolves to null when the schema
+   * is not readable (eg. for non-admin users).
+   *
+   * @private
+   * @param {string} idOrName
+   * @returns {Promise<CollectionSchema | null>}
+   */
+  async getCachedCollection(idOrName) {
+    if (!this.collectionCache.has(idOrName)) {
+      try {
+        this.collectionCache.set(idOrName, await this.getCollection(idOrName));
+      } catch {
+        this.collectionCache.set(idOrName, null);
+      }
+    }
+    return this.collectionCache.get(idOrName) ?? null;
+  }
+
+  /**
+   * Creates a superuser. PocketBase v0.23+ replaced admins with the
+   * `_superusers` auth collection, which is used when the server is known
+   * to use the new format or the admins endpoint no longer exists.
+   *
    * @param {string} email
    * @param {string} password
    * @returns {Promise<{id: string, email: string, created: string, updated: string}>}
    */
   async createAdmin(email, password) {
-    return this.pb.admins.create({
+    const data = {
       email,
       password,
       passwordConfirm: password,
-    });
+    };
+
+    if (this.schemaFormat !== 'fields' && this.pb.admins) {
+      try {
+        return await this.pb.admins.create(data);
+      } catch (err) {
+        if (/** @type {{status?: number}} */ (err)?.status !== 404) {
+          throw err;
+        }
+      }
+    }
+
+    return this.pb.collection('_superusers').create(data);
   }
 
   /**
@@ -305,6 +1050,459 @@ export class PocketCrud {
     }
   }
 
+  /**
+   * Signs in a superuser, through the admins API on legacy servers and the
+   * `_superusers` collection on v0.23+ servers.
+   *
+   * @param {string} email
+   * @param {string} password
+   * @param {LoginOptions} [options]
+   * @returns {Promise<AuthUser>}
+   * @throws {PocketCrudError} When the credentials are rejected
+   * @throws {import('./error-utils.js').MfaRequiredError} When a second factor is required
+   */
+  async loginAdmin(email, password, options = {}) {
+    try {
+      // Legacy admins have no MFA
+      if (!options.mfaId && this.schemaFormat !== 'fields' && this.pb.admins) {
+        try {
+          await this.pb.admins.authWithPassword(email, password);
+          return this.authenticated();
+        } catch (err) {
+          if (/** @type {{status?: number}} */ (err)?.status !== 404) {
+            throw err;
+          }
+        }
+      }
+
+      return await this.loginWithPassword('_superusers', email, password, options);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Signs in a record of an auth collection with its email or username.
+   *
+   * @param {string} collection
+   * @param {string} identity
+   * @param {string} password
+   * @param {LoginOptions} [options]
+   * @returns {Promise<AuthUser>}
+   * @throws {PocketCrudError} When the credentials are rejected
+   * @throws {import('./error-utils.js').MfaRequiredError} When a second factor is required
+   */
+  async loginWithPassword(collection, identity, password, options = {}) {
+    try {
+      // The SDK replaces the request body with `options.body` instead of merging it
+      const sendOptions = options.mfaId
+        ? { body: { identity, password, mfaId: options.mfaId } }
+        : undefined;
+      await this.pb.collection(collection).authWithPassword(identity, password, sendOptions);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+    return this.authenticated();
+  }
+
+  /**
+   * Lists the sign-in methods and OAuth2 providers of an auth collection.
+   *
+   * @param {string} collection
+   * @returns {Promise<import('./auth-utils.js').AuthMethods>}
+   */
+  async getAuthMethods(collection) {
+    try {
+      return normalizeAuthMethods(await this.pb.collection(collection).listAuthMethods());
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Signs in with an OAuth2 provider. `urlCallback` opens the sign-in page,
+   * which redirects to the server when done; the server then hands the code
+   * to this client over a realtime connection.
+   *
+   * Open the popup before calling this, in the click handler, and only set
+   * its location in `urlCallback`. Browsers block popups opened later.
+   *
+   * @param {string} collection
+   * @param {string} providerName
+   * @param {OAuth2LoginOptions} options
+   * @returns {Promise<AuthUser>}
+   * @throws {import('./error-utils.js').MfaRequiredError} When a second factor is required
+   */
+  async loginWithOAuth2(collection, providerName, options) {
+    // The SDK's own popup flow cannot read the providers of v0.23+ servers
+    const realtime = new RealtimeService(this.pb);
+
+    try {
+      const provider = await this.getOAuth2Provider(collection, providerName);
+      const redirectUrl = this.pb.buildUrl('/api/oauth2-redirect');
+
+      /** @type {Promise<string>} */
+      const code = new Promise((resolve, reject) => {
+        options.signal?.addEventListener('abort', () =>
+          reject(new PocketCrudError('OAuth2 sign-in was cancelled'))
+        );
+        realtime
+          .subscribe('@oauth2', event => {
+            if (!event.state || event.state !== realtime.clientId) {
+              reject(new Error('OAuth2 state does not match'));
+            } else if (event.error || !event.code) {
+              reject(new Error(`OAuth2 sign-in failed: ${event.error || 'no code returned'}`));
+            } else {
+              resolve(event.code);
+            }
+          })
+          .then(() =>
+            options.urlCallback(
+              getOAuth2AuthUrl(provider, redirectUrl, {
+                state: realtime.clientId,
+                scopes: options.scopes,
+              })
+            )
+          )
+          .catch(reject);
+      });
+
+      await this.pb
+        .collection(collection)
+        .authWithOAuth2Code(
+          provider.name,
+          await code,
+          provider.codeVerifier,
+          redirectUrl,
+          options.createData
+        );
+    } catch (err) {
+      throw normalizeError(err);
+    } finally {
+      realtime.unsubscribe();
+    }
+    return this.authenticated();
+  }
+
+  /**
+   * Finishes an OAuth2 sign-in that redirected the whole page, see
+   * `getOAuth2AuthUrl`. `provider` is the one the redirect was started
+   * with, as its code verifier has to match.
+   *
+   * @param {string} collection
+   * @param {import('./auth-utils.js').OAuth2Provider} provider
+   * @param {{code: string, state: string}} params Query parameters the provider redirected back with
+   * @param {string} redirectUrl The redirect url the sign-in was started with
+   * @returns {Promise<AuthUser>}
+   * @throws {import('./error-utils.js').MfaRequiredError} When a second factor is required
+   */
+  async loginWithOAuth2Code(collection, provider, params, redirectUrl) {
+    if (!params.state || params.state !== provider.state) {
+      throw new PocketCrudError('OAuth2 state does not match', { status: 400 });
+    }
+
+    try {
+      await this.pb
+        .collection(collection)
+        .authWithOAuth2Code(provider.name, params.code, provider.codeVerifier, redirectUrl);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+    return this.authenticated();
+  }
+
+  /**
+   * Emails a one-time password to `email` (v0.23+). Resolves even when no
+   * account uses that email, so that accounts cannot be probed.
+   *
+   * @param {string} collection
+   * @param {string} email
+   * @returns {Promise<string>} The `otpId` to sign in with
+   */
+  async requestOTP(collection, email) {
+    try {
+      // The SDK this package depends on predates one-time passwords
+      const result = await this.pb.send(
+        `/api/collections/${encodeURIComponent(collection)}/request-otp`,
+        { method: 'POST', body: { email } }
+      );
+      return result.otpId;
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Signs in with a one-time password from `requestOTP`.
+   *
+   * @param {string} collection
+   * @param {string} otpId
+   * @param {string} code The password from the email
+   * @param {LoginOptions} [options]
+   * @returns {Promise<AuthUser>}
+   * @throws {import('./error-utils.js').MfaRequiredError} When a second factor is required
+   */
+  async loginWithOTP(collection, otpId, code, options = {}) {
+    try {
+      const { token, record } = await this.pb.send(
+        `/api/collections/${encodeURIComponent(collection)}/auth-with-otp`,
+        { method: 'POST', body: { otpId, password: code, mfaId: options.mfaId } }
+      );
+      this.pb.authStore.save(token, record);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+    return this.authenticated();
+  }
+
+  /**
+   * Emails a link to choose a new password. `_superusers` uses the admins
+   * API on legacy servers.
+   *
+   * @param {string} collection
+   * @param {string} email
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(collection, email) {
+    try {
+      if (await this.callAdminsApi(collection, admins => admins.requestPasswordReset(email))) {
+        return;
+      }
+      await this.pb.collection(collection).requestPasswordReset(email);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Sets a new password with the token from the password reset email.
+   *
+   * @param {string} collection
+   * @param {string} token
+   * @param {string} password
+   * @param {string} passwordConfirm
+   * @returns {Promise<void>}
+   * @throws {PocketCrudError} With field errors when the token expired or the password is too weak
+   */
+  async confirmPasswordReset(collection, token, password, passwordConfirm) {
+    try {
+      const confirmed = await this.callAdminsApi(collection, admins =>
+        admins.confirmPasswordReset(token, password, passwordConfirm)
+      );
+      if (confirmed) return;
+      await this.pb.collection(collection).confirmPasswordReset(token, password, passwordConfirm);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Emails a link to verify the address of an account.
+   *
+   * @param {string} collection
+   * @param {string} email
+   * @returns {Promise<void>}
+   */
+  async requestVerification(collection, email) {
+    try {
+      await this.pb.collection(collection).requestVerification(email);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Marks an account verified with the token from the verification email.
+   *
+   * @param {string} collection
+   * @param {string} token
+   * @returns {Promise<void>}
+   */
+  async confirmVerification(collection, token) {
+    try {
+      await this.pb.collection(collection).confirmVerification(token);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Emails a confirmation link to the new address of the signed in user.
+   *
+   * @param {string} collection
+   * @param {string} newEmail
+   * @returns {Promise<void>}
+   */
+  async requestEmailChange(collection, newEmail) {
+    try {
+      await this.pb.collection(collection).requestEmailChange(newEmail);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Changes the email address with the token from the confirmation email.
+   * The session of the account ends, as its token is no longer valid.
+   *
+   * @param {string} collection
+   * @param {string} token
+   * @param {string} password Current password of the account
+   * @returns {Promise<void>}
+   */
+  async confirmEmailChange(collection, token, password) {
+    try {
+      await this.pb.collection(collection).confirmEmailChange(token, password);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Creates a token to act as an auth record, eg. to see what a user sees.
+   * Requires a superuser session and PocketBase v0.23+. The current session
+   * is kept and the token cannot be refreshed.
+   *
+   * @param {string} collection
+   * @param {string} recordId
+   * @param {number} [duration] Seconds the token is valid, the collection's auth token duration when 0
+   * @returns {Promise<{token: string, record: Record<string, any>}>}
+   */
+  async impersonate(collection, recordId, duration = 0) {
+    try {
+      // The SDK this package depends on predates impersonation
+      const result = await this.pb.send(
+        `/api/collections/${encodeURIComponent(collection)}/impersonate/${encodeURIComponent(recordId)}`,
+        { method: 'POST', body: { duration } }
+      );
+      return { token: result.token, record: result.record };
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  }
+
+  /**
+   * Clears the session of the current user.
+   */
+  logout() {
+    this.pb.authStore.clear();
+    this.collectionCache.clear();
+  }
+
+  /**
+   * Renews the token of the current session, eg. when the app starts with a
+   * stored session. A session the server no longer accepts is cleared.
+   *
+   * @returns {Promise<AuthUser | null>} The refreshed user, null without a valid session
+   * @throws {PocketCrudError} When the server cannot be reached
+   */
+  async refreshAuth() {
+    const user = this.currentUser;
+    if (!user || !this.pb.authStore.isValid) return null;
+
+    try {
+      if (user.collectionName) {
+        await this.pb.collection(user.collectionName).authRefresh();
+      } else {
+        await this.pb.admins.authRefresh();
+      }
+    } catch (err) {
+      const error = normalizeError(err);
+      if ([401, 403, 404].includes(error.status)) {
+        this.logout();
+        return null;
+      }
+      throw error;
+    }
+    return this.authenticated();
+  }
+
+  /**
+   * The signed in user, null without a session.
+   *
+   * @returns {AuthUser | null}
+   */
+  get currentUser() {
+    // SDK v0.23+ renamed `model` to `record` and `isAdmin` to `isSuperuser`
+    const store = /** @type {Record<string, any>} */ (this.pb.authStore);
+    const record = store?.record ?? store?.model;
+    if (!store?.token || !record) return null;
+
+    const collectionName = record.collectionName || null;
+    return {
+      id: record.id,
+      email: record.email || '',
+      collectionName,
+      isAdmin: Boolean(store.isSuperuser || store.isAdmin || collectionName === '_superusers'),
+      record,
+    };
+  }
+
+  /**
+   * Calls `callback` whenever the user signs in or out, or the session is
+   * refreshed, including changes made directly on the PocketBase client.
+   *
+   * @param {(user: AuthUser | null) => void} callback
+   * @param {boolean} [fireImmediately] Also call `callback` with the current user right away
+   * @returns {() => void} Removes the listener
+   */
+  onAuthChange(callback, fireImmediately = false) {
+    return this.pb.authStore.onChange(() => callback(this.currentUser), fireImmediately);
+  }
+
+  /**
+   * Runs `request` against the admins API when `collection` is
+   * `_superusers` on a legacy server.
+   *
+   * @private
+   * @param {string} collection
+   * @param {(admins: PocketBase['admins']) => Promise<unknown>} request
+   * @returns {Promise<boolean>} False when the `_superusers` collection has to be used instead
+   */
+  async callAdminsApi(collection, request) {
+    if (collection !== '_superusers' || this.schemaFormat === 'fields' || !this.pb.admins) {
+      return false;
+    }
+    try {
+      await request(this.pb.admins);
+      return true;
+    } catch (err) {
+      if (/** @type {{status?: number}} */ (err)?.status !== 404) {
+        throw err;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} collection
+   * @param {string} providerName
+   * @returns {Promise<import('./auth-utils.js').OAuth2Provider>}
+   */
+  async getOAuth2Provider(collection, providerName) {
+    const { oauth2 } = await this.getAuthMethods(collection);
+    const provider = oauth2.providers.find(item => item.name === providerName);
+    if (!provider) {
+      throw new PocketCrudError(`OAuth2 provider "${providerName}" is not enabled`, {
+        status: 400,
+      });
+    }
+    return provider;
+  }
+
+  /**
+   * The user after signing in. Cached collections are dropped, since the
+   * previous user may have been denied some of them.
+   *
+   * @private
+   * @returns {AuthUser}
+   */
+  authenticated() {
+    this.collectionCache.clear();
+    return /** @type {AuthUser} */ (this.currentUser);
+  }
+
   /**
    * @returns {PocketBase}
    */
@@ -313,5 +1511,36 @@ export class PocketCrud {
   }
 }
 
+/**
+ * @param {CollectionSchema} collection
+ * @param {string} fieldIdOrName
+ * @returns {CollectionField}
+ */
+function findField(collection, fieldIdOrName) {
+  const field = collection.schema.find(
+    item => item.id === fieldIdOrName || item.name === fieldIdOrName
+  );
+  if (!field) {
+    throw new PocketCrudError(
+      `Field "${fieldIdOrName}" does not exist in collection "${collection.name}"`,
+      { status: 404 }
+    );
+  }
+  return field;
+}
+
+/**
+ * @param {Record<string, any>} record
+ * @param {string[]} labelFields
+ * @returns {RelationOption}
+ */
+function toRelationOption(record, labelFields) {
+  return {
+    id: record.id,
+    label: getRecordLabel(record, labelFields),
+    record,
+  };
+}
+
 export * from './form-utils.js';
 export default PocketCrud;
@@ -1,19 +1,49 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { PocketCrud } from './crud.js';
+import { filter } from './filter-utils.js';
+import { getCollectionPermissions } from './rule-utils.js';
 
 // Mock PocketBase
 const mockPocketBase = {
   collections: {
     getFullList: vi.fn(),
     getOne: vi.fn(),
+    getList: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn(),
+  },
+  admins: {
+    create: vi.fn(),
   },
   collection: vi.fn(),
+  files: {
+    getUrl: vi.fn(),
+  },
+  // Mirrors the escaping of pb.filter: strings are quoted, other primitives are not
+  filter: vi.fn((raw, params) =>
+    raw.replace(/\{:(\w+)\}/g, (_, key) => {
+      const value = params[key];
+      if (value === null) return 'null';
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      return `'${String(value).replace(/'/g, "\\'")}'`;
+    })
+  ),
+  send: vi.fn(),
+  buildUrl: vi.fn(path => `http://localhost:8090${path}`),
   baseUrl: 'http://localhost:8090',
   authStore: {},
 };
 
+const mockRealtime = {
+  clientId: 'client1',
+  subscribe: vi.fn(),
+  unsubscribe: vi.fn(),
+};
+
 vi.mock('pocketbase', () => ({
   default: vi.fn(() => mockPocketBase),
+  RealtimeService: vi.fn(() => mockRealtime),
 }));
 
 describe('PocketCrud', () => {
@@ -135,6 +165,844 @@ describe('PocketCrud', () => {
     });
   });
 
+  describe('fields format', () => {
+    it('should normalize collections of newer servers', async () => {
+      mockPocketBase.collections.getFullList.mockResolvedValue([
+        {
+          id: 'col1',
+          name: 'posts',
+          type: 'base',
+          system: false,
+          fields: [
+            {
+              id: 'field1',
+              name: 'title',
+              type: 'text',
+              system: false,
+              hidden: false,
+              presentable: true,
+              required: true,
+              min: 0,
+              max: 120,
+              pattern: '',
+            },
+            {
+              id: 'field2',
+              name: 'created',
+              type: 'autodate',
+              system: false,
+              hidden: false,
+              presentable: false,
+              onCreate: true,
+              onUpdate: false,
+            },
+          ],
+          indexes: ['CREATE UNIQUE INDEX `idx_title` ON `posts` (`title`)'],
+          listRule: '',
+          viewRule: '',
+          createRule: null,
+          updateRule: null,
+          deleteRule: null,
+        },
+      ]);
+
+      const [result] = await crud.getCollections();
+
+      expect(result.format).toBe('fields');
+      expect(result.schema).toEqual([
+        {
+          id: 'field1',
+          name: 'title',
+          type: 'text',
+          system: false,
+          required: true,
+          presentable: true,
+          unique: true,
+          options: { min: 0, max: 120, pattern: '' },
+        },
+        {
+          id: 'field2',
+          name: 'created',
+          type: 'autodate',
+          system: false,
+          required: false,
+          presentable: false,
+          unique: false,
+          options: { onCreate: true, onUpdate: false },
+        },
+      ]);
+    });
+  });
+
+  describe('collection discovery', () => {
+    const postsDefinition = {
+      id: 'posts_id',
+      name: 'posts',
+      type: 'base',
+      system: false,
+      fields: [
+        {
+          id: 'field1',
+          name: 'title',
+          type: 'text',
+          system: false,
+          hidden: false,
+          presentable: true,
+          required: true,
+        },
+      ],
+      indexes: [],
+    };
+
+    /** @type {Record<string, import('vitest').Mock>} */
+    let mockCollection;
+
+    beforeEach(() => {
+      mockCollection = { getList: vi.fn().mockResolvedValue({ items: [] }) };
+      mockPocketBase.collection.mockReturnValue(mockCollection);
+      mockPocketBase.collections.getOne.mockRejectedValue(
+        Object.assign(new Error('Forbidden'), { status: 403 })
+      );
+    });
+
+    it('should only probe configured collections and use their definitions', async () => {
+      const onDiscoveryError = vi.fn();
+      const configured = new PocketCrud({
+        url: 'http://localhost:8090',
+        collections: [postsDefinition, 'notes'],
+        onDiscoveryError,
+      });
+
+      const result = await configured.getAccessibleCollections();
+
+      expect(mockPocketBase.collection.mock.calls.map(call => call[0])).toEqual(['posts', 'notes']);
+      expect(mockPocketBase.collections.getOne).toHaveBeenCalledTimes(1);
+      expect(mockPocketBase.collections.getOne).toHaveBeenCalledWith('notes');
+      expect(result.map(collection => collection.name)).toEqual(['posts', 'notes']);
+      expect(result[0].schema[0].name).toBe('title');
+      expect(result[1].schema).toEqual([]);
+      expect(onDiscoveryError).toHaveBeenCalledWith(expect.any(Error), 'notes');
+    });
+
+    it('should let the server decide the rules of collections without a schema', async () => {
+      const configured = new PocketCrud({ url: 'http://localhost:8090', collections: ['notes'] });
+
+      const [notes] = await configured.getAccessibleCollections();
+
+      expect(notes.listRule).toBeUndefined();
+      expect(getCollectionPermissions(notes, { id: 'u1', isAdmin: false }).list).toBe(true);
+    });
+
+    it('should report configured collections that cannot be listed', async () => {
+      const onDiscoveryError = vi.fn();
+      const configured = new PocketCrud({
+        url: 'http://localhost:8090',
+        collections: ['drafts'],
+        onDiscoveryError,
+      });
+      const error = Object.assign(new Error('Not found'), { status: 404 });
+      mockCollection.getList.mockRejectedValue(error);
+
+      const result = await configured.getAccessibleCollections();
+
+      expect(result).toEqual([]);
+      expect(onDiscoveryError).toHaveBeenCalledWith(error, 'drafts');
+    });
+
+    it('should only report unexpected failures of the default probe list', async () => {
+      const onDiscoveryError = vi.fn();
+      const fallback = new PocketCrud({ url: 'http://localhost:8090', onDiscoveryError });
+      const forbidden = Object.assign(new Error('Forbidden'), { status: 403 });
+      mockCollection.getList.mockImplementation(() =>
+        Promise.reject(
+          mockPocketBase.collection.mock.lastCall?.[0] === 'settings'
+            ? forbidden
+            : Object.assign(new Error('Not found'), { status: 404 })
+        )
+      );
+
+      const result = await fallback.getAccessibleCollections();
+
+      expect(result).toEqual([]);
+      expect(mockPocketBase.collection).toHaveBeenCalledWith('posts');
+      expect(onDiscoveryError).toHaveBeenCalledTimes(1);
+      expect(onDiscoveryError).toHaveBeenCalledWith(forbidden, 'settings');
+    });
+
+    it('should fall back to loaded definitions when the schema is not readable', async () => {
+      const configured = new PocketCrud({
+        url: 'http://localhost:8090',
+        collections: [postsDefinition],
+      });
+
+      const byId = await configured.getCollection('posts_id');
+      const byName = await configured.getCollectionSchema('posts');
+
+      expect(byId.name).toBe('posts');
+      expect(byName[0].name).toBe('title');
+      await expect(configured.getCollection('unknown')).rejects.toThrow('Forbidden');
+    });
+
+    it('should round trip schema snapshots', async () => {
+      mockPocketBase.collections.getFullList.mockResolvedValue([
+        postsDefinition,
+        { id: 'su_id', name: '_superusers', type: 'auth', system: true, fields: [], indexes: [] },
+      ]);
+      const snapshot = await crud.exportSchemaSnapshot();
+
+      const editor = new PocketCrud({ url: 'http://localhost:8090' });
+      const loaded = editor.loadSchemaSnapshot(snapshot);
+      const discovered = await editor.getAccessibleCollections();
+
+      expect(loaded.map(collection => collection.name)).toEqual(['posts', '_superusers']);
+      expect(loaded[0].format).toBe('fields');
+      expect(loaded[0].schema[0]).toMatchObject({ name: 'title', presentable: true });
+      expect(discovered.map(collection => collection.name)).toEqual(['posts']);
+    });
+
+    it('should reject snapshots that are not a list of collections', () => {
+      expect(() => crud.loadSchemaSnapshot('{"name": "posts"}')).toThrow(
+        'Schema snapshot must be an array of collections'
+      );
+    });
+  });
+
+  describe('schema editing', () => {
+    const legacyPosts = {
+      id: 'posts_id',
+      name: 'posts',
+      type: 'base',
+      system: false,
+      schema: [
+        {
+          id: 'f1',
+          name: 'title',
+          type: 'text',
+          system: false,
+          required: true,
+          presentable: true,
+          options: { min: null, max: 120, pattern: '' },
+        },
+      ],
+      indexes: [],
+      options: {},
+    };
+
+    beforeEach(() => {
+      mockPocketBase.collections.getList.mockResolvedValue({ items: [legacyPosts] });
+      mockPocketBase.collections.getOne.mockResolvedValue(legacyPosts);
+      mockPocketBase.collections.update.mockImplementation((_id, data) =>
+        Promise.resolve({ ...legacyPosts, ...data })
+      );
+    });
+
+    it('should create collections in the format of the server', async () => {
+      mockPocketBase.collections.getList.mockResolvedValue({
+        items: [{ id: 'users_id', name: 'users', type: 'auth', fields: [] }],
+      });
+      mockPocketBase.collections.create.mockImplementation(data =>
+        Promise.resolve({ id: 'notes_id', ...data })
+      );
+
+      const result = await crud.createCollection({
+        name: 'notes',
+        type: 'base',
+        schema: [
+          {
+            id: '',
+            name: 'body',
+            type: 'text',
+            system: false,
+            required: false,
+            presentable: false,
+            options: { max: 500 },
+          },
+        ],
+      });
+
+      expect(mockPocketBase.collections.create).toHaveBeenCalledWith({
+        name: 'notes',
+        type: 'base',
+        fields: [
+          {
+            name: 'body',
+            type: 'text',
+            system: false,
+            required: false,
+            presentable: false,
+            hidden: false,
+            max: 500,
+          },
+        ],
+      });
+      expect(result).toMatchObject({ id: 'notes_id', name: 'notes', format: 'fields' });
+    });
+
+    it('should add, update and remove fields', async () => {
+      await crud.addField('posts', {
+        name: 'tags',
+        type: 'select',
+        options: { values: ['a'], maxSelect: 1 },
+      });
+      expect(mockPocketBase.collections.update).toHaveBeenLastCalledWith('posts_id', {
+        schema: [
+          expect.objectContaining({ id: 'f1', name: 'title' }),
+          {
+            name: 'tags',
+            type: 'select',
+            system: false,
+            required: false,
+            presentable: false,
+            options: { values: ['a'], maxSelect: 1 },
+          },
+        ],
+      });
+
+      await crud.updateField('posts', 'title', { required: false, options: { max: 80 } });
+      expect(mockPocketBase.collections.update.mock.lastCall[1].schema[0]).toMatchObject({
+        id: 'f1',
+        required: false,
+        options: { min: null, max: 80, pattern: '' },
+      });
+
+      const result = await crud.removeField('posts', 'f1');
+      expect(mockPocketBase.collections.update).toHaveBeenLastCalledWith('posts_id', {
+        schema: [],
+      });
+      expect(result.schema).toEqual([]);
+    });
+
+    it('should reject duplicate and unknown fields', async () => {
+      await expect(crud.addField('posts', { name: 'title', type: 'text' })).rejects.toMatchObject({
+        name: 'PocketCrudError',
+        message: 'Field "title" already exists',
+      });
+      await expect(crud.removeField('posts', 'missing')).rejects.toMatchObject({ status: 404 });
+      expect(mockPocketBase.collections.update).not.toHaveBeenCalled();
+    });
+
+    it('should normalize server errors', async () => {
+      mockPocketBase.collections.update.mockRejectedValue({
+        status: 400,
+        response: {
+          message: 'Failed to update collection.',
+          data: { name: { code: 'validation_required', message: 'Missing required value.' } },
+        },
+      });
+
+      await expect(crud.updateCollection('posts', { name: '' })).rejects.toMatchObject({
+        status: 400,
+        fieldErrors: { name: { code: 'validation_required', message: 'Missing required value.' } },
+      });
+    });
+
+    it('should validate rules before saving them', async () => {
+      mockPocketBase.collections.getFullList.mockResolvedValue([legacyPosts]);
+
+      await expect(
+        crud.updateRules('posts', { listRule: '', updateRule: 'owner = @request.auth.id' })
+      ).rejects.toMatchObject({
+        status: 400,
+        fieldErrors: { updateRule: { message: 'Unknown field "owner" in posts' } },
+      });
+      expect(mockPocketBase.collections.update).not.toHaveBeenCalled();
+
+      await crud.updateRules('posts', { listRule: '', deleteRule: null, title: 'x' });
+      expect(mockPocketBase.collections.update).toHaveBeenCalledWith('posts', {
+        listRule: '',
+        deleteRule: null,
+      });
+    });
+
+    it('should replace loaded definitions after changes', async () => {
+      const configured = new PocketCrud({
+        url: 'http://localhost:8090',
+        collections: [legacyPosts, 'drafts'],
+      });
+      mockPocketBase.collections.delete.mockResolvedValue(true);
+      mockPocketBase.collections.getOne.mockRejectedValue(new Error('Forbidden'));
+
+      await configured.updateCollection('posts', { name: 'articles' });
+      expect((await configured.getCollection('posts_id')).name).toBe('articles');
+      await expect(configured.getCollection('posts')).rejects.toThrow('Forbidden');
+
+      await configured.deleteCollection('posts_id');
+      expect(mockPocketBase.collections.delete).toHaveBeenCalledWith('posts_id');
+      await expect(configured.getCollection('articles')).rejects.toThrow('Forbidden');
+    });
+  });
+
+  describe('createAdmin', () => {
+    const credentials = {
+      email: 'admin@example.com',
+      password: 'secret123',
+      passwordConfirm: 'secret123',
+    };
+
+    it('should create an admin on legacy servers', async () => {
+      mockPocketBase.admins.create.mockResolvedValue({ id: 'a1' });
+
+      await crud.createAdmin('admin@example.com', 'secret123');
+
+      expect(mockPocketBase.admins.create).toHaveBeenCalledWith(credentials);
+      expect(mockPocketBase.collection).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to _superusers when the admins endpoint is missing', async () => {
+      const superusers = { create: vi.fn().mockResolvedValue({ id: 's1' }) };
+      mockPocketBase.collection.mockReturnValue(superusers);
+      mockPocketBase.admins.create.mockRejectedValue(
+        Object.assign(new Error('Not found'), { status: 404 })
+      );
+
+      const result = await crud.createAdmin('admin@example.com', 'secret123');
+
+      expect(mockPocketBase.collection).toHaveBeenCalledWith('_superusers');
+      expect(superusers.create).toHaveBeenCalledWith(credentials);
+      expect(result).toEqual({ id: 's1' });
+    });
+
+    it('should use _superusers directly once the fields format was seen', async () => {
+      const superusers = { create: vi.fn().mockResolvedValue({ id: 's1' }) };
+      mockPocketBase.collection.mockReturnValue(superusers);
+      mockPocketBase.collections.getOne.mockResolvedValue({
+        id: 'col1',
+        name: 'posts',
+        type: 'base',
+        fields: [],
+        indexes: [],
+      });
+
+      await crud.getCollection('posts');
+      await crud.createAdmin('admin@example.com', 'secret123');
+
+      expect(mockPocketBase.admins.create).not.toHaveBeenCalled();
+      expect(superusers.create).toHaveBeenCalledWith(credentials);
+    });
+
+    it('should rethrow other admin errors', async () => {
+      mockPocketBase.admins.create.mockRejectedValue(
+        Object.assign(new Error('Bad request'), { status: 400 })
+      );
+
+      await expect(crud.createAdmin('admin@example.com', 'x')).rejects.toThrow('Bad request');
+    });
+  });
+
+  describe('authentication', () => {
+    /**
+     * Minimal stand-in for the PocketBase auth store
+     */
+    function createAuthStore() {
+      /** @type {Function[]} */
+      const callbacks = [];
+      return {
+        token: '',
+        /** @type {Record<string, any> | null} */
+        model: null,
+        get isValid() {
+          return Boolean(this.token);
+        },
+        get isAdmin() {
+          return Boolean(this.model) && !this.model.collectionId;
+        },
+        save(token, model) {
+          this.token = token;
+          this.model = model;
+          callbacks.forEach(callback => callback(token, model));
+        },
+        clear() {
+          this.save('', null);
+        },
+        onChange(callback, fireImmediately) {
+          callbacks.push(callback);
+          if (fireImmediately) callback(this.token, this.model);
+          return () => callbacks.splice(callbacks.indexOf(callback), 1);
+        },
+      };
+    }
+
+    /** @type {ReturnType<typeof createAuthStore>} */
+    let authStore;
+
+    beforeEach(() => {
+      authStore = createAuthStore();
+      mockPocketBase.authStore = authStore;
+      mockPocketBase.admins.authWithPassword = vi.fn();
+      mockPocketBase.admins.authRefresh = vi.fn();
+    });
+
+    it('should log in admins of legacy servers', async () => {
+      mockPocketBase.admins.authWithPassword.mockImplementation(async email => {
+        authStore.save('token', { id: 'a1', email });
+      });
+
+      const user = await crud.loginAdmin('admin@example.com', 'secret123');
+
+      expect(mockPocketBase.admins.authWithPassword).toHaveBeenCalledWith(
+        'admin@example.com',
+        'secret123'
+      );
+      expect(user).toEqual({
+        id: 'a1',
+        email: 'admin@example.com',
+        collectionName: null,
+        isAdmin: true,
+        record: { id: 'a1', email: 'admin@example.com' },
+      });
+      expect(crud.currentUser).toEqual(user);
+    });
+
+    it('should log in superusers when the admins endpoint is missing', async () => {
+      const superuser = { id: 's1', collectionId: 'pbc_1', collectionName: '_superusers' };
+      const superusers = {
+        authWithPassword: vi.fn(async () => authStore.save('token', superuser)),
+      };
+      mockPocketBase.collection.mockReturnValue(superusers);
+      mockPocketBase.admins.authWithPassword.mockRejectedValue(
+        Object.assign(new Error('Not found'), { status: 404 })
+      );
+
+      const user = await crud.loginAdmin('admin@example.com', 'secret123');
+
+      expect(mockPocketBase.collection).toHaveBeenCalledWith('_superusers');
+      expect(user.isAdmin).toBe(true);
+      expect(user.collectionName).toBe('_superusers');
+    });
+
+    it('should log in records of auth collections and normalize failures', async () => {
+      const users = {
+        authWithPassword: vi.fn(async identity =>
+          authStore.save('token', {
+            id: 'u1',
+            collectionId: 'c1',
+            collectionName: 'users',
+            email: identity,
+          })
+        ),
+      };
+      mockPocketBase.collection.mockReturnValue(users);
+
+      const user = await crud.loginWithPassword('users', 'jane@example.com', 'secret123');
+
+      expect(mockPocketBase.collection).toHaveBeenCalledWith('users');
+      expect(user).toMatchObject({ id: 'u1', collectionName: 'users', isAdmin: false });
+
+      users.authWithPassword.mockRejectedValue(
+        Object.assign(new Error('Failed'), {
+          status: 400,
+          response: { message: 'Failed to authenticate.' },
+        })
+      );
+      await expect(crud.loginWithPassword('users', 'jane@example.com', 'x')).rejects.toMatchObject({
+        name: 'PocketCrudError',
+        status: 400,
+        message: 'Failed to authenticate.',
+      });
+    });
+
+    it('should notify auth listeners until they are removed', async () => {
+      const listener = vi.fn();
+      const unsubscribe = crud.onAuthChange(listener, true);
+      expect(listener).toHaveBeenLastCalledWith(null);
+
+      authStore.save('token', { id: 'u1', collectionId: 'c1', collectionName: 'users' });
+      expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'u1' }));
+
+      crud.logout();
+      expect(listener).toHaveBeenLastCalledWith(null);
+      expect(crud.currentUser).toBeNull();
+
+      unsubscribe();
+      authStore.save('token', { id: 'u2', collectionId: 'c1', collectionName: 'users' });
+      expect(listener).toHaveBeenCalledTimes(3);
+    });
+
+    it('should refresh the session of the current user', async () => {
+      const users = {
+        authRefresh: vi.fn(async () =>
+          authStore.save('token2', { id: 'u1', collectionId: 'c1', collectionName: 'users' })
+        ),
+      };
+      mockPocketBase.collection.mockReturnValue(users);
+
+      expect(await crud.refreshAuth()).toBeNull();
+
+      authStore.save('token', { id: 'u1', collectionId: 'c1', collectionName: 'users' });
+      const user = await crud.refreshAuth();
+
+      expect(mockPocketBase.collection).toHaveBeenCalledWith('users');
+      expect(user?.id).toBe('u1');
+      expect(authStore.token).toBe('token2');
+    });
+
+    it('should clear sessions the server rejects on refresh', async () => {
+      authStore.save('token', { id: 'a1', email: 'admin@example.com' });
+      mockPocketBase.admins.authRefresh.mockRejectedValue(
+        Object.assign(new Error('Unauthorized'), { status: 401 })
+      );
+
+      expect(await crud.refreshAuth()).toBeNull();
+      expect(crud.currentUser).toBeNull();
+
+      authStore.save('token', { id: 'a1', email: 'admin@example.com' });
+      mockPocketBase.admins.authRefresh.mockRejectedValue(new Error('Network error'));
+
+      await expect(crud.refreshAuth()).rejects.toThrow('Network error');
+      expect(crud.currentUser).not.toBeNull();
+    });
+
+    it('should ask for a second factor and pass the mfaId on', async () => {
+      const users = {
+        authWithPassword: vi
+          .fn()
+          .mockRejectedValue(
+            Object.assign(new Error('Unauthorized'), { status: 401, response: { mfaId: 'mfa1' } })
+          ),
+      };
+      mockPocketBase.collection.mockReturnValue(users);
+
+      const error = await crud
+        .loginWithPassword('users', 'jane@example.com', 'secret123')
+        .catch(err => err);
+      expect(error).toMatchObject({ name: 'MfaRequiredError', mfaId: 'mfa1' });
+
+      mockPocketBase.send.mockResolvedValueOnce({ otpId: 'otp1' });
+      const otpId = await crud.requestOTP('users', 'jane@example.com');
+      expect(mockPocketBase.send).toHaveBeenCalledWith('/api/collections/users/request-otp', {
+        method: 'POST',
+        body: { email: 'jane@example.com' },
+      });
+
+      mockPocketBase.send.mockResolvedValueOnce({
+        token: 'token',
+        record: { id: 'u1', collectionId: 'c1', collectionName: 'users' },
+      });
+      const user = await crud.loginWithOTP('users', otpId, '123456', { mfaId: error.mfaId });
+
+      expect(mockPocketBase.send).toHaveBeenLastCalledWith('/api/collections/users/auth-with-otp', {
+        method: 'POST',
+        body: { otpId: 'otp1', password: '123456', mfaId: 'mfa1' },
+      });
+      expect(user.id).toBe('u1');
+      expect(authStore.token).toBe('token');
+    });
+
+    it('should send the mfaId along with passwords', async () => {
+      const users = { authWithPassword: vi.fn() };
+      mockPocketBase.collection.mockReturnValue(users);
+
+      await crud.loginWithPassword('users', 'jane', 'secret123', { mfaId: 'mfa1' });
+
+      expect(users.authWithPassword).toHaveBeenCalledWith('jane', 'secret123', {
+        body: { identity: 'jane', password: 'secret123', mfaId: 'mfa1' },
+      });
+    });
+
+    it('should list normalized auth methods', async () => {
+      const users = {
+        listAuthMethods: vi.fn().mockResolvedValue({
+          password: { enabled: true, identityFields: ['email'] },
+          oauth2: { enabled: false, providers: [] },
+          otp: { enabled: true },
+          mfa: { enabled: false },
+        }),
+      };
+      mockPocketBase.collection.mockReturnValue(users);
+
+      const methods = await crud.getAuthMethods('users');
+
+      expect(methods.password.identityFields).toEqual(['email']);
+      expect(methods.otp.enabled).toBe(true);
+    });
+
+    describe('OAuth2', () => {
+      const provider = {
+        name: 'github',
+        displayName: 'GitHub',
+        state: 'state1',
+        authURL:
+          'https://github.com/login/oauth/authorize?client_id=abc&state=state1&redirect_uri=',
+        codeVerifier: 'verifier',
+      };
+
+      /** @type {{listAuthMethods: import('vitest').Mock, authWithOAuth2Code: import('vitest').Mock}} */
+      let users;
+
+      beforeEach(() => {
+        users = {
+          listAuthMethods: vi.fn().mockResolvedValue({
+            password: { enabled: true, identityFields: ['email'] },
+            oauth2: { enabled: true, providers: [provider] },
+          }),
+          authWithOAuth2Code: vi.fn(async () =>
+            authStore.save('token', { id: 'u1', collectionId: 'c1', collectionName: 'users' })
+          ),
+        };
+        mockPocketBase.collection.mockReturnValue(users);
+      });
+
+      it('should receive the code over realtime after opening the provider', async () => {
+        /** @type {(event: Record<string, any>) => void} */
+        let onRedirect = () => {};
+        mockRealtime.subscribe.mockImplementation(async (_topic, callback) => {
+          onRedirect = callback;
+        });
+        const urlCallback = vi.fn(url => {
+          expect(new URL(url).searchParams.get('state')).toBe('client1');
+          onRedirect({ state: 'client1', code: 'code1' });
+        });
+
+        const user = await crud.loginWithOAuth2('users', 'github', { urlCallback });
+
+        expect(mockRealtime.subscribe).toHaveBeenCalledWith('@oauth2', expect.any(Function));
+        expect(users.authWithOAuth2Code).toHaveBeenCalledWith(
+          'github',
+          'code1',
+          'verifier',
+          'http://localhost:8090/api/oauth2-redirect',
+          undefined
+        );
+        expect(mockRealtime.unsubscribe).toHaveBeenCalled();
+        expect(user.id).toBe('u1');
+      });
+
+      it('should reject redirects for another client and unknown providers', async () => {
+        /** @type {(event: Record<string, any>) => void} */
+        let onRedirect = () => {};
+        mockRealtime.subscribe.mockImplementation(async (_topic, callback) => {
+          onRedirect = callback;
+        });
+        const urlCallback = () => onRedirect({ state: 'other', code: 'code1' });
+
+        await expect(crud.loginWithOAuth2('users', 'github', { urlCallback })).rejects.toThrow(
+          'OAuth2 state does not match'
+        );
+        await expect(crud.loginWithOAuth2('users', 'gitlab', { urlCallback })).rejects.toThrow(
+          'OAuth2 provider "gitlab" is not enabled'
+        );
+        expect(users.authWithOAuth2Code).not.toHaveBeenCalled();
+        expect(mockRealtime.unsubscribe).toHaveBeenCalledTimes(2);
+      });
+
+      it('should finish redirect sign-ins with a matching state', async () => {
+        const [normalized] = (await crud.getAuthMethods('users')).oauth2.providers;
+        const redirectUrl = 'https://example.com/login';
+
+        await expect(
+          crud.loginWithOAuth2Code('users', normalized, { code: 'code1', state: 'x' }, redirectUrl)
+        ).rejects.toThrow('OAuth2 state does not match');
+
+        const user = await crud.loginWithOAuth2Code(
+          'users',
+          normalized,
+          { code: 'code1', state: 'state1' },
+          redirectUrl
+        );
+
+        expect(users.authWithOAuth2Code).toHaveBeenCalledWith(
+          'github',
+          'code1',
+          'verifier',
+          redirectUrl
+        );
+        expect(user.id).toBe('u1');
+      });
+    });
+  });
+
+  describe('account recovery', () => {
+    /** @type {Record<string, import('vitest').Mock>} */
+    let users;
+
+    beforeEach(() => {
+      users = {
+        requestPasswordReset: vi.fn().mockResolvedValue(true),
+        confirmPasswordReset: vi.fn().mockResolvedValue(true),
+        requestVerification: vi.fn().mockResolvedValue(true),
+        confirmVerification: vi.fn().mockResolvedValue(true),
+        requestEmailChange: vi.fn().mockResolvedValue(true),
+        confirmEmailChange: vi.fn().mockResolvedValue(true),
+      };
+      mockPocketBase.collection.mockReturnValue(users);
+      mockPocketBase.admins.requestPasswordReset = vi.fn();
+      mockPocketBase.admins.confirmPasswordReset = vi.fn();
+    });
+
+    it('should wrap the request and confirm endpoints of auth collections', async () => {
+      await crud.requestPasswordReset('users', 'jane@example.com');
+      await crud.confirmPasswordReset('users', 'token1', 'secret1234', 'secret1234');
+      await crud.requestVerification('users', 'jane@example.com');
+      await crud.confirmVerification('users', 'token2');
+      await crud.requestEmailChange('users', 'new@example.com');
+      await crud.confirmEmailChange('users', 'token3', 'secret1234');
+
+      expect(mockPocketBase.collection).toHaveBeenCalledWith('users');
+      expect(users.requestPasswordReset).toHaveBeenCalledWith('jane@example.com');
+      expect(users.confirmPasswordReset).toHaveBeenCalledWith('token1', 'secret1234', 'secret1234');
+      expect(users.requestVerification).toHaveBeenCalledWith('jane@example.com');
+      expect(users.confirmVerification).toHaveBeenCalledWith('token2');
+      expect(users.requestEmailChange).toHaveBeenCalledWith('new@example.com');
+      expect(users.confirmEmailChange).toHaveBeenCalledWith('token3', 'secret1234');
+      expect(mockPocketBase.admins.requestPasswordReset).not.toHaveBeenCalled();
+    });
+
+    it('should reset superuser passwords through the admins API of legacy servers', async () => {
+      await crud.requestPasswordReset('_superusers', 'admin@example.com');
+
+      expect(mockPocketBase.admins.requestPasswordReset).toHaveBeenCalledWith('admin@example.com');
+      expect(users.requestPasswordReset).not.toHaveBeenCalled();
+
+      mockPocketBase.admins.confirmPasswordReset.mockRejectedValue(
+        Object.assign(new Error('Not found'), { status: 404 })
+      );
+      await crud.confirmPasswordReset('_superusers', 'token1', 'secret1234', 'secret1234');
+
+      expect(mockPocketBase.collection).toHaveBeenCalledWith('_superusers');
+      expect(users.confirmPasswordReset).toHaveBeenCalledWith('token1', 'secret1234', 'secret1234');
+    });
+
+    it('should normalize rejected tokens', async () => {
+      users.confirmVerification.mockRejectedValue(
+        Object.assign(new Error('Bad request'), {
+          status: 400,
+          response: {
+            message: 'Failed to confirm verification.',
+            data: {
+              token: { code: 'validation_invalid_token', message: 'Invalid or expired token.' },
+            },
+          },
+        })
+      );
+
+      await expect(crud.confirmVerification('users', 'expired')).rejects.toMatchObject({
+        name: 'PocketCrudError',
+        message: 'Failed to confirm verification.',
+        fieldErrors: { token: { code: 'validation_invalid_token' } },
+      });
+    });
+  });
+
+  describe('impersonate', () => {
+    it('should request a token for the record', async () => {
+      mockPocketBase.send.mockResolvedValue({
+        token: 'token1',
+        record: { id: 'user1', email: 'jane@example.com' },
+      });
+
+      const session = await crud.impersonate('users', 'user1', 3600);
+
+      expect(mockPocketBase.send).toHaveBeenCalledWith('/api/collections/users/impersonate/user1', {
+        method: 'POST',
+        body: { duration: 3600 },
+      });
+      expect(session).toEqual({
+        token: 'token1',
+        record: { id: 'user1', email: 'jane@example.com' },
+      });
+    });
+  });
+
   describe('getCollectionSchema', () => {
     it('should return only schema fields', async () => {
       const mockCollection = {
@@ -208,6 +1076,25 @@ describe('PocketCrud', () => {
         expect(mockCollection.create).toHaveBeenCalledWith({ name: 'Test User' });
         expect(result).toEqual(mockRecord);
       });
+
+      it('should normalize server errors', async () => {
+        const mockCollection = mockPocketBase.collection();
+        mockCollection.create.mockRejectedValue(
+          Object.assign(new Error('Failed to create record.'), {
+            status: 400,
+            response: {
+              message: 'Failed to create record.',
+              data: { name: { code: 'validation_required', message: 'Cannot be blank.' } },
+            },
+          })
+        );
+
+        await expect(crud.create('users', { name: '' })).rejects.toMatchObject({
+          name: 'PocketCrudError',
+          status: 400,
+          fieldErrors: { name: { code: 'validation_required', message: 'Cannot be blank.' } },
+        });
+      });
     });
 
     describe('getOne', () => {
@@ -270,6 +1157,141 @@ describe('PocketCrud', () => {
       });
     });
 
+    describe('filters', () => {
+      beforeEach(() => {
+        mockPocketBase.collections.getOne.mockResolvedValue({
+          id: 'posts_id',
+          name: 'posts',
+          type: 'base',
+          system: false,
+          schema: [
+            {
+              id: 'f1',
+              name: 'status',
+              type: 'text',
+              system: false,
+              required: false,
+              presentable: false,
+              options: {},
+            },
+            {
+              id: 'f2',
+              name: 'views',
+              type: 'number',
+              system: false,
+              required: false,
+              presentable: false,
+              options: {},
+            },
+          ],
+          indexes: [],
+        });
+      });
+
+      it('should escape filter objects passed to getList', async () => {
+        const mockCollection = mockPocketBase.collection();
+        mockCollection.getList.mockResolvedValue({});
+
+        await crud.getList('posts', {
+          filter: { status: "it's live", views: { gt: 10 } },
+          sort: '-created',
+        });
+
+        expect(mockCollection.getList).toHaveBeenCalledWith(1, 30, {
+          filter: "status = 'it\\'s live' && views > 10",
+          sort: '-created',
+        });
+      });
+
+      it('should accept filter builders in getFullList', async () => {
+        const mockCollection = mockPocketBase.collection();
+        mockCollection.getFullList.mockResolvedValue([]);
+
+        await crud.getFullList('posts', { filter: filter().eq('status', 'draft') });
+
+        expect(mockCollection.getFullList).toHaveBeenCalledWith({ filter: "status = 'draft'" });
+      });
+
+      it('should drop empty filters', async () => {
+        const mockCollection = mockPocketBase.collection();
+        mockCollection.getList.mockResolvedValue({});
+
+        await crud.getList('posts', { filter: { status: undefined } });
+
+        expect(mockCollection.getList).toHaveBeenCalledWith(1, 30, {});
+      });
+
+      it('should reject fields that are not in the schema', async () => {
+        await expect(crud.buildFilter('posts', { staus: 'draft' })).rejects.toThrow(
+          'Unknown filter field "staus" in collection "posts"'
+        );
+      });
+
+      it('should skip the field check when the schema is not readable', async () => {
+        mockPocketBase.collections.getOne.mockRejectedValue(new Error('Forbidden'));
+
+        await expect(crud.buildFilter('posts', { staus: 'draft' })).resolves.toBe(
+          "staus = 'draft'"
+        );
+      });
+    });
+
+    describe('validateUnique', () => {
+      beforeEach(() => {
+        mockPocketBase.collections.getOne.mockResolvedValue({
+          id: 'posts_id',
+          name: 'posts',
+          type: 'base',
+          system: false,
+          schema: [
+            {
+              id: 'f1',
+              name: 'slug',
+              type: 'text',
+              system: false,
+              required: true,
+              presentable: false,
+              options: {},
+            },
+            {
+              id: 'f2',
+              name: 'title',
+              type: 'text',
+              system: false,
+              required: true,
+              presentable: true,
+              options: {},
+            },
+          ],
+          indexes: ['CREATE UNIQUE INDEX `idx_slug` ON `posts` (`slug`)'],
+        });
+      });
+
+      it('should report values already used by other records', async () => {
+        const mockCollection = mockPocketBase.collection();
+        mockCollection.getList.mockResolvedValue({ items: [{ id: 'other' }] });
+
+        const errors = await crud.validateUnique('posts', { slug: 'hello', title: 'Hi' }, 'rec1');
+
+        expect(mockCollection.getList).toHaveBeenCalledTimes(1);
+        expect(mockCollection.getList).toHaveBeenCalledWith(1, 1, {
+          filter: "slug = 'hello' && id != 'rec1'",
+        });
+        expect(errors).toEqual({
+          slug: { code: 'validation_not_unique', message: 'slug must be unique' },
+        });
+      });
+
+      it('should skip empty values and failed probes', async () => {
+        const mockCollection = mockPocketBase.collection();
+        mockCollection.getList.mockRejectedValue(new Error('Forbidden'));
+
+        await expect(crud.validateUnique('posts', { slug: '' })).resolves.toEqual({});
+        await expect(crud.validateUnique('posts', { slug: 'hello' })).resolves.toEqual({});
+        expect(mockCollection.getList).toHaveBeenCalledTimes(1);
+      });
+    });
+
     describe('update', () => {
       it('should update record by id', async () => {
         const mockRecord = { id: '123', name: 'Updated User' };
@@ -294,5 +1316,274 @@ describe('PocketCrud', () => {
         expect(result).toBe(true);
       });
     });
+
+    describe('getFileUrl', () => {
+      it('should build file urls through pb.files', () => {
+        const record = { id: '123', collectionId: 'posts_id' };
+        mockPocketBase.files.getUrl.mockReturnValue('http://localhost:8090/api/files/x');
+
+        const url = crud.getFileUrl(record, 'cover.png', { thumb: '100x100' });
+
+        expect(mockPocketBase.files.getUrl).toHaveBeenCalledWith(record, 'cover.png', {
+          thumb: '100x100',
+        });
+        expect(url).toBe('http://localhost:8090/api/files/x');
+      });
+    });
+  });
+
+  describe('relation options', () => {
+    /** @type {Record<string, import('vitest').Mock>} */
+    let mockCollection;
+
+    beforeEach(() => {
+      mockCollection = {
+        getList: vi.fn(),
+        getFullList: vi.fn(),
+      };
+      mockPocketBase.collection.mockReturnValue(mockCollection);
+      mockPocketBase.collections.getOne.mockResolvedValue({
+        id: 'authors_id',
+        name: 'authors',
+        type: 'base',
+        system: false,
+        schema: [
+          {
+            id: 'f1',
+            name: 'name',
+            type: 'text',
+            system: false,
+            required: true,
+            presentable: true,
+          },
+          {
+            id: 'f2',
+            name: 'bio',
+            type: 'text',
+            system: false,
+            required: false,
+            presentable: false,
+          },
+        ],
+        indexes: [],
+      });
+    });
+
+    it('should search presentable fields and label the candidates', async () => {
+      mockCollection.getList.mockResolvedValue({
+        page: 1,
+        perPage: 10,
+        totalItems: 1,
+        totalPages: 1,
+        items: [{ id: 'a1', name: "O'Brien" }],
+      });
+
+      const result = await crud.getRelationOptions('authors_id', { search: "o'b" });
+
+      expect(mockPocketBase.collection).toHaveBeenCalledWith('authors_id');
+      expect(mockCollection.getList).toHaveBeenCalledWith(1, 10, {
+        filter: "id ~ 'o\\'b' || name ~ 'o\\'b'",
+      });
+      expect(result.items).toEqual([
+        { id: 'a1', label: "O'Brien", record: { id: 'a1', name: "O'Brien" } },
+      ]);
+    });
+
+    it('should prefer explicit display fields and skip the filter without a search term', async () => {
+      mockCollection.getList.mockResolvedValue({
+        page: 2,
+        perPage: 5,
+        totalItems: 6,
+        totalPages: 2,
+        items: [{ id: 'a2', name: 'Ada', bio: 'Mathematician' }],
+      });
+
+      const result = await crud.getRelationOptions('authors_id', {
+        page: 2,
+        perPage: 5,
+        displayFields: ['bio'],
+      });
+
+      expect(mockPocketBase.collections.getOne).not.toHaveBeenCalled();
+      expect(mockCollection.getList).toHaveBeenCalledWith(2, 5, {});
+      expect(result.items[0].label).toBe('Mathematician');
+      expect(result.totalPages).toBe(2);
+    });
+
+    it('should fall back to the id when the related schema is not readable', async () => {
+      mockPocketBase.collections.getOne.mockRejectedValue(new Error('Forbidden'));
+      mockCollection.getList.mockResolvedValue({
+        page: 1,
+        perPage: 10,
+        totalItems: 1,
+        totalPages: 1,
+        items: [{ id: 'a3', name: 'Grace' }],
+      });
+
+      const result = await crud.getRelationOptions('authors_id');
+
+      expect(result.items[0].label).toBe('a3');
+    });
+
+    it('should resolve selected ids into options', async () => {
+      mockCollection.getFullList.mockResolvedValue([
+        { id: 'a1', name: 'Ada' },
+        { id: 'a2', name: 'Grace' },
+      ]);
+
+      const result = await crud.getRelationOptionsByIds('authors_id', ['a1', 'a2']);
+
+      expect(mockCollection.getFullList).toHaveBeenCalledWith({
+        filter: "id = 'a1' || id = 'a2'",
+      });
+      expect(result.map(option => option.label)).toEqual(['Ada', 'Grace']);
+    });
+
+    it('should not query when no ids are selected', async () => {
+      const result = await crud.getRelationOptionsByIds('authors_id', []);
+
+      expect(result).toEqual([]);
+      expect(mockCollection.getFullList).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('record relations', () => {
+    /** @type {Record<string, Record<string, import('vitest').Mock>>} */
+    let collections;
+
+    /**
+     * @param {string} name
+     * @param {Array<Record<string, any>>} schema
+     */
+    const collectionSchema = (name, schema) => ({
+      id: `${name}_id`,
+      name,
+      type: 'base',
+      system: false,
+      indexes: [],
+      schema: schema.map(field => ({
+        id: field.name,
+        system: false,
+        required: false,
+        presentable: false,
+        ...field,
+      })),
+    });
+
+    const schemas = [
+      collectionSchema('posts', [
+        { name: 'title', type: 'text', presentable: true },
+        { name: 'tags', type: 'relation', options: { collectionId: 'tags_id', maxSelect: 5 } },
+      ]),
+      collectionSchema('tags', [{ name: 'name', type: 'text', presentable: true }]),
+      collectionSchema('comments', [
+        { name: 'body', type: 'text', presentable: true },
+        { name: 'post', type: 'relation', options: { collectionId: 'posts_id', maxSelect: 1 } },
+      ]),
+      collectionSchema('pins', [
+        { name: 'posts', type: 'relation', options: { collectionId: 'posts_id', maxSelect: 3 } },
+      ]),
+    ];
+
+    beforeEach(() => {
+      collections = {
+        posts: { getOne: vi.fn(), getList: vi.fn() },
+        comments: { getList: vi.fn() },
+        pins: { getList: vi.fn() },
+      };
+      mockPocketBase.collection.mockImplementation(name => collections[name]);
+      mockPocketBase.collections.getFullList.mockResolvedValue(schemas);
+      mockPocketBase.collections.getOne.mockImplementation(async idOrName => {
+        const found = schemas.find(item => item.id === idOrName || item.name === idOrName);
+        if (!found) throw Object.assign(new Error('Not found'), { status: 404 });
+        return found;
+      });
+    });
+
+    it('should expand relations into labelled options', async () => {
+      collections.posts.getOne.mockResolvedValue({
+        id: 'p1',
+        title: 'Hello',
+        tags: ['t1', 't2'],
+        expand: { tags: [{ id: 't1', name: 'News' }] },
+      });
+
+      const result = await crud.getRecordWithRelations('posts', 'p1');
+
+      expect(collections.posts.getOne).toHaveBeenCalledWith('p1', { expand: 'tags' });
+      expect(result.collection.name).toBe('posts');
+      expect(result.relations.tags.map(option => option.label)).toEqual(['News', 't2']);
+    });
+
+    it('should list the records linking to a record', async () => {
+      collections.comments.getList.mockResolvedValue({
+        page: 1,
+        perPage: 5,
+        totalItems: 7,
+        totalPages: 2,
+        items: [{ id: 'c1', body: 'Nice' }],
+      });
+      collections.pins.getList.mockRejectedValue(
+        Object.assign(new Error('Forbidden'), { status: 403 })
+      );
+
+      const references = await crud.getBackReferences('posts', 'p1', { perPage: 5 });
+
+      expect(collections.comments.getList).toHaveBeenCalledWith(1, 5, {
+        filter: "post = 'p1'",
+        requestKey: null,
+      });
+      expect(collections.pins.getList).toHaveBeenCalledWith(1, 5, {
+        filter: "posts ?= 'p1'",
+        requestKey: null,
+      });
+      expect(references).toHaveLength(1);
+      expect(references[0].collection.name).toBe('comments');
+      expect(references[0].field.name).toBe('post');
+      expect(references[0].items).toEqual([
+        { id: 'c1', label: 'Nice', record: { id: 'c1', body: 'Nice' } },
+      ]);
+      expect(references[0].totalItems).toBe(7);
+    });
+
+    it('should report other errors', async () => {
+      collections.comments.getList.mockRejectedValue(
+        Object.assign(new Error('Server error'), { status: 500 })
+      );
+      collections.pins.getList.mockResolvedValue({ items: [], totalItems: 0 });
+
+      await expect(crud.getBackReferences('posts', 'p1')).rejects.toThrow('Server error');
+    });
+  });
+
+  describe('realtime', () => {
+    it('should subscribe to a collection topic', async () => {
+      const unsubscribeFn = vi.fn();
+      const mockCollection = { subscribe: vi.fn().mockResolvedValue(unsubscribeFn) };
+      mockPocketBase.collection.mockReturnValue(mockCollection);
+      const callback = vi.fn();
+
+      const result = await crud.subscribe('posts', '*', callback);
+
+      expect(mockPocketBase.collection).toHaveBeenCalledWith('posts');
+      expect(mockCollection.subscribe).toHaveBeenCalledWith('*', callback, undefined);
+      expect(result).toBe(unsubscribeFn);
+
+      await crud.subscribe('posts', '*', callback, { expand: 'author' });
+      expect(mockCollection.subscribe).toHaveBeenLastCalledWith('*', callback, {
+        expand: 'author',
+      });
+    });
+
+    it('should unsubscribe from a collection topic', async () => {
+      const mockCollection = { unsubscribe: vi.fn().mockResolvedValue(undefined) };
+      mockPocketBase.collection.mockReturnValue(mockCollection);
+
+      await crud.unsubscribe('posts', 'abc');
+      await crud.unsubscribe('posts');
+
+      expect(mockCollection.unsubscribe).toHaveBeenNthCalledWith(1, 'abc');
+      expect(mockCollection.unsubscribe).toHaveBeenNthCalledWith(2, undefined);
+    });
   });
 });
@@ -0,0 +1,199 @@
+/**
+ * Display options for dates. Both default to the runtime's settings.
+ *
+ * @typedef {Object} DateFormatOptions
+ * @property {string} [locale] BCP 47 locale, eg. `de-DE`
+ * @property {string} [timeZone] IANA time zone, eg. `Europe/Berlin` or `UTC`
+ */
+
+/** Date without a zone, as entered in `date` and `datetime-local` inputs */
+const WALL_TIME_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+/**
+ * Parses PocketBase dates (`2024-01-01 10:00:00.000Z`), ISO strings and
+ * input values. Values without a zone are read as wall time in `timeZone`.
+ *
+ * @param {unknown} value
+ * @param {string} [timeZone]
+ * @returns {Date | null}
+ */
+export function parseDateValue(value, timeZone) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') return parseDateValue(new Date(value));
+
+  const text = String(value).trim();
+  const match = WALL_TIME_PATTERN.exec(text);
+  if (match) {
+    const [, year, month, day, hour = '0', minute = '0', second = '0', ms = '0'] = match;
+    const wallTime = Date.UTC(
+      Number(year),
+      Number(month) - 1,
+      Number(day),
+      Number(hour),
+      Number(minute),
+      Number(second),
+      Number(ms.padEnd(3, '0'))
+    );
+    return fromWallTime(wallTime, timeZone);
+  }
+
+  const date = new Date(text.replace(' ', 'T'));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a date in the UTC format PocketBase stores, `YYYY-MM-DD HH:mm:ss.SSSZ`.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toPocketBaseDate(date) {
+  return date.toISOString().replace('T', ' ');
+}
+
+/**
+ * Formats a stored date for a `datetime-local` input, in `timeZone`.
+ *
+ * @param {unknown} value
+ * @param {string} [timeZone]
+ * @returns {string} `YYYY-MM-DDTHH:mm:ss`, or `''` for empty and invalid values
+ */
+export function toDateTimeInputValue(value, timeZone) {
+  const date = parseDateValue(value);
+  if (!date) return '';
+
+  const parts = getWallTimeParts(date, timeZone);
+  if (!parts) return '';
+
+  const { year, month, day, hour, minute, second } = parts;
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+/**
+ * Converts a `date` or `datetime-local` input value entered in `timeZone`
+ * into a PocketBase UTC date. Empty values stay empty so the field is
+ * cleared, and unparsable values are returned as is for the server to reject.
+ *
+ * @param {unknown} value
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function fromDateTimeInputValue(value, timeZone) {
+  if (value === undefined || value === null || value === '') return '';
+
+  const date = parseDateValue(value, timeZone);
+  return date ? toPocketBaseDate(date) : String(value);
+}
+
+/**
+ * Formats a date for display with `Intl.DateTimeFormat`.
+ *
+ * @param {unknown} value
+ * @param {DateFormatOptions & {dateOnly?: boolean}} [options]
+ * @returns {string} `''` for empty and invalid values or an unknown locale/time zone
+ */
+export function formatDateTime(value, options = {}) {
+  const date = parseDateValue(value);
+  if (!date) return '';
+
+  try {
+    return new Intl.DateTimeFormat(
+      options.locale,
+      options.dateOnly
+        ? { timeZone: options.timeZone }
+        : { timeZone: options.timeZone, dateStyle: 'medium', timeStyle: 'short' }
+    ).format(date);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Reads the calendar date and clock time of `date` in `timeZone`.
+ *
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number} | null}
+ */
+function getWallTimeParts(date, timeZone) {
+  /** @type {Intl.DateTimeFormatPart[]} */
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }).formatToParts(date);
+  } catch {
+    return null;
+  }
+
+  /**
+   * @param {Intl.DateTimeFormatPartTypes} type
+   * @returns {number}
+   */
+  const get = type => Number(parts.find(part => part.type === type)?.value);
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+}
+
+/**
+ * Offset of `timeZone` from UTC at `timestamp`, in milliseconds.
+ *
+ * @param {number} timestamp
+ * @param {string} [timeZone]
+ * @returns {number | null}
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = getWallTimeParts(new Date(timestamp), timeZone);
+  if (!parts) return null;
+
+  const wallTime = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallTime - (timestamp - (((timestamp % 1000) + 1000) % 1000));
+}
+
+/**
+ * Finds the instant whose wall time in `timeZone` is `wallTime`, given as
+ * if it were UTC. The second pass corrects guesses near DST changes.
+ *
+ * @param {number} wallTime
+ * @param {string} [timeZone]
+ * @returns {Date | null}
+ */
+function fromWallTime(wallTime, timeZone) {
+  const firstOffset = getTimeZoneOffset(wallTime, timeZone);
+  if (firstOffset === null || isNaN(firstOffset)) return null;
+
+  const secondOffset = getTimeZoneOffset(wallTime - firstOffset, timeZone);
+  const date = new Date(wallTime - (secondOffset ?? firstOffset));
+  return isNaN(date.getTime()) ? null : date;
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDateValue,
+  toPocketBaseDate,
+  toDateTimeInputValue,
+  fromDateTimeInputValue,
+  formatDateTime,
+} from './date-utils.js';
+
+describe('date-utils', () => {
+  describe('parseDateValue', () => {
+    it('should parse PocketBase and ISO dates', () => {
+      expect(parseDateValue('2024-03-10 14:30:15.123Z')?.toISOString()).toBe(
+        '2024-03-10T14:30:15.123Z'
+      );
+      expect(parseDateValue('2024-03-10T14:30:15+02:00')?.toISOString()).toBe(
+        '2024-03-10T12:30:15.000Z'
+      );
+    });
+
+    it('should read values without a zone in the given time zone', () => {
+      expect(parseDateValue('2024-07-01T12:00', 'Europe/Berlin')?.toISOString()).toBe(
+        '2024-07-01T10:00:00.000Z'
+      );
+      expect(parseDateValue('2024-07-01', 'Asia/Tokyo')?.toISOString()).toBe(
+        '2024-06-30T15:00:00.000Z'
+      );
+    });
+
+    it('should return null for empty and invalid values', () => {
+      expect(parseDateValue('')).toBeNull();
+      expect(parseDateValue(null)).toBeNull();
+      expect(parseDateValue('not a date')).toBeNull();
+      expect(parseDateValue('2024-01-01T00:00', 'Not/A_Zone')).toBeNull();
+    });
+  });
+
+  describe('datetime-local values', () => {
+    it('should round-trip PocketBase dates', () => {
+      const stored = '2024-03-10 14:30:15.000Z';
+
+      expect(toDateTimeInputValue(stored, 'UTC')).toBe('2024-03-10T14:30:15');
+      expect(fromDateTimeInputValue(toDateTimeInputValue(stored, 'UTC'), 'UTC')).toBe(stored);
+      expect(
+        fromDateTimeInputValue(toDateTimeInputValue(stored, 'America/New_York'), 'America/New_York')
+      ).toBe(stored);
+    });
+
+    it('should convert wall time across DST changes', () => {
+      expect(toDateTimeInputValue('2024-01-15 12:00:00.000Z', 'America/New_York')).toBe(
+        '2024-01-15T07:00:00'
+      );
+      expect(toDateTimeInputValue('2024-07-15 12:00:00.000Z', 'America/New_York')).toBe(
+        '2024-07-15T08:00:00'
+      );
+      expect(fromDateTimeInputValue('2024-07-15T08:00', 'America/New_York')).toBe(
+        '2024-07-15 12:00:00.000Z'
+      );
+    });
+
+    it('should keep empty and invalid input values', () => {
+      expect(toDateTimeInputValue('', 'UTC')).toBe('');
+      expect(fromDateTimeInputValue('', 'UTC')).toBe('');
+      expect(fromDateTimeInputValue('soon', 'UTC')).toBe('soon');
+    });
+  });
+
+  describe('toPocketBaseDate', () => {
+    it('should format dates in UTC', () => {
+      expect(toPocketBaseDate(new Date(Date.UTC(2024, 0, 2, 3, 4, 5, 6)))).toBe(
+        '2024-01-02 03:04:05.006Z'
+      );
+    });
+  });
+
+  describe('formatDateTime', () => {
+    it('should format with locale and time zone', () => {
+      const value = '2024-03-10 14:30:00.000Z';
+
+      expect(formatDateTime(value, { locale: 'de-DE', timeZone: 'Europe/Berlin' })).toBe(
+        '10.03.2024, 15:30'
+      );
+      expect(formatDateTime(value, { locale: 'en-US', timeZone: 'UTC', dateOnly: true })).toBe(
+        '3/10/2024'
+      );
+    });
+
+    it('should return an empty string for invalid input', () => {
+      expect(formatDateTime('')).toBe('');
+      expect(formatDateTime('nope')).toBe('');
+      expect(formatDateTime('2024-03-10 14:30:00.000Z', { timeZone: 'Not/A_Zone' })).toBe('');
+    });
+  });
+});
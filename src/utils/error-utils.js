@@ -0,0 +1,119 @@
+/**
+ * @typedef {import('./form-utils.js').ValidationErrors} ValidationErrors
+ */
+
+/**
+ * Error thrown by `PocketCrud` when a request fails. `fieldErrors` holds the
+ * per-field errors PocketBase returns for invalid record data.
+ */
+export class PocketCrudError extends Error {
+  /**
+   * @param {string} message
+   * @param {{status?: number, fieldErrors?: ValidationErrors, originalError?: unknown}} [options]
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'PocketCrudError';
+    /** HTTP status, 0 when the request did not reach the server */
+    this.status = options.status ?? 0;
+    /** @type {ValidationErrors} */
+    this.fieldErrors = options.fieldErrors ?? {};
+    this.originalError = options.originalError;
+  }
+}
+
+/**
+ * Thrown when the first sign-in step was accepted and the server asks for a
+ * second factor. Pass `mfaId` on to the next login call.
+ */
+export class MfaRequiredError extends PocketCrudError {
+  /**
+   * @param {string} mfaId
+   * @param {{originalError?: unknown}} [options]
+   */
+  constructor(mfaId, options = {}) {
+    super('Confirm your sign-in with a second method', {
+      status: 401,
+      originalError: options.originalError,
+    });
+    this.name = 'MfaRequiredError';
+    this.mfaId = mfaId;
+  }
+}
+
+/**
+ * Turns any thrown value, usually a PocketBase `ClientResponseError`, into a
+ * `PocketCrudError`.
+ *
+ * @param {unknown} error
+ * @returns {PocketCrudError}
+ */
+export function normalizeError(error) {
+  if (error instanceof PocketCrudError) {
+    return error;
+  }
+
+  /** @type {Record<string, any>} */
+  const source = typeof error === 'object' && error !== null ? error : {};
+  // `response` is the parsed body of a ClientResponseError, `data` its older alias
+  const response = source.response ?? source.data ?? {};
+
+  if (typeof response.mfaId === 'string' && response.mfaId) {
+    return new MfaRequiredError(response.mfaId, { originalError: error });
+  }
+
+  /** @type {ValidationErrors} */
+  const fieldErrors = {};
+  if (typeof response.data === 'object' && response.data !== null) {
+    for (const [name, value] of Object.entries(response.data)) {
+      if (typeof value?.message === 'string') {
+        fieldErrors[name] = { code: value.code || 'validation_invalid', message: value.message };
+      }
+    }
+  }
+
+  const message =
+    (typeof response.message === 'string' && response.message) ||
+    (error instanceof Error && error.message) ||
+    (typeof error === 'string' && error) ||
+    'Request failed';
+
+  return new PocketCrudError(message, {
+    status: typeof source.status === 'number' ? source.status : 0,
+    fieldErrors,
+    originalError: error,
+  });
+}
+
+/**
+ * Whether a request was cancelled, eg. by PocketBase's auto-cancellation of
+ * duplicate requests, rather than failed.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  if (error instanceof PocketCrudError) {
+    return isAbortError(error.originalError);
+  }
+  if (typeof error !== 'object' || error === null) {
+    return false;
+  }
+  if (/** @type {Record<string, any>} */ (error).isAbort === true) {
+    return true;
+  }
+  const message = error instanceof Error ? error.message : '';
+  return (
+    (error instanceof Error && error.name === 'AbortError') ||
+    message.includes('autocancelled') ||
+    message.includes('aborted')
+  );
+}
+
+/**
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function hasFieldErrors(error) {
+  return error instanceof PocketCrudError && Object.keys(error.fieldErrors).length > 0;
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MfaRequiredError,
+  PocketCrudError,
+  isAbortError,
+  normalizeError,
+  hasFieldErrors,
+} from './error-utils.js';
+
+describe('error-utils', () => {
+  describe('normalizeError', () => {
+    it('should map ClientResponseError data to field errors', () => {
+      const original = Object.assign(new Error('ClientResponseError 400'), {
+        status: 400,
+        response: {
+          code: 400,
+          message: 'Failed to create record.',
+          data: {
+            title: { code: 'validation_required', message: 'Cannot be blank.' },
+            slug: { code: 'validation_not_unique', message: 'Value must be unique.' },
+          },
+        },
+      });
+
+      const error = normalizeError(original);
+
+      expect(error).toBeInstanceOf(PocketCrudError);
+      expect(error.message).toBe('Failed to create record.');
+      expect(error.status).toBe(400);
+      expect(error.originalError).toBe(original);
+      expect(error.fieldErrors).toEqual({
+        title: { code: 'validation_required', message: 'Cannot be blank.' },
+        slug: { code: 'validation_not_unique', message: 'Value must be unique.' },
+      });
+    });
+
+    it('should detect requests for a second factor', () => {
+      const error = normalizeError({ status: 401, response: { mfaId: 'mfa123' } });
+
+      expect(error).toBeInstanceOf(MfaRequiredError);
+      expect(error).toBeInstanceOf(PocketCrudError);
+      expect(error.status).toBe(401);
+      expect(/** @type {MfaRequiredError} */ (error).mfaId).toBe('mfa123');
+    });
+
+    it('should ignore malformed field errors', () => {
+      const error = normalizeError({
+        status: 400,
+        data: { message: 'Invalid data.', data: { title: 'oops', body: { message: 'Too long.' } } },
+      });
+
+      expect(error.fieldErrors).toEqual({
+        body: { code: 'validation_invalid', message: 'Too long.' },
+      });
+    });
+
+    it('should normalize plain errors and strings', () => {
+      expect(normalizeError(new Error('Network down'))).toMatchObject({
+        message: 'Network down',
+        status: 0,
+        fieldErrors: {},
+      });
+      expect(normalizeError('Nope').message).toBe('Nope');
+      expect(normalizeError(undefined).message).toBe('Request failed');
+    });
+
+    it('should return PocketCrudError instances unchanged', () => {
+      const error = new PocketCrudError('Forbidden', { status: 403 });
+
+      expect(normalizeError(error)).toBe(error);
+    });
+  });
+
+  describe('hasFieldErrors', () => {
+    it('should detect field errors', () => {
+      expect(
+        hasFieldErrors(
+          new PocketCrudError('Invalid', {
+            fieldErrors: { title: { code: 'validation_required', message: 'Cannot be blank.' } },
+          })
+        )
+      ).toBe(true);
+      expect(hasFieldErrors(new PocketCrudError('Invalid'))).toBe(false);
+      expect(hasFieldErrors(new Error('Invalid'))).toBe(false);
+    });
+  });
+
+  describe('isAbortError', () => {
+    it('should detect cancelled requests, also when normalized', () => {
+      const cancelled = Object.assign(new Error('The request was autocancelled.'), {
+        isAbort: true,
+        status: 0,
+      });
+
+      expect(isAbortError(cancelled)).toBe(true);
+      expect(isAbortError(normalizeError(cancelled))).toBe(true);
+      expect(isAbortError(new Error('The operation was aborted.'))).toBe(true);
+      expect(isAbortError(new Error('Request failed'))).toBe(false);
+      expect(
+        isAbortError(normalizeError({ status: 404, response: { message: 'Not found' } }))
+      ).toBe(false);
+      expect(isAbortError(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * @typedef {import('./index.js').CollectionField} CollectionField
+ */
+
+/**
+ * Form value of a file field. `existing` holds the filenames kept from the
+ * record, `removed` the ones to delete and `added` the new uploads.
+ *
+ * @typedef {Object} FileFieldValue
+ * @property {string[]} existing
+ * @property {string[]} removed
+ * @property {File[]} added
+ */
+
+/** Image extensions PocketBase can generate thumbnails for */
+const THUMB_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+
+/**
+ * Returns the filenames of a record file value, which is a single name for
+ * single file fields and a list for multiple file fields.
+ *
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+export function getFileNames(value) {
+  if (Array.isArray(value)) {
+    return value.filter(name => typeof name === 'string' && name !== '');
+  }
+  return typeof value === 'string' && value !== '' ? [value] : [];
+}
+
+/**
+ * @param {unknown} value Record value of the file field
+ * @returns {FileFieldValue}
+ */
+export function toFileFieldValue(value) {
+  return { existing: getFileNames(value), removed: [], added: [] };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is FileFieldValue}
+ */
+export function isFileFieldValue(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    Array.isArray(/** @type {any} */ (value).existing) &&
+    Array.isArray(/** @type {any} */ (value).removed) &&
+    Array.isArray(/** @type {any} */ (value).added)
+  );
+}
+
+/**
+ * Adds new uploads to a file field value. Single file fields keep only the
+ * newest file and mark the current one for removal.
+ *
+ * @param {FileFieldValue} value
+ * @param {File[]} files
+ * @param {boolean} multiple
+ * @returns {FileFieldValue}
+ */
+export function addFiles(value, files, multiple) {
+  if (files.length === 0) return value;
+
+  if (!multiple) {
+    return {
+      existing: [],
+      removed: [...value.removed, ...value.existing],
+      added: [files[files.length - 1]],
+    };
+  }
+
+  return { ...value, added: [...value.added, ...files] };
+}
+
+/**
+ * Removes an existing filename or a new upload from a file field value.
+ *
+ * @param {FileFieldValue} value
+ * @param {string | File} file
+ * @returns {FileFieldValue}
+ */
+export function removeFile(value, file) {
+  if (typeof file === 'string') {
+    return {
+      ...value,
+      existing: value.existing.filter(name => name !== file),
+      removed: value.existing.includes(file) ? [...value.removed, file] : value.removed,
+    };
+  }
+
+  return { ...value, added: value.added.filter(added => added !== file) };
+}
+
+/**
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function isImageFile(filename) {
+  const extension = filename.split('.').pop()?.toLowerCase() || '';
+  return THUMB_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Lists the saved images of a record's file fields, eg. to insert them into
+ * editor content.
+ *
+ * @param {Record<string, any> | null | undefined} record
+ * @param {CollectionField[]} schema
+ * @returns {{field: string, filename: string}[]}
+ */
+export function getRecordImages(record, schema) {
+  if (!record?.id) return [];
+
+  return schema
+    .filter(field => field.type === 'file')
+    .flatMap(field =>
+      getFileNames(record[field.name])
+        .filter(isImageFile)
+        .map(filename => ({ field: field.name, filename }))
+    );
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+}
+
+/**
+ * Checks new uploads against the `maxSelect`, `maxSize` and `mimeTypes`
+ * options of a file field.
+ *
+ * @param {FileFieldValue} value
+ * @param {CollectionField} field
+ * @returns {import('./form-utils.js').ValidationError[]}
+ */
+export function validateFiles(value, field) {
+  /** @type {import('./form-utils.js').ValidationError[]} */
+  const errors = [];
+  const maxSelect = field.options?.maxSelect || 1;
+  const maxSize = field.options?.maxSize;
+  const mimeTypes = field.options?.mimeTypes || [];
+
+  if (value.existing.length + value.added.length > maxSelect) {
+    errors.push({
+      code: 'validation_too_many_values',
+      message:
+        maxSelect > 1
+          ? `${field.name} allows at most ${maxSelect} files`
+          : `${field.name} allows only one file`,
+    });
+  }
+
+  for (const file of value.added) {
+    if (maxSize && file.size > maxSize) {
+      errors.push({
+        code: 'validation_file_size_limit',
+        message: `${file.name} is larger than the ${formatFileSize(maxSize)} limit`,
+      });
+    }
+    if (mimeTypes.length > 0 && !mimeTypes.some(type => matchesMimeType(file.type, type))) {
+      errors.push({
+        code: 'validation_invalid_mime_type',
+        message: `${file.name} is not an allowed file type`,
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * @param {string} actual
+ * @param {string} allowed Exact type or wildcard such as `image/*`
+ * @returns {boolean}
+ */
+function matchesMimeType(actual, allowed) {
+  if (allowed.endsWith('/*')) {
+    return actual.startsWith(allowed.slice(0, -1));
+  }
+  return actual === allowed;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isBlob(value) {
+  return typeof globalThis.Blob !== 'undefined' && value instanceof globalThis.Blob;
+}
+
+/**
+ * Whether prepared record data contains files and must be sent as
+ * multipart form data.
+ *
+ * @param {Record<string, any>} data
+ * @returns {boolean}
+ */
+export function hasFileUploads(data) {
+  return Object.values(data).some(value =>
+    Array.isArray(value) ? value.some(isBlob) : isBlob(value)
+  );
+}
+
+/**
+ * Builds a multipart payload from prepared record data. Lists are sent as
+ * repeated keys and json fields as serialized JSON.
+ *
+ * @param {Record<string, any>} data
+ * @param {CollectionField[]} [schema]
+ * @returns {FormData}
+ */
+export function toFormData(data, schema) {
+  const formData = new FormData();
+  const jsonFields = new Set(
+    (schema || []).filter(field => field.type === 'json').map(field => field.name)
+  );
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+
+    if (jsonFields.has(key)) {
+      formData.append(key, JSON.stringify(value));
+    } else if (Array.isArray(value)) {
+      // An empty list clears the field
+      if (value.length === 0) formData.append(key, '');
+      value.forEach(item => formData.append(key, toFormDataValue(item)));
+    } else {
+      formData.append(key, toFormDataValue(value));
+    }
+  }
+
+  return formData;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string | Blob}
+ */
+function toFormDataValue(value) {
+  if (isBlob(value)) return /** @type {Blob} */ (value);
+  if (value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
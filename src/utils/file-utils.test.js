@@ -0,0 +1,215 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getFileNames,
+  toFileFieldValue,
+  isFileFieldValue,
+  addFiles,
+  removeFile,
+  isImageFile,
+  formatFileSize,
+  validateFiles,
+  hasFileUploads,
+  toFormData,
+  getRecordImages,
+} from './file-utils.js';
+
+describe('file-utils', () => {
+  describe('file field values', () => {
+    it('should read filenames from single and multiple file fields', () => {
+      expect(getFileNames('a.png')).toEqual(['a.png']);
+      expect(getFileNames(['a.png', '', 'b.pdf'])).toEqual(['a.png', 'b.pdf']);
+      expect(getFileNames('')).toEqual([]);
+      expect(getFileNames(null)).toEqual([]);
+    });
+
+    it('should create file field values from record values', () => {
+      const value = toFileFieldValue(['a.png']);
+
+      expect(value).toEqual({ existing: ['a.png'], removed: [], added: [] });
+      expect(isFileFieldValue(value)).toBe(true);
+      expect(isFileFieldValue('a.png')).toBe(false);
+    });
+
+    it('should append files to multiple file fields', () => {
+      const file = new File(['x'], 'b.png');
+
+      expect(addFiles(toFileFieldValue(['a.png']), [file], true)).toEqual({
+        existing: ['a.png'],
+        removed: [],
+        added: [file],
+      });
+    });
+
+    it('should replace the file of single file fields', () => {
+      const first = new File(['x'], 'b.png');
+      const second = new File(['y'], 'c.png');
+
+      expect(addFiles(toFileFieldValue('a.png'), [first, second], false)).toEqual({
+        existing: [],
+        removed: ['a.png'],
+        added: [second],
+      });
+    });
+
+    it('should remove existing files and new uploads', () => {
+      const file = new File(['x'], 'b.png');
+      const value = { existing: ['a.png'], removed: [], added: [file] };
+
+      expect(removeFile(value, 'a.png')).toEqual({
+        existing: [],
+        removed: ['a.png'],
+        added: [file],
+      });
+      expect(removeFile(value, file)).toEqual({ existing: ['a.png'], removed: [], added: [] });
+    });
+  });
+
+  describe('isImageFile', () => {
+    it('should detect images PocketBase can thumbnail', () => {
+      expect(isImageFile('photo_abc123.JPG')).toBe(true);
+      expect(isImageFile('logo.webp')).toBe(true);
+      expect(isImageFile('icon.svg')).toBe(false);
+      expect(isImageFile('report.pdf')).toBe(false);
+    });
+  });
+
+  describe('getRecordImages', () => {
+    it('should list saved images of file fields', () => {
+      /** @type {import('./index.js').CollectionField[]} */
+      const schema = [
+        {
+          id: 'f1',
+          name: 'cover',
+          type: 'file',
+          system: false,
+          required: false,
+          presentable: false,
+        },
+        {
+          id: 'f2',
+          name: 'files',
+          type: 'file',
+          system: false,
+          required: false,
+          presentable: false,
+        },
+        {
+          id: 'f3',
+          name: 'title',
+          type: 'text',
+          system: false,
+          required: false,
+          presentable: false,
+        },
+      ];
+      const record = { id: 'r1', cover: 'cover.jpg', files: ['a.png', 'doc.pdf'], title: 'b.png' };
+
+      expect(getRecordImages(record, schema)).toEqual([
+        { field: 'cover', filename: 'cover.jpg' },
+        { field: 'files', filename: 'a.png' },
+      ]);
+      expect(getRecordImages(null, schema)).toEqual([]);
+    });
+  });
+
+  describe('formatFileSize', () => {
+    it('should format bytes', () => {
+      expect(formatFileSize(512)).toBe('512 B');
+      expect(formatFileSize(2048)).toBe('2 KB');
+      expect(formatFileSize(5242880)).toBe('5 MB');
+    });
+  });
+
+  describe('validateFiles', () => {
+    /** @type {import('./index.js').CollectionField} */
+    const field = {
+      id: 'f1',
+      name: 'images',
+      type: 'file',
+      system: false,
+      required: false,
+      presentable: false,
+      options: { maxSelect: 2, maxSize: 1024, mimeTypes: ['image/png', 'image/jpeg'] },
+    };
+
+    it('should enforce maxSelect', () => {
+      const files = [new File(['x'], 'b.png', { type: 'image/png' })];
+
+      expect(
+        validateFiles({ existing: ['a.png', 'c.png'], removed: [], added: files }, field)
+      ).toEqual([{ code: 'validation_too_many_values', message: 'images allows at most 2 files' }]);
+      expect(
+        validateFiles(
+          { existing: ['a.png'], removed: [], added: files },
+          { ...field, options: {} }
+        ).map(error => error.message)
+      ).toEqual(['images allows only one file']);
+    });
+
+    it('should enforce maxSize and mimeTypes of new uploads', () => {
+      const large = new File(['x'.repeat(2048)], 'large.png', { type: 'image/png' });
+      const doc = new File(['x'], 'doc.pdf', { type: 'application/pdf' });
+
+      expect(validateFiles({ existing: [], removed: [], added: [large, doc] }, field)).toEqual([
+        { code: 'validation_file_size_limit', message: 'large.png is larger than the 1 KB limit' },
+        { code: 'validation_invalid_mime_type', message: 'doc.pdf is not an allowed file type' },
+      ]);
+    });
+
+    it('should accept wildcard mime types', () => {
+      const photo = new File(['x'], 'photo.gif', { type: 'image/gif' });
+
+      expect(
+        validateFiles(
+          { existing: [], removed: [], added: [photo] },
+          { ...field, options: { mimeTypes: ['image/*'] } }
+        )
+      ).toEqual([]);
+    });
+  });
+
+  describe('toFormData', () => {
+    it('should detect file uploads', () => {
+      expect(hasFileUploads({ title: 'a', 'images+': [new File(['x'], 'a.png')] })).toBe(true);
+      expect(hasFileUploads({ title: 'a', 'images-': ['a.png'] })).toBe(false);
+    });
+
+    it('should build a multipart payload', () => {
+      const file = new File(['x'], 'a.png');
+      /** @type {import('./index.js').CollectionField[]} */
+      const schema = [
+        {
+          id: 'f1',
+          name: 'meta',
+          type: 'json',
+          system: false,
+          required: false,
+          presentable: false,
+        },
+      ];
+
+      const formData = toFormData(
+        {
+          title: 'Hello',
+          views: 3,
+          featured: false,
+          tags: ['a', 'b'],
+          related: [],
+          meta: ['x', 'y'],
+          'images+': [file],
+          skipped: undefined,
+        },
+        schema
+      );
+
+      expect(formData.get('title')).toBe('Hello');
+      expect(formData.get('views')).toBe('3');
+      expect(formData.get('featured')).toBe('false');
+      expect(formData.getAll('tags')).toEqual(['a', 'b']);
+      expect(formData.get('related')).toBe('');
+      expect(formData.get('meta')).toBe('["x","y"]');
+      expect(formData.get('images+')).toBeInstanceOf(File);
+      expect(formData.has('skipped')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,612 @@
+import { fromDateTimeInputValue } from './date-utils.js';
+
+/**
+ * @typedef {import('./index.js').CollectionField} CollectionField
+ */
+
+/**
+ * @typedef {'=' | '!=' | '>' | '>=' | '<' | '<=' | '~' | '!~' | '?=' | '?!=' | '?>' | '?>=' | '?<' | '?<=' | '?~' | '?!~'} FilterOperator
+ */
+
+/**
+ * Operator names usable as keys of a filter object, eg. `{ views: { gt: 10 } }`.
+ * The `any*` variants match when any item of a multi value field matches.
+ *
+ * @typedef {'eq' | 'ne' | 'gt' | 'gte' | 'lt' | 'lte' | 'like' | 'notLike' | 'anyEq' | 'anyNe' | 'anyGt' | 'anyGte' | 'anyLt' | 'anyLte' | 'anyLike' | 'anyNotLike'} FilterOperatorName
+ */
+
+/**
+ * A filter as plain object. Keys are field names, values are either compared
+ * for equality, matched against any of the items of an array, or an object
+ * of operators. `$and`/`$or` take a list of nested filter objects.
+ * `undefined` values are skipped.
+ *
+ * @typedef {Record<string, any>} FilterObject
+ */
+
+/**
+ * @typedef {Object} CompiledFilter
+ * @property {string} raw Expression with `{:param}` placeholders for `pb.filter`
+ * @property {Record<string, any>} params
+ * @property {string[]} fields Field names referenced by the expression
+ */
+
+/** @type {Record<FilterOperatorName, FilterOperator>} */
+export const FILTER_OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: '~',
+  notLike: '!~',
+  anyEq: '?=',
+  anyNe: '?!=',
+  anyGt: '?>',
+  anyGte: '?>=',
+  anyLt: '?<',
+  anyLte: '?<=',
+  anyLike: '?~',
+  anyNotLike: '?!~',
+};
+
+const OPERATOR_VALUES = Object.values(FILTER_OPERATORS);
+
+/** Field names, relation paths, modifiers and `@request`/`@collection` references */
+const FIELD_PATTERN = /^@?[A-Za-z_][\w]*(\.[\w]+)*(:[a-z]+)?$/;
+
+/** Fields every record has, even if the legacy schema does not list them */
+const SYSTEM_FIELDS = [
+  'id',
+  'created',
+  'updated',
+  'collectionId',
+  'collectionName',
+  'username',
+  'email',
+  'emailVisibility',
+  'verified',
+];
+
+/**
+ * A PocketBase datetime macro such as `@now`. Macros are inserted into the
+ * expression as-is instead of being escaped like other values.
+ */
+export class FilterMacro {
+  /**
+   * @param {string} name
+   */
+  constructor(name) {
+    if (!/^@[a-zA-Z]+$/.test(name)) {
+      throw new Error(`Invalid filter macro "${name}"`);
+    }
+    this.name = name;
+  }
+
+  toString() {
+    return this.name;
+  }
+}
+
+/**
+ * Datetime macros supported by PocketBase filters
+ */
+export const macros = {
+  now: new FilterMacro('@now'),
+  second: new FilterMacro('@second'),
+  minute: new FilterMacro('@minute'),
+  hour: new FilterMacro('@hour'),
+  weekday: new FilterMacro('@weekday'),
+  day: new FilterMacro('@day'),
+  month: new FilterMacro('@month'),
+  year: new FilterMacro('@year'),
+  todayStart: new FilterMacro('@todayStart'),
+  todayEnd: new FilterMacro('@todayEnd'),
+  monthStart: new FilterMacro('@monthStart'),
+  monthEnd: new FilterMacro('@monthEnd'),
+  yearStart: new FilterMacro('@yearStart'),
+  yearEnd: new FilterMacro('@yearEnd'),
+};
+
+/**
+ * @typedef {{ type: 'condition', field: string, operator: FilterOperator, value: any }} FilterCondition
+ * @typedef {{ type: 'group', builder: FilterBuilder }} FilterGroup
+ */
+
+/**
+ * Composes a PocketBase filter expression. Conditions are joined with `&&`
+ * (or `||` for builders created with `join: '||'`), nested groups are
+ * wrapped in parentheses. Values are never interpolated; they are compiled
+ * into `pb.filter` params.
+ *
+ * @example
+ * filter()
+ *   .eq('status', 'published')
+ *   .gte('created', macros.monthStart)
+ *   .or(group => group.like('title', search).anyEq('tags.name', search));
+ */
+export class FilterBuilder {
+  /**
+   * @param {'&&' | '||'} [join]
+   */
+  constructor(join = '&&') {
+    /** @type {'&&' | '||'} */
+    this.join = join;
+    /**
+     * @private
+     * @type {Array<FilterCondition | FilterGroup>}
+     */
+    this.parts = [];
+  }
+
+  /**
+   * Adds a condition. Conditions with an `undefined` value are skipped.
+   *
+   * @param {string} field
+   * @param {FilterOperator} operator
+   * @param {any} value
+   * @returns {this}
+   */
+  where(field, operator, value) {
+    assertField(field);
+    if (!OPERATOR_VALUES.includes(operator)) {
+      throw new Error(`Unknown filter operator "${operator}"`);
+    }
+    if (value !== undefined) {
+      this.parts.push({ type: 'condition', field, operator, value });
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  eq(field, value) {
+    return this.where(field, '=', value);
+  }
+
+  /**
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  ne(field, value) {
+    return this.where(field, '!=', value);
+  }
+
+  /**
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  gt(field, value) {
+    return this.where(field, '>', value);
+  }
+
+  /**
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  gte(field, value) {
+    return this.where(field, '>=', value);
+  }
+
+  /**
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  lt(field, value) {
+    return this.where(field, '<', value);
+  }
+
+  /**
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  lte(field, value) {
+    return this.where(field, '<=', value);
+  }
+
+  /**
+   * Contains / LIKE match (`~`)
+   *
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  like(field, value) {
+    return this.where(field, '~', value);
+  }
+
+  /**
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  notLike(field, value) {
+    return this.where(field, '!~', value);
+  }
+
+  /**
+   * Matches when any item of a multi value field equals the value (`?=`)
+   *
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  anyEq(field, value) {
+    return this.where(field, '?=', value);
+  }
+
+  /**
+   * Matches when any item of a multi value field contains the value (`?~`)
+   *
+   * @param {string} field
+   * @param {any} value
+   * @returns {this}
+   */
+  anyLike(field, value) {
+    return this.where(field, '?~', value);
+  }
+
+  /**
+   * Matches when the field equals one of the values. An empty list matches
+   * nothing.
+   *
+   * @param {string} field
+   * @param {any[]} values
+   * @returns {this}
+   */
+  in(field, values) {
+    assertField(field);
+    if (values.length === 0) {
+      // PocketBase has no literal false, so use a contradiction instead
+      return this.and(group => group.eq('id', '').ne('id', ''));
+    }
+    return this.or(group => {
+      for (const value of values) group.eq(field, value);
+    });
+  }
+
+  /**
+   * Adds a group of conditions joined with `&&`
+   *
+   * @param {(group: FilterBuilder) => void} callback
+   * @returns {this}
+   */
+  and(callback) {
+    return this.group('&&', callback);
+  }
+
+  /**
+   * Adds a group of conditions joined with `||`
+   *
+   * @param {(group: FilterBuilder) => void} callback
+   * @returns {this}
+   */
+  or(callback) {
+    return this.group('||', callback);
+  }
+
+  /**
+   * @private
+   * @param {'&&' | '||'} join
+   * @param {(group: FilterBuilder) => void} callback
+   * @returns {this}
+   */
+  group(join, callback) {
+    const builder = new FilterBuilder(join);
+    callback(builder);
+    if (!builder.isEmpty()) {
+      this.parts.push({ type: 'group', builder });
+    }
+    return this;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.parts.length === 0;
+  }
+
+  /**
+   * @returns {CompiledFilter}
+   */
+  compile() {
+    /** @type {CompiledFilter} */
+    const compiled = { raw: '', params: {}, fields: [] };
+    compiled.raw = this.compileInto(compiled);
+    return compiled;
+  }
+
+  /**
+   * @private
+   * @param {CompiledFilter} compiled
+   * @returns {string}
+   */
+  compileInto(compiled) {
+    return this.parts
+      .map(part => {
+        if (part.type === 'group') {
+          const inner = part.builder.compileInto(compiled);
+          return part.builder.parts.length > 1 ? `(${inner})` : inner;
+        }
+
+        if (!compiled.fields.includes(part.field)) {
+          compiled.fields.push(part.field);
+        }
+        if (part.value instanceof FilterMacro) {
+          return `${part.field} ${part.operator} ${part.value.name}`;
+        }
+
+        const key = `p${Object.keys(compiled.params).length}`;
+        compiled.params[key] = part.value;
+        return `${part.field} ${part.operator} {:${key}}`;
+      })
+      .join(` ${this.join} `);
+  }
+}
+
+/**
+ * @param {'&&' | '||'} [join]
+ * @returns {FilterBuilder}
+ */
+export function filter(join) {
+  return new FilterBuilder(join);
+}
+
+/**
+ * Builds a filter from a plain object, eg.
+ * `{ status: 'published', views: { gt: 10 }, $or: [{ featured: true }, { pinned: true }] }`.
+ * Array values match any of the given values.
+ *
+ * @param {FilterObject} object
+ * @param {'&&' | '||'} [join]
+ * @returns {FilterBuilder}
+ */
+export function filterFromObject(object, join) {
+  const builder = new FilterBuilder(join);
+  applyFilterObject(builder, object);
+  return builder;
+}
+
+/**
+ * @param {FilterBuilder | FilterObject} input
+ * @returns {CompiledFilter}
+ */
+export function compileFilter(input) {
+  const builder = input instanceof FilterBuilder ? input : filterFromObject(input);
+  return builder.compile();
+}
+
+/**
+ * Returns the referenced fields that do not exist in the collection schema.
+ * Only the first segment of relation paths is checked, `@request`/`@collection`
+ * references and back relations (`comments_via_post`) are always allowed.
+ *
+ * @param {string[]} fields
+ * @param {CollectionField[]} schema
+ * @returns {string[]}
+ */
+export function getUnknownFilterFields(fields, schema) {
+  const known = new Set([...SYSTEM_FIELDS, ...schema.map(field => field.name)]);
+
+  return fields.filter(field => {
+    if (field.startsWith('@')) return false;
+    const root = field.split(':')[0].split('.')[0];
+    return !known.has(root) && !root.includes('_via_');
+  });
+}
+
+/**
+ * @param {string} field
+ */
+function assertField(field) {
+  if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+    throw new Error(`Invalid filter field "${field}"`);
+  }
+}
+
+/**
+ * @param {any} value
+ * @returns {value is Record<string, any>}
+ */
+function isOperatorObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !(value instanceof Date) &&
+    !(value instanceof FilterMacro)
+  );
+}
+
+/**
+ * @param {FilterBuilder} builder
+ * @param {FilterObject} object
+ */
+function applyFilterObject(builder, object) {
+  for (const [key, value] of Object.entries(object)) {
+    if (key === '$and' || key === '$or') {
+      const nested = /** @type {FilterObject[]} */ (value);
+      const combine = key === '$and' ? 'and' : 'or';
+      builder[combine](group => {
+        for (const item of nested) {
+          group.and(inner => applyFilterObject(inner, item));
+        }
+      });
+    } else if (Array.isArray(value)) {
+      builder.in(key, value);
+    } else if (isOperatorObject(value)) {
+      for (const [name, operand] of Object.entries(value)) {
+        if (name === 'in') {
+          builder.in(key, operand);
+          continue;
+        }
+        const operator = FILTER_OPERATORS[/** @type {FilterOperatorName} */ (name)];
+        if (!operator) {
+          throw new Error(`Unknown filter operator "${name}" for field "${key}"`);
+        }
+        builder.where(key, operator, operand);
+      }
+    } else {
+      builder.eq(key, value);
+    }
+  }
+}
+
+/**
+ * Values of a record filter bar. `fields` holds a value per filter control:
+ * a string for select and relation fields, a boolean for bool fields and a
+ * `{ from, to }` range of `YYYY-MM-DD` dates for date fields.
+ *
+ * @typedef {Object} RecordFilterValues
+ * @property {string} [search]
+ * @property {Record<string, any>} [fields]
+ */
+
+/**
+ * @typedef {Object} FilterBarControl
+ * @property {string} name
+ * @property {string} label
+ * @property {'select' | 'bool' | 'date' | 'relation'} type
+ * @property {string[]} [options]
+ * @property {boolean} multiple
+ * @property {string} [collectionId]
+ * @property {string[]} [displayFields]
+ */
+
+/**
+ * @typedef {Object} FilterBarConfig
+ * @property {string[]} searchFields Fields matched by the free-text search
+ * @property {FilterBarControl[]} controls
+ */
+
+/** Field types matched by the free-text search */
+export const SEARCHABLE_FIELD_TYPES = ['text', 'email', 'url', 'editor'];
+
+/** @type {Record<string, FilterBarControl['type']>} */
+const CONTROL_TYPES = {
+  select: 'select',
+  bool: 'bool',
+  date: 'date',
+  autodate: 'date',
+  relation: 'relation',
+};
+
+/**
+ * Derives the search fields and filter controls of a filter bar from a
+ * collection schema.
+ *
+ * @param {CollectionField[]} schema
+ * @param {string[]} [fields] Only offer these fields
+ * @returns {FilterBarConfig}
+ */
+export function getFilterBarConfig(schema, fields) {
+  const available = schema.filter(
+    field => !field.hidden && (!fields || fields.includes(field.name))
+  );
+
+  return {
+    searchFields: available
+      .filter(field => SEARCHABLE_FIELD_TYPES.includes(field.type))
+      .map(field => field.name),
+    controls: available
+      .filter(field => CONTROL_TYPES[field.type])
+      .map(field => {
+        /** @type {FilterBarControl} */
+        const control = {
+          name: field.name,
+          label: field.name.charAt(0).toUpperCase() + field.name.slice(1),
+          type: CONTROL_TYPES[field.type],
+          multiple: Boolean(field.options?.maxSelect && field.options.maxSelect > 1),
+        };
+        if (field.type === 'select') {
+          control.options = field.options?.values || [];
+        }
+        if (field.type === 'relation') {
+          control.collectionId = field.options?.collectionId;
+          control.displayFields = field.options?.displayFields || [];
+        }
+        return control;
+      }),
+  };
+}
+
+/**
+ * Builds the filter for the values of a filter bar. Empty values and fields
+ * that are not part of the schema are ignored. Date ranges cover whole days
+ * in `timeZone`, the browser's by default.
+ *
+ * @param {RecordFilterValues | null | undefined} values
+ * @param {CollectionField[]} schema
+ * @param {string[]} [fields]
+ * @param {{timeZone?: string}} [options]
+ * @returns {FilterBuilder}
+ */
+export function buildRecordFilter(values, schema, fields, options = {}) {
+  const builder = new FilterBuilder();
+  if (!values) return builder;
+
+  const { searchFields, controls } = getFilterBarConfig(schema, fields);
+
+  const term = (values.search || '').trim();
+  if (term && searchFields.length > 0) {
+    builder.or(group => {
+      for (const name of searchFields) group.like(name, term);
+    });
+  }
+
+  for (const control of controls) {
+    const value = values.fields?.[control.name];
+    if (value === undefined || value === null || value === '') continue;
+
+    switch (control.type) {
+      case 'bool':
+        builder.eq(control.name, value === true || value === 'true');
+        break;
+      case 'date':
+        if (value.from) {
+          builder.gte(
+            control.name,
+            fromDateTimeInputValue(`${value.from}T00:00:00`, options.timeZone)
+          );
+        }
+        if (value.to) {
+          builder.lte(
+            control.name,
+            fromDateTimeInputValue(`${value.to}T23:59:59.999`, options.timeZone)
+          );
+        }
+        break;
+      default:
+        // Multi value fields match when any of their items equals the value
+        builder.where(control.name, control.multiple ? '?=' : '=', value);
+    }
+  }
+
+  return builder;
+}
+
+/**
+ * @param {RecordFilterValues | null | undefined} values
+ * @returns {boolean}
+ */
+export function hasActiveFilter(values) {
+  if (!values) return false;
+  if ((values.search || '').trim()) return true;
+
+  return Object.values(values.fields || {}).some(value => {
+    if (value === undefined || value === null || value === '') return false;
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      return Boolean(value.from || value.to);
+    }
+    return true;
+  });
+}
@@ -0,0 +1,326 @@
+import { describe, it, expect } from 'vitest';
+import {
+  filter,
+  filterFromObject,
+  compileFilter,
+  getUnknownFilterFields,
+  macros,
+  FilterMacro,
+  getFilterBarConfig,
+  buildRecordFilter,
+  hasActiveFilter,
+} from './filter-utils.js';
+
+describe('filter-utils', () => {
+  describe('FilterBuilder', () => {
+    it('should join conditions with && and compile values into params', () => {
+      const compiled = filter().eq('status', 'published').gt('views', 10).compile();
+
+      expect(compiled).toEqual({
+        raw: 'status = {:p0} && views > {:p1}',
+        params: { p0: 'published', p1: 10 },
+        fields: ['status', 'views'],
+      });
+    });
+
+    it('should wrap nested groups in parentheses', () => {
+      const compiled = filter()
+        .eq('status', 'published')
+        .or(group => group.like('title', "it's").anyEq('tags.name', 'news'))
+        .compile();
+
+      expect(compiled.raw).toBe('status = {:p0} && (title ~ {:p1} || tags.name ?= {:p2})');
+      expect(compiled.params).toEqual({ p0: 'published', p1: "it's", p2: 'news' });
+    });
+
+    it('should insert date macros without escaping', () => {
+      const compiled = filter()
+        .gte('created', macros.monthStart)
+        .lt('created', macros.now)
+        .compile();
+
+      expect(compiled.raw).toBe('created >= @monthStart && created < @now');
+      expect(compiled.params).toEqual({});
+    });
+
+    it('should skip undefined values and empty groups', () => {
+      const compiled = filter()
+        .eq('status', undefined)
+        .or(() => {})
+        .eq('featured', false)
+        .compile();
+
+      expect(compiled.raw).toBe('featured = {:p0}');
+      expect(filter().isEmpty()).toBe(true);
+    });
+
+    it('should match any of a list of values', () => {
+      expect(filter().in('status', ['draft', 'review']).compile().raw).toBe(
+        '(status = {:p0} || status = {:p1})'
+      );
+      expect(filter().in('status', []).compile().raw).toBe('(id = {:p0} && id != {:p1})');
+    });
+
+    it('should reject unsafe field names and unknown operators', () => {
+      expect(() => filter().eq("title = '' || id", 'x')).toThrow('Invalid filter field');
+      expect(() => filter().where('title', /** @type {any} */ ('LIKE'), 'x')).toThrow(
+        'Unknown filter operator "LIKE"'
+      );
+      expect(() => new FilterMacro('@now || 1')).toThrow('Invalid filter macro');
+    });
+
+    it('should accept relation paths, modifiers and request references', () => {
+      const compiled = filter()
+        .eq('author.name', 'Ada')
+        .eq('title:lower', 'x')
+        .eq('@request.auth.id', 'u1')
+        .compile();
+
+      expect(compiled.fields).toEqual(['author.name', 'title:lower', '@request.auth.id']);
+    });
+  });
+
+  describe('filterFromObject', () => {
+    it('should build conditions from plain values and operator objects', () => {
+      const compiled = filterFromObject({
+        status: 'published',
+        views: { gt: 10, lte: 100 },
+        tags: { anyEq: 'news' },
+      }).compile();
+
+      expect(compiled.raw).toBe(
+        'status = {:p0} && views > {:p1} && views <= {:p2} && tags ?= {:p3}'
+      );
+      expect(compiled.params).toEqual({ p0: 'published', p1: 10, p2: 100, p3: 'news' });
+    });
+
+    it('should support arrays, $or groups and macros', () => {
+      const compiled = filterFromObject({
+        category: ['tech', 'design'],
+        created: { gte: macros.todayStart },
+        $or: [{ featured: true }, { pinned: true, views: { gt: 5 } }],
+      }).compile();
+
+      expect(compiled.raw).toBe(
+        '(category = {:p0} || category = {:p1}) && created >= @todayStart && ' +
+          '(featured = {:p2} || (pinned = {:p3} && views > {:p4}))'
+      );
+    });
+
+    it('should keep dates and null as values', () => {
+      const date = new Date('2024-01-01T00:00:00Z');
+      const compiled = filterFromObject({ published: date, archived: null }).compile();
+
+      expect(compiled.params).toEqual({ p0: date, p1: null });
+    });
+
+    it('should reject unknown operators', () => {
+      expect(() => filterFromObject({ views: { bigger: 1 } })).toThrow(
+        'Unknown filter operator "bigger" for field "views"'
+      );
+    });
+  });
+
+  describe('compileFilter', () => {
+    it('should accept builders and objects', () => {
+      expect(compileFilter(filter().eq('a', 1)).raw).toBe('a = {:p0}');
+      expect(compileFilter({ a: 1 }).raw).toBe('a = {:p0}');
+    });
+  });
+
+  describe('getUnknownFilterFields', () => {
+    /** @type {import('./index.js').CollectionField[]} */
+    const schema = [
+      { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+      {
+        id: 'f2',
+        name: 'author',
+        type: 'relation',
+        system: false,
+        required: false,
+        presentable: false,
+      },
+    ];
+
+    it('should report fields missing from the schema', () => {
+      expect(
+        getUnknownFilterFields(
+          [
+            'title',
+            'author.name',
+            'title:lower',
+            'created',
+            '@request.auth.id',
+            'comments_via_post.id',
+            'titel',
+          ],
+          schema
+        )
+      ).toEqual(['titel']);
+    });
+  });
+
+  describe('record filters', () => {
+    /** @type {import('./index.js').CollectionField[]} */
+    const schema = [
+      { id: 'f1', name: 'title', type: 'text', system: false, required: true, presentable: true },
+      {
+        id: 'f2',
+        name: 'body',
+        type: 'editor',
+        system: false,
+        required: false,
+        presentable: false,
+      },
+      {
+        id: 'f3',
+        name: 'status',
+        type: 'select',
+        system: false,
+        required: false,
+        presentable: false,
+        options: { values: ['draft', 'published'], maxSelect: 1 },
+      },
+      {
+        id: 'f4',
+        name: 'tags',
+        type: 'relation',
+        system: false,
+        required: false,
+        presentable: false,
+        options: { collectionId: 'tags_id', maxSelect: 5 },
+      },
+      {
+        id: 'f5',
+        name: 'featured',
+        type: 'bool',
+        system: false,
+        required: false,
+        presentable: false,
+      },
+      {
+        id: 'f6',
+        name: 'published',
+        type: 'date',
+        system: false,
+        required: false,
+        presentable: false,
+      },
+      {
+        id: 'f7',
+        name: 'secret',
+        type: 'text',
+        system: false,
+        required: false,
+        presentable: false,
+        hidden: true,
+      },
+      {
+        id: 'f8',
+        name: 'views',
+        type: 'number',
+        system: false,
+        required: false,
+        presentable: false,
+      },
+    ];
+
+    it('should derive search fields and controls from the schema', () => {
+      const config = getFilterBarConfig(schema);
+
+      expect(config.searchFields).toEqual(['title', 'body']);
+      expect(config.controls).toEqual([
+        {
+          name: 'status',
+          label: 'Status',
+          type: 'select',
+          multiple: false,
+          options: ['draft', 'published'],
+        },
+        {
+          name: 'tags',
+          label: 'Tags',
+          type: 'relation',
+          multiple: true,
+          collectionId: 'tags_id',
+          displayFields: [],
+        },
+        { name: 'featured', label: 'Featured', type: 'bool', multiple: false },
+        { name: 'published', label: 'Published', type: 'date', multiple: false },
+      ]);
+    });
+
+    it('should limit the config to the given fields', () => {
+      const config = getFilterBarConfig(schema, ['title', 'status']);
+
+      expect(config.searchFields).toEqual(['title']);
+      expect(config.controls.map(control => control.name)).toEqual(['status']);
+    });
+
+    it('should build a filter from the filter bar values', () => {
+      const compiled = buildRecordFilter(
+        {
+          search: ' pocket ',
+          fields: {
+            status: 'published',
+            tags: 'tag1',
+            featured: false,
+            published: { from: '2024-01-01', to: '2024-01-31' },
+            views: '10',
+          },
+        },
+        schema,
+        undefined,
+        { timeZone: 'UTC' }
+      ).compile();
+
+      expect(compiled.raw).toBe(
+        '(title ~ {:p0} || body ~ {:p1}) && status = {:p2} && tags ?= {:p3} && ' +
+          'featured = {:p4} && published >= {:p5} && published <= {:p6}'
+      );
+      expect(compiled.params).toEqual({
+        p0: 'pocket',
+        p1: 'pocket',
+        p2: 'published',
+        p3: 'tag1',
+        p4: false,
+        p5: '2024-01-01 00:00:00.000Z',
+        p6: '2024-01-31 23:59:59.999Z',
+      });
+    });
+
+    it('should cover whole days of date ranges in the time zone', () => {
+      const compiled = buildRecordFilter(
+        { fields: { published: { from: '2024-01-01', to: '2024-07-31' } } },
+        schema,
+        undefined,
+        { timeZone: 'Europe/Berlin' }
+      ).compile();
+
+      expect(compiled.params).toEqual({
+        p0: '2023-12-31 23:00:00.000Z',
+        p1: '2024-07-31 21:59:59.999Z',
+      });
+    });
+
+    it('should ignore empty values', () => {
+      const builder = buildRecordFilter(
+        { search: '  ', fields: { status: '', published: {} } },
+        schema
+      );
+
+      expect(builder.isEmpty()).toBe(true);
+      expect(buildRecordFilter(null, schema).isEmpty()).toBe(true);
+    });
+
+    it('should detect active filters', () => {
+      expect(hasActiveFilter(undefined)).toBe(false);
+      expect(hasActiveFilter({ search: '', fields: { status: '', published: { from: '' } } })).toBe(
+        false
+      );
+      expect(hasActiveFilter({ search: 'a' })).toBe(true);
+      expect(hasActiveFilter({ fields: { featured: false } })).toBe(true);
+      expect(hasActiveFilter({ fields: { published: { to: '2024-01-01' } } })).toBe(true);
+    });
+  });
+});
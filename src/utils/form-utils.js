@@ -1,3 +1,12 @@
+import { formatFileSize, isFileFieldValue, validateFiles } from './file-utils.js';
+import {
+  formatDateTime,
+  fromDateTimeInputValue,
+  parseDateValue,
+  toPocketBaseDate,
+} from './date-utils.js';
+import { isEmptyHtml, sanitizeHtml } from './html-utils.js';
+
 /**
  * @typedef {import('./index.js').CollectionField} CollectionField
  */
@@ -17,12 +26,24 @@
  * @property {string} [pattern]
  * @property {boolean} [multiple]
  * @property {number} [rows]
+ * @property {string} [collectionId]
+ * @property {string[]} [displayFields]
+ * @property {number} [minSelect]
+ * @property {number} [maxSelect]
+ * @property {number} [maxSize]
+ * @property {number} [step]
  */
 
 /**
  * @typedef {Record<string, Partial<FormFieldConfig>>} FieldOverrides
  */
 
+/** Labels of auth system fields whose names read badly, see `withAuthFields` */
+const FIELD_LABELS = {
+  emailVisibility: 'Public email',
+  passwordConfirm: 'Confirm password',
+};
+
 /**
  * @param {CollectionField} field
  * @param {FieldOverrides} [overrides]
@@ -33,10 +54,17 @@ export function getFormFieldConfig(field, overrides) {
     return null;
   }
 
+  // Timestamps are managed by the server and never submitted
+  if (field.type === 'autodate') {
+    return null;
+  }
+
   /** @type {FormFieldConfig} */
   const baseConfig = {
     name: field.name,
-    label: field.name.charAt(0).toUpperCase() + field.name.slice(1),
+    label:
+      FIELD_LABELS[/** @type {keyof typeof FIELD_LABELS} */ (field.name)] ||
+      field.name.charAt(0).toUpperCase() + field.name.slice(1),
     type: 'text',
     required: field.required,
     placeholder: `Enter ${field.name}`,
@@ -60,7 +88,18 @@ export function getFormFieldConfig(field, overrides) {
       if (field.options?.max !== undefined) baseConfig.max = field.options.max;
       break;
     case 'date':
-      baseConfig.type = 'date';
+      // PocketBase dates always carry a time, entered in the form's time zone
+      baseConfig.type = 'datetime-local';
+      baseConfig.step = 1;
+      break;
+    case 'password':
+      baseConfig.type = 'password';
+      // Optional passwords of saved records are only sent when changed
+      baseConfig.placeholder = field.required
+        ? 'Enter password'
+        : 'Leave empty to keep the current password';
+      if (field.options?.min) baseConfig.min = field.options.min;
+      if (field.options?.max) baseConfig.max = field.options.max;
       break;
     case 'bool':
       baseConfig.type = 'checkbox';
@@ -76,19 +115,21 @@ export function getFormFieldConfig(field, overrides) {
       }
       break;
     case 'relation':
-      baseConfig.type = 'select';
-      baseConfig.options = []; // Would need to be populated from the related collection
-      if (field.options?.maxSelect && field.options.maxSelect > 1) {
-        baseConfig.multiple = true;
-      } else {
-        baseConfig.multiple = false;
-      }
+      // Candidates are loaded from the related collection by the relation picker
+      baseConfig.type = 'relation';
+      baseConfig.placeholder = 'Search records';
+      baseConfig.collectionId = field.options?.collectionId;
+      baseConfig.displayFields = field.options?.displayFields || [];
+      if (field.options?.minSelect) baseConfig.minSelect = field.options.minSelect;
+      if (field.options?.maxSelect) baseConfig.maxSelect = field.options.maxSelect;
+      baseConfig.multiple = Boolean(field.options?.maxSelect && field.options.maxSelect > 1);
       break;
     case 'file':
       baseConfig.type = 'file';
-      if (field.options?.maxSelect && field.options.maxSelect > 1) {
-        baseConfig.multiple = true;
-      }
+      baseConfig.multiple = Boolean(field.options?.maxSelect && field.options.maxSelect > 1);
+      baseConfig.maxSelect = field.options?.maxSelect || 1;
+      if (field.options?.maxSize) baseConfig.maxSize = field.options.maxSize;
+      if (field.options?.mimeTypes?.length) baseConfig.accept = field.options.mimeTypes.join(',');
       break;
     case 'json':
       baseConfig.type = 'textarea';
@@ -96,7 +137,8 @@ export function getFormFieldConfig(field, overrides) {
       baseConfig.placeholder = 'Enter JSON data';
       break;
     case 'editor':
-      baseConfig.type = 'textarea';
+      // Rendered as a rich text editor; `rows` sets its minimum height
+      baseConfig.type = 'editor';
       baseConfig.rows = 8;
       break;
     case 'text':
@@ -136,60 +178,341 @@ export function getFormFields(schema, overrides) {
 }
 
 /**
+ * A validation error in the shape PocketBase uses for field errors.
+ *
+ * @typedef {Object} ValidationError
+ * @property {string} code PocketBase error code, eg. `validation_required`
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Record<string, ValidationError>} ValidationErrors
+ */
+
+/**
+ * Validates form data against the schema. Returns the first error of each
+ * invalid field, keyed by field name; an empty object means the data is
+ * valid.
+ *
  * @param {Record<string, any>} data
  * @param {CollectionField[]} schema
- * @returns {string[]}
+ * @param {{timeZone?: string}} [options] Time zone date inputs were entered in
+ * @returns {ValidationErrors}
  */
-export function validateFormData(data, schema) {
-  /** @type {string[]} */
-  const errors = [];
+export function validateFormData(data, schema, options) {
+  /** @type {ValidationErrors} */
+  const errors = {};
 
   for (const field of schema) {
-    if (field.required && (!data[field.name] || data[field.name] === '')) {
-      errors.push(`${field.name} is required`);
+    const error = validateField(data[field.name], field, options);
+    if (error) {
+      errors[field.name] = error;
     }
+  }
+
+  // Auth records repeat the password, see `withAuthFields`
+  if (
+    !errors.passwordConfirm &&
+    schema.some(field => field.name === 'passwordConfirm') &&
+    (data.passwordConfirm || '') !== (data.password || '')
+  ) {
+    errors.passwordConfirm = validationError(
+      'validation_values_mismatch',
+      'Passwords do not match'
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Checks a single value against the constraints of its field.
+ *
+ * @param {any} value
+ * @param {CollectionField} field
+ * @param {{timeZone?: string}} [settings] Time zone date inputs were entered in
+ * @returns {ValidationError | null}
+ */
+export function validateField(value, field, settings = {}) {
+  const { name, options = {} } = field;
 
-    if (field.type === 'email' && data[field.name]) {
+  // Timestamps are set by the server
+  if (field.type === 'autodate') {
+    return null;
+  }
+
+  if (field.type === 'file' && isFileFieldValue(value)) {
+    if (field.required && value.existing.length + value.added.length === 0) {
+      return validationError('validation_required', `${name} is required`);
+    }
+    return validateFiles(value, field)[0] || null;
+  }
+
+  if (isBlank(value, field)) {
+    // Autogenerated values such as ids are filled in by the server
+    if (field.required && !options.autogeneratePattern) {
+      return validationError('validation_required', `${name} is required`);
+    }
+    // PocketBase stores an empty number as zero, which the range checks must not reject
+    if (
+      value === undefined ||
+      value === null ||
+      value === '' ||
+      Array.isArray(value) ||
+      field.type === 'number'
+    ) {
+      return null;
+    }
+  }
+
+  switch (field.type) {
+    case 'text':
+    case 'password': {
+      const length = String(value).length;
+      if (options.min && length < options.min) {
+        return validationError(
+          'validation_min_text_constraint',
+          `${name} must be at least ${options.min} characters`
+        );
+      }
+      if (options.max && length > options.max) {
+        return validationError(
+          'validation_max_text_constraint',
+          `${name} must be at most ${options.max} characters`
+        );
+      }
+      if (options.pattern && !new RegExp(options.pattern).test(String(value))) {
+        return validationError('validation_invalid_format', `${name} format is invalid`);
+      }
+      return null;
+    }
+
+    case 'email': {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(String(data[field.name]))) {
-        errors.push(`${field.name} must be a valid email address`);
+      if (!emailRegex.test(String(value))) {
+        return validationError('validation_is_email', `${name} must be a valid email address`);
       }
+      return validateDomain(String(value).split('@').pop() || '', field, 'email');
     }
 
-    if (field.type === 'url' && data[field.name]) {
+    case 'url': {
+      /** @type {URL} */
+      let url;
       try {
-        new globalThis.URL(String(data[field.name]));
+        url = new globalThis.URL(String(value));
       } catch {
-        errors.push(`${field.name} must be a valid URL`);
+        return validationError('validation_is_url', `${name} must be a valid URL`);
       }
+      return validateDomain(url.hostname, field, 'url');
     }
 
-    if (field.type === 'number' && data[field.name] !== undefined && data[field.name] !== '') {
-      const num = Number(data[field.name]);
+    case 'number': {
+      const num = Number(value);
       if (isNaN(num)) {
-        errors.push(`${field.name} must be a valid number`);
-      } else {
-        if (field.options?.min !== undefined && num < field.options.min) {
-          errors.push(`${field.name} must be at least ${field.options.min}`);
-        }
-        if (field.options?.max !== undefined && num > field.options.max) {
-          errors.push(`${field.name} must be at most ${field.options.max}`);
-        }
+        return validationError('validation_invalid_number', `${name} must be a valid number`);
+      }
+      // `noDecimal` is the legacy name of `onlyInt`
+      if ((options.onlyInt || options.noDecimal) && !Number.isInteger(num)) {
+        return validationError('validation_only_int_constraint', `${name} must be a whole number`);
+      }
+      if (isSet(options.min) && num < options.min) {
+        return validationError(
+          'validation_min_number_constraint',
+          `${name} must be at least ${options.min}`
+        );
       }
+      if (isSet(options.max) && num > options.max) {
+        return validationError(
+          'validation_max_number_constraint',
+          `${name} must be at most ${options.max}`
+        );
+      }
+      return null;
     }
 
-    if (field.type === 'text' && data[field.name] && field.options?.pattern) {
-      const regex = new RegExp(field.options.pattern);
-      if (!regex.test(String(data[field.name]))) {
-        errors.push(`${field.name} format is invalid`);
+    case 'date': {
+      const date = parseDateValue(value, settings.timeZone);
+      if (!date) {
+        return validationError('validation_invalid_date', `${name} must be a valid date`);
+      }
+      const min = parseDateValue(options.min);
+      if (min && date < min) {
+        return validationError(
+          'validation_min_date_constraint',
+          `${name} must be on or after ${formatDateForDisplay(options.min)}`
+        );
+      }
+      const max = parseDateValue(options.max);
+      if (max && date > max) {
+        return validationError(
+          'validation_max_date_constraint',
+          `${name} must be on or before ${formatDateForDisplay(options.max)}`
+        );
+      }
+      return null;
+    }
+
+    case 'select': {
+      const values = Array.isArray(value) ? value : [value];
+      const invalid = values.find(item => !(options.values || []).includes(item));
+      if (invalid !== undefined) {
+        return validationError(
+          'validation_invalid_value',
+          `${name} has an invalid option "${invalid}"`
+        );
+      }
+      if (options.maxSelect && options.maxSelect > 1 && values.length > options.maxSelect) {
+        return validationError(
+          'validation_too_many_values',
+          `${name} allows at most ${options.maxSelect} selections`
+        );
+      }
+      return null;
+    }
+
+    case 'relation': {
+      const ids = Array.isArray(value) ? value : [value];
+      const count = ids.filter(id => id !== '').length;
+      if (count > 0 && options.minSelect && count < options.minSelect) {
+        return validationError(
+          'validation_not_enough_values',
+          `${name} requires at least ${options.minSelect} selections`
+        );
+      }
+      if (options.maxSelect && count > options.maxSelect) {
+        return validationError(
+          'validation_too_many_values',
+          `${name} allows at most ${options.maxSelect} selections`
+        );
+      }
+      return null;
+    }
+
+    case 'json': {
+      let json = value;
+      if (typeof value === 'string') {
+        try {
+          JSON.parse(value);
+        } catch {
+          return validationError('validation_invalid_json', `${name} must be valid JSON`);
+        }
+      } else {
+        json = JSON.stringify(value);
+      }
+      if (options.maxSize && byteLength(json) > options.maxSize) {
+        return validationError(
+          'validation_json_size_limit',
+          `${name} must be at most ${formatFileSize(options.maxSize)}`
+        );
       }
+      return null;
     }
+
+    case 'editor':
+      if (options.maxSize && byteLength(String(value)) > options.maxSize) {
+        return validationError(
+          'validation_content_size_limit',
+          `${name} must be at most ${formatFileSize(options.maxSize)}`
+        );
+      }
+      return null;
+
+    default:
+      return null;
   }
+}
 
-  return errors;
+/**
+ * @param {string} code
+ * @param {string} message
+ * @returns {ValidationError}
+ */
+function validationError(code, message) {
+  return { code, message };
+}
+
+/**
+ * Whether a value counts as missing for required fields. Like PocketBase,
+ * a required bool must be checked and a required number must not be zero.
+ *
+ * @param {any} value
+ * @param {CollectionField} field
+ * @returns {boolean}
+ */
+function isBlank(value, field) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.filter(item => item !== '').length === 0;
+  if (field.type === 'bool') return !value;
+  if (field.type === 'number') return Number(value) === 0;
+  if (field.type === 'editor') return isEmptyHtml(String(value));
+  return false;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Checks the `onlyDomains` / `exceptDomains` options of email and url fields.
+ *
+ * @param {string} domain
+ * @param {CollectionField} field
+ * @param {'email' | 'url'} type
+ * @returns {ValidationError | null}
+ */
+function validateDomain(domain, field, type) {
+  const onlyDomains = field.options?.onlyDomains || [];
+  const exceptDomains = field.options?.exceptDomains || [];
+  const lower = domain.toLowerCase();
+
+  if (
+    (onlyDomains.length > 0 && !onlyDomains.some(item => item.toLowerCase() === lower)) ||
+    exceptDomains.some(item => item.toLowerCase() === lower)
+  ) {
+    return validationError(
+      `validation_${type}_domain_not_allowed`,
+      `${field.name} domain "${domain}" is not allowed`
+    );
+  }
+
+  return null;
+}
+
+/**
+ * @param {string} value
+ * @returns {number}
+ */
+function byteLength(value) {
+  return new globalThis.TextEncoder().encode(value).length;
 }
 
 /**
+ * Builds a human readable label for a record from the given fields,
+ * falling back to the record id.
+ *
+ * @param {Record<string, any>} record
+ * @param {string[]} [fields]
+ * @returns {string}
+ */
+export function getRecordLabel(record, fields) {
+  if (!record) return '';
+
+  const parts = (fields || [])
+    .map(name => record[name])
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(value => (Array.isArray(value) ? value.join(', ') : String(value)));
+
+  return parts.length > 0 ? parts.join(' - ') : String(record.id ?? '');
+}
+
+/**
+ * Formats a date for a `date` input. `datetime-local` inputs, which keep the
+ * time, use `toDateTimeInputValue`.
+ *
  * @param {string} isoDateString
  * @returns {string}
  */
@@ -208,29 +531,28 @@ export function formatDateForInput(isoDateString) {
 }
 
 /**
+ * Formats the date part of a date for display, `MM/DD/YYYY` by default.
+ * Use `formatDateTime` to include the time.
+ *
  * @param {string} isoDateString
+ * @param {import('./date-utils.js').DateFormatOptions} [options]
  * @returns {string}
  */
-export function formatDateForDisplay(isoDateString) {
-  if (!isoDateString) return '';
-
-  try {
-    const date = new Date(isoDateString);
-    if (isNaN(date.getTime())) return '';
-
-    // Return MM/DD/YYYY format for display
-    return date.toLocaleDateString('en-US');
-  } catch {
-    return '';
-  }
+export function formatDateForDisplay(isoDateString, options = {}) {
+  return formatDateTime(isoDateString, {
+    locale: options.locale ?? 'en-US',
+    timeZone: options.timeZone,
+    dateOnly: true,
+  });
 }
 
 /**
  * @param {Record<string, any>} data
  * @param {CollectionField[]} schema
+ * @param {{timeZone?: string}} [options] Time zone date inputs were entered in
  * @returns {Record<string, any>}
  */
-export function prepareFormData(data, schema) {
+export function prepareFormData(data, schema, options = {}) {
   /** @type {Record<string, any>} */
   const prepared = {};
 
@@ -258,6 +580,15 @@ export function prepareFormData(data, schema) {
       case 'bool':
         prepared[field.name] = Boolean(value);
         break;
+      case 'date':
+        prepared[field.name] =
+          value instanceof Date
+            ? toPocketBaseDate(value)
+            : fromDateTimeInputValue(value, options.timeZone);
+        break;
+      case 'editor':
+        prepared[field.name] = isEmptyHtml(String(value)) ? '' : sanitizeHtml(String(value));
+        break;
       case 'json':
         try {
           prepared[field.name] = typeof value === 'string' ? JSON.parse(value) : value;
@@ -284,8 +615,19 @@ export function prepareFormData(data, schema) {
         }
         break;
       case 'file':
-        // File handling would depend on the frontend implementation
-        prepared[field.name] = value;
+        if (isFileFieldValue(value)) {
+          Object.assign(prepared, prepareFileValue(field, value));
+        } else {
+          prepared[field.name] = value;
+        }
+        break;
+      case 'password':
+        // An empty password keeps the current one when editing
+        if (value !== '') {
+          prepared[field.name] = value;
+        }
+        break;
+      case 'autodate':
         break;
       default:
         prepared[field.name] = value;
@@ -294,3 +636,32 @@ export function prepareFormData(data, schema) {
 
   return prepared;
 }
+
+/**
+ * Turns a file field value into PocketBase modifiers: `field-` removes files
+ * and `field+` appends to multiple file fields. A new file of a single file
+ * field replaces the current one.
+ *
+ * @param {CollectionField} field
+ * @param {import('./file-utils.js').FileFieldValue} value
+ * @returns {Record<string, any>}
+ */
+function prepareFileValue(field, value) {
+  /** @type {Record<string, any>} */
+  const prepared = {};
+  const multiple = Boolean(field.options?.maxSelect && field.options.maxSelect > 1);
+
+  if (!multiple && value.added.length > 0) {
+    prepared[field.name] = value.added[0];
+    return prepared;
+  }
+
+  if (value.removed.length > 0) {
+    prepared[`${field.name}-`] = value.removed;
+  }
+  if (value.added.length > 0) {
+    prepared[`${field.name}+`] = value.added;
+  }
+
+  return prepared;
+}
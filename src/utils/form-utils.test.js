@@ -3,10 +3,13 @@ import {
   getFormFieldConfig,
   getFormFields,
   validateFormData,
+  validateField,
   prepareFormData,
   formatDateForInput,
   formatDateForDisplay,
+  getRecordLabel,
 } from './form-utils.js';
+import { normalizeCollection, withAuthFields } from './schema-utils.js';
 
 describe('form-utils', () => {
   describe('getFormFieldConfig', () => {
@@ -161,7 +164,71 @@ describe('form-utils', () => {
       });
     });
 
-    it('should handle editor fields as textarea', () => {
+    it('should handle relation fields', () => {
+      /** @type {import('./index.js').CollectionField} */
+      const relationField = {
+        id: 'f1',
+        name: 'authors',
+        type: 'relation',
+        system: false,
+        required: true,
+        presentable: false,
+        options: {
+          collectionId: 'authors_id',
+          displayFields: ['name'],
+          minSelect: 1,
+          maxSelect: 3,
+        },
+      };
+
+      const config = getFormFieldConfig(relationField);
+      expect(config).toMatchObject({
+        name: 'authors',
+        type: 'relation',
+        collectionId: 'authors_id',
+        displayFields: ['name'],
+        minSelect: 1,
+        maxSelect: 3,
+        multiple: true,
+      });
+    });
+
+    it('should handle single relation fields', () => {
+      /** @type {import('./index.js').CollectionField} */
+      const relationField = {
+        id: 'f1',
+        name: 'author',
+        type: 'relation',
+        system: false,
+        required: false,
+        presentable: false,
+        options: { collectionId: 'authors_id', maxSelect: 1 },
+      };
+
+      const config = getFormFieldConfig(relationField);
+      expect(config).toMatchObject({
+        type: 'relation',
+        collectionId: 'authors_id',
+        displayFields: [],
+        multiple: false,
+      });
+    });
+
+    it('should handle date fields as datetime-local', () => {
+      /** @type {import('./index.js').CollectionField} */
+      const dateField = {
+        id: 'f1',
+        name: 'publishedAt',
+        type: 'date',
+        system: false,
+        required: false,
+        presentable: false,
+      };
+
+      expect(getFormFieldConfig(dateField)).toMatchObject({ type: 'datetime-local', step: 1 });
+    });
+
+    it('should handle editor fields as rich text', () => {
       /** @type {import('./index.js').CollectionField} */
       const editorField = {
         id: 'f1',
@@ -175,7 +242,7 @@ describe('form-utils', () => {
       const config = getFormFieldConfig(editorField);
       expect(config).toMatchObject({
         name: 'content',
-        type: 'textarea',
+        type: 'editor',
         required: true,
         label: 'Content',
         rows: 8,
@@ -203,6 +270,64 @@ describe('form-utils', () => {
         placeholder: 'Enter JSON data',
       });
     });
+
+    it('should skip autodate fields', () => {
+      /** @type {import('./index.js').CollectionField} */
+      const autodateField = {
+        id: 'f1',
+        name: 'created',
+        type: 'autodate',
+        system: false,
+        required: false,
+        presentable: false,
+        options: { onCreate: true, onUpdate: false },
+      };
+
+      expect(getFormFieldConfig(autodateField)).toBeNull();
+    });
+
+    it('should handle password fields', () => {
+      /** @type {import('./index.js').CollectionField} */
+      const passwordField = {
+        id: 'f1',
+        name: 'secret',
+        type: 'password',
+        system: false,
+        required: true,
+        presentable: false,
+        hidden: true,
+        options: { min: 8 },
+      };
+
+      const config = getFormFieldConfig(passwordField);
+      expect(config).toMatchObject({
+        name: 'secret',
+        type: 'password',
+        required: true,
+        placeholder: 'Enter password',
+        min: 8,
+      });
+    });
+
+    it('should name auth fields and keep optional passwords', () => {
+      const users = normalizeCollection({
+        id: 'users_id',
+        name: 'users',
+        type: 'auth',
+        schema: [],
+      });
+      const configs = getFormFields(withAuthFields(users));
+
+      expect(configs.map(config => [config.name, config.label, config.type])).toEqual([
+        ['username', 'Username', 'text'],
+        ['email', 'Email', 'email'],
+        ['emailVisibility', 'Public email', 'checkbox'],
+        ['verified', 'Verified', 'checkbox'],
+        ['password', 'Password', 'password'],
+        ['passwordConfirm', 'Confirm password', 'password'],
+      ]);
+      expect(configs[4].placeholder).toBe('Leave empty to keep the current password');
+    });
   });
 
   describe('getFormFields', () => {
@@ -275,39 +400,249 @@ describe('form-utils', () => {
     it('should return errors for required fields', () => {
       const data = { age: 25 };
       const errors = validateFormData(data, schema);
-      expect(errors).toContain('email is required');
+      expect(errors.email).toEqual({ code: 'validation_required', message: 'email is required' });
     });
 
     it('should validate email format', () => {
       const data = { email: 'invalid-email' };
       const errors = validateFormData(data, schema);
-      expect(errors).toContain('email must be a valid email address');
+      expect(errors.email).toEqual({
+        code: 'validation_is_email',
+        message: 'email must be a valid email address',
+      });
     });
 
     it('should validate number ranges', () => {
       const data = { email: 'test@example.com', age: 150 };
       const errors = validateFormData(data, schema);
-      expect(errors).toContain('age must be at most 120');
+      expect(errors.age.message).toBe('age must be at most 120');
 
       const data2 = { email: 'test@example.com', age: -5 };
       const errors2 = validateFormData(data2, schema);
-      expect(errors2).toContain('age must be at least 0');
+      expect(errors2.age).toEqual({
+        code: 'validation_min_number_constraint',
+        message: 'age must be at least 0',
+      });
     });
 
     it('should validate URL format', () => {
       const data = { email: 'test@example.com', website: 'not-a-url' };
       const errors = validateFormData(data, schema);
-      expect(errors).toContain('website must be a valid URL');
+      expect(errors.website.message).toBe('website must be a valid URL');
     });
 
-    it('should return empty array for valid data', () => {
+    it('should validate relation selection counts', () => {
+      /** @type {import('./index.js').CollectionField[]} */
+      const relationSchema = [
+        {
+          id: 'f1',
+          name: 'tags',
+          type: 'relation',
+          system: false,
+          required: false,
+          presentable: false,
+          options: { collectionId: 'tags_id', minSelect: 2, maxSelect: 3 },
+        },
+      ];
+
+      expect(validateFormData({ tags: ['a'] }, relationSchema).tags.message).toBe(
+        'tags requires at least 2 selections'
+      );
+      expect(validateFormData({ tags: ['a', 'b', 'c', 'd'] }, relationSchema).tags.message).toBe(
+        'tags allows at most 3 selections'
+      );
+      expect(validateFormData({ tags: ['a', 'b'] }, relationSchema)).toEqual({});
+    });
+
+    it('should validate file fields', () => {
+      /** @type {import('./index.js').CollectionField} */
+      const field = {
+        id: 'f1',
+        name: 'attachments',
+        type: 'file',
+        system: false,
+        required: true,
+        presentable: false,
+        options: { maxSelect: 2, maxSize: 1024, mimeTypes: ['image/png'] },
+      };
+      const large = new File(['x'.repeat(2048)], 'large.png', { type: 'image/png' });
+
+      expect(
+        validateFormData({ attachments: { existing: [], removed: [], added: [] } }, [field])
+          .attachments.code
+      ).toBe('validation_required');
+      expect(
+        validateFormData({ attachments: { existing: ['a.png'], removed: [], added: [large] } }, [
+          field,
+        ])
+      ).toEqual({
+        attachments: {
+          code: 'validation_file_size_limit',
+          message: 'large.png is larger than the 1 KB limit',
+        },
+      });
+    });
+
+    it('should validate password length', () => {
+      /** @type {import('./index.js').CollectionField[]} */
+      const passwordSchema = [
+        {
+          id: 'f1',
+          name: 'secret',
+          type: 'password',
+          system: false,
+          required: false,
+          presentable: false,
+          options: { min: 8, max: 12 },
+        },
+      ];
+
+      expect(validateFormData({ secret: 'short' }, passwordSchema).secret.message).toBe(
+        'secret must be at least 8 characters'
+      );
+      expect(
+        validateFormData({ secret: 'much-too-long-secret' }, passwordSchema).secret.message
+      ).toBe('secret must be at most 12 characters');
+      expect(validateFormData({ secret: 'just-right' }, passwordSchema)).toEqual({});
+    });
+
+    it('should require a matching password confirmation', () => {
+      const users = normalizeCollection({
+        id: 'users_id',
+        name: 'users',
+        type: 'auth',
+        schema: [],
+        options: { minPasswordLength: 8 },
+      });
+      const authSchema = withAuthFields(users, { isNew: true });
+
+      expect(
+        validateFormData({ password: 'secret1234', passwordConfirm: 'secret12345' }, authSchema)
+      ).toEqual({
+        passwordConfirm: { code: 'validation_values_mismatch', message: 'Passwords do not match' },
+      });
+      expect(
+        validateFormData({ password: 'secret1234', passwordConfirm: 'secret1234' }, authSchema)
+      ).toEqual({});
+      expect(validateFormData({}, withAuthFields(users))).toEqual({});
+    });
+
+    it('should return empty object for valid data', () => {
       const data = {
         email: 'test@example.com',
         age: 25,
         website: 'https://example.com',
       };
       const errors = validateFormData(data, schema);
-      expect(errors).toHaveLength(0);
+      expect(errors).toEqual({});
+    });
+  });
+
+  describe('validateField', () => {
+    /**
+     * @param {string} type
+     * @param {Record<string, any>} [options]
+     * @param {boolean} [required]
+     * @returns {import('./index.js').CollectionField}
+     */
+    const field = (type, options = {}, required = false) => ({
+      id: 'f1',
+      name: 'field',
+      type,
+      system: false,
+      required,
+      presentable: false,
+      options,
+    });
+
+    it('should treat unchecked bools, zero and empty lists as missing', () => {
+      expect(validateField(false, field('bool', {}, true))?.code).toBe('validation_required');
+      expect(validateField('0', field('number', {}, true))?.code).toBe('validation_required');
+      expect(validateField([], field('select', {}, true))?.code).toBe('validation_required');
+      expect(validateField('<p><br></p>', field('editor', {}, true))?.code).toBe(
+        'validation_required'
+      );
+      expect(validateField(false, field('bool'))).toBeNull();
+    });
+
+    it('should accept zero in optional number fields with a range', () => {
+      const views = field('number', { min: 5, max: 10 });
+
+      expect(validateField(0, views)).toBeNull();
+      expect(validateField('0', views)).toBeNull();
+      expect(validateField(3, views)?.code).toBe('validation_min_number_constraint');
+    });
+
+    it('should allow empty autogenerated values', () => {
+      expect(
+        validateField('', field('text', { autogeneratePattern: '[a-z0-9]{15}' }, true))
+      ).toBeNull();
+    });
+
+    it('should check text length and pattern', () => {
+      const text = field('text', { min: 3, max: 5, pattern: '^[a-z]+$' });
+
+      expect(validateField('ab', text)?.code).toBe('validation_min_text_constraint');
+      expect(validateField('abcdef', text)?.code).toBe('validation_max_text_constraint');
+      expect(validateField('ab1', text)?.code).toBe('validation_invalid_format');
+      expect(validateField('abc', text)).toBeNull();
+    });
+
+    it('should check email and url domains', () => {
+      expect(validateField('a@example.com', field('email', { onlyDomains: ['acme.com'] }))).toEqual(
+        {
+          code: 'validation_email_domain_not_allowed',
+          message: 'field domain "example.com" is not allowed',
+        }
+      );
+      expect(validateField('a@ACME.com', field('email', { onlyDomains: ['acme.com'] }))).toBeNull();
+      expect(
+        validateField('https://spam.io/x', field('url', { exceptDomains: ['spam.io'] }))?.code
+      ).toBe('validation_url_domain_not_allowed');
+    });
+
+    it('should check whole numbers', () => {
+      expect(validateField('1.5', field('number', { onlyInt: true }))?.code).toBe(
+        'validation_only_int_constraint'
+      );
+      expect(validateField('1.5', field('number', { noDecimal: true }))?.code).toBe(
+        'validation_only_int_constraint'
+      );
+      expect(validateField('abc', field('number'))?.code).toBe('validation_invalid_number');
+    });
+
+    it('should check date ranges', () => {
+      const date = field('date', {
+        min: '2024-01-01 00:00:00.000Z',
+        max: '2024-12-31 00:00:00.000Z',
+      });
+
+      expect(validateField('2023-12-31', date)?.code).toBe('validation_min_date_constraint');
+      expect(validateField('2025-01-01', date)?.code).toBe('validation_max_date_constraint');
+      expect(validateField('2024-06-01', date)).toBeNull();
+      expect(validateField('not a date', date)?.code).toBe('validation_invalid_date');
+    });
+
+    it('should check select values', () => {
+      const select = field('select', { values: ['a', 'b', 'c'], maxSelect: 2 });
+
+      expect(validateField('d', select)).toEqual({
+        code: 'validation_invalid_value',
+        message: 'field has an invalid option "d"',
+      });
+      expect(validateField(['a', 'b', 'c'], select)?.code).toBe('validation_too_many_values');
+      expect(validateField(['a', 'b'], select)).toBeNull();
+    });
+
+    it('should check json and editor content', () => {
+      expect(validateField('{"a":', field('json'))?.code).toBe('validation_invalid_json');
+      expect(validateField('{"a":1}', field('json'))).toBeNull();
+      expect(validateField({ a: 'x'.repeat(20) }, field('json', { maxSize: 10 }))?.code).toBe(
+        'validation_json_size_limit'
+      );
+      expect(validateField('<p>too long</p>', field('editor', { maxSize: 10 }))?.code).toBe(
+        'validation_content_size_limit'
+      );
     });
   });
 
@@ -427,6 +762,49 @@ describe('form-utils', () => {
       expect(prepared.readingTime).toBe(5);
     });
 
+    it('should convert dates to UTC in the given time zone', () => {
+      /** @type {import('./index.js').CollectionField[]} */
+      const dateSchema = [
+        {
+          id: 'f1',
+          name: 'publishedAt',
+          type: 'date',
+          system: false,
+          required: false,
+          presentable: false,
+        },
+      ];
+
+      expect(
+        prepareFormData({ publishedAt: '2024-07-01T12:00:30' }, dateSchema, {
+          timeZone: 'Europe/Berlin',
+        })
+      ).toEqual({ publishedAt: '2024-07-01 10:00:30.000Z' });
+      expect(prepareFormData({ publishedAt: '' }, dateSchema)).toEqual({ publishedAt: '' });
+    });
+
+    it('should sanitize editor content', () => {
+      /** @type {import('./index.js').CollectionField[]} */
+      const editorSchema = [
+        {
+          id: 'f1',
+          name: 'body',
+          type: 'editor',
+          system: false,
+          required: false,
+          presentable: false,
+        },
+      ];
+
+      expect(
+        prepareFormData(
+          { body: '<p onclick="x()">Hi <b>there</b></p><script>alert(1)</script>' },
+          editorSchema
+        )
+      ).toEqual({ body: '<p>Hi <strong>there</strong></p>' });
+      expect(prepareFormData({ body: '<p><br></p>' }, editorSchema)).toEqual({ body: '' });
+    });
+
     it('should convert boolean values', () => {
       const data = { active: true };
       const prepared = prepareFormData(data, schema);
@@ -460,6 +838,84 @@ describe('form-utils', () => {
       const prepared = prepareFormData(data, schema);
       expect(prepared.tags).toEqual(['red', 'blue']);
     });
+
+    it('should omit empty passwords and autodate values', () => {
+      /** @type {import('./index.js').CollectionField[]} */
+      const authSchema = [
+        {
+          id: 'f1',
+          name: 'secret',
+          type: 'password',
+          system: false,
+          required: false,
+          presentable: false,
+        },
+        {
+          id: 'f2',
+          name: 'updated',
+          type: 'autodate',
+          system: false,
+          required: false,
+          presentable: false,
+        },
+      ];
+
+      expect(prepareFormData({ secret: '', updated: '2024-01-01' }, authSchema)).toEqual({});
+      expect(prepareFormData({ secret: 'new-secret' }, authSchema)).toEqual({
+        secret: 'new-secret',
+      });
+    });
+
+    it('should turn file changes into PocketBase modifiers', () => {
+      /** @type {import('./index.js').CollectionField[]} */
+      const fileSchema = [
+        {
+          id: 'f1',
+          name: 'cover',
+          type: 'file',
+          system: false,
+          required: false,
+          presentable: false,
+          options: { maxSelect: 1 },
+        },
+        {
+          id: 'f2',
+          name: 'attachments',
+          type: 'file',
+          system: false,
+          required: false,
+          presentable: false,
+          options: { maxSelect: 5 },
+        },
+      ];
+      const cover = new File(['a'], 'cover.png', { type: 'image/png' });
+      const doc = new File(['b'], 'doc.pdf', { type: 'application/pdf' });
+
+      const prepared = prepareFormData(
+        {
+          cover: { existing: [], removed: ['old.png'], added: [cover] },
+          attachments: { existing: ['a.pdf'], removed: ['b.pdf'], added: [doc] },
+        },
+        fileSchema
+      );
+
+      expect(prepared).toEqual({ cover, 'attachments-': ['b.pdf'], 'attachments+': [doc] });
+      expect(
+        prepareFormData({ cover: { existing: ['a.png'], removed: [], added: [] } }, fileSchema)
+      ).toEqual({});
+    });
+  });
+
+  describe('getRecordLabel', () => {
+    it('should join the configured fields', () => {
+      const record = { id: 'r1', title: 'Hello', tags: ['a', 'b'] };
+      expect(getRecordLabel(record, ['title', 'tags'])).toBe('Hello - a, b');
+    });
+
+    it('should skip empty values and fall back to the id', () => {
+      expect(getRecordLabel({ id: 'r1', title: '' }, ['title'])).toBe('r1');
+      expect(getRecordLabel({ id: 'r1' })).toBe('r1');
+    });
   });
 
   describe('date formatting', () => {
@@ -497,6 +953,13 @@ describe('form-utils', () => {
       it('should handle invalid dates', () => {
         expect(formatDateForDisplay('invalid-date')).toBe('');
       });
+
+      it('should use the given locale and time zone', () => {
+        const isoDate = '2023-12-25T23:30:00.000Z';
+        expect(formatDateForDisplay(isoDate, { locale: 'de-DE', timeZone: 'Asia/Tokyo' })).toBe(
+          '26.12.2023'
+        );
+      });
     });
   });
 });
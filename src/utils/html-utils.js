@@ -0,0 +1,286 @@
+/**
+ * Tags kept by `sanitizeHtml` with the attributes allowed on each. `b` and `i`
+ * are rewritten to `strong` and `em`.
+ *
+ * @type {Record<string, string[]>}
+ */
+const ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  strong: [],
+  em: [],
+  u: [],
+  s: [],
+  a: ['href', 'title', 'target'],
+  ul: [],
+  ol: [],
+  li: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  blockquote: [],
+  pre: [],
+  code: [],
+  hr: [],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+};
+
+/** @type {Record<string, string>} */
+const TAG_ALIASES = { b: 'strong', i: 'em' };
+
+const VOID_TAGS = ['br', 'hr', 'img'];
+
+/** Elements removed together with their content */
+const DROPPED_ELEMENTS = [
+  'script',
+  'style',
+  'iframe',
+  'object',
+  'embed',
+  'template',
+  'noscript',
+  'head',
+  'title',
+  'svg',
+  'math',
+  'textarea',
+  'select',
+];
+
+/** Elements that separate words when markup is stripped */
+const BLOCK_TAGS = [
+  'p',
+  'br',
+  'div',
+  'li',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'blockquote',
+  'pre',
+  'hr',
+  'tr',
+  'td',
+  'th',
+];
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/** @type {Record<string, string>} */
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Removes comments, doctypes and elements whose content must never be shown.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function removeUnsafeBlocks(html) {
+  let result = html.replace(/<!--[\s\S]*?(?:-->|$)/g, '').replace(/<![^>]*>|<\?[^>]*>/g, '');
+
+  for (const tag of DROPPED_ELEMENTS) {
+    result = result
+      .replace(new RegExp(`<${tag}\\b[\\s\\S]*?(?:<\\/${tag}\\s*>|$)`, 'gi'), '')
+      .replace(new RegExp(`<\\/${tag}\\s*>`, 'gi'), '');
+  }
+
+  return result;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    const lower = code.toLowerCase();
+    if (lower.startsWith('#')) {
+      const point = lower.startsWith('#x')
+        ? parseInt(lower.slice(2), 16)
+        : parseInt(lower.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+    }
+    return NAMED_ENTITIES[lower] ?? entity;
+  });
+}
+
+/**
+ * Escapes text for use in HTML content and quoted attribute values.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Whether a link or image URL is safe to keep: relative URLs and http(s),
+ * mailto and tel links, plus inline raster images for `img`.
+ *
+ * @param {string} url
+ * @param {boolean} [image]
+ * @returns {boolean}
+ */
+export function isSafeUrl(url, image = false) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const normalized = Array.from(decodeHtmlEntities(url))
+    .filter(char => char.charCodeAt(0) > 32)
+    .join('')
+    .toLowerCase();
+  const scheme = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+
+  if (!scheme) return true;
+  if (['http', 'https'].includes(scheme[1])) return true;
+  if (!image && ['mailto', 'tel'].includes(scheme[1])) return true;
+  return image && /^data:image\/(png|gif|jpe?g|webp);/.test(normalized);
+}
+
+/**
+ * @param {string} tag
+ * @param {string} source Attribute part of the tag
+ * @returns {string}
+ */
+function sanitizeAttributes(tag, source) {
+  const allowed = ALLOWED_TAGS[tag];
+  /** @type {Record<string, string>} */
+  const attributes = {};
+
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!allowed.includes(name) || name in attributes) continue;
+
+    const value = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '').trim();
+    if ((name === 'href' || name === 'src') && !isSafeUrl(value, tag === 'img')) continue;
+    if (name === 'target' && value !== '_blank') continue;
+    if ((name === 'width' || name === 'height') && !/^\d+$/.test(value)) continue;
+
+    attributes[name] = value;
+  }
+
+  if (tag === 'img' && !attributes.src) return '';
+  if (attributes.target) attributes.rel = 'noopener noreferrer';
+
+  return Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join('');
+}
+
+/**
+ * @param {string[]} open Tags open at the current position
+ * @returns {number} Position of the innermost list or quote
+ */
+function lastContainerIndex(open) {
+  return Math.max(open.lastIndexOf('ul'), open.lastIndexOf('ol'), open.lastIndexOf('blockquote'));
+}
+
+/**
+ * Sanitizes HTML for `editor` fields. Keeps basic formatting, links, lists,
+ * headings and images; removes scripts, styles, event handlers and unsafe
+ * URLs, and closes unbalanced tags. Works without a DOM.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeHtml(html) {
+  if (!html) return '';
+
+  const source = removeUnsafeBlocks(String(html));
+  /** @type {string[]} */
+  const open = [];
+  let result = '';
+  let lastIndex = 0;
+
+  /** @param {string} text */
+  const appendText = text => {
+    result += text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  };
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    appendText(source.slice(lastIndex, match.index));
+    lastIndex = /** @type {number} */ (match.index) + match[0].length;
+
+    const name = match[2].toLowerCase();
+    const tag = TAG_ALIASES[name] || name;
+    if (!ALLOWED_TAGS[tag]) continue;
+
+    if (match[1]) {
+      // Close the tag and anything left open inside it
+      const index = open.lastIndexOf(tag);
+      if (index === -1) continue;
+      while (open.length > index) {
+        result += `</${open.pop()}>`;
+      }
+      continue;
+    }
+
+    if (tag === 'img') {
+      const attributes = sanitizeAttributes(tag, match[3]);
+      if (attributes) result += `<img${attributes}>`;
+    } else if (VOID_TAGS.includes(tag)) {
+      result += `<${tag}>`;
+    } else {
+      // `<li>a<li>b` and `<p>a<p>b` start a sibling, as in browsers
+      const sibling = open.lastIndexOf(tag);
+      if ((tag === 'li' || tag === 'p') && sibling !== -1 && sibling > lastContainerIndex(open)) {
+        while (open.length > sibling) {
+          result += `</${open.pop()}>`;
+        }
+      }
+      result += `<${tag}${sanitizeAttributes(tag, match[3])}>`;
+      open.push(tag);
+    }
+  }
+
+  appendText(source.slice(lastIndex));
+  while (open.length > 0) {
+    result += `</${open.pop()}>`;
+  }
+
+  return result;
+}
+
+/**
+ * Turns HTML into plain text, eg. for previews. Block elements are separated
+ * by a space and the result is cut to `maxLength` characters with an ellipsis.
+ *
+ * @param {string} html
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+export function stripHtml(html, maxLength) {
+  if (!html) return '';
+
+  const blockPattern = new RegExp(`<\\/?(?:${BLOCK_TAGS.join('|')})\\b[^>]*>`, 'gi');
+  const text = decodeHtmlEntities(
+    removeUnsafeBlocks(String(html)).replace(blockPattern, ' ').replace(TAG_PATTERN, '')
+  )
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (maxLength && text.length > maxLength) {
+    return `${text.slice(0, maxLength).trimEnd()}…`;
+  }
+  return text;
+}
+
+/**
+ * Whether editor HTML has no visible content, eg. `<p><br></p>` left behind
+ * by a cleared editor.
+ *
+ * @param {string} html
+ * @returns {boolean}
+ */
+export function isEmptyHtml(html) {
+  return !stripHtml(html) && !/<(img|hr)\b/i.test(html || '');
+}
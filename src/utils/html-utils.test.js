@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sanitizeHtml,
+  stripHtml,
+  isEmptyHtml,
+  isSafeUrl,
+  escapeHtml,
+  decodeHtmlEntities,
+} from './html-utils.js';
+
+describe('html-utils', () => {
+  describe('sanitizeHtml', () => {
+    it('should keep basic formatting', () => {
+      const html =
+        '<h2>Title</h2><p>Some <strong>bold</strong>, <em>italic</em> and <a href="https://example.com">linked</a> text</p><ul><li>One</li></ul>';
+
+      expect(sanitizeHtml(html)).toBe(html);
+    });
+
+    it('should remove scripts, styles and event handlers', () => {
+      expect(
+        sanitizeHtml(
+          '<p onclick="steal()" style="color:red">Hi</p><script>alert(1)</script><style>p{}</style><!-- note -->'
+        )
+      ).toBe('<p>Hi</p>');
+      expect(sanitizeHtml('<img src="x.png" onerror="alert(1)">')).toBe('<img src="x.png">');
+    });
+
+    it('should drop unsafe URLs', () => {
+      expect(sanitizeHtml('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(sanitizeHtml('<a href="jav&#x09;ascript:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(sanitizeHtml('<img src="data:text/html;base64,AAAA">')).toBe('');
+      expect(sanitizeHtml('<img src="data:image/png;base64,AAAA" alt="dot">')).toBe(
+        '<img src="data:image/png;base64,AAAA" alt="dot">'
+      );
+    });
+
+    it('should unwrap unknown tags and normalize b and i', () => {
+      expect(sanitizeHtml('<div><span class="x">Text</span> <b>b</b> <i>i</i></div>')).toBe(
+        'Text <strong>b</strong> <em>i</em>'
+      );
+    });
+
+    it('should balance tags', () => {
+      expect(sanitizeHtml('<p>One<p>Two <strong>bold')).toBe(
+        '<p>One</p><p>Two <strong>bold</strong></p>'
+      );
+      expect(sanitizeHtml('<ul><li>a<li>b</ul></em>')).toBe('<ul><li>a</li><li>b</li></ul>');
+    });
+
+    it('should escape stray angle brackets and add rel to new tab links', () => {
+      expect(sanitizeHtml('1 < 2 > 0')).toBe('1 &lt; 2 &gt; 0');
+      expect(sanitizeHtml('<a href="/docs" target="_blank">Docs</a>')).toBe(
+        '<a href="/docs" target="_blank" rel="noopener noreferrer">Docs</a>'
+      );
+    });
+  });
+
+  describe('stripHtml', () => {
+    it('should return plain text', () => {
+      expect(
+        stripHtml('<h2>Title</h2><p>Hello&nbsp;<b>world</b> &amp; co</p><script>x()</script>')
+      ).toBe('Title Hello world & co');
+    });
+
+    it('should truncate long text', () => {
+      expect(stripHtml('<p>Hello wonderful world</p>', 15)).toBe('Hello wonderful…');
+    });
+  });
+
+  describe('isEmptyHtml', () => {
+    it('should detect content without visible text', () => {
+      expect(isEmptyHtml('')).toBe(true);
+      expect(isEmptyHtml('<p><br></p>')).toBe(true);
+      expect(isEmptyHtml('<p><img src="/a.png"></p>')).toBe(false);
+      expect(isEmptyHtml('<p>x</p>')).toBe(false);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should check URLs', () => {
+      expect(isSafeUrl('https://example.com')).toBe(true);
+      expect(isSafeUrl('mailto:a@example.com')).toBe(true);
+      expect(isSafeUrl('/relative')).toBe(true);
+      expect(isSafeUrl(' JavaScript:alert(1)')).toBe(false);
+      expect(isSafeUrl('mailto:a@example.com', true)).toBe(false);
+    });
+
+    it('should escape and decode entities', () => {
+      expect(escapeHtml('<a href="x">\'&\'</a>')).toBe(
+        '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;'
+      );
+      expect(decodeHtmlEntities('&lt;&#65;&#x42;&gt; &unknown;')).toBe('<AB> &unknown;');
+    });
+  });
+});
@@ -1,16 +1,22 @@
 import PocketBase from 'pocketbase';
 
+export type CollectionDefinition = string | Record<string, any>;
+
 export interface CrudOptions {
   url: string;
   authStore?: PocketBase['authStore'];
+  collections?: CollectionDefinition[];
+  onDiscoveryError?: (error: unknown, collectionName: string) => void;
 }
 
 export interface QueryOptions {
-  filter?: string;
+  filter?: string | FilterBuilder | FilterObject;
   sort?: string;
   page?: number;
   perPage?: number;
   expand?: string;
+  /** Key PocketBase cancels older requests by, `null` never cancels */
+  requestKey?: string | null;
 }
 
 export interface CollectionField {
@@ -21,6 +27,7 @@ export interface CollectionField {
   required: boolean;
   presentable: boolean;
   unique?: boolean;
+  hidden?: boolean;
   options?: {
     min?: number;
     max?: number;
@@ -31,9 +38,21 @@ export interface CollectionField {
     minSelect?: number;
     displayFields?: string[];
     collectionId?: string;
+    onCreate?: boolean;
+    onUpdate?: boolean;
+    maxSize?: number;
+    mimeTypes?: string[];
+    thumbs?: string[];
+    onlyInt?: boolean;
+    noDecimal?: boolean;
+    onlyDomains?: string[];
+    exceptDomains?: string[];
+    autogeneratePattern?: string;
   };
 }
 
+export type SchemaFormat = 'legacy' | 'fields';
+
 export interface CollectionSchema {
   id: string;
   name: string;
@@ -47,6 +66,73 @@ export interface CollectionSchema {
   updateRule?: string | null;
   deleteRule?: string | null;
   options?: Record<string, unknown> | null;
+  format?: SchemaFormat;
+}
+
+export interface FileUrlOptions {
+  thumb?: string;
+  download?: boolean;
+}
+
+export interface RelationOption {
+  id: string;
+  label: string;
+  record: Record<string, any>;
+}
+
+export interface AuthUser {
+  id: string;
+  email: string;
+  /** Auth collection of the user, null for admins of legacy servers */
+  collectionName: string | null;
+  /** Whether the user is a superuser (an admin on legacy servers) */
+  isAdmin: boolean;
+  record: Record<string, any>;
+}
+
+export interface LoginOptions {
+  /** Id from the `MfaRequiredError` of the first sign-in step */
+  mfaId?: string;
+}
+
+export interface OAuth2LoginOptions {
+  /** Opens the sign-in page of the provider, usually in a popup */
+  urlCallback: (url: string) => void | Promise<void>;
+  scopes?: string[];
+  createData?: Record<string, any>;
+  /** Stops waiting for the provider, eg. when the user closed the popup */
+  signal?: AbortSignal;
+}
+
+export interface RelationOptionsQuery {
+  search?: string;
+  page?: number;
+  perPage?: number;
+  displayFields?: string[];
+}
+
+export interface RelationOptionsResult {
+  items: RelationOption[];
+  page: number;
+  perPage: number;
+  totalItems: number;
+  totalPages: number;
+}
+
+export interface RecordWithRelations {
+  collection: CollectionSchema;
+  record: Record<string, any>;
+  /** Related records by relation field name */
+  relations: Record<string, RelationOption[]>;
+}
+
+/** Records of another collection whose relation field points at a record */
+export interface RecordReference {
+  collection: CollectionSchema;
+  field: CollectionField;
+  /** The first records */
+  items: RelationOption[];
+  totalItems: number;
 }
 
 export declare class PocketCrud {
@@ -54,7 +140,7 @@ export declare class PocketCrud {
 
   create<T = Record<string, unknown>>(
     collection: string,
-    data: Record<string, unknown>
+    data: Record<string, unknown> | FormData
   ): Promise<T>;
   getOne<T = Record<string, unknown>>(
     collection: string,
@@ -69,17 +155,68 @@ export declare class PocketCrud {
     collection: string,
     options?: Omit<QueryOptions, 'page' | 'perPage'>
   ): Promise<T[]>;
+  buildFilter(collection: string, filter: FilterBuilder | FilterObject): Promise<string>;
+  validateUnique(
+    collection: string,
+    data: Record<string, any>,
+    excludeId?: string
+  ): Promise<ValidationErrors>;
   update<T = Record<string, unknown>>(
     collection: string,
     id: string,
-    data: Record<string, unknown>
+    data: Record<string, unknown> | FormData
   ): Promise<T>;
   delete(collection: string, id: string): Promise<boolean>;
+  getFileUrl(record: Record<string, any>, filename: string, options?: FileUrlOptions): string;
 
   getCollections(): Promise<CollectionSchema[]>;
   getAccessibleCollections(): Promise<CollectionSchema[]>;
   getCollection(idOrName: string): Promise<CollectionSchema>;
   getCollectionSchema(idOrName: string): Promise<CollectionField[]>;
+  loadSchemaSnapshot(snapshot: string | Record<string, any>[]): CollectionSchema[];
+  exportSchemaSnapshot(): Promise<string>;
+  createCollection(
+    collection: Partial<CollectionSchema> & { name: string }
+  ): Promise<CollectionSchema>;
+  updateCollection(idOrName: string, changes: Partial<CollectionSchema>): Promise<CollectionSchema>;
+  deleteCollection(idOrName: string): Promise<boolean>;
+  addField(
+    collectionIdOrName: string,
+    field: Partial<CollectionField> & { name: string; type: string }
+  ): Promise<CollectionSchema>;
+  updateField(
+    collectionIdOrName: string,
+    fieldIdOrName: string,
+    changes: Partial<CollectionField>
+  ): Promise<CollectionSchema>;
+  removeField(collectionIdOrName: string, fieldIdOrName: string): Promise<CollectionSchema>;
+  validateRules(idOrName: string, rules: CollectionRules): Promise<ValidationErrors>;
+  updateRules(idOrName: string, rules: CollectionRules): Promise<CollectionSchema>;
+
+  getRelationOptions(
+    collectionId: string,
+    options?: RelationOptionsQuery
+  ): Promise<RelationOptionsResult>;
+  getRelationOptionsByIds(
+    collectionId: string,
+    ids: string[],
+    displayFields?: string[]
+  ): Promise<RelationOption[]>;
+  getRelationLabelFields(collectionId: string, displayFields?: string[]): Promise<string[]>;
+  getRecordWithRelations(collectionIdOrName: string, id: string): Promise<RecordWithRelations>;
+  getBackReferences(
+    collectionIdOrName: string,
+    id: string,
+    options?: { perPage?: number }
+  ): Promise<RecordReference[]>;
+
+  subscribe(
+    collection: string,
+    topic: string,
+    callback: (event: RealtimeEvent) => void,
+    options?: Pick<QueryOptions, 'expand'>
+  ): Promise<() => Promise<void>>;
+  unsubscribe(collection: string, topic?: string): Promise<void>;
 
   createAdmin(
     email: string,
@@ -87,6 +224,53 @@ export declare class PocketCrud {
   ): Promise<{ id: string; email: string; created: string; updated: string }>;
   isAdminUser(): Promise<boolean>;
 
+  loginAdmin(email: string, password: string, options?: LoginOptions): Promise<AuthUser>;
+  loginWithPassword(
+    collection: string,
+    identity: string,
+    password: string,
+    options?: LoginOptions
+  ): Promise<AuthUser>;
+  getAuthMethods(collection: string): Promise<AuthMethods>;
+  loginWithOAuth2(
+    collection: string,
+    providerName: string,
+    options: OAuth2LoginOptions
+  ): Promise<AuthUser>;
+  loginWithOAuth2Code(
+    collection: string,
+    provider: OAuth2Provider,
+    params: { code: string; state: string },
+    redirectUrl: string
+  ): Promise<AuthUser>;
+  requestOTP(collection: string, email: string): Promise<string>;
+  loginWithOTP(
+    collection: string,
+    otpId: string,
+    code: string,
+    options?: LoginOptions
+  ): Promise<AuthUser>;
+  requestPasswordReset(collection: string, email: string): Promise<void>;
+  confirmPasswordReset(
+    collection: string,
+    token: string,
+    password: string,
+    passwordConfirm: string
+  ): Promise<void>;
+  requestVerification(collection: string, email: string): Promise<void>;
+  confirmVerification(collection: string, token: string): Promise<void>;
+  requestEmailChange(collection: string, newEmail: string): Promise<void>;
+  confirmEmailChange(collection: string, token: string, password: string): Promise<void>;
+  impersonate(
+    collection: string,
+    recordId: string,
+    duration?: number
+  ): Promise<{ token: string; record: Record<string, any> }>;
+  logout(): void;
+  refreshAuth(): Promise<AuthUser | null>;
+  get currentUser(): AuthUser | null;
+  onAuthChange(callback: (user: AuthUser | null) => void, fireImmediately?: boolean): () => void;
+
   get client(): PocketBase;
 }
 
@@ -104,6 +288,12 @@ export interface FormFieldConfig {
   pattern?: string;
   multiple?: boolean;
   rows?: number;
+  collectionId?: string;
+  displayFields?: string[];
+  minSelect?: number;
+  maxSelect?: number;
+  maxSize?: number;
+  step?: number;
 }
 
 export type FieldOverrides = Record<string, Partial<FormFieldConfig>>;
@@ -125,15 +315,530 @@ export declare function getFormFields(
   schema: CollectionField[],
   overrides?: FieldOverrides
 ): FormFieldConfig[];
+export interface ValidationError {
+  code: string;
+  message: string;
+}
+
+export type ValidationErrors = Record<string, ValidationError>;
+
 export declare function validateFormData(
   data: Record<string, unknown>,
-  schema: CollectionField[]
-): string[];
+  schema: CollectionField[],
+  options?: { timeZone?: string }
+): ValidationErrors;
+export declare function validateField(
+  value: unknown,
+  field: CollectionField,
+  settings?: { timeZone?: string }
+): ValidationError | null;
 export declare function prepareFormData(
   data: Record<string, unknown>,
-  schema: CollectionField[]
+  schema: CollectionField[],
+  options?: { timeZone?: string }
 ): Record<string, unknown>;
+export declare function getRecordLabel(record: Record<string, any>, fields?: string[]): string;
 export declare function formatDateForInput(isoDateString: string): string;
-export declare function formatDateForDisplay(isoDateString: string): string;
+export declare function formatDateForDisplay(isoDateString: string, options?: DateFormatOptions): string;
+
+export interface RealtimeEvent {
+  action: 'create' | 'update' | 'delete';
+  record: Record<string, any>;
+}
+
+export interface RecordPage {
+  records: Record<string, any>[];
+  currentPage: number;
+  perPage: number;
+  totalItems: number;
+  totalPages: number;
+}
+
+export interface ApplyRealtimeOptions {
+  matches?: (record: Record<string, any>) => boolean;
+}
+
+export declare function applyRealtimeEvent(
+  page: RecordPage,
+  event: RealtimeEvent,
+  options?: ApplyRealtimeOptions
+): RecordPage;
+export declare function isRelatedTo(
+  record: Record<string, any>,
+  relationField: string,
+  id: string
+): boolean;
+
+export declare function detectSchemaFormat(collection: Record<string, any>): SchemaFormat;
+export declare function normalizeField(
+  field: Record<string, any>,
+  format?: SchemaFormat
+): CollectionField;
+export declare function normalizeCollection(collection: Record<string, any>): CollectionSchema;
+export declare function getUniqueIndexedFields(indexes: string[]): string[];
+export declare function withTimestampFields(schema: CollectionField[]): CollectionField[];
+export declare function withAuthFields(
+  collection: CollectionSchema,
+  options?: { isNew?: boolean }
+): CollectionField[];
+
+export interface FieldOptionDefinition {
+  name: string;
+  label: string;
+  input: 'text' | 'number' | 'boolean' | 'list' | 'collection';
+}
+
+export interface SchemaChange {
+  target: 'collection' | 'field' | 'index' | 'rule';
+  action: 'add' | 'remove' | 'change' | 'rename';
+  name: string;
+  description: string;
+  destructive: boolean;
+}
+
+export declare const FIELD_TYPES: string[];
+export declare function getFieldOptionDefinitions(type: string, format?: SchemaFormat): FieldOptionDefinition[];
+export declare function getDefaultFieldOptions(type: string): Record<string, any>;
+export declare function denormalizeField(
+  field: CollectionField,
+  format: SchemaFormat
+): Record<string, any>;
+export declare function denormalizeCollection(
+  collection: Partial<CollectionSchema>,
+  format: SchemaFormat
+): Record<string, any>;
+export declare function diffCollectionSchema(
+  before: CollectionSchema,
+  after: CollectionSchema
+): SchemaChange[];
+
+export type FilterOperator =
+  | '='
+  | '!='
+  | '>'
+  | '>='
+  | '<'
+  | '<='
+  | '~'
+  | '!~'
+  | '?='
+  | '?!='
+  | '?>'
+  | '?>='
+  | '?<'
+  | '?<='
+  | '?~'
+  | '?!~';
+export type FilterOperatorName =
+  | 'eq'
+  | 'ne'
+  | 'gt'
+  | 'gte'
+  | 'lt'
+  | 'lte'
+  | 'like'
+  | 'notLike'
+  | 'anyEq'
+  | 'anyNe'
+  | 'anyGt'
+  | 'anyGte'
+  | 'anyLt'
+  | 'anyLte'
+  | 'anyLike'
+  | 'anyNotLike';
+export type FilterObject = Record<string, any>;
+
+export interface CompiledFilter {
+  raw: string;
+  params: Record<string, any>;
+  fields: string[];
+}
+
+export declare const FILTER_OPERATORS: Record<FilterOperatorName, FilterOperator>;
+
+export declare class FilterMacro {
+  constructor(name: string);
+  readonly name: string;
+  toString(): string;
+}
+
+export declare const macros: {
+  now: FilterMacro;
+  second: FilterMacro;
+  minute: FilterMacro;
+  hour: FilterMacro;
+  weekday: FilterMacro;
+  day: FilterMacro;
+  month: FilterMacro;
+  year: FilterMacro;
+  todayStart: FilterMacro;
+  todayEnd: FilterMacro;
+  monthStart: FilterMacro;
+  monthEnd: FilterMacro;
+  yearStart: FilterMacro;
+  yearEnd: FilterMacro;
+};
+
+export declare class FilterBuilder {
+  constructor(join?: '&&' | '||');
+  readonly join: '&&' | '||';
+  where(field: string, operator: FilterOperator, value: any): this;
+  eq(field: string, value: any): this;
+  ne(field: string, value: any): this;
+  gt(field: string, value: any): this;
+  gte(field: string, value: any): this;
+  lt(field: string, value: any): this;
+  lte(field: string, value: any): this;
+  like(field: string, value: any): this;
+  notLike(field: string, value: any): this;
+  anyEq(field: string, value: any): this;
+  anyLike(field: string, value: any): this;
+  in(field: string, values: any[]): this;
+  and(callback: (group: FilterBuilder) => void): this;
+  or(callback: (group: FilterBuilder) => void): this;
+  isEmpty(): boolean;
+  compile(): CompiledFilter;
+}
+
+export declare function filter(join?: '&&' | '||'): FilterBuilder;
+export declare function filterFromObject(object: FilterObject, join?: '&&' | '||'): FilterBuilder;
+export declare function compileFilter(input: FilterBuilder | FilterObject): CompiledFilter;
+export declare function getUnknownFilterFields(fields: string[], schema: CollectionField[]): string[];
+
+export interface RecordFilterValues {
+  search?: string;
+  fields?: Record<string, any>;
+}
+
+export interface FilterBarControl {
+  name: string;
+  label: string;
+  type: 'select' | 'bool' | 'date' | 'relation';
+  options?: string[];
+  multiple: boolean;
+  collectionId?: string;
+  displayFields?: string[];
+}
+
+export interface FilterBarConfig {
+  searchFields: string[];
+  controls: FilterBarControl[];
+}
+
+export declare const SEARCHABLE_FIELD_TYPES: string[];
+export declare function getFilterBarConfig(schema: CollectionField[], fields?: string[]): FilterBarConfig;
+export declare function buildRecordFilter(
+  values: RecordFilterValues | null | undefined,
+  schema: CollectionField[],
+  fields?: string[],
+  options?: { timeZone?: string }
+): FilterBuilder;
+export declare function hasActiveFilter(values: RecordFilterValues | null | undefined): boolean;
+
+export interface SortEntry {
+  field: string;
+  direction: 'asc' | 'desc';
+}
+
+export declare function parseSort(sort: string | null | undefined): SortEntry[];
+export declare function formatSort(entries: SortEntry[]): string;
+export declare function toggleSort(sort: string, field: string, multi?: boolean): string;
+export declare function getSortState(
+  sort: string,
+  field: string
+): { direction: 'asc' | 'desc'; position: number } | null;
+export declare function isSortableField(field: CollectionField): boolean;
+
+export interface FileFieldValue {
+  existing: string[];
+  removed: string[];
+  added: File[];
+}
+
+export declare function getFileNames(value: unknown): string[];
+export declare function toFileFieldValue(value: unknown): FileFieldValue;
+export declare function isFileFieldValue(value: unknown): value is FileFieldValue;
+export declare function addFiles(value: FileFieldValue, files: File[], multiple: boolean): FileFieldValue;
+export declare function removeFile(value: FileFieldValue, file: string | File): FileFieldValue;
+export declare function isImageFile(filename: string): boolean;
+export declare function formatFileSize(bytes: number): string;
+export declare function validateFiles(
+  value: FileFieldValue,
+  field: CollectionField
+): ValidationError[];
+export declare function hasFileUploads(data: Record<string, any>): boolean;
+export declare function toFormData(data: Record<string, any>, schema?: CollectionField[]): FormData;
+export declare function getRecordImages(
+  record: Record<string, any> | null | undefined,
+  schema: CollectionField[]
+): { field: string; filename: string }[];
+
+export declare function sanitizeHtml(html: string): string;
+export declare function stripHtml(html: string, maxLength?: number): string;
+export declare function isEmptyHtml(html: string): boolean;
+export declare function isSafeUrl(url: string, image?: boolean): boolean;
+export declare function escapeHtml(text: string): string;
+export declare function decodeHtmlEntities(text: string): string;
+
+export interface DateFormatOptions {
+  locale?: string;
+  timeZone?: string;
+}
+
+export declare function parseDateValue(value: unknown, timeZone?: string): Date | null;
+export declare function toPocketBaseDate(date: Date): string;
+export declare function toDateTimeInputValue(value: unknown, timeZone?: string): string;
+export declare function fromDateTimeInputValue(value: unknown, timeZone?: string): string;
+export declare function formatDateTime(value: unknown, options?: DateFormatOptions & { dateOnly?: boolean }): string;
+
+export declare class PocketCrudError extends Error {
+  status: number;
+  fieldErrors: ValidationErrors;
+  originalError?: unknown;
+  constructor(
+    message: string,
+    options?: { status?: number; fieldErrors?: ValidationErrors; originalError?: unknown }
+  );
+}
+
+/** The server asks for a second factor, pass `mfaId` on to the next login call */
+export declare class MfaRequiredError extends PocketCrudError {
+  mfaId: string;
+  constructor(mfaId: string, options?: { originalError?: unknown });
+}
+
+export declare function normalizeError(error: unknown): PocketCrudError;
+export declare function hasFieldErrors(error: unknown): boolean;
+/** Whether a request was cancelled, eg. by PocketBase's auto-cancellation, rather than failed */
+export declare function isAbortError(error: unknown): boolean;
+
+export type RuleName = 'listRule' | 'viewRule' | 'createRule' | 'updateRule' | 'deleteRule';
+export type CollectionRules = Partial<Record<RuleName, string | null>>;
+
+export interface RuleContext {
+  collection: CollectionSchema;
+  collections?: CollectionSchema[];
+}
+
+export interface RuleIssue {
+  message: string;
+  start: number;
+  end: number;
+}
+
+export interface RuleCompletions {
+  from: number;
+  to: number;
+  options: string[];
+}
+
+export declare const API_RULES: { name: RuleName; label: string; action: string }[];
+export declare function getRuleFieldNames(collection: CollectionSchema): string[];
+export declare function lintRule(rule: string | null | undefined, context: RuleContext): RuleIssue[];
+export declare function validateRules(rules: CollectionRules, context: RuleContext): ValidationErrors;
+export declare function getRuleCompletions(
+  rule: string,
+  position: number,
+  context: RuleContext
+): RuleCompletions;
+
+export interface CollectionPermissions {
+  list: boolean;
+  view: boolean;
+  create: boolean;
+  update: boolean;
+  delete: boolean;
+}
+
+export declare function getCollectionPermissions(
+  collection: CollectionSchema,
+  user: { isAdmin: boolean } | null
+): CollectionPermissions;
+
+export interface OAuth2Provider {
+  name: string;
+  displayName: string;
+  state: string;
+  /** Ends in `redirect_uri=`, see `getOAuth2AuthUrl` */
+  authUrl: string;
+  codeVerifier: string;
+  codeChallenge: string;
+  codeChallengeMethod: string;
+}
+
+export interface AuthMethods {
+  password: { enabled: boolean; identityFields: string[] };
+  oauth2: { enabled: boolean; providers: OAuth2Provider[] };
+  /** One-time passwords sent by email (v0.23+) */
+  otp: { enabled: boolean };
+  /** Whether a second method is required (v0.23+) */
+  mfa: { enabled: boolean };
+}
+
+export declare function normalizeAuthMethods(raw: Record<string, any>): AuthMethods;
+export declare function getOAuth2AuthUrl(
+  provider: OAuth2Provider,
+  redirectUrl: string,
+  options?: { state?: string; scopes?: string[] }
+): string;
+
+export declare const DEFAULT_MIN_PASSWORD_LENGTH: number;
+export declare function getPasswordError(
+  password: string,
+  passwordConfirm: string,
+  minLength?: number
+): string;
+
+export interface AuthRecordAction {
+  id: 'verify' | 'reset-password' | 'impersonate';
+  label: string;
+  /** Whether the action applies to the record */
+  isVisible: (record: Record<string, any>) => boolean;
+}
+
+export declare function getAuthRecordActions(
+  collection: CollectionSchema,
+  user: AuthUser | null
+): AuthRecordAction[];
+
+export interface CollectionState {
+  collection: CollectionSchema | null;
+  /** Fields to list and filter by, including `email` of auth collections */
+  schema: CollectionField[];
+  records: Record<string, any>[];
+  currentPage: number;
+  totalPages: number;
+  totalItems: number;
+  perPage: number;
+  sort: string;
+  filter: RecordFilterValues;
+  loading: boolean;
+  error: string;
+  permissions: CollectionPermissions;
+  recordActions: AuthRecordAction[];
+  /** Fields the expanded related records are labelled by, by relation field name */
+  relationLabelFields: Record<string, string[]>;
+}
+
+export interface CollectionControllerOptions {
+  /** Records per page, 20 by default */
+  perPage?: number;
+  /** Initial sort, `-created` by default */
+  sort?: string;
+  filter?: RecordFilterValues;
+  /** Fields the `search` filter value looks in */
+  filterFields?: string[];
+  /** Called with realtime changes that were not made through the controller */
+  onRemoteChange?: (event: RealtimeEvent) => void;
+  /** Relation fields to expand in the records, eg. `author,tags`, or a function picking them from the schema once it is loaded */
+  expand?: string | ((schema: CollectionField[]) => string);
+  /** Time zone the days of date filters are in, defaults to the browser's */
+  timeZone?: string;
+}
+
+/** Loads, pages, sorts, filters and edits the records of a collection, without any UI */
+export declare class CollectionController {
+  crud: PocketCrud;
+  collectionName: string;
+  constructor(crud: PocketCrud, collectionName: string, options?: CollectionControllerOptions);
+  getState(): CollectionState;
+  /** Follows the Svelte store contract */
+  subscribe(listener: (state: CollectionState) => void): () => void;
+  load(): Promise<void>;
+  loadPage(page?: number): Promise<void>;
+  setSort(sort: string): void;
+  setFilter(filter: RecordFilterValues): void;
+  createRecord(data: Record<string, any> | FormData): Promise<Record<string, any>>;
+  updateRecord(id: string, data: Record<string, any> | FormData): Promise<Record<string, any>>;
+  deleteRecord(id: string): Promise<void>;
+  setRealtime(enabled: boolean): Promise<void>;
+  disconnect(): void;
+}
+
+export interface AdminRoute {
+  collectionName: string | null;
+  /** Record open in the form */
+  recordId: string | null;
+}
+
+export interface CollectionGroup {
+  type: 'base' | 'auth' | 'view';
+  label: string;
+  collections: CollectionSchema[];
+}
+
+export interface GroupCollectionsOptions {
+  /** Names of collections to leave out */
+  hidden?: string[];
+  /** Include system collections, such as `_superusers` */
+  includeSystem?: boolean;
+}
+
+export interface AdminRouterOptions {
+  /** `hash` by default, eg. `#/posts/RECORD_ID` */
+  mode?: 'hash' | 'history';
+  /** Path the admin is served from in `history` mode, eg. `/admin` */
+  basePath?: string;
+  /** The browser window by default */
+  window?: Window | null;
+}
+
+export interface AdminRouter {
+  getRoute(): AdminRoute;
+  /** Link to a route */
+  href(route: AdminRoute): string;
+  navigate(route: AdminRoute, options?: { replace?: boolean }): void;
+  /** Calls `listener` with the current route and whenever it changes */
+  subscribe(listener: (route: AdminRoute) => void): () => void;
+}
+
+export declare const COLLECTION_GROUPS: Array<{ type: CollectionGroup['type']; label: string }>;
+
+export declare function groupCollections(
+  collections: CollectionSchema[],
+  options?: GroupCollectionsOptions
+): CollectionGroup[];
+
+export declare function parseAdminPath(path: string): AdminRoute;
+
+export declare function formatAdminPath(route: AdminRoute): string;
+
+export declare function createAdminRouter(options?: AdminRouterOptions): AdminRouter;
+
+/** A relation field of another collection that can point at records of a collection */
+export interface BackReferenceField {
+  /** Collection the field belongs to */
+  collection: CollectionSchema;
+  field: CollectionField;
+}
+
+/** Related records of a relation field to show in a list */
+export interface RelationChips {
+  items: RelationOption[];
+  /** Related records left out */
+  more: number;
+}
+
+export declare function getRecordListFields(
+  schema: CollectionField[],
+  primaryDisplayField?: string
+): CollectionField[];
+export declare function getRecordViewFields(schema: CollectionField[]): CollectionField[];
+export declare function getExpandQuery(schema: CollectionField[]): string;
+export declare function getExpandedRecords(
+  record: Record<string, any>,
+  field: CollectionField
+): Record<string, any>[];
+export declare function getRelationChips(
+  record: Record<string, any>,
+  field: CollectionField,
+  labelFields?: string[],
+  limit?: number
+): RelationChips;
+export declare function getBackReferenceFields(
+  collections: CollectionSchema[],
+  collection: CollectionSchema
+): BackReferenceField[];
+export declare function formatJsonValue(value: unknown): string;
 
 export default PocketCrud;
@@ -1,3 +1,16 @@
 export { PocketCrud } from './crud.js';
 export * from './form-utils.js';
+export * from './realtime-utils.js';
+export * from './schema-utils.js';
+export * from './filter-utils.js';
+export * from './sort-utils.js';
+export * from './file-utils.js';
+export * from './error-utils.js';
+export * from './date-utils.js';
+export * from './html-utils.js';
+export * from './rule-utils.js';
+export * from './auth-utils.js';
+export * from './collection-utils.js';
+export * from './admin-utils.js';
+export * from './record-utils.js';
 export { default } from './crud.js';
@@ -0,0 +1,87 @@
+/**
+ * @typedef {Object} RealtimeEvent
+ * @property {'create' | 'update' | 'delete'} action
+ * @property {Record<string, any>} record
+ */
+
+/**
+ * @typedef {Object} RecordPage
+ * @property {Record<string, any>[]} records
+ * @property {number} currentPage
+ * @property {number} perPage
+ * @property {number} totalItems
+ * @property {number} totalPages
+ */
+
+/**
+ * @typedef {Object} ApplyRealtimeOptions
+ * @property {(record: Record<string, any>) => boolean} [matches] Whether a record belongs to the visible list (eg. a relation filter)
+ */
+
+/**
+ * Applies a PocketBase realtime event to the currently visible page.
+ * New records are inserted at the top of the first page, matching the
+ * default `-created` sort; on other pages only the totals change.
+ *
+ * @param {RecordPage} page
+ * @param {RealtimeEvent} event
+ * @param {ApplyRealtimeOptions} [options]
+ * @returns {RecordPage}
+ */
+export function applyRealtimeEvent(page, event, options) {
+  const { record, action } = event;
+  const matches = options?.matches ? options.matches(record) : true;
+  const index = page.records.findIndex(item => item.id === record.id);
+
+  if (action === 'delete' || (action === 'update' && !matches)) {
+    if (index === -1) return page;
+    return withTotals(
+      page,
+      page.records.filter(item => item.id !== record.id),
+      page.totalItems - 1
+    );
+  }
+
+  if (index !== -1) {
+    const records = [...page.records];
+    records[index] = record;
+    return { ...page, records };
+  }
+
+  if (action === 'create' && matches) {
+    const records =
+      page.currentPage === 1 ? [record, ...page.records].slice(0, page.perPage) : page.records;
+    return withTotals(page, records, page.totalItems + 1);
+  }
+
+  return page;
+}
+
+/**
+ * @param {RecordPage} page
+ * @param {Record<string, any>[]} records
+ * @param {number} totalItems
+ * @returns {RecordPage}
+ */
+function withTotals(page, records, totalItems) {
+  const total = Math.max(0, totalItems);
+  return {
+    ...page,
+    records,
+    totalItems: total,
+    totalPages: Math.max(1, Math.ceil(total / page.perPage)),
+  };
+}
+
+/**
+ * Checks whether a relation field on a record points at the given id.
+ *
+ * @param {Record<string, any>} record
+ * @param {string} relationField
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isRelatedTo(record, relationField, id) {
+  const value = record[relationField];
+  return Array.isArray(value) ? value.includes(id) : value === id;
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { applyRealtimeEvent, isRelatedTo } from './realtime-utils.js';
+
+describe('realtime-utils', () => {
+  /** @type {import('./realtime-utils.js').RecordPage} */
+  const page = {
+    records: [
+      { id: 'r2', title: 'Second' },
+      { id: 'r1', title: 'First' },
+    ],
+    currentPage: 1,
+    perPage: 2,
+    totalItems: 2,
+    totalPages: 1,
+  };
+
+  describe('applyRealtimeEvent', () => {
+    it('should prepend created records on the first page', () => {
+      const next = applyRealtimeEvent(page, {
+        action: 'create',
+        record: { id: 'r3', title: 'Third' },
+      });
+
+      expect(next.records.map(record => record.id)).toEqual(['r3', 'r2']);
+      expect(next.totalItems).toBe(3);
+      expect(next.totalPages).toBe(2);
+    });
+
+    it('should only update totals for creates on later pages', () => {
+      const secondPage = { ...page, currentPage: 2 };
+      const next = applyRealtimeEvent(secondPage, {
+        action: 'create',
+        record: { id: 'r3' },
+      });
+
+      expect(next.records).toBe(secondPage.records);
+      expect(next.totalItems).toBe(3);
+    });
+
+    it('should replace updated records in place', () => {
+      const next = applyRealtimeEvent(page, {
+        action: 'update',
+        record: { id: 'r1', title: 'Renamed' },
+      });
+
+      expect(next.records[1]).toEqual({ id: 'r1', title: 'Renamed' });
+      expect(next.totalItems).toBe(2);
+    });
+
+    it('should treat a create for a visible record as an update', () => {
+      const next = applyRealtimeEvent(page, {
+        action: 'create',
+        record: { id: 'r2', title: 'Loaded' },
+      });
+
+      expect(next.records).toHaveLength(2);
+      expect(next.records[0].title).toBe('Loaded');
+      expect(next.totalItems).toBe(2);
+    });
+
+    it('should remove deleted records', () => {
+      const next = applyRealtimeEvent(page, { action: 'delete', record: { id: 'r2' } });
+
+      expect(next.records.map(record => record.id)).toEqual(['r1']);
+      expect(next.totalItems).toBe(1);
+      expect(next.totalPages).toBe(1);
+    });
+
+    it('should ignore changes to records that are not visible', () => {
+      expect(applyRealtimeEvent(page, { action: 'update', record: { id: 'r9' } })).toBe(page);
+      expect(applyRealtimeEvent(page, { action: 'delete', record: { id: 'r9' } })).toBe(page);
+    });
+
+    it('should respect the matches option', () => {
+      const matches = (/** @type {Record<string, any>} */ record) => record.post === 'p1';
+
+      const created = applyRealtimeEvent(
+        page,
+        { action: 'create', record: { id: 'r3', post: 'p2' } },
+        { matches }
+      );
+      expect(created).toBe(page);
+
+      const moved = applyRealtimeEvent(
+        page,
+        { action: 'update', record: { id: 'r1', post: 'p2' } },
+        { matches }
+      );
+      expect(moved.records.map(record => record.id)).toEqual(['r2']);
+      expect(moved.totalItems).toBe(1);
+    });
+  });
+
+  describe('isRelatedTo', () => {
+    it('should handle single and multiple relation values', () => {
+      expect(isRelatedTo({ post: 'p1' }, 'post', 'p1')).toBe(true);
+      expect(isRelatedTo({ posts: ['p0', 'p1'] }, 'posts', 'p1')).toBe(true);
+      expect(isRelatedTo({ post: 'p2' }, 'post', 'p1')).toBe(false);
+    });
+  });
+});
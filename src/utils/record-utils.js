@@ -0,0 +1,163 @@
+import { withTimestampFields } from './schema-utils.js';
+import { getRecordLabel } from './form-utils.js';
+
+/**
+ * @typedef {import('./crud.js').CollectionField} CollectionField
+ * @typedef {import('./crud.js').CollectionSchema} CollectionSchema
+ */
+
+/**
+ * A relation field of another collection that can point at records of a
+ * collection, see `getBackReferenceFields`
+ *
+ * @typedef {Object} BackReferenceField
+ * @property {CollectionSchema} collection Collection the field belongs to
+ * @property {CollectionField} field
+ */
+
+/**
+ * Related records of a relation field to show in a list, see
+ * `getRelationChips`
+ *
+ * @typedef {Object} RelationChips
+ * @property {import('./crud.js').RelationOption[]} items
+ * @property {number} more Related records left out
+ */
+
+/**
+ * Columns `RecordList` shows: the primary display field first, then the
+ * presentable fields, the id and the timestamps, six at most.
+ *
+ * @param {CollectionField[]} schema
+ * @param {string} [primaryDisplayField]
+ * @returns {CollectionField[]}
+ */
+export function getRecordListFields(schema, primaryDisplayField) {
+  const primaryField = primaryDisplayField
+    ? schema.find(field => field.name === primaryDisplayField)
+    : undefined;
+  const otherFields = withTimestampFields(schema).filter(
+    field =>
+      (field.presentable ||
+        field.name === 'id' ||
+        field.name === 'created' ||
+        field.name === 'updated') &&
+      field.name !== primaryDisplayField
+  );
+
+  return [...(primaryField ? [primaryField] : []), ...otherFields].slice(0, 6);
+}
+
+/**
+ * Fields a read-only view of a record shows: the schema with the
+ * timestamps, without passwords.
+ *
+ * @param {CollectionField[]} schema
+ * @returns {CollectionField[]}
+ */
+export function getRecordViewFields(schema) {
+  return withTimestampFields(schema).filter(
+    field => field.type !== 'password' && field.name !== 'passwordConfirm'
+  );
+}
+
+/**
+ * Builds the `expand` option that loads every relation of a record.
+ *
+ * @param {CollectionField[]} schema
+ * @returns {string} Comma separated relation fields, empty without relations
+ */
+export function getExpandQuery(schema) {
+  return schema
+    .filter(field => field.type === 'relation')
+    .map(field => field.name)
+    .join(',');
+}
+
+/**
+ * Returns the related records of a relation field in the order of its ids,
+ * taken from the record's `expand`. Related records that were not expanded,
+ * eg. because the view rule of their collection hides them, are returned
+ * with their id only.
+ *
+ * @param {Record<string, any>} record
+ * @param {CollectionField} field
+ * @returns {Record<string, any>[]}
+ */
+export function getExpandedRecords(record, field) {
+  const value = record[field.name];
+  const ids = (Array.isArray(value) ? value : [value]).filter(
+    id => typeof id === 'string' && id !== ''
+  );
+  const expanded = record.expand?.[field.name];
+  const related = Array.isArray(expanded) ? expanded : expanded ? [expanded] : [];
+
+  return ids.map(id => related.find(item => item?.id === id) || { id });
+}
+
+/**
+ * Labels the related records of a relation field for a list, showing the
+ * first `limit` of them.
+ *
+ * @param {Record<string, any>} record
+ * @param {CollectionField} field
+ * @param {string[]} [labelFields] The relation's `displayFields` by default
+ * @param {number} [limit]
+ * @returns {RelationChips}
+ */
+export function getRelationChips(record, field, labelFields, limit = 3) {
+  const related = getExpandedRecords(record, field);
+  const fields = labelFields ?? field.options?.displayFields;
+
+  return {
+    items: related.slice(0, limit).map(item => ({
+      id: item.id,
+      label: getRecordLabel(item, fields),
+      record: item,
+    })),
+    more: Math.max(0, related.length - limit),
+  };
+}
+
+/**
+ * Finds the relation fields of other collections (and the collection
+ * itself) that point at records of `collection`.
+ *
+ * @param {CollectionSchema[]} collections
+ * @param {CollectionSchema} collection
+ * @returns {BackReferenceField[]}
+ */
+export function getBackReferenceFields(collections, collection) {
+  // Relation fields hold the collection id, loaded definitions may use the name
+  const targets = [collection.id, collection.name];
+
+  return collections.flatMap(candidate =>
+    candidate.schema
+      .filter(
+        field =>
+          field.type === 'relation' && targets.includes(String(field.options?.collectionId ?? ''))
+      )
+      .map(field => ({ collection: candidate, field }))
+  );
+}
+
+/**
+ * Pretty-prints the value of a `json` field. Strings holding JSON are
+ * formatted too, other strings are returned as they are.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function formatJsonValue(value) {
+  if (value === null || value === undefined) return '';
+
+  if (typeof value === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(value), null, 2);
+    } catch {
+      return value;
+    }
+  }
+
+  return JSON.stringify(value, null, 2);
+}
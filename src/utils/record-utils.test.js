@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatJsonValue,
+  getBackReferenceFields,
+  getExpandQuery,
+  getExpandedRecords,
+  getRecordListFields,
+  getRecordViewFields,
+  getRelationChips,
+} from './record-utils.js';
+
+/**
+ * @param {string} name
+ * @param {string} type
+ * @param {Record<string, any>} [options]
+ * @returns {any}
+ */
+const field = (name, type, options = {}) => ({
+  id: name,
+  name,
+  type,
+  system: false,
+  required: false,
+  presentable: false,
+  options,
+});
+
+describe('record-utils', () => {
+  describe('getRecordListFields', () => {
+    it('should start with the primary display field and show six fields at most', () => {
+      const schema = [
+        field('body', 'editor'),
+        ...['a', 'b', 'c', 'd', 'e'].map(name => ({ ...field(name, 'text'), presentable: true })),
+        field('author', 'relation'),
+      ];
+
+      expect(getRecordListFields(schema, 'author').map(item => item.name)).toEqual([
+        'author',
+        'a',
+        'b',
+        'c',
+        'd',
+        'e',
+      ]);
+      expect(getRecordListFields(schema).map(item => item.name)).toContain('created');
+    });
+  });
+
+  describe('getRecordViewFields', () => {
+    it('should add the timestamps and leave out passwords', () => {
+      const fields = getRecordViewFields([
+        field('email', 'email'),
+        field('password', 'password'),
+        field('title', 'text'),
+      ]);
+
+      expect(fields.map(item => item.name)).toEqual(['email', 'title', 'created', 'updated']);
+    });
+  });
+
+  describe('getExpandQuery', () => {
+    it('should expand every relation field', () => {
+      expect(
+        getExpandQuery([
+          field('title', 'text'),
+          field('author', 'relation'),
+          field('tags', 'relation'),
+        ])
+      ).toBe('author,tags');
+      expect(getExpandQuery([field('title', 'text')])).toBe('');
+    });
+  });
+
+  describe('getExpandedRecords', () => {
+    it('should return related records in the order of the ids', () => {
+      const record = {
+        tags: ['t2', 't1', 't3'],
+        expand: {
+          tags: [
+            { id: 't1', name: 'One' },
+            { id: 't2', name: 'Two' },
+          ],
+        },
+      };
+
+      expect(getExpandedRecords(record, field('tags', 'relation'))).toEqual([
+        { id: 't2', name: 'Two' },
+        { id: 't1', name: 'One' },
+        { id: 't3' },
+      ]);
+    });
+
+    it('should handle single and empty relations', () => {
+      const author = field('author', 'relation');
+
+      expect(
+        getExpandedRecords({ author: 'a1', expand: { author: { id: 'a1', name: 'Ada' } } }, author)
+      ).toEqual([{ id: 'a1', name: 'Ada' }]);
+      expect(getExpandedRecords({ author: '' }, author)).toEqual([]);
+    });
+  });
+
+  describe('getRelationChips', () => {
+    const tags = field('tags', 'relation', { displayFields: ['slug'] });
+    const record = {
+      tags: ['t1', 't2', 't3', 't4', 't5'],
+      expand: {
+        tags: [
+          { id: 't1', name: 'News', slug: 'news' },
+          { id: 't2', name: 'Sport', slug: 'sport' },
+        ],
+      },
+    };
+
+    it('should label the first related records and count the others', () => {
+      const chips = getRelationChips(record, tags, ['name'], 2);
+
+      expect(chips.items.map(item => item.label)).toEqual(['News', 'Sport']);
+      expect(chips.items[0].record).toEqual({ id: 't1', name: 'News', slug: 'news' });
+      expect(chips.more).toBe(3);
+    });
+
+    it('should fall back to the display fields and ids of records that were not expanded', () => {
+      const chips = getRelationChips(record, tags);
+
+      expect(chips.items.map(item => item.label)).toEqual(['news', 'sport', 't3']);
+      expect(chips.more).toBe(2);
+      expect(getRelationChips({ tags: [] }, tags)).toEqual({ items: [], more: 0 });
+    });
+  });
+
+  describe('getBackReferenceFields', () => {
+    it('should find relation fields pointing at the collection', () => {
+      const posts = {
+        id: 'posts_id',
+        name: 'posts',
+        schema: [field('parent', 'relation', { collectionId: 'posts_id' })],
+      };
+      const comments = {
+        id: 'comments_id',
+        name: 'comments',
+        schema: [
+          field('post', 'relation', { collectionId: 'posts_id' }),
+          field('author', 'relation', { collectionId: 'users_id' }),
+        ],
+      };
+      const pins = {
+        id: 'pins',
+        name: 'pins',
+        schema: [field('post', 'relation', { collectionId: 'posts' })],
+      };
+
+      const fields = getBackReferenceFields(
+        /** @type {any} */ ([posts, comments, pins]),
+        /** @type {any} */ (posts)
+      );
+
+      expect(fields.map(item => `${item.collection.name}.${item.field.name}`)).toEqual([
+        'posts.parent',
+        'comments.post',
+        'pins.post',
+      ]);
+    });
+  });
+
+  describe('formatJsonValue', () => {
+    it('should pretty-print values and JSON strings', () => {
+      expect(formatJsonValue({ a: [1, 2] })).toBe('{\n  "a": [\n    1,\n    2\n  ]\n}');
+      expect(formatJsonValue('{"a":1}')).toBe('{\n  "a": 1\n}');
+      expect(formatJsonValue('not json')).toBe('not json');
+      expect(formatJsonValue(null)).toBe('');
+    });
+  });
+});
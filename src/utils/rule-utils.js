@@ -0,0 +1,472 @@
+import { macros } from './filter-utils.js';
+import { withTimestampFields } from './schema-utils.js';
+
+/**
+ * @typedef {import('./index.js').CollectionSchema} CollectionSchema
+ */
+
+/**
+ * @typedef {'listRule' | 'viewRule' | 'createRule' | 'updateRule' | 'deleteRule'} RuleName
+ */
+
+/**
+ * API rules of a collection. `null` locks the action to superusers and an
+ * empty string makes it public.
+ *
+ * @typedef {Partial<Record<RuleName, string | null>>} CollectionRules
+ */
+
+/**
+ * Collections a rule is checked against. Without `collections` only fields
+ * of `collection` itself are checked.
+ *
+ * @typedef {Object} RuleContext
+ * @property {CollectionSchema} collection
+ * @property {CollectionSchema[]} [collections]
+ */
+
+/**
+ * @typedef {Object} RuleIssue
+ * @property {string} message
+ * @property {number} start Offset of the problem in the rule
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} RuleCompletions
+ * @property {number} from Start of the text the options replace
+ * @property {number} to End of the text the options replace
+ * @property {string[]} options
+ */
+
+/**
+ * The API rules of a collection with their labels and the action they
+ * allow. View collections only have list and view rules.
+ *
+ * @type {{name: RuleName, label: string, action: string}[]}
+ */
+export const API_RULES = [
+  { name: 'listRule', label: 'List/Search', action: 'list and search records' },
+  { name: 'viewRule', label: 'View', action: 'view records' },
+  { name: 'createRule', label: 'Create', action: 'create records' },
+  { name: 'updateRule', label: 'Update', action: 'update records' },
+  { name: 'deleteRule', label: 'Delete', action: 'delete records' },
+];
+
+/** Fields of auth records that older servers do not list in the schema */
+const AUTH_SYSTEM_FIELDS = ['username', 'email', 'emailVisibility', 'verified'];
+
+const MACRO_NAMES = Object.values(macros).map(macro => macro.name);
+
+/** Request properties that are not followed by a field */
+const REQUEST_PROPERTIES = ['method', 'context'];
+
+/** Request properties whose keys are free form */
+const FREE_REQUEST_PROPERTIES = ['query', 'headers'];
+
+const KEYWORDS = ['true', 'false', 'null'];
+
+const IDENTIFIER_PATTERN = /@?[A-Za-z_]\w*(?:[.:]\w+)*/y;
+const NUMBER_PATTERN = /\d+(?:\.\d+)?/y;
+const BACK_RELATION_PATTERN = /^(\w+)_via_(\w+)$/;
+
+/**
+ * @typedef {Object} RuleToken
+ * @property {string} path
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * Splits a rule into field references, skipping string literals, numbers,
+ * keywords and function names.
+ *
+ * @param {string} rule
+ * @returns {{references: RuleToken[], issues: RuleIssue[]}}
+ */
+function tokenizeRule(rule) {
+  /** @type {RuleToken[]} */
+  const references = [];
+  /** @type {RuleIssue[]} */
+  const issues = [];
+  /** @type {number[]} */
+  const openParens = [];
+
+  let i = 0;
+  while (i < rule.length) {
+    const char = rule[i];
+
+    if (char === "'" || char === '"') {
+      const end = findStringEnd(rule, i);
+      if (end === -1) {
+        issues.push({ message: 'Unterminated string', start: i, end: rule.length });
+        break;
+      }
+      i = end + 1;
+    } else if (/[@A-Za-z_]/.test(char)) {
+      IDENTIFIER_PATTERN.lastIndex = i;
+      const match = /** @type {RegExpExecArray} */ (IDENTIFIER_PATTERN.exec(rule));
+      const end = i + match[0].length;
+      const isFunction = /^\s*\(/.test(rule.slice(end));
+      if (!isFunction && !KEYWORDS.includes(match[0])) {
+        references.push({ path: match[0], start: i, end });
+      }
+      i = end;
+    } else if (/\d/.test(char)) {
+      NUMBER_PATTERN.lastIndex = i;
+      i += /** @type {RegExpExecArray} */ (NUMBER_PATTERN.exec(rule))[0].length;
+    } else {
+      if (char === '(') openParens.push(i);
+      if (char === ')' && openParens.pop() === undefined) {
+        issues.push({ message: 'Unexpected ")"', start: i, end: i + 1 });
+      }
+      i++;
+    }
+  }
+
+  for (const position of openParens) {
+    issues.push({ message: 'Missing ")"', start: position, end: position + 1 });
+  }
+
+  return { references, issues };
+}
+
+/**
+ * @param {string} rule
+ * @param {number} start Position of the opening quote
+ * @returns {number} Position of the closing quote, -1 when there is none
+ */
+function findStringEnd(rule, start) {
+  const quote = rule[start];
+  for (let i = start + 1; i < rule.length; i++) {
+    if (rule[i] === '\\') {
+      i++;
+    } else if (rule[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Field names a rule can reference on records of `collection`.
+ *
+ * @param {CollectionSchema} collection
+ * @returns {string[]}
+ */
+export function getRuleFieldNames(collection) {
+  const names = withTimestampFields(collection.schema || []).map(field => field.name);
+  const system = collection.type === 'auth' ? ['id', ...AUTH_SYSTEM_FIELDS] : ['id'];
+  return [...new Set([...system, ...names])];
+}
+
+/**
+ * @param {CollectionSchema[] | undefined} collections
+ * @param {string} idOrName
+ * @returns {CollectionSchema | undefined}
+ */
+function findCollection(collections, idOrName) {
+  return collections?.find(item => item.id === idOrName || item.name === idOrName);
+}
+
+/**
+ * Field names of the records `@request.auth` can hold.
+ *
+ * @param {CollectionSchema[] | undefined} collections
+ * @returns {string[]}
+ */
+function getAuthFieldNames(collections) {
+  const authCollections = (collections || []).filter(item => item.type === 'auth');
+  const names = authCollections.flatMap(item => getRuleFieldNames(item));
+  return [...new Set(['id', 'collectionId', 'collectionName', ...AUTH_SYSTEM_FIELDS, ...names])];
+}
+
+/**
+ * The auth collection a `@request.auth` field belongs to.
+ *
+ * @param {CollectionSchema[] | undefined} collections
+ * @param {string} fieldName
+ * @returns {CollectionSchema | undefined}
+ */
+function findAuthCollection(collections, fieldName) {
+  return collections?.find(
+    item => item.type === 'auth' && getRuleFieldNames(item).includes(fieldName)
+  );
+}
+
+/**
+ * Follows a field path through relation and back-relation fields.
+ *
+ * @param {CollectionSchema} collection
+ * @param {string[]} segments Field names, without modifiers
+ * @param {CollectionSchema[] | undefined} collections
+ * @returns {{collection: CollectionSchema | null, error: string | null}} The collection the
+ *   path leads to (null when it does not end at a relation or cannot be known) or the first
+ *   unknown reference
+ */
+function resolveFieldPath(collection, segments, collections) {
+  /** @type {CollectionSchema | null} */
+  let current = collection;
+
+  for (const name of segments) {
+    if (!current) break;
+
+    const backRelation = BACK_RELATION_PATTERN.exec(name);
+    if (backRelation && !getRuleFieldNames(current).includes(name)) {
+      // `comments_via_post` references comments whose `post` points here
+      if (!collections) return { collection: null, error: null };
+      const source = findCollection(collections, backRelation[1]);
+      if (!source) {
+        return { collection: null, error: `Unknown collection "${backRelation[1]}"` };
+      }
+      if (!getRuleFieldNames(source).includes(backRelation[2])) {
+        return { collection: null, error: `Unknown field "${backRelation[2]}" in ${source.name}` };
+      }
+      current = source;
+      continue;
+    }
+
+    if (!getRuleFieldNames(current).includes(name)) {
+      return { collection: null, error: `Unknown field "${name}" in ${current.name}` };
+    }
+
+    const field = current.schema.find(item => item.name === name);
+    if (field?.type !== 'relation') {
+      // Only relations can be followed, other fields (eg. json) are not checked further
+      return { collection: null, error: null };
+    }
+    current = findCollection(collections, field.options?.collectionId || '') || null;
+  }
+
+  return { collection: current, error: null };
+}
+
+/**
+ * Checks a rule for syntax errors and references to unknown fields,
+ * collections, request properties and macros.
+ *
+ * @param {string | null | undefined} rule
+ * @param {RuleContext} context
+ * @returns {RuleIssue[]}
+ */
+export function lintRule(rule, context) {
+  if (!rule) return [];
+
+  const { collection, collections } = context;
+  const { references, issues } = tokenizeRule(rule);
+
+  for (const reference of references) {
+    const message = checkReference(reference.path, collection, collections);
+    if (message) {
+      issues.push({ message, start: reference.start, end: reference.end });
+    }
+  }
+
+  return issues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * @param {string} path
+ * @param {CollectionSchema} collection
+ * @param {CollectionSchema[] | undefined} collections
+ * @returns {string | null}
+ */
+function checkReference(path, collection, collections) {
+  const segments = path.split('.');
+  // `:isset`, `:length`, ... modify a field, on `@collection` names they set an alias
+  const names = segments.map(segment => segment.split(':')[0]);
+
+  if (!path.startsWith('@')) {
+    return resolveFieldPath(collection, names, collections).error;
+  }
+
+  if (names[0] === '@request') {
+    const property = names[1];
+    if (REQUEST_PROPERTIES.includes(property) && names.length === 2) return null;
+    if (FREE_REQUEST_PROPERTIES.includes(property) && names.length > 2) return null;
+
+    if ((property === 'body' || property === 'data') && names.length > 2) {
+      const expected = collection.format === 'fields' ? 'body' : 'data';
+      if (collection.format && property !== expected) {
+        return `Use @request.${expected} with this PocketBase version`;
+      }
+      return resolveFieldPath(collection, names.slice(2, 3), collections).error;
+    }
+
+    if (property === 'auth' && names.length > 2) {
+      if (collections && !getAuthFieldNames(collections).includes(names[2])) {
+        return `Unknown field "${names[2]}" in @request.auth`;
+      }
+      if (names.length === 3) return null;
+      const authCollection = findAuthCollection(collections, names[2]);
+      return authCollection
+        ? resolveFieldPath(authCollection, names.slice(2), collections).error
+        : null;
+    }
+
+    return `Unknown request property "${segments.slice(0, 3).join('.')}"`;
+  }
+
+  if (names[0] === '@collection') {
+    if (names.length < 3) return 'Expected @collection.<name>.<field>';
+    if (!collections) return null;
+    const target = findCollection(collections, names[1]);
+    if (!target) return `Unknown collection "${names[1]}"`;
+    return resolveFieldPath(target, names.slice(2), collections).error;
+  }
+
+  if (names.length === 1 && MACRO_NAMES.includes(names[0])) return null;
+  return `Unknown macro "${names[0]}"`;
+}
+
+/**
+ * Checks the rules of a collection and returns the problems of each rule in
+ * the field error format used by forms.
+ *
+ * @param {CollectionRules} rules
+ * @param {RuleContext} context
+ * @returns {import('./form-utils.js').ValidationErrors}
+ */
+export function validateRules(rules, context) {
+  /** @type {import('./form-utils.js').ValidationErrors} */
+  const errors = {};
+
+  for (const { name } of API_RULES) {
+    const [issue] = lintRule(rules[name], context);
+    if (issue) {
+      errors[name] = { code: 'validation_invalid_rule', message: issue.message };
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Suggests completions for the reference being typed at `position`: fields
+ * of the collection and related collections, `@request.*`,
+ * `@collection.*` and macros.
+ *
+ * @param {string} rule
+ * @param {number} position Caret offset
+ * @param {RuleContext} context
+ * @returns {RuleCompletions}
+ */
+export function getRuleCompletions(rule, position, context) {
+  const { collection, collections } = context;
+  let from = position;
+  while (from > 0 && /[\w@.:]/.test(rule[from - 1])) {
+    from--;
+  }
+
+  const prefix = rule.slice(from, position);
+  if (isInsideString(rule, from)) {
+    return { from, to: position, options: [] };
+  }
+
+  const dot = prefix.lastIndexOf('.');
+  const head = dot === -1 ? '' : prefix.slice(0, dot);
+  /** @type {string[]} */
+  let candidates;
+
+  if (!head) {
+    candidates = [...getRuleFieldNames(collection), '@request.', '@collection.', ...MACRO_NAMES];
+  } else if (head === '@request') {
+    const body = collection.format === 'legacy' ? 'data' : 'body';
+    candidates = ['auth.', `${body}.`, 'query.', 'headers.', ...REQUEST_PROPERTIES];
+  } else if (head === '@collection') {
+    candidates = (collections || []).map(item => `${item.name}.`);
+  } else if (head === '@request.auth') {
+    candidates = getAuthFieldNames(collections);
+  } else if (head === '@request.body' || head === '@request.data') {
+    candidates = getRuleFieldNames(collection);
+  } else {
+    const target = resolveCompletionTarget(head, collection, collections);
+    candidates = target ? getRuleFieldNames(target) : [];
+  }
+
+  const partial = prefix.slice(dot + 1);
+  const base = dot === -1 ? '' : `${head}.`;
+  const options = candidates
+    .map(candidate => base + candidate)
+    .filter(option => option.startsWith(base + partial) && option !== prefix);
+
+  return { from, to: position, options };
+}
+
+/**
+ * @param {string} head Reference before the last dot
+ * @param {CollectionSchema} collection
+ * @param {CollectionSchema[] | undefined} collections
+ * @returns {CollectionSchema | null}
+ */
+function resolveCompletionTarget(head, collection, collections) {
+  const names = head.split('.').map(segment => segment.split(':')[0]);
+
+  if (names[0] === '@collection') {
+    const target = findCollection(collections, names[1]);
+    return target ? resolveFieldPath(target, names.slice(2), collections).collection : null;
+  }
+  if (names[0] === '@request' && names[1] === 'auth') {
+    const authCollection = findAuthCollection(collections, names[2]);
+    return authCollection
+      ? resolveFieldPath(authCollection, names.slice(2), collections).collection
+      : null;
+  }
+  if (names[0].startsWith('@')) return null;
+
+  return resolveFieldPath(collection, names, collections).collection;
+}
+
+/**
+ * @param {string} rule
+ * @param {number} position
+ * @returns {boolean}
+ */
+function isInsideString(rule, position) {
+  let i = 0;
+  while (i < position) {
+    if (rule[i] === "'" || rule[i] === '"') {
+      const end = findStringEnd(rule, i);
+      if (end === -1 || end >= position) return true;
+      i = end + 1;
+    } else {
+      i++;
+    }
+  }
+  return false;
+}
+
+/**
+ * What the signed in user may do with the records of a collection, judged
+ * from its API rules. Locked rules (`null`) only let superusers through.
+ * Other rules may depend on the record and are left to the server, as are
+ * rules of collections whose definition came without them. Records of view
+ * collections are never written.
+ *
+ * @typedef {Object} CollectionPermissions
+ * @property {boolean} list
+ * @property {boolean} view
+ * @property {boolean} create
+ * @property {boolean} update
+ * @property {boolean} delete
+ */
+
+/**
+ * @param {CollectionSchema} collection
+ * @param {{isAdmin: boolean} | null} user The signed in user
+ * @returns {CollectionPermissions}
+ */
+export function getCollectionPermissions(collection, user) {
+  const isAdmin = Boolean(user?.isAdmin);
+  const writable = collection.type !== 'view';
+  /** @param {RuleName} name */
+  const allows = name => isAdmin || collection[name] !== null;
+
+  return {
+    list: allows('listRule'),
+    view: allows('viewRule'),
+    create: writable && allows('createRule'),
+    update: writable && allows('updateRule'),
+    delete: writable && allows('deleteRule'),
+  };
+}
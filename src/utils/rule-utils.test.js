@@ -0,0 +1,202 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCollectionPermissions,
+  getRuleCompletions,
+  getRuleFieldNames,
+  lintRule,
+  validateRules,
+} from './rule-utils.js';
+import { normalizeCollection } from './schema-utils.js';
+
+describe('rule-utils', () => {
+  const users = normalizeCollection({
+    id: 'users_id',
+    name: 'users',
+    type: 'auth',
+    schema: [{ id: 'u1', name: 'role', type: 'select', options: { values: ['admin', 'editor'] } }],
+    indexes: [],
+  });
+  const posts = normalizeCollection({
+    id: 'posts_id',
+    name: 'posts',
+    type: 'base',
+    schema: [
+      { id: 'p1', name: 'title', type: 'text', options: {} },
+      { id: 'p2', name: 'author', type: 'relation', options: { collectionId: 'users_id' } },
+      { id: 'p3', name: 'status', type: 'select', options: { values: ['draft', 'published'] } },
+    ],
+    indexes: [],
+  });
+  const comments = normalizeCollection({
+    id: 'comments_id',
+    name: 'comments',
+    type: 'base',
+    schema: [{ id: 'c1', name: 'post', type: 'relation', options: { collectionId: 'posts_id' } }],
+    indexes: [],
+  });
+  const context = { collection: posts, collections: [users, posts, comments] };
+
+  describe('getRuleFieldNames', () => {
+    it('should include system and timestamp fields', () => {
+      expect(getRuleFieldNames(posts)).toEqual([
+        'id',
+        'title',
+        'author',
+        'status',
+        'created',
+        'updated',
+      ]);
+      expect(getRuleFieldNames(users)).toContain('verified');
+    });
+  });
+
+  describe('lintRule', () => {
+    it('should accept valid rules', () => {
+      const rule =
+        '@request.auth.id != "" && (author = @request.auth.id || status = "published") && ' +
+        'author.role = "admin" && @request.data.title:isset = false && created < @now && ' +
+        '@collection.comments.post ?= id && comments_via_post.id != "" && @request.method = "GET"';
+
+      expect(lintRule(rule, context)).toEqual([]);
+    });
+
+    it('should treat locked and public rules as valid', () => {
+      expect(lintRule(null, context)).toEqual([]);
+      expect(lintRule('', context)).toEqual([]);
+    });
+
+    it('should report unknown fields with their position', () => {
+      expect(lintRule('titel = "x"', context)).toEqual([
+        { message: 'Unknown field "titel" in posts', start: 0, end: 5 },
+      ]);
+      expect(lintRule('author.name = "x"', context)[0].message).toBe(
+        'Unknown field "name" in users'
+      );
+      expect(lintRule('@request.auth.team = "x"', context)[0].message).toBe(
+        'Unknown field "team" in @request.auth'
+      );
+    });
+
+    it('should report unknown collections, request properties and macros', () => {
+      expect(lintRule('@collection.tags.name = "x"', context)[0].message).toBe(
+        'Unknown collection "tags"'
+      );
+      expect(lintRule('@request.user.id = ""', context)[0].message).toBe(
+        'Unknown request property "@request.user.id"'
+      );
+      expect(lintRule('created > @tomorow', context)[0].message).toBe('Unknown macro "@tomorow"');
+    });
+
+    it('should ignore strings, numbers and functions', () => {
+      expect(
+        lintRule('title = \'unknown && field\' && status != "a\\"b" && 1.5 > 0', context)
+      ).toEqual([]);
+      expect(lintRule('strftime("%Y", created) = "2024"', context)).toEqual([]);
+    });
+
+    it('should report syntax errors', () => {
+      expect(lintRule('(title = "x"', context).map(issue => issue.message)).toEqual([
+        'Missing ")"',
+      ]);
+      expect(lintRule('title = "x', context).map(issue => issue.message)).toEqual([
+        'Unterminated string',
+      ]);
+    });
+
+    it('should check the request body name of the server version', () => {
+      const fieldsContext = { ...context, collection: { ...posts, format: 'fields' } };
+
+      expect(lintRule('@request.body.title != ""', fieldsContext)).toEqual([]);
+      expect(lintRule('@request.data.title != ""', fieldsContext)[0].message).toBe(
+        'Use @request.body with this PocketBase version'
+      );
+    });
+
+    it('should only check the own collection without other collections', () => {
+      const rule = '@collection.tags.name = "x" && author.name = "x" && @request.auth.team = ""';
+
+      expect(lintRule(rule, { collection: posts })).toEqual([]);
+    });
+  });
+
+  describe('validateRules', () => {
+    it('should return the first problem of each rule', () => {
+      expect(
+        validateRules(
+          { listRule: '', viewRule: null, updateRule: 'owner = @request.auth.id' },
+          context
+        )
+      ).toEqual({
+        updateRule: { code: 'validation_invalid_rule', message: 'Unknown field "owner" in posts' },
+      });
+    });
+  });
+
+  describe('getRuleCompletions', () => {
+    it('should complete fields and references', () => {
+      expect(getRuleCompletions('ti', 2, context)).toEqual({ from: 0, to: 2, options: ['title'] });
+      expect(getRuleCompletions('status = "x" && @re', 19, context).options).toEqual(['@request.']);
+    });
+
+    it('should complete request properties and auth fields', () => {
+      expect(getRuleCompletions('@request.a', 10, context).options).toEqual(['@request.auth.']);
+      expect(getRuleCompletions('@request.auth.ro', 16, context).options).toEqual([
+        '@request.auth.role',
+      ]);
+    });
+
+    it('should follow relations and collections', () => {
+      expect(getRuleCompletions('author.r', 8, context).options).toEqual(['author.role']);
+      expect(getRuleCompletions('@collection.c', 13, context).options).toEqual([
+        '@collection.comments.',
+      ]);
+      expect(getRuleCompletions('@collection.comments.p', 22, context).options).toEqual([
+        '@collection.comments.post',
+      ]);
+    });
+
+    it('should not complete inside strings', () => {
+      expect(getRuleCompletions('title = "ti', 11, context).options).toEqual([]);
+    });
+  });
+
+  describe('getCollectionPermissions', () => {
+    const rules = {
+      listRule: '',
+      viewRule: '@request.auth.id != ""',
+      createRule: null,
+      updateRule: 'author = @request.auth.id',
+      deleteRule: null,
+    };
+
+    it('should deny locked rules to everyone but superusers', () => {
+      const collection = { ...posts, ...rules };
+
+      expect(getCollectionPermissions(collection, null)).toEqual({
+        list: true,
+        view: true,
+        create: false,
+        update: true,
+        delete: false,
+      });
+      expect(getCollectionPermissions(collection, { isAdmin: true })).toEqual({
+        list: true,
+        view: true,
+        create: true,
+        update: true,
+        delete: true,
+      });
+    });
+
+    it('should treat view collections as read-only', () => {
+      const view = { ...posts, ...rules, type: /** @type {const} */ ('view') };
+
+      expect(getCollectionPermissions(view, { isAdmin: true })).toMatchObject({
+        list: true,
+        create: false,
+        update: false,
+        delete: false,
+      });
+    });
+  });
+});
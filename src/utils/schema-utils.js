@@ -0,0 +1,649 @@
+/**
+ * @typedef {import('./index.js').CollectionField} CollectionField
+ * @typedef {import('./index.js').CollectionSchema} CollectionSchema
+ */
+
+/**
+ * Collection formats returned by PocketBase servers:
+ * - `legacy` (v0.22 and older): fields live in `schema` with nested `options`
+ * - `fields` (v0.23+): fields live in `fields` with flattened options
+ *
+ * @typedef {'legacy' | 'fields'} SchemaFormat
+ */
+
+/** Field properties that are not options in the v0.23+ format */
+const BASE_FIELD_KEYS = [
+  'id',
+  'name',
+  'type',
+  'system',
+  'hidden',
+  'presentable',
+  'required',
+  'unique',
+];
+
+/** Collection properties that are not options in the v0.23+ format */
+const BASE_COLLECTION_KEYS = [
+  'id',
+  'name',
+  'type',
+  'system',
+  'fields',
+  'schema',
+  'indexes',
+  'listRule',
+  'viewRule',
+  'createRule',
+  'updateRule',
+  'deleteRule',
+  'options',
+  'created',
+  'updated',
+];
+
+/** API rule properties of a collection */
+const RULE_KEYS = ['listRule', 'viewRule', 'createRule', 'updateRule', 'deleteRule'];
+
+/**
+ * @param {Record<string, any>} collection
+ * @returns {SchemaFormat}
+ */
+export function detectSchemaFormat(collection) {
+  return Array.isArray(collection?.fields) ? 'fields' : 'legacy';
+}
+
+/**
+ * Maps a field from either server format into a `CollectionField`.
+ *
+ * @param {Record<string, any>} field
+ * @param {SchemaFormat} [format]
+ * @returns {CollectionField}
+ */
+export function normalizeField(field, format) {
+  const fieldFormat = format || ('options' in field ? 'legacy' : 'fields');
+
+  /** @type {Record<string, any>} */
+  let options;
+  if (fieldFormat === 'legacy') {
+    options = field.options;
+  } else {
+    options = {};
+    for (const [key, value] of Object.entries(field)) {
+      if (!BASE_FIELD_KEYS.includes(key)) {
+        options[key] = value;
+      }
+    }
+  }
+
+  /** @type {CollectionField} */
+  const normalized = {
+    id: field.id,
+    name: field.name,
+    type: field.type,
+    system: field.system || false,
+    required: field.required || false,
+    presentable: field.presentable || false,
+    unique: field.unique || false,
+    options,
+  };
+
+  if (field.hidden) {
+    normalized.hidden = true;
+  }
+
+  return normalized;
+}
+
+/**
+ * Maps a collection from either server format into a `CollectionSchema`.
+ *
+ * @param {Record<string, any>} collection
+ * @returns {CollectionSchema}
+ */
+export function normalizeCollection(collection) {
+  const format = detectSchemaFormat(collection);
+  const indexes = collection.indexes || [];
+  const uniqueFields = getUniqueIndexedFields(indexes);
+
+  const rawFields = (format === 'fields' ? collection.fields : collection.schema) || [];
+  const schema = rawFields.map((/** @type {Record<string, any>} */ field) => {
+    const normalized = normalizeField(field, format);
+    if (uniqueFields.includes(normalized.name)) {
+      normalized.unique = true;
+    }
+    return normalized;
+  });
+
+  /** @type {Record<string, any> | null} */
+  let options = collection.options ?? null;
+  if (format === 'fields') {
+    options = {};
+    for (const [key, value] of Object.entries(collection)) {
+      if (!BASE_COLLECTION_KEYS.includes(key)) {
+        options[key] = value;
+      }
+    }
+    // Keep the legacy name of the view query for existing consumers
+    if (collection.viewQuery !== undefined) {
+      options.query = collection.viewQuery;
+    }
+  }
+
+  return {
+    id: collection.id,
+    name: collection.name,
+    type: /** @type {'base' | 'auth' | 'view'} */ (collection.type),
+    system: collection.system || false,
+    schema,
+    indexes,
+    listRule: collection.listRule,
+    viewRule: collection.viewRule,
+    createRule: collection.createRule,
+    updateRule: collection.updateRule,
+    deleteRule: collection.deleteRule,
+    options,
+    // Already normalized collections (eg. from a snapshot) keep their format
+    format:
+      collection.format === 'fields' || collection.format === 'legacy' ? collection.format : format,
+  };
+}
+
+/**
+ * Extracts the names of fields covered by a single column unique index.
+ *
+ * @param {string[]} indexes
+ * @returns {string[]}
+ */
+export function getUniqueIndexedFields(indexes) {
+  /** @type {string[]} */
+  const names = [];
+
+  for (const index of indexes || []) {
+    const match = /^\s*CREATE\s+UNIQUE\s+INDEX\b[^(]*\(([^)]*)\)/i.exec(index);
+    if (!match) continue;
+
+    const columns = match[1].split(',');
+    if (columns.length !== 1) continue;
+
+    const column = columns[0]
+      .trim()
+      .split(/\s+/)[0]
+      .replace(/^[`"'[]|[`"'\]]$/g, '');
+    if (column) names.push(column);
+  }
+
+  return names;
+}
+
+/**
+ * Adds the `created` and `updated` timestamps to schemas of servers that do
+ * not list them as `autodate` fields (v0.22 and older), so they can be shown
+ * read-only next to the other fields.
+ *
+ * @param {CollectionField[]} schema
+ * @returns {CollectionField[]}
+ */
+export function withTimestampFields(schema) {
+  if (schema.some(field => field.type === 'autodate')) {
+    return schema;
+  }
+
+  const missing = ['created', 'updated'].filter(name => !schema.some(field => field.name === name));
+  return [
+    ...schema,
+    ...missing.map(name => ({
+      id: name,
+      name,
+      type: 'autodate',
+      system: true,
+      required: false,
+      presentable: false,
+      options: { onCreate: true, onUpdate: name === 'updated' },
+    })),
+  ];
+}
+
+/** System fields of auth records that forms offer, see `withAuthFields` */
+const AUTH_FORM_FIELDS = [
+  'username',
+  'email',
+  'emailVisibility',
+  'verified',
+  'password',
+  'passwordConfirm',
+];
+
+/**
+ * Adds the system fields auth records sign in with to the schema of an auth
+ * collection, as fields forms offer: `email`, `emailVisibility`,
+ * `verified`, `password` and `passwordConfirm`, plus `username` on v0.22
+ * and older. Legacy servers leave them out of the schema, newer ones list
+ * them as system fields. The password is only required for new records,
+ * when left empty on updates the current one is kept.
+ *
+ * Schemas of other collections are returned unchanged.
+ *
+ * @param {CollectionSchema} collection
+ * @param {{isNew?: boolean}} [options]
+ * @returns {CollectionField[]}
+ */
+export function withAuthFields(collection, { isNew = false } = {}) {
+  if (collection.type !== 'auth') {
+    return collection.schema;
+  }
+
+  const legacy = collection.format !== 'fields';
+  // Legacy servers keep the auth settings in the collection options
+  const settings = (legacy && collection.options) || {};
+  const email = collection.schema.find(field => field.name === 'email');
+  const password = collection.schema.find(field => field.name === 'password');
+
+  /**
+   * @param {string} name
+   * @param {string} type
+   * @param {Partial<CollectionField>} [props]
+   * @returns {CollectionField}
+   */
+  const authField = (name, type, props = {}) => ({
+    id: collection.schema.find(field => field.name === name)?.id || name,
+    name,
+    type,
+    system: false,
+    required: false,
+    presentable: false,
+    unique: false,
+    options: {},
+    ...props,
+  });
+
+  const authFields = [
+    // Generated from the email when left empty
+    ...(legacy ? [authField('username', 'text', { unique: true })] : []),
+    authField('email', 'email', {
+      required: legacy ? Boolean(settings.requireEmail) : Boolean(email?.required),
+      presentable: true,
+      unique: true,
+      options: legacy
+        ? {
+            onlyDomains: settings.onlyEmailDomains || [],
+            exceptDomains: settings.exceptEmailDomains || [],
+          }
+        : { ...email?.options },
+    }),
+    authField('emailVisibility', 'bool'),
+    authField('verified', 'bool'),
+    authField('password', 'password', {
+      required: isNew,
+      hidden: true,
+      options: legacy ? { min: settings.minPasswordLength } : { ...password?.options },
+    }),
+    authField('passwordConfirm', 'password', { required: isNew, hidden: true }),
+  ];
+
+  // The token key is regenerated by the server and never edited
+  const others = collection.schema.filter(
+    field => !AUTH_FORM_FIELDS.includes(field.name) && field.name !== 'tokenKey'
+  );
+  return [
+    ...others.filter(field => field.name === 'id'),
+    ...authFields,
+    ...others.filter(field => field.name !== 'id'),
+  ];
+}
+
+/**
+ * Field types offered when editing a collection schema
+ */
+export const FIELD_TYPES = [
+  'text',
+  'editor',
+  'number',
+  'bool',
+  'email',
+  'url',
+  'date',
+  'autodate',
+  'select',
+  'file',
+  'relation',
+  'json',
+];
+
+/**
+ * An editable field option. `list` options are string arrays and
+ * `collection` options hold a collection id.
+ *
+ * @typedef {Object} FieldOptionDefinition
+ * @property {string} name
+ * @property {string} label
+ * @property {'text' | 'number' | 'boolean' | 'list' | 'collection'} input
+ */
+
+/** @type {Record<string, FieldOptionDefinition[]>} */
+const FIELD_OPTION_DEFINITIONS = {
+  text: [
+    { name: 'min', label: 'Min length', input: 'number' },
+    { name: 'max', label: 'Max length', input: 'number' },
+    { name: 'pattern', label: 'Pattern', input: 'text' },
+  ],
+  editor: [{ name: 'maxSize', label: 'Max size (bytes)', input: 'number' }],
+  number: [
+    { name: 'min', label: 'Min', input: 'number' },
+    { name: 'max', label: 'Max', input: 'number' },
+    { name: 'noDecimal', label: 'No decimals', input: 'boolean' },
+  ],
+  email: [
+    { name: 'onlyDomains', label: 'Only domains', input: 'list' },
+    { name: 'exceptDomains', label: 'Except domains', input: 'list' },
+  ],
+  url: [
+    { name: 'onlyDomains', label: 'Only domains', input: 'list' },
+    { name: 'exceptDomains', label: 'Except domains', input: 'list' },
+  ],
+  date: [
+    { name: 'min', label: 'Min date', input: 'text' },
+    { name: 'max', label: 'Max date', input: 'text' },
+  ],
+  autodate: [
+    { name: 'onCreate', label: 'Set on create', input: 'boolean' },
+    { name: 'onUpdate', label: 'Set on update', input: 'boolean' },
+  ],
+  select: [
+    { name: 'values', label: 'Values', input: 'list' },
+    { name: 'maxSelect', label: 'Max selected', input: 'number' },
+  ],
+  file: [
+    { name: 'maxSelect', label: 'Max files', input: 'number' },
+    { name: 'maxSize', label: 'Max size (bytes)', input: 'number' },
+    { name: 'mimeTypes', label: 'MIME types', input: 'list' },
+    { name: 'thumbs', label: 'Thumb sizes', input: 'list' },
+    { name: 'protected', label: 'Protected', input: 'boolean' },
+  ],
+  relation: [
+    { name: 'collectionId', label: 'Collection', input: 'collection' },
+    { name: 'minSelect', label: 'Min selected', input: 'number' },
+    { name: 'maxSelect', label: 'Max selected', input: 'number' },
+    { name: 'cascadeDelete', label: 'Cascade delete', input: 'boolean' },
+  ],
+  json: [{ name: 'maxSize', label: 'Max size (bytes)', input: 'number' }],
+};
+
+/**
+ * @param {string} type
+ * @param {SchemaFormat} [format] Format of the collection, option names differ between formats
+ * @returns {FieldOptionDefinition[]}
+ */
+export function getFieldOptionDefinitions(type, format = 'legacy') {
+  const definitions = FIELD_OPTION_DEFINITIONS[type] || [];
+  if (format !== 'fields') return definitions;
+
+  // v0.23+ renamed `noDecimal` to `onlyInt`
+  return definitions.map(definition =>
+    definition.name === 'noDecimal' ? { ...definition, name: 'onlyInt' } : definition
+  );
+}
+
+/**
+ * Options PocketBase requires for a new field of `type`.
+ *
+ * @param {string} type
+ * @returns {Record<string, any>}
+ */
+export function getDefaultFieldOptions(type) {
+  switch (type) {
+    case 'select':
+      return { values: [], maxSelect: 1 };
+    case 'file':
+      return { maxSelect: 1, maxSize: 5242880, mimeTypes: [], thumbs: [] };
+    case 'relation':
+      return { collectionId: '', maxSelect: 1, cascadeDelete: false };
+    case 'autodate':
+      return { onCreate: true, onUpdate: false };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Maps a `CollectionField` back into the field format of the server. The
+ * `unique` flag is not written, uniqueness is defined by the collection's
+ * indexes.
+ *
+ * @param {CollectionField} field
+ * @param {SchemaFormat} format
+ * @returns {Record<string, any>}
+ */
+export function denormalizeField(field, format) {
+  /** @type {Record<string, any>} */
+  const result = {
+    name: field.name,
+    type: field.type,
+    system: field.system || false,
+    required: field.required || false,
+    presentable: field.presentable || false,
+  };
+  // New fields get their id from the server
+  if (field.id) {
+    result.id = field.id;
+  }
+
+  if (format === 'legacy') {
+    result.options = { ...field.options };
+  } else {
+    Object.assign(result, field.options, { hidden: field.hidden || false });
+  }
+
+  return result;
+}
+
+/**
+ * Maps a (partial) `CollectionSchema` into a create or update payload in the
+ * format of the server. Only the given properties are written.
+ *
+ * @param {Partial<CollectionSchema>} collection
+ * @param {SchemaFormat} format
+ * @returns {Record<string, any>}
+ */
+export function denormalizeCollection(collection, format) {
+  /** @type {Record<string, any>} */
+  const result = {};
+
+  for (const key of ['id', 'name', 'type', 'indexes', ...RULE_KEYS]) {
+    const value = /** @type {Record<string, any>} */ (collection)[key];
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  if (collection.schema) {
+    const fields = collection.schema.map(field => denormalizeField(field, format));
+    result[format === 'legacy' ? 'schema' : 'fields'] = fields;
+  }
+
+  if (collection.options) {
+    if (format === 'legacy') {
+      result.options = { ...collection.options };
+    } else {
+      const { query, ...options } = collection.options;
+      Object.assign(result, options);
+      if (query !== undefined) {
+        result.viewQuery = query;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * A single difference between two versions of a collection. Destructive
+ * changes can lose data and should be confirmed before they are applied.
+ *
+ * @typedef {Object} SchemaChange
+ * @property {'collection' | 'field' | 'index' | 'rule'} target
+ * @property {'add' | 'remove' | 'change' | 'rename'} action
+ * @property {string} name Name of the collection, field, index or rule
+ * @property {string} description
+ * @property {boolean} destructive
+ */
+
+/**
+ * Lists the changes between two versions of a collection. Fields are matched
+ * by id, so renamed fields are reported as renames; fields without an id are
+ * new.
+ *
+ * @param {CollectionSchema} before
+ * @param {CollectionSchema} after
+ * @returns {SchemaChange[]}
+ */
+export function diffCollectionSchema(before, after) {
+  /** @type {SchemaChange[]} */
+  const changes = [];
+
+  if (before.name !== after.name) {
+    changes.push({
+      target: 'collection',
+      action: 'rename',
+      name: after.name,
+      description: `Rename collection "${before.name}" to "${after.name}"`,
+      destructive: false,
+    });
+  }
+  if (before.type !== after.type) {
+    changes.push({
+      target: 'collection',
+      action: 'change',
+      name: after.name,
+      description: `Change collection type from ${before.type} to ${after.type}`,
+      destructive: true,
+    });
+  }
+  if ((before.options?.query ?? '') !== (after.options?.query ?? '')) {
+    changes.push({
+      target: 'collection',
+      action: 'change',
+      name: after.name,
+      description: 'Change the view query',
+      destructive: false,
+    });
+  }
+
+  const afterIds = new Set(after.schema.map(field => field.id).filter(Boolean));
+  for (const field of before.schema) {
+    if (!afterIds.has(field.id)) {
+      changes.push({
+        target: 'field',
+        action: 'remove',
+        name: field.name,
+        description: `Remove field "${field.name}" and its data`,
+        destructive: true,
+      });
+    }
+  }
+
+  for (const field of after.schema) {
+    const previous = field.id ? before.schema.find(item => item.id === field.id) : undefined;
+    if (!previous) {
+      changes.push({
+        target: 'field',
+        action: 'add',
+        name: field.name,
+        description: `Add ${field.type} field "${field.name}"`,
+        destructive: false,
+      });
+      continue;
+    }
+
+    if (previous.name !== field.name) {
+      changes.push({
+        target: 'field',
+        action: 'rename',
+        name: field.name,
+        description: `Rename field "${previous.name}" to "${field.name}"`,
+        destructive: false,
+      });
+    }
+    if (previous.type !== field.type) {
+      changes.push({
+        target: 'field',
+        action: 'change',
+        name: field.name,
+        description: `Change type of "${field.name}" from ${previous.type} to ${field.type}`,
+        destructive: true,
+      });
+      continue;
+    }
+
+    const changed = ['required', 'presentable', 'hidden'].filter(
+      key =>
+        Boolean(/** @type {any} */ (previous)[key]) !== Boolean(/** @type {any} */ (field)[key])
+    );
+    const optionKeys = new Set([
+      ...Object.keys(previous.options || {}),
+      ...Object.keys(field.options || {}),
+    ]);
+    for (const key of optionKeys) {
+      if (!isEqualValue(previous.options?.[key], field.options?.[key])) {
+        changed.push(key);
+      }
+    }
+    if (changed.length > 0) {
+      changes.push({
+        target: 'field',
+        action: 'change',
+        name: field.name,
+        description: `Change ${changed.join(', ')} of "${field.name}"`,
+        destructive: false,
+      });
+    }
+  }
+
+  for (const index of before.indexes) {
+    if (!after.indexes.includes(index)) {
+      changes.push({
+        target: 'index',
+        action: 'remove',
+        name: index,
+        description: `Remove index ${index}`,
+        destructive: false,
+      });
+    }
+  }
+  for (const index of after.indexes) {
+    if (!before.indexes.includes(index)) {
+      changes.push({
+        target: 'index',
+        action: 'add',
+        name: index,
+        description: `Add index ${index}`,
+        destructive: false,
+      });
+    }
+  }
+
+  for (const key of RULE_KEYS) {
+    const previous = /** @type {Record<string, any>} */ (before)[key] ?? null;
+    const next = /** @type {Record<string, any>} */ (after)[key] ?? null;
+    if (previous !== next) {
+      changes.push({
+        target: 'rule',
+        action: 'change',
+        name: key,
+        description: `Change ${key}`,
+        destructive: false,
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function isEqualValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
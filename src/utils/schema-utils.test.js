@@ -0,0 +1,505 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectSchemaFormat,
+  normalizeField,
+  normalizeCollection,
+  getUniqueIndexedFields,
+  withTimestampFields,
+  withAuthFields,
+  denormalizeField,
+  denormalizeCollection,
+  diffCollectionSchema,
+  getDefaultFieldOptions,
+  getFieldOptionDefinitions,
+} from './schema-utils.js';
+
+describe('schema-utils', () => {
+  const legacyCollection = {
+    id: 'posts_id',
+    name: 'posts',
+    type: 'base',
+    system: false,
+    schema: [
+      {
+        id: 'f1',
+        name: 'title',
+        type: 'text',
+        system: false,
+        required: true,
+        presentable: true,
+        unique: false,
+        options: { min: 3, max: null, pattern: '' },
+      },
+      {
+        id: 'f2',
+        name: 'author',
+        type: 'relation',
+        system: false,
+        required: false,
+        presentable: false,
+        unique: false,
+        options: { collectionId: 'users_id', maxSelect: 1, displayFields: ['name'] },
+      },
+    ],
+    indexes: [],
+    listRule: '',
+    viewRule: '',
+    createRule: null,
+    updateRule: null,
+    deleteRule: null,
+    options: {},
+  };
+
+  const fieldsCollection = {
+    id: 'posts_id',
+    name: 'posts',
+    type: 'base',
+    system: false,
+    fields: [
+      {
+        id: 'text3208210256',
+        name: 'id',
+        type: 'text',
+        system: true,
+        hidden: false,
+        presentable: false,
+        required: true,
+        primaryKey: true,
+        autogeneratePattern: '[a-z0-9]{15}',
+        min: 15,
+        max: 15,
+        pattern: '^[a-z0-9]+$',
+      },
+      {
+        id: 'f1',
+        name: 'title',
+        type: 'text',
+        system: false,
+        hidden: false,
+        presentable: true,
+        required: true,
+        min: 3,
+        max: 0,
+        pattern: '',
+      },
+      {
+        id: 'f2',
+        name: 'slug',
+        type: 'text',
+        system: false,
+        hidden: false,
+        presentable: false,
+        required: false,
+      },
+      {
+        id: 'f3',
+        name: 'secret',
+        type: 'password',
+        system: false,
+        hidden: true,
+        presentable: false,
+        required: false,
+        min: 8,
+        cost: 10,
+      },
+      {
+        id: 'f4',
+        name: 'created',
+        type: 'autodate',
+        system: false,
+        hidden: false,
+        presentable: false,
+        onCreate: true,
+        onUpdate: false,
+      },
+    ],
+    indexes: ['CREATE UNIQUE INDEX `idx_slug` ON `posts` (`slug`)'],
+    listRule: '',
+    viewRule: '',
+    createRule: null,
+    updateRule: null,
+    deleteRule: null,
+  };
+
+  describe('detectSchemaFormat', () => {
+    it('should detect both server formats', () => {
+      expect(detectSchemaFormat(legacyCollection)).toBe('legacy');
+      expect(detectSchemaFormat(fieldsCollection)).toBe('fields');
+    });
+  });
+
+  describe('normalizeField', () => {
+    it('should keep nested options of legacy fields', () => {
+      const field = normalizeField(legacyCollection.schema[1], 'legacy');
+
+      expect(field).toEqual({
+        id: 'f2',
+        name: 'author',
+        type: 'relation',
+        system: false,
+        required: false,
+        presentable: false,
+        unique: false,
+        options: { collectionId: 'users_id', maxSelect: 1, displayFields: ['name'] },
+      });
+    });
+
+    it('should collect flattened options of new fields', () => {
+      const field = normalizeField(fieldsCollection.fields[3], 'fields');
+
+      expect(field).toEqual({
+        id: 'f3',
+        name: 'secret',
+        type: 'password',
+        system: false,
+        required: false,
+        presentable: false,
+        unique: false,
+        hidden: true,
+        options: { min: 8, cost: 10 },
+      });
+    });
+
+    it('should detect the format of a single field', () => {
+      expect(normalizeField(fieldsCollection.fields[4]).options).toEqual({
+        onCreate: true,
+        onUpdate: false,
+      });
+      expect(normalizeField(legacyCollection.schema[0]).options).toEqual({
+        min: 3,
+        max: null,
+        pattern: '',
+      });
+    });
+  });
+
+  describe('normalizeCollection', () => {
+    it('should map legacy collections unchanged', () => {
+      const collection = normalizeCollection(legacyCollection);
+
+      expect(collection.format).toBe('legacy');
+      expect(collection.schema.map(field => field.name)).toEqual(['title', 'author']);
+      expect(collection.options).toEqual({});
+      expect(collection.listRule).toBe('');
+    });
+
+    it('should map the fields format into the schema shape', () => {
+      const collection = normalizeCollection(fieldsCollection);
+
+      expect(collection.format).toBe('fields');
+      expect(collection.schema.map(field => field.name)).toEqual([
+        'id',
+        'title',
+        'slug',
+        'secret',
+        'created',
+      ]);
+      expect(collection.schema[1].options).toEqual({ min: 3, max: 0, pattern: '' });
+      expect(collection.options).toEqual({});
+    });
+
+    it('should mark fields with a unique index as unique', () => {
+      const collection = normalizeCollection(fieldsCollection);
+
+      expect(collection.schema.find(field => field.name === 'slug')?.unique).toBe(true);
+      expect(collection.schema.find(field => field.name === 'title')?.unique).toBe(false);
+    });
+
+    it('should move collection level settings into options', () => {
+      const collection = normalizeCollection({
+        id: 'stats_id',
+        name: 'stats',
+        type: 'view',
+        system: false,
+        fields: [],
+        indexes: [],
+        viewQuery: 'SELECT id, count(*) as total FROM posts',
+        listRule: null,
+        viewRule: null,
+      });
+
+      expect(collection.options).toEqual({
+        viewQuery: 'SELECT id, count(*) as total FROM posts',
+        query: 'SELECT id, count(*) as total FROM posts',
+      });
+    });
+
+    it('should keep auth settings of the fields format', () => {
+      const collection = normalizeCollection({
+        id: 'users_id',
+        name: 'users',
+        type: 'auth',
+        system: false,
+        fields: [],
+        indexes: [],
+        authRule: '',
+        manageRule: null,
+        passwordAuth: { enabled: true, identityFields: ['email'] },
+      });
+
+      expect(collection.options).toMatchObject({
+        authRule: '',
+        manageRule: null,
+        passwordAuth: { enabled: true, identityFields: ['email'] },
+      });
+    });
+  });
+
+  describe('getUniqueIndexedFields', () => {
+    it('should only return single column unique indexes', () => {
+      expect(
+        getUniqueIndexedFields([
+          'CREATE UNIQUE INDEX `idx_slug` ON `posts` (`slug`)',
+          'CREATE UNIQUE INDEX idx_email ON users (email COLLATE NOCASE)',
+          'CREATE UNIQUE INDEX `idx_pair` ON `posts` (`a`, `b`)',
+          'CREATE INDEX `idx_title` ON `posts` (`title`)',
+        ])
+      ).toEqual(['slug', 'email']);
+    });
+  });
+
+  describe('withTimestampFields', () => {
+    it('should add created and updated to legacy schemas', () => {
+      const schema = normalizeCollection(legacyCollection).schema;
+
+      expect(
+        withTimestampFields(schema)
+          .slice(schema.length)
+          .map(field => [field.name, field.type])
+      ).toEqual([
+        ['created', 'autodate'],
+        ['updated', 'autodate'],
+      ]);
+    });
+
+    it('should keep schemas with autodate fields', () => {
+      const schema = [
+        normalizeField({ id: 'c', name: 'created', type: 'autodate', onCreate: true }),
+      ];
+
+      expect(withTimestampFields(schema)).toBe(schema);
+    });
+  });
+
+  describe('withAuthFields', () => {
+    it('should add the auth fields legacy servers leave out', () => {
+      const users = normalizeCollection({
+        ...legacyCollection,
+        name: 'users',
+        type: 'auth',
+        options: { requireEmail: true, minPasswordLength: 10, onlyEmailDomains: ['example.com'] },
+      });
+
+      const schema = withAuthFields(users, { isNew: true });
+
+      expect(schema.map(field => field.name)).toEqual([
+        'username',
+        'email',
+        'emailVisibility',
+        'verified',
+        'password',
+        'passwordConfirm',
+        'title',
+        'author',
+      ]);
+      expect(schema[1]).toMatchObject({
+        type: 'email',
+        system: false,
+        required: true,
+        options: { onlyDomains: ['example.com'], exceptDomains: [] },
+      });
+      expect(schema[4]).toMatchObject({ required: true, hidden: true, options: { min: 10 } });
+      expect(withAuthFields(users)[4].required).toBe(false);
+    });
+
+    it('should replace the system fields of v0.23+ servers', () => {
+      const users = normalizeCollection({
+        ...fieldsCollection,
+        name: 'users',
+        type: 'auth',
+        fields: [
+          {
+            id: 'id1',
+            name: 'id',
+            type: 'text',
+            system: true,
+            autogeneratePattern: '[a-z0-9]{15}',
+          },
+          { id: 'p1', name: 'password', type: 'password', system: true, hidden: true, min: 8 },
+          { id: 't1', name: 'tokenKey', type: 'text', system: true, hidden: true, required: true },
+          { id: 'e1', name: 'email', type: 'email', system: true, required: true },
+          { id: 'v1', name: 'emailVisibility', type: 'bool', system: true },
+          { id: 'v2', name: 'verified', type: 'bool', system: true },
+          { id: 'n1', name: 'name', type: 'text' },
+        ],
+      });
+
+      const schema = withAuthFields(users);
+
+      expect(schema.map(field => field.name)).toEqual([
+        'id',
+        'email',
+        'emailVisibility',
+        'verified',
+        'password',
+        'passwordConfirm',
+        'name',
+      ]);
+      expect(schema[1]).toMatchObject({ id: 'e1', system: false, required: true });
+      expect(schema[4]).toMatchObject({ id: 'p1', required: false, options: { min: 8 } });
+    });
+
+    it('should leave other collections alone', () => {
+      const posts = normalizeCollection(legacyCollection);
+      expect(withAuthFields(posts)).toBe(posts.schema);
+    });
+  });
+
+  describe('getFieldOptionDefinitions', () => {
+    /** @param {'legacy' | 'fields'} [format] */
+    const numberOptions = format => getFieldOptionDefinitions('number', format).map(o => o.name);
+
+    it('should offer the legacy integer option for legacy collections', () => {
+      expect(numberOptions('legacy')).toEqual(['min', 'max', 'noDecimal']);
+      expect(numberOptions()).toEqual(['min', 'max', 'noDecimal']);
+    });
+
+    it('should offer onlyInt for v0.23+ collections', () => {
+      expect(numberOptions('fields')).toEqual(['min', 'max', 'onlyInt']);
+    });
+  });
+
+  describe('denormalizeField', () => {
+    it('should nest options for legacy servers and omit missing ids', () => {
+      const field = normalizeField({
+        name: 'tags',
+        type: 'select',
+        options: getDefaultFieldOptions('select'),
+      });
+
+      expect(denormalizeField({ ...field, id: '' }, 'legacy')).toEqual({
+        name: 'tags',
+        type: 'select',
+        system: false,
+        required: false,
+        presentable: false,
+        options: { values: [], maxSelect: 1 },
+      });
+    });
+
+    it('should flatten options for newer servers', () => {
+      const field = normalizeField(fieldsCollection.fields[3], 'fields');
+
+      expect(denormalizeField(field, 'fields')).toEqual({
+        id: 'f3',
+        name: 'secret',
+        type: 'password',
+        system: false,
+        hidden: true,
+        presentable: false,
+        required: false,
+        min: 8,
+        cost: 10,
+      });
+    });
+  });
+
+  describe('denormalizeCollection', () => {
+    it('should round trip collections of newer servers', () => {
+      const result = denormalizeCollection(normalizeCollection(fieldsCollection), 'fields');
+
+      expect(result.fields).toEqual(
+        fieldsCollection.fields.map(field => ({ required: false, ...field }))
+      );
+      expect(result.indexes).toEqual(fieldsCollection.indexes);
+      expect(result).not.toHaveProperty('schema');
+    });
+
+    it('should only write the given properties', () => {
+      expect(denormalizeCollection({ name: 'articles', listRule: null }, 'legacy')).toEqual({
+        name: 'articles',
+        listRule: null,
+      });
+    });
+
+    it('should write the view query in the format of the server', () => {
+      const view = {
+        name: 'stats',
+        type: /** @type {'view'} */ ('view'),
+        options: { query: 'SELECT 1' },
+      };
+
+      expect(denormalizeCollection(view, 'legacy').options).toEqual({ query: 'SELECT 1' });
+      expect(denormalizeCollection(view, 'fields')).toEqual({
+        name: 'stats',
+        type: 'view',
+        viewQuery: 'SELECT 1',
+      });
+    });
+  });
+
+  describe('diffCollectionSchema', () => {
+    const before = normalizeCollection(legacyCollection);
+
+    it('should report no changes for equal collections', () => {
+      expect(diffCollectionSchema(before, JSON.parse(JSON.stringify(before)))).toEqual([]);
+    });
+
+    it('should report added, renamed and changed fields', () => {
+      const [title, author] = before.schema;
+      const after = {
+        ...before,
+        schema: [
+          { ...title, name: 'headline', options: { ...title.options, min: 5 } },
+          author,
+          { ...normalizeField({ name: 'body', type: 'editor', options: {} }), id: '' },
+        ],
+      };
+
+      expect(diffCollectionSchema(before, after)).toEqual([
+        expect.objectContaining({ target: 'field', action: 'rename', name: 'headline' }),
+        expect.objectContaining({
+          target: 'field',
+          action: 'change',
+          description: 'Change min of "headline"',
+          destructive: false,
+        }),
+        expect.objectContaining({ target: 'field', action: 'add', name: 'body' }),
+      ]);
+    });
+
+    it('should flag removed fields and type changes as destructive', () => {
+      const [title] = before.schema;
+      const after = {
+        ...before,
+        type: /** @type {'auth'} */ ('auth'),
+        schema: [{ ...title, type: 'number' }],
+      };
+
+      const changes = diffCollectionSchema(before, after);
+
+      expect(
+        changes.filter(change => change.destructive).map(change => change.description)
+      ).toEqual([
+        'Change collection type from base to auth',
+        'Remove field "author" and its data',
+        'Change type of "title" from text to number',
+      ]);
+    });
+
+    it('should report index and rule changes', () => {
+      const after = {
+        ...before,
+        indexes: ['CREATE INDEX `idx_title` ON `posts` (`title`)'],
+        listRule: null,
+      };
+
+      expect(
+        diffCollectionSchema(before, after).map(change => [change.target, change.action])
+      ).toEqual([
+        ['index', 'add'],
+        ['rule', 'change'],
+      ]);
+    });
+  });
+});
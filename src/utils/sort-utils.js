@@ -0,0 +1,93 @@
+/**
+ * @typedef {Object} SortEntry
+ * @property {string} field
+ * @property {'asc' | 'desc'} direction
+ */
+
+/**
+ * Parses a PocketBase sort expression such as `-created,title`.
+ *
+ * @param {string | null | undefined} sort
+ * @returns {SortEntry[]}
+ */
+export function parseSort(sort) {
+  return (sort || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part && part !== '-' && part !== '+')
+    .map(part => {
+      if (part.startsWith('-')) return { field: part.slice(1), direction: 'desc' };
+      return { field: part.replace(/^\+/, ''), direction: 'asc' };
+    });
+}
+
+/**
+ * @param {SortEntry[]} entries
+ * @returns {string}
+ */
+export function formatSort(entries) {
+  return entries
+    .map(entry => (entry.direction === 'desc' ? `-${entry.field}` : entry.field))
+    .join(',');
+}
+
+/**
+ * Cycles the sort of a column through asc, desc and unsorted. Without
+ * `multi` the column replaces all other sorts, with `multi` (shift-click)
+ * it is added to or updated within the existing sorts.
+ *
+ * @param {string} sort Current sort expression
+ * @param {string} field
+ * @param {boolean} [multi]
+ * @returns {string}
+ */
+export function toggleSort(sort, field, multi) {
+  const entries = parseSort(sort);
+  const existing = entries.find(entry => entry.field === field);
+
+  /** @type {SortEntry | null} */
+  let next = { field, direction: 'asc' };
+  if (existing) {
+    next = existing.direction === 'asc' ? { field, direction: 'desc' } : null;
+  }
+
+  if (!multi) {
+    return next ? formatSort([next]) : '';
+  }
+
+  if (!existing) {
+    return formatSort([...entries, /** @type {SortEntry} */ (next)]);
+  }
+
+  return formatSort(
+    next
+      ? entries.map(entry => (entry.field === field ? next : entry))
+      : entries.filter(entry => entry.field !== field)
+  );
+}
+
+/**
+ * Returns how a column is sorted. `position` is 1-based and only relevant
+ * when more than one column is sorted.
+ *
+ * @param {string} sort
+ * @param {string} field
+ * @returns {{direction: 'asc' | 'desc', position: number} | null}
+ */
+export function getSortState(sort, field) {
+  const entries = parseSort(sort);
+  const index = entries.findIndex(entry => entry.field === field);
+  if (index === -1) return null;
+  return { direction: entries[index].direction, position: index + 1 };
+}
+
+/** Field types PocketBase cannot meaningfully sort by */
+const UNSORTABLE_FIELD_TYPES = ['json', 'file', 'password'];
+
+/**
+ * @param {import('./index.js').CollectionField} field
+ * @returns {boolean}
+ */
+export function isSortableField(field) {
+  return !UNSORTABLE_FIELD_TYPES.includes(field.type) && !field.hidden;
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { parseSort, formatSort, toggleSort, getSortState, isSortableField } from './sort-utils.js';
+
+describe('sort-utils', () => {
+  describe('parseSort', () => {
+    it('should parse PocketBase sort expressions', () => {
+      expect(parseSort('-created, title,+views')).toEqual([
+        { field: 'created', direction: 'desc' },
+        { field: 'title', direction: 'asc' },
+        { field: 'views', direction: 'asc' },
+      ]);
+    });
+
+    it('should handle empty sorts', () => {
+      expect(parseSort('')).toEqual([]);
+      expect(parseSort(undefined)).toEqual([]);
+      expect(parseSort(' , -')).toEqual([]);
+    });
+  });
+
+  describe('formatSort', () => {
+    it('should format sort entries', () => {
+      expect(
+        formatSort([
+          { field: 'created', direction: 'desc' },
+          { field: 'title', direction: 'asc' },
+        ])
+      ).toBe('-created,title');
+    });
+  });
+
+  describe('toggleSort', () => {
+    it('should cycle a column through asc, desc and unsorted', () => {
+      expect(toggleSort('', 'title')).toBe('title');
+      expect(toggleSort('title', 'title')).toBe('-title');
+      expect(toggleSort('-title', 'title')).toBe('');
+    });
+
+    it('should replace other columns without multi sort', () => {
+      expect(toggleSort('-created,views', 'title')).toBe('title');
+      expect(toggleSort('-created,title', 'title')).toBe('-title');
+    });
+
+    it('should keep other columns with multi sort', () => {
+      expect(toggleSort('-created', 'title', true)).toBe('-created,title');
+      expect(toggleSort('-created,title', 'title', true)).toBe('-created,-title');
+      expect(toggleSort('-created,-title', 'title', true)).toBe('-created');
+      expect(toggleSort('title,-created', 'title', true)).toBe('-title,-created');
+    });
+  });
+
+  describe('getSortState', () => {
+    it('should return the direction and position of a column', () => {
+      expect(getSortState('-created,title', 'title')).toEqual({ direction: 'asc', position: 2 });
+      expect(getSortState('-created,title', 'created')).toEqual({ direction: 'desc', position: 1 });
+      expect(getSortState('-created', 'title')).toBeNull();
+    });
+  });
+
+  describe('isSortableField', () => {
+    it('should exclude json, file, password and hidden fields', () => {
+      /** @type {import('./index.js').CollectionField} */
+      const base = {
+        id: 'f1',
+        name: 'field',
+        type: 'text',
+        system: false,
+        required: false,
+        presentable: false,
+      };
+
+      expect(isSortableField(base)).toBe(true);
+      expect(isSortableField({ ...base, type: 'json' })).toBe(false);
+      expect(isSortableField({ ...base, type: 'file' })).toBe(false);
+      expect(isSortableField({ ...base, hidden: true })).toBe(false);
+    });
+  });
+});
@@ -1,11 +1,16 @@
 import { defineConfig } from 'vitest/config';
+import vue from '@vitejs/plugin-vue';
+import { svelte } from '@sveltejs/vite-plugin-svelte';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export default defineConfig({
+  plugins: [vue(), svelte()],
   resolve: {
+    // Svelte components mount with the browser build of svelte in tests
+    conditions: process.env.VITEST ? ['browser'] : [],
     alias: {
       '@styles': path.resolve(__dirname, './src/components/styles'),
       '@utils': path.resolve(__dirname, './src/utils'),